@@ -5,7 +5,7 @@
 
 'use client';
 
-import { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import { gsap } from 'gsap';
 import { useGSAP } from '@gsap/react';
 import dynamic from 'next/dynamic';
@@ -34,12 +34,57 @@ import {
   Star,
   Heart,
   Snowflake,
+  KeyRound,
+  ShieldCheck,
+  ShieldAlert,
+  ShieldX,
+  VenetianMask,
+  Puzzle,
+  FileText,
+  Paperclip,
+  X,
+  LifeBuoy,
+  Gauge,
+  Dices,
+  Ghost,
+  Layers,
+  SlidersHorizontal,
+  Maximize2,
+  Palette,
+  Film,
 } from 'lucide-react';
 
-import { useNebulaStore, MODES, MEDIUMS, PROCESS_STATES } from '@/store/useNebulaStore';
+import {
+  useNebulaStore,
+  MODES,
+  MEDIUMS,
+  PROCESS_STATES,
+  PROTECTION_MODES,
+  SIGNATURE_STATUS,
+  SECRET_KINDS,
+} from '@/store/useNebulaStore';
 import { useImageStego } from '@/hooks/useImageStego';
 import { useAudioStego } from '@/hooks/useAudioStego';
-import { detectEmotion } from '@/utils/steganography';
+import { KeyManager } from '@/components/KeyManager';
+import { RecipientList } from '@/components/RecipientList';
+import { SignerKeyring } from '@/components/SignerKeyring';
+import { KeyfilePicker } from '@/components/KeyfilePicker';
+import { PasswordStrength } from '@/components/PasswordStrength';
+import { CoverImagePicker } from '@/components/CoverImagePicker';
+import { ArtRecipeControls } from '@/components/ArtRecipeControls';
+import { detectEmotion, formatBytes, calculateImageCapacity, RECIPIENT_TYPES } from '@/utils/steganography';
+import { DECODE_ERRORS } from '@/utils/container';
+import { MAX_CARRIER_SHARES } from '@/utils/payload';
+import { ECC_LEVELS } from '@/utils/ecc';
+import { STRENGTH_LEVELS } from '@/utils/password';
+import { stealthExport, STEALTH_PROFILES, STEALTH_RANDOM } from '@/utils/stealth';
+import { IMAGE_CHANNELS, IMAGE_FORMATS, MAX_BITS_PER_CHANNEL, isAnimatedFormat } from '@/utils/imageLayout';
+import { JPEG_QUALITIES } from '@/utils/jpeg';
+import { coverGeometry } from '@/utils/coverImage';
+import { ARTWORK_SIZES, artworkSize as findArtworkSize, previewGeometry } from '@/utils/artworkSize';
+import { ART_STYLES, ART_STYLE_AUTO, findArtStyle } from '@/utils/artStyles';
+import { createArtRecipe, artRecipeVariant } from '@/utils/artRecipe';
+import { ANIMATION_FRAME_COUNTS, ANIMATION_FRAME_DELAY, maxAnimationFrames } from '@/utils/animation';
 
 // Dynamic imports
 const Sketch = dynamic(() => import('react-p5').then(mod => mod.default), {
@@ -57,6 +102,43 @@ const AudioVisualizer = dynamic(() => import('@/components/AudioVisualizer').the
 
 gsap.registerPlugin(useGSAP);
 
+// Error correction choices shown in the encrypt form
+const ECC_OPTIONS = [
+  { level: ECC_LEVELS.OFF, label: 'Off' },
+  { level: ECC_LEVELS.LOW, label: 'Low' },
+  { level: ECC_LEVELS.MEDIUM, label: 'Medium' },
+  { level: ECC_LEVELS.HIGH, label: 'High' },
+];
+
+// Image channel choices; blue always carries data, as it holds the header
+const CHANNEL_OPTIONS = [
+  { channel: IMAGE_CHANNELS.RED, label: 'R' },
+  { channel: IMAGE_CHANNELS.GREEN, label: 'G' },
+  { channel: IMAGE_CHANNELS.BLUE, label: 'B' },
+];
+
+// Image output choices: PNG hides in pixels, JPEG in DCT coefficients, APNG and GIF
+// in the pixels of an animated artwork
+const FORMAT_OPTIONS = [
+  { format: IMAGE_FORMATS.PNG, label: 'PNG' },
+  { format: IMAGE_FORMATS.JPEG, label: 'JPEG' },
+  { format: IMAGE_FORMATS.APNG, label: 'APNG' },
+  { format: IMAGE_FORMATS.GIF, label: 'GIF' },
+];
+
+// Art style choices: the seed's pick, or any registered style
+const STYLE_OPTIONS = [
+  { id: ART_STYLE_AUTO, label: 'Auto' },
+  ...ART_STYLES.map(({ id, name }) => ({ id, label: name })),
+];
+
+const STRENGTH_OPTIONS = [
+  { level: STRENGTH_LEVELS.VERY_WEAK, label: 'Any' },
+  { level: STRENGTH_LEVELS.WEAK, label: 'Weak' },
+  { level: STRENGTH_LEVELS.FAIR, label: 'Fair' },
+  { level: STRENGTH_LEVELS.STRONG, label: 'Strong' },
+];
+
 export default function NebulaPage() {
   // ═══════════════════════════════════════════════════════════════
   // REFS & STATE
@@ -64,7 +146,7 @@ export default function NebulaPage() {
   const containerRef = useRef(null);
   const heroRef = useRef(null);
   const mainCardRef = useRef(null);
-  const p5CanvasRef = useRef(null);
+  const coverCanvasRef = useRef(null);
   const p5InstanceRef = useRef(null);
   const audioRef = useRef(null);
 
@@ -87,23 +169,104 @@ export default function NebulaPage() {
     mode,
     medium,
     secretText,
+    secretKind,
+    secretFile,
+    artSeed,
+    coverImage,
+    coverOptions,
     password,
     confirmPassword,
+    keyfile,
+    minPasswordStrength,
+    protectionMode,
+    recipientKey,
+    extraRecipients,
+    signMessage,
+    shareEnabled,
+    shareThreshold,
+    shareTotal,
+    eccLevel,
+    imageLayout,
+    imageFormat,
+    jpegQuality,
+    animationFrames,
+    artworkSize,
+    artStyle,
+    artStyleParams,
+    artRecipe,
+    decoyEnabled,
+    decoyText,
+    decoyPassword,
+    decoyConfirm,
+    stealthEnabled,
+    stealthProfile,
+    stealthFilename,
+    identity,
+    trustedSigners,
     uploadedFile,
+    uploadedFiles,
     processState,
     errorMessage,
     revealedSecret,
+    revealedFile,
+    revealedRecipient,
+    revealedSignature,
+    revealedShares,
+    revealedCorrections,
     showSuccess,
     outputURL,
     generatedOutput,
+    generatedShares,
     setMode,
     setMedium,
     setSecretText,
+    setSecretKind,
+    setSecretFile,
+    setArtSeed,
+    setCoverImage,
+    setCoverOptions,
+    rollArtSeed,
     setPassword,
     setConfirmPassword,
+    setKeyfile,
+    setMinPasswordStrength,
+    setProtectionMode,
+    setRecipientKey,
+    addRecipient,
+    updateRecipient,
+    removeRecipient,
+    setSignMessage,
+    setShareEnabled,
+    setShareThreshold,
+    setShareTotal,
+    setEccLevel,
+    setImageLayout,
+    setImageFormat,
+    setJpegQuality,
+    setAnimationFrames,
+    setArtworkSize,
+    setArtStyle,
+    setArtStyleParams,
+    loadArtRecipe,
+    setDecoyEnabled,
+    setDecoyText,
+    setDecoyPassword,
+    setDecoyConfirm,
+    setStealthEnabled,
+    setStealthProfile,
+    setStealthFilename,
+    setIdentity,
+    addTrustedSigner,
+    removeTrustedSigner,
+    getSignatureStatus,
+    getEncryptProtection,
+    getEncryptSecret,
+    getDecryptCredentials,
     setUploadedFile,
+    setUploadedFiles,
     setProcessing,
     setSuccess,
+    setShareSuccess,
     setError,
     setRevealedSecret,
     validateEncryptForm,
@@ -114,16 +277,41 @@ export default function NebulaPage() {
   // ═══════════════════════════════════════════════════════════════
   // HOOKS
   // ═══════════════════════════════════════════════════════════════
-  const { generatePattern, encode: encodeImage, decode: decodeImage, downloadImage } = useImageStego();
-  const { encode: encodeAudio, decode: decodeAudio, downloadAudio, createAudioURL } = useAudioStego();
+  const {
+    generatePattern,
+    createArtworkCanvas,
+    loadCoverImage,
+    drawCover,
+    encode: encodeImage,
+    encodeShares: encodeImageShares,
+    decode: decodeImage,
+    downloadImage,
+  } = useImageStego();
+  const {
+    encode: encodeAudio,
+    encodeShares: encodeAudioShares,
+    decode: decodeAudio,
+    downloadAudio,
+    createAudioURL,
+  } = useAudioStego();
 
-  // Update emotion when text changes
+  // Load the persisted key pair once mounted (skipped during SSR)
   useEffect(() => {
-    if (secretText) {
-      const emotion = detectEmotion(secretText);
+    useNebulaStore.persist.rehydrate();
+  }, []);
+
+  // Random art seed, picked on the client so SSR markup stays deterministic
+  useEffect(() => {
+    rollArtSeed();
+  }, [rollArtSeed]);
+
+  // Update emotion when the art seed changes
+  useEffect(() => {
+    if (artSeed) {
+      const emotion = detectEmotion(artSeed);
       setCurrentEmotion(emotion);
     }
-  }, [secretText]);
+  }, [artSeed]);
 
   // ═══════════════════════════════════════════════════════════════
   // GSAP ANIMATIONS
@@ -159,26 +347,62 @@ export default function NebulaPage() {
   // ═══════════════════════════════════════════════════════════════
   // P5.JS CANVAS
   // ═══════════════════════════════════════════════════════════════
+  // The artwork follows the art seed, and appears once there is something to hide
+  const hasSecret = secretKind === SECRET_KINDS.FILE ? Boolean(secretFile) : Boolean(secretText);
+
+  // The artwork is embedded at its output size, but previewed small
+  const artworkOutput = artRecipe
+    ? { width: artRecipe.width, height: artRecipe.height }
+    : findArtworkSize(artworkSize);
+  const preview = previewGeometry(artworkOutput.width, artworkOutput.height);
+
+  // Live capacity of the cover or artwork for the chosen channels, bits and error correction;
+  // an animation's frames all carry data
+  const animated = isAnimatedFormat(imageFormat);
+  const frameLimit = maxAnimationFrames(artworkOutput.width, artworkOutput.height);
+  const carrierSize = coverImage
+    ? coverGeometry(coverImage.width, coverImage.height, coverOptions)
+    : artworkOutput;
+  const carrierFrames = animated && !coverImage ? animationFrames : 1;
+  const imageCapacity = calculateImageCapacity(
+    carrierSize.width, carrierSize.height * carrierFrames, imageLayout, eccLevel
+  );
+  const imageOutput = { format: imageFormat, layout: imageLayout, quality: jpegQuality, frames: animationFrames };
+
+  // Art recipe of a variant (e.g. a share number): from the loaded recipe, or the art settings
+  const recipeFor = useCallback((variant = 0) => (
+    artRecipe
+      ? artRecipeVariant(artRecipe, variant)
+      : createArtRecipe({
+        artSeed,
+        variant,
+        style: artStyle,
+        params: artStyleParams,
+        width: artworkOutput.width,
+        height: artworkOutput.height,
+      })
+  ), [artRecipe, artSeed, artStyle, artStyleParams, artworkOutput.width, artworkOutput.height]);
+  const currentRecipe = useMemo(() => recipeFor(0), [recipeFor]);
+
   const p5Setup = useCallback((p5, canvasParentRef) => {
-    const canvas = p5.createCanvas(512, 512);
+    const canvas = p5.createCanvas(preview.width, preview.height);
     canvas.parent(canvasParentRef);
-    p5CanvasRef.current = canvas.canvas;
     p5InstanceRef.current = p5;
     p5.noLoop();
     setCanvasReady(true);
-  }, []);
+  }, [preview.width, preview.height]);
 
   const p5Draw = useCallback((p5) => {
-    if (secretText && mode === MODES.ENCRYPT && medium === MEDIUMS.IMAGE) {
-      generatePattern(p5, 512, 512, secretText);
+    if (hasSecret && artSeed && mode === MODES.ENCRYPT && medium === MEDIUMS.IMAGE) {
+      generatePattern(p5, p5.width, p5.height, currentRecipe);
     } else {
       // Beautiful placeholder
       p5.background(8, 8, 12);
       
       // Animated stars placeholder
       for (let i = 0; i < 200; i++) {
-        const x = p5.random(512);
-        const y = p5.random(512);
+        const x = p5.random(p5.width);
+        const y = p5.random(p5.height);
         const size = p5.random(1, 3);
         const alpha = p5.random(50, 150);
         p5.noStroke();
@@ -190,21 +414,65 @@ export default function NebulaPage() {
       for (let r = 100; r > 0; r -= 5) {
         const alpha = p5.map(r, 0, 100, 30, 0);
         p5.fill(100, 100, 200, alpha);
-        p5.ellipse(256, 256, r * 2);
+        p5.ellipse(p5.width / 2, p5.height / 2, r * 2);
       }
 
       p5.fill(100, 100, 140);
       p5.textAlign(p5.CENTER, p5.CENTER);
       p5.textSize(13);
-      p5.text('Type your secret message...', 256, 256);
+      p5.text('Type your secret message...', p5.width / 2, p5.height / 2);
     }
-  }, [secretText, mode, medium, generatePattern]);
+  }, [hasSecret, artSeed, currentRecipe, mode, medium, generatePattern]);
 
   useEffect(() => {
     if (p5InstanceRef.current && canvasReady) {
       p5InstanceRef.current.redraw();
     }
-  }, [secretText, canvasReady]);
+  }, [hasSecret, currentRecipe, canvasReady]);
+
+  // Give the preview the shape of the chosen output size (this redraws it)
+  useEffect(() => {
+    if (p5InstanceRef.current && canvasReady) {
+      p5InstanceRef.current.resizeCanvas(preview.width, preview.height);
+    }
+  }, [preview.width, preview.height, canvasReady]);
+
+  // Draw the cover image into its canvas whenever it or its fitting changes
+  useEffect(() => {
+    if (coverImage && coverCanvasRef.current) {
+      drawCover(coverCanvasRef.current, coverImage, coverOptions);
+    }
+  }, [coverImage, coverOptions, mode, medium, drawCover]);
+
+  const usingCover = medium === MEDIUMS.IMAGE && Boolean(coverImage);
+  const chosenStyle = findArtStyle(artStyle);
+
+  const handleCoverSelect = async (file) => {
+    setCoverImage(await loadCoverImage(file));
+  };
+
+  // Carrier canvas for the image medium: the user's cover image, or the generated art
+  // `redraw(variant, time)` restores clean pixels before each embedding (at a point of the
+  // animation loop for APNG and GIF); `release()` ends with a clean cover on screen, or frees
+  // the offscreen artwork
+  const imageCarrier = () => {
+    if (coverImage) {
+      const canvas = coverCanvasRef.current;
+      if (!canvas) throw new Error('Canvas not ready');
+      // Shares of a cover all start from the same picture
+      const redraw = async () => drawCover(canvas, coverImage, coverOptions);
+      return { canvas, redraw, release: redraw };
+    }
+
+    if (!p5InstanceRef.current) throw new Error('Canvas not ready');
+    // Rendered offscreen at full size; the preview keeps showing the plain artwork
+    const artwork = createArtworkCanvas(p5InstanceRef.current, artworkOutput.width, artworkOutput.height, recipeFor);
+    return {
+      canvas: artwork.canvas,
+      redraw: async (variant = 0, time = 0) => artwork.draw(variant, time),
+      release: artwork.remove,
+    };
+  };
 
   // ═══════════════════════════════════════════════════════════════
   // AUDIO PLAYER CONTROLS
@@ -278,20 +546,49 @@ export default function NebulaPage() {
     setProcessing();
 
     try {
-      if (medium === MEDIUMS.IMAGE) {
-        if (p5InstanceRef.current) {
-          p5InstanceRef.current.redraw();
-          await new Promise(resolve => setTimeout(resolve, 100));
+      if (shareEnabled) {
+        const split = { threshold: shareThreshold, total: shareTotal };
+        let blobs;
+
+        if (medium === MEDIUMS.IMAGE) {
+          const { canvas, redraw, release } = imageCarrier();
+
+          // Each share gets its own artwork variant
+          const drawShare = (index, time) => redraw(index + 1, time);
+
+          try {
+            blobs = await encodeImageShares(
+              getEncryptSecret(), getEncryptProtection(), split, canvas, drawShare, imageOutput
+            );
+          } finally {
+            await release();
+          }
+        } else {
+          blobs = await encodeAudioShares(getEncryptSecret(), getEncryptProtection(), split, artSeed);
         }
 
-        if (!p5CanvasRef.current) throw new Error('Canvas not ready');
+        setShareSuccess(blobs.map((blob) => ({ blob, url: URL.createObjectURL(blob) })));
+        return;
+      }
+
+      if (medium === MEDIUMS.IMAGE) {
+        const { canvas, redraw, release } = imageCarrier();
+        let blob;
+        try {
+          await redraw();
+          blob = await encodeImage(getEncryptSecret(), getEncryptProtection(), canvas, {
+            ...imageOutput,
+            drawFrame: (time) => redraw(0, time),
+          });
+        } finally {
+          await release();
+        }
 
-        const blob = await encodeImage(secretText, password, p5CanvasRef.current);
         const url = URL.createObjectURL(blob);
         setSuccess(blob, url);
         
       } else if (medium === MEDIUMS.AUDIO) {
-        const blob = await encodeAudio(secretText, password);
+        const blob = await encodeAudio(getEncryptSecret(), getEncryptProtection(), artSeed);
         const url = createAudioURL(blob);
         setSuccess(blob, url);
       }
@@ -314,9 +611,9 @@ export default function NebulaPage() {
       let revealed;
       
       if (medium === MEDIUMS.IMAGE) {
-        revealed = await decodeImage(uploadedFile, password);
+        revealed = await decodeImage(uploadedFiles, getDecryptCredentials());
       } else if (medium === MEDIUMS.AUDIO) {
-        revealed = await decodeAudio(uploadedFile, password);
+        revealed = await decodeAudio(uploadedFiles, getDecryptCredentials());
       }
 
       if (revealed) {
@@ -327,67 +624,177 @@ export default function NebulaPage() {
     } catch (error) {
       // User-friendly error messages
       let message = 'Decryption failed. Please check your password.';
-      if (error.message?.includes('Invalid password')) {
-        message = 'Wrong password. Please try again.';
-      } else if (error.message?.includes('No hidden data')) {
-        message = 'No hidden message found in this file.';
-      } else if (error.message?.includes('corrupted')) {
-        message = 'Wrong password or the file is corrupted.';
+      if (error.code === DECODE_ERRORS.WRONG_PASSWORD && error.keyfileRequired) {
+        message = 'This file is also locked with a keyfile. Choose the keyfile and try again.';
+      } else if (error.code === DECODE_ERRORS.WRONG_PASSWORD && !error.containerFound) {
+        // Without the right credentials the hidden data cannot even be located
+        if (keyfile) {
+          message = 'Nothing was found with this password and keyfile. One of them is wrong, or this is not a NEBULA file.';
+        } else if (password) {
+          message = 'Nothing was found with this password. It is wrong, the file also needs its keyfile, or this is not a NEBULA file.';
+        } else {
+          message = 'Nothing was found for your key pair. The file is for someone else, or this is not a NEBULA file.';
+        }
+      } else if (error.code === DECODE_ERRORS.WRONG_PASSWORD && keyfile) {
+        message = 'Wrong password or keyfile. Please try again.';
+      } else if (error.code === DECODE_ERRORS.WRONG_PASSWORD) {
+        message = identity
+          ? 'Neither the password nor your key pair opens this file.'
+          : 'Wrong password. Please try again.';
+      } else if (error.code === DECODE_ERRORS.NOT_NEBULA) {
+        message = 'No hidden message was found. This is not a NEBULA file, or the password is wrong.';
+      } else if (error.code === DECODE_ERRORS.DAMAGED) {
+        message = 'Hidden data was found, but the file is damaged or was re-encoded.';
+      } else if (error.code === DECODE_ERRORS.UNSUPPORTED_VERSION) {
+        message = 'This file was created by a newer version of NEBULA.';
+      } else if (error.code === DECODE_ERRORS.NOT_ENOUGH_SHARES) {
+        const { found, threshold, total } = error.shares;
+        message = `Found ${found} valid share${found === 1 ? '' : 's'}: ${threshold} of ${total} are needed to reveal this secret.`;
       }
       setError(message);
     }
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setUploadedFile(file);
-      // Create URL for preview
-      if (file.type.startsWith('audio/') || file.name.endsWith('.wav')) {
-        const url = URL.createObjectURL(file);
-        setUploadedAudioUrl(url);
-        setUploadedImageUrl(null);
-      } else if (file.type.startsWith('image/')) {
-        const url = URL.createObjectURL(file);
-        setUploadedImageUrl(url);
-        setUploadedAudioUrl(null);
-      } else {
-        setUploadedAudioUrl(null);
-        setUploadedImageUrl(null);
-      }
+  const selectFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setUploadedFiles(files);
+    // Create URL for preview (first file)
+    const [file] = files;
+    if (file.type.startsWith('audio/') || file.name.endsWith('.wav')) {
+      const url = URL.createObjectURL(file);
+      setUploadedAudioUrl(url);
+      setUploadedImageUrl(null);
+    } else if (file.type.startsWith('image/')) {
+      const url = URL.createObjectURL(file);
+      setUploadedImageUrl(url);
+      setUploadedAudioUrl(null);
+    } else {
+      setUploadedAudioUrl(null);
+      setUploadedImageUrl(null);
     }
   };
 
+  const handleFileChange = (e) => {
+    selectFiles(e.target.files);
+  };
+
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragOver(false);
-    const file = e.dataTransfer.files?.[0];
-    if (file) {
-      setUploadedFile(file);
-      // Create URL for preview
-      if (file.type.startsWith('audio/') || file.name.endsWith('.wav')) {
-        const url = URL.createObjectURL(file);
-        setUploadedAudioUrl(url);
-        setUploadedImageUrl(null);
-      } else if (file.type.startsWith('image/')) {
-        const url = URL.createObjectURL(file);
-        setUploadedImageUrl(url);
-        setUploadedAudioUrl(null);
-      } else {
-        setUploadedAudioUrl(null);
-        setUploadedImageUrl(null);
-      }
+    selectFiles(e.dataTransfer.files);
+  };
+
+  const toggleChannel = (channel) => {
+    const channels = imageLayout.channels.includes(channel)
+      ? imageLayout.channels.filter((c) => c !== channel)
+      : [...imageLayout.channels, channel];
+    setImageLayout({ channels });
+  };
+
+  const saveFile = (blob, filename) => {
+    if (medium === MEDIUMS.IMAGE) {
+      downloadImage(blob, filename);
+    } else {
+      downloadAudio(blob, filename);
     }
   };
 
+  // Stealth export renames and retags the whole batch once per generated set and
+  // settings, so shares saved one at a time still get matching names and tags
+  const stealthBatch = useRef(null);
+
+  const saveStealthy = async (blobs, only = null) => {
+    const batch = stealthBatch.current;
+    const reusable = batch
+      && batch.profile === stealthProfile
+      && batch.filename === stealthFilename
+      && batch.blobs.length === blobs.length
+      && batch.blobs.every((blob, i) => blob === blobs[i]);
+    if (!reusable) {
+      stealthBatch.current = {
+        blobs,
+        profile: stealthProfile,
+        filename: stealthFilename,
+        files: stealthExport(blobs, medium, { profile: stealthProfile, filename: stealthFilename }),
+      };
+    }
+
+    const { files: pending } = stealthBatch.current;
+    try {
+      const files = await pending;
+      files.forEach(({ blob, filename }, i) => {
+        if (only === null || only === i) saveFile(blob, filename);
+      });
+    } catch (error) {
+      // Try again on the next download
+      if (stealthBatch.current?.files === pending) stealthBatch.current = null;
+      console.error('Stealth export error:', error);
+      setError(error.message || 'Stealth export failed');
+    }
+  };
+
+  const extensionFor = (blob) => {
+    if (medium !== MEDIUMS.IMAGE) return 'wav';
+    if (blob.type === 'image/gif') return 'gif';
+    return blob.type === 'image/jpeg' ? 'jpg' : 'png';
+  };
+
   const handleDownload = () => {
-    if (!generatedOutput) return;
     const timestamp = Date.now();
-    if (medium === MEDIUMS.IMAGE) {
-      downloadImage(generatedOutput, `nebula-${timestamp}.png`);
-    } else {
-      downloadAudio(generatedOutput, `nebula-${timestamp}.wav`);
+    if (generatedShares.length > 0) {
+      if (stealthEnabled) {
+        saveStealthy(generatedShares.map(({ blob }) => blob));
+        return;
+      }
+      generatedShares.forEach(({ blob }, i) => downloadShare(blob, i, timestamp));
+      return;
     }
+    if (!generatedOutput) return;
+    if (stealthEnabled) {
+      saveStealthy([generatedOutput]);
+      return;
+    }
+    saveFile(generatedOutput, `nebula-${timestamp}.${extensionFor(generatedOutput)}`);
+  };
+
+  const downloadShare = (blob, index, timestamp = Date.now()) => {
+    if (stealthEnabled) {
+      saveStealthy(generatedShares.map((share) => share.blob), index);
+      return;
+    }
+    const name = `nebula-${timestamp}-share-${index + 1}-of-${generatedShares.length}`;
+    saveFile(blob, `${name}.${extensionFor(blob)}`);
+  };
+
+  const handleSecretFileChange = async (e) => {
+    const [file] = e.target.files || [];
+    if (!file) return;
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    setSecretFile({ name: file.name, type: file.type, bytes });
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
+  const applyPassphrase = (passphrase) => {
+    setPassword(passphrase);
+    setConfirmPassword(passphrase);
+    setShowPassword(true);
+  };
+
+  const downloadRevealedFile = () => {
+    if (!revealedFile) return;
+    const blob = new Blob([revealedFile.bytes], { type: revealedFile.type || 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = revealedFile.name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   };
 
   const copyToClipboard = async () => {
@@ -521,22 +928,53 @@ export default function NebulaPage() {
               <div className="input-group">
                 <label>
                   <Shield className="w-4 h-4" />
-                  <span>Secret Message</span>
-                  {secretText && (
-                    <span className={`emotion-badge ${currentEmotion}`}>
-                      <EmotionIcon className="w-3 h-3" />
-                      {currentEmotion}
-                    </span>
-                  )}
+                  <span>Secret {secretKind === SECRET_KINDS.FILE ? 'File' : 'Message'}</span>
                 </label>
-                <textarea
-                  className="secret-input"
-                  placeholder="Type your secret message here..."
-                  value={secretText}
-                  onChange={(e) => setSecretText(e.target.value)}
-                  maxLength={5000}
-                />
-                <div className="char-count">{secretText.length} / 5000</div>
+                <div className="protection-toggle">
+                  <button
+                    className={`protection-btn ${secretKind === SECRET_KINDS.TEXT ? 'active' : ''}`}
+                    onClick={() => setSecretKind(SECRET_KINDS.TEXT)}
+                  >
+                    <FileText className="w-3.5 h-3.5" />
+                    <span>Text</span>
+                  </button>
+                  <button
+                    className={`protection-btn ${secretKind === SECRET_KINDS.FILE ? 'active' : ''}`}
+                    onClick={() => setSecretKind(SECRET_KINDS.FILE)}
+                  >
+                    <Paperclip className="w-3.5 h-3.5" />
+                    <span>File</span>
+                  </button>
+                </div>
+                {secretKind === SECRET_KINDS.FILE ? (
+                  secretFile ? (
+                    <div className="secret-file">
+                      <Paperclip className="w-4 h-4" />
+                      <span className="secret-file-name">{secretFile.name}</span>
+                      <span className="secret-file-size">{formatBytes(secretFile.bytes.length)}</span>
+                      <button className="recipient-remove" onClick={() => setSecretFile(null)}>
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  ) : (
+                    <label className="secret-file secret-file-pick">
+                      <input type="file" onChange={handleSecretFileChange} />
+                      <Upload className="w-4 h-4" />
+                      <span>Choose a file to hide (PDF, key, image, archive...)</span>
+                    </label>
+                  )
+                ) : (
+                  <>
+                    <textarea
+                      className="secret-input"
+                      placeholder="Type your secret message here..."
+                      value={secretText}
+                      onChange={(e) => setSecretText(e.target.value)}
+                      maxLength={5000}
+                    />
+                    <div className="char-count">{secretText.length} / 5000</div>
+                  </>
+                )}
               </div>
 
               {/* Preview Area */}
@@ -544,15 +982,116 @@ export default function NebulaPage() {
                 <label>
                   <Sparkles className="w-4 h-4" />
                   <span>Preview</span>
+                  {artSeed && !usingCover && (
+                    <span className={`emotion-badge ${currentEmotion}`}>
+                      <EmotionIcon className="w-3 h-3" />
+                      {currentEmotion}
+                    </span>
+                  )}
                 </label>
+                {!usingCover && (
+                  <>
+                    <div className="art-seed">
+                      <input
+                        type="text"
+                        placeholder="Art seed"
+                        value={artSeed}
+                        onChange={(e) => setArtSeed(e.target.value)}
+                      />
+                      <button type="button" className="copy-btn" onClick={rollArtSeed}>
+                        <Dices className="w-3.5 h-3.5" />
+                        <span>Random</span>
+                      </button>
+                    </div>
+                    <p className="key-hint">
+                      The {medium === MEDIUMS.IMAGE ? 'artwork' : 'music'} is generated from this seed, not from your message. Words like &quot;sunshine&quot; or &quot;midnight&quot; set the mood.
+                    </p>
+                    {medium === MEDIUMS.IMAGE && (
+                      <div className="ecc-setting">
+                        <span>
+                          <Maximize2 className="w-4 h-4" />
+                          Size
+                        </span>
+                        <div className="protection-toggle">
+                          {ARTWORK_SIZES.map(({ id, label, width, height }) => (
+                            <button
+                              key={id}
+                              className={`protection-btn ${artworkSize === id ? 'active' : ''}`}
+                              onClick={() => setArtworkSize(id)}
+                              title={`${width} × ${height}`}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {medium === MEDIUMS.IMAGE && (
+                      <div className="ecc-setting">
+                        <span>
+                          <Palette className="w-4 h-4" />
+                          Style
+                        </span>
+                        <div className="protection-toggle">
+                          {STYLE_OPTIONS.map(({ id, label }) => (
+                            <button
+                              key={id}
+                              className={`protection-btn ${artStyle === id ? 'active' : ''}`}
+                              onClick={() => setArtStyle(id)}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {medium === MEDIUMS.IMAGE && chosenStyle && (
+                      <div className="share-settings">
+                        {Object.entries(chosenStyle.params).map(([key, { label, min, max, default: fallback }]) => (
+                          <label key={key}>
+                            <span>{label}</span>
+                            <input
+                              type="number"
+                              min={min}
+                              max={max}
+                              value={artStyleParams[key] ?? fallback}
+                              onChange={(e) => setArtStyleParams({ [key]: Number(e.target.value) })}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    {medium === MEDIUMS.IMAGE && (
+                      <ArtRecipeControls
+                        recipe={currentRecipe}
+                        loaded={Boolean(artRecipe)}
+                        onLoad={loadArtRecipe}
+                      />
+                    )}
+                  </>
+                )}
                 
                 {medium === MEDIUMS.IMAGE ? (
-                  <div className="image-preview">
-                    <Sketch setup={p5Setup} draw={p5Draw} />
-                    <div className="preview-overlay">
-                      <span>Generated Pattern</span>
+                  <>
+                    <CoverImagePicker
+                      cover={coverImage}
+                      options={coverOptions}
+                      capacity={imageFormat !== IMAGE_FORMATS.JPEG ? imageCapacity : null}
+                      onSelect={handleCoverSelect}
+                      onRemove={() => setCoverImage(null)}
+                      onOptionsChange={setCoverOptions}
+                    />
+                    <div className="image-preview">
+                      {coverImage ? (
+                        <canvas ref={coverCanvasRef} />
+                      ) : (
+                        <Sketch setup={p5Setup} draw={p5Draw} />
+                      )}
+                      <div className="preview-overlay">
+                        <span>{coverImage ? 'Your Image' : 'Generated Pattern'}</span>
+                      </div>
                     </div>
-                  </div>
+                  </>
                 ) : (
                   <div className="audio-preview">
                     {outputURL ? (
@@ -606,38 +1145,385 @@ export default function NebulaPage() {
                 )}
               </div>
 
-              {/* Password Fields */}
-              <div className="password-grid">
+              {/* Protection Mode */}
+              <div className="protection-toggle">
+                <button
+                  className={`protection-btn ${protectionMode === PROTECTION_MODES.PASSWORD ? 'active' : ''}`}
+                  onClick={() => setProtectionMode(PROTECTION_MODES.PASSWORD)}
+                >
+                  <Lock className="w-3.5 h-3.5" />
+                  <span>Password</span>
+                </button>
+                <button
+                  className={`protection-btn ${protectionMode === PROTECTION_MODES.RECIPIENT ? 'active' : ''}`}
+                  onClick={() => setProtectionMode(PROTECTION_MODES.RECIPIENT)}
+                >
+                  <KeyRound className="w-3.5 h-3.5" />
+                  <span>Recipient Key</span>
+                </button>
+              </div>
+
+              {protectionMode === PROTECTION_MODES.RECIPIENT ? (
                 <div className="input-group">
-                  <label>Password</label>
-                  <div className="password-input-wrapper">
+                  <label>Recipient Public Key</label>
+                  <textarea
+                    className="secret-input key-input"
+                    placeholder="NEBULA-PUB:..."
+                    value={recipientKey}
+                    onChange={(e) => setRecipientKey(e.target.value)}
+                  />
+                </div>
+              ) : (
+                <>
+                  <div className="password-grid">
+                    <div className="input-group">
+                      <label>Password</label>
+                      <div className="password-input-wrapper">
+                        <input
+                          type={showPassword ? 'text' : 'password'}
+                          placeholder="Enter password"
+                          value={password}
+                          onChange={(e) => setPassword(e.target.value)}
+                        />
+                        <button 
+                          type="button"
+                          onClick={() => setShowPassword(!showPassword)}
+                          className="toggle-visibility"
+                        >
+                          {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                        </button>
+                      </div>
+                    </div>
+                    <div className="input-group">
+                      <label>Confirm Password</label>
+                      <div className="password-input-wrapper">
+                        <input
+                          type={showPassword ? 'text' : 'password'}
+                          placeholder="Confirm password"
+                          value={confirmPassword}
+                          onChange={(e) => setConfirmPassword(e.target.value)}
+                        />
+                      </div>
+                    </div>
+                  </div>
+                  <PasswordStrength
+                    password={password}
+                    minLevel={minPasswordStrength}
+                    onGenerate={applyPassphrase}
+                  />
+                  <div className="ecc-setting">
+                    <span>
+                      <Gauge className="w-4 h-4" />
+                      Minimum strength
+                    </span>
+                    <div className="protection-toggle">
+                      {STRENGTH_OPTIONS.map(({ level, label }) => (
+                        <button
+                          key={level}
+                          className={`protection-btn ${minPasswordStrength === level ? 'active' : ''}`}
+                          onClick={() => setMinPasswordStrength(level)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <KeyfilePicker keyfile={keyfile} onChange={setKeyfile} />
+                </>
+              )}
+
+              {/* Shamir Shares */}
+              <label className="option-toggle">
+                <input
+                  type="checkbox"
+                  checked={shareEnabled}
+                  onChange={(e) => setShareEnabled(e.target.checked)}
+                />
+                <Puzzle className="w-4 h-4" />
+                <span>Split across several {medium === MEDIUMS.IMAGE ? 'artworks' : 'soundscapes'}</span>
+              </label>
+
+              {shareEnabled && (
+                <div className="share-settings">
+                  <label>
+                    <span>Shares</span>
                     <input
-                      type={showPassword ? 'text' : 'password'}
-                      placeholder="Enter password"
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
+                      type="number"
+                      min={2}
+                      max={MAX_CARRIER_SHARES}
+                      value={shareTotal}
+                      onChange={(e) => setShareTotal(Number(e.target.value))}
                     />
-                    <button 
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="toggle-visibility"
-                    >
-                      {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                    </button>
-                  </div>
-                </div>
-                <div className="input-group">
-                  <label>Confirm Password</label>
-                  <div className="password-input-wrapper">
+                  </label>
+                  <label>
+                    <span>Needed to reveal</span>
                     <input
-                      type={showPassword ? 'text' : 'password'}
-                      placeholder="Confirm password"
-                      value={confirmPassword}
-                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      type="number"
+                      min={2}
+                      max={shareTotal}
+                      value={shareThreshold}
+                      onChange={(e) => setShareThreshold(Number(e.target.value))}
                     />
+                  </label>
+                  <p className="key-hint">
+                    Any {shareThreshold} of the {shareTotal} files reveal the secret; fewer reveal nothing.
+                  </p>
+                </div>
+              )}
+
+              {/* Decoy Message */}
+              <label className="option-toggle">
+                <input
+                  type="checkbox"
+                  checked={decoyEnabled}
+                  onChange={(e) => setDecoyEnabled(e.target.checked)}
+                />
+                <VenetianMask className="w-4 h-4" />
+                <span>Add a decoy message for a second password</span>
+              </label>
+
+              {decoyEnabled ? (
+                <div className="decoy-section">
+                  <textarea
+                    className="secret-input"
+                    placeholder="An innocent message to reveal under pressure..."
+                    value={decoyText}
+                    onChange={(e) => setDecoyText(e.target.value)}
+                  />
+                  <div className="password-grid">
+                    <div className="password-input-wrapper">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        placeholder="Decoy password"
+                        value={decoyPassword}
+                        onChange={(e) => setDecoyPassword(e.target.value)}
+                      />
+                    </div>
+                    <div className="password-input-wrapper">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        placeholder="Confirm decoy password"
+                        value={decoyConfirm}
+                        onChange={(e) => setDecoyConfirm(e.target.value)}
+                      />
+                    </div>
                   </div>
+                  <p className="key-hint">
+                    Each password opens its own message. Nothing in the file shows that a second one exists.
+                  </p>
                 </div>
-              </div>
+              ) : (
+                <>
+                  {/* Additional Recipients */}
+                  <RecipientList
+                    recipients={extraRecipients}
+                    onAdd={addRecipient}
+                    onUpdate={updateRecipient}
+                    onRemove={removeRecipient}
+                  />
+
+                  {/* Sender Signature */}
+                  {identity ? (
+                    <label className="option-toggle">
+                      <input
+                        type="checkbox"
+                        checked={signMessage}
+                        onChange={(e) => setSignMessage(e.target.checked)}
+                      />
+                      <ShieldCheck className="w-4 h-4" />
+                      <span>Sign as <span className="key-fingerprint">{identity.fingerprint}</span></span>
+                    </label>
+                  ) : (
+                    <p className="key-hint">Create a key pair in Decrypt mode to sign your messages.</p>
+                  )}
+
+                  {/* Error Correction */}
+                  <div className="ecc-setting">
+                    <span>
+                      <LifeBuoy className="w-4 h-4" />
+                      Error correction
+                    </span>
+                    <div className="protection-toggle">
+                      {ECC_OPTIONS.map(({ level, label }) => (
+                        <button
+                          key={level}
+                          className={`protection-btn ${eccLevel === level ? 'active' : ''}`}
+                          onClick={() => setEccLevel(level)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p className="key-hint">
+                    Lets the message survive a few changed pixels or samples, at the cost of some capacity.
+                  </p>
+
+                  {/* Image Layout */}
+                  {medium === MEDIUMS.IMAGE && imageFormat !== IMAGE_FORMATS.JPEG && (
+                    <>
+                      <div className="ecc-setting">
+                        <span>
+                          <Layers className="w-4 h-4" />
+                          Channels
+                        </span>
+                        <div className="protection-toggle">
+                          {CHANNEL_OPTIONS.map(({ channel, label }) => (
+                            <button
+                              key={channel}
+                              className={`protection-btn ${imageLayout.channels.includes(channel) ? 'active' : ''}`}
+                              onClick={() => toggleChannel(channel)}
+                              disabled={channel === IMAGE_CHANNELS.BLUE}
+                              title={channel === IMAGE_CHANNELS.BLUE ? 'Always used: it holds the header' : undefined}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="ecc-setting">
+                        <span>
+                          <Layers className="w-4 h-4" />
+                          Bits per channel
+                        </span>
+                        <div className="protection-toggle">
+                          {Array.from({ length: MAX_BITS_PER_CHANNEL }, (_, i) => i + 1).map((depth) => (
+                            <button
+                              key={depth}
+                              className={`protection-btn ${imageLayout.depth === depth ? 'active' : ''}`}
+                              onClick={() => setImageLayout({ depth })}
+                            >
+                              {depth}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <p className="key-hint">
+                        Holds up to {formatBytes(imageCapacity)} of encrypted data. More channels and bits hold more,
+                        but change the artwork more and are easier to detect.
+                      </p>
+                    </>
+                  )}
+                </>
+              )}
+
+              {/* Image Format */}
+              {medium === MEDIUMS.IMAGE && (
+                <>
+                  <div className="ecc-setting">
+                    <span>
+                      <FileImage className="w-4 h-4" />
+                      Format
+                    </span>
+                    <div className="protection-toggle">
+                      {FORMAT_OPTIONS.map(({ format, label }) => (
+                        <button
+                          key={format}
+                          className={`protection-btn ${imageFormat === format ? 'active' : ''}`}
+                          onClick={() => setImageFormat(format)}
+                          disabled={Boolean(coverImage) && isAnimatedFormat(format)}
+                          title={coverImage && isAnimatedFormat(format) ? 'Animations are drawn from the generated art' : undefined}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {imageFormat === IMAGE_FORMATS.JPEG && (
+                    <>
+                      <div className="ecc-setting">
+                        <span>
+                          <SlidersHorizontal className="w-4 h-4" />
+                          Quality
+                        </span>
+                        <div className="protection-toggle">
+                          {JPEG_QUALITIES.map((quality) => (
+                            <button
+                              key={quality}
+                              className={`protection-btn ${jpegQuality === quality ? 'active' : ''}`}
+                              onClick={() => setJpegQuality(quality)}
+                            >
+                              {quality}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <p className="key-hint">
+                        Hides the data in the JPEG&apos;s compressed DCT coefficients, so it can be shared where PNGs
+                        would be converted. It holds much less than PNG, depending on the picture&apos;s detail and
+                        the quality, and does not survive being re-compressed.
+                      </p>
+                    </>
+                  )}
+                  {animated && (
+                    <>
+                      <div className="ecc-setting">
+                        <span>
+                          <Film className="w-4 h-4" />
+                          Frames
+                        </span>
+                        <div className="protection-toggle">
+                          {ANIMATION_FRAME_COUNTS.map((count) => (
+                            <button
+                              key={count}
+                              className={`protection-btn ${animationFrames === count ? 'active' : ''}`}
+                              onClick={() => setAnimationFrames(count)}
+                              disabled={count > frameLimit}
+                              title={count > frameLimit ? 'Too many frames at this size' : undefined}
+                            >
+                              {count}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <p className="key-hint">
+                        The artwork moves in a {(animationFrames * ANIMATION_FRAME_DELAY) / 1000} second loop, and the
+                        data is spread over every frame, so each frame adds capacity.
+                        {imageFormat === IMAGE_FORMATS.GIF
+                          && ' GIF frames are reduced to a few colours to leave room for the hidden bits.'}
+                        {frameLimit < 2 && ' This size is too large to animate; choose a smaller one.'}
+                      </p>
+                    </>
+                  )}
+                </>
+              )}
+
+              {/* Stealth Export */}
+              <label className="option-toggle">
+                <input
+                  type="checkbox"
+                  checked={stealthEnabled}
+                  onChange={(e) => setStealthEnabled(e.target.checked)}
+                />
+                <Ghost className="w-4 h-4" />
+                <span>Stealth export (ordinary file names and metadata)</span>
+              </label>
+
+              {stealthEnabled && (
+                <div className="stealth-section">
+                  <div className="protection-toggle">
+                    {[{ id: STEALTH_RANDOM, label: 'Random' }, ...STEALTH_PROFILES[medium]].map(({ id, label }) => (
+                      <button
+                        key={id}
+                        className={`protection-btn ${stealthProfile === id ? 'active' : ''}`}
+                        onClick={() => setStealthProfile(id)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <input
+                    type="text"
+                    className="stealth-filename"
+                    placeholder="File name (optional)"
+                    value={stealthFilename}
+                    onChange={(e) => setStealthFilename(e.target.value)}
+                  />
+                  <p className="key-hint">
+                    Downloads are named and tagged like a common {medium === MEDIUMS.IMAGE ? 'screenshot or image editor' : 'recorder or audio tool'} would, with no trace of NEBULA. The hidden data is unchanged.
+                  </p>
+                </div>
+              )}
 
               {/* Actions */}
               <div className="action-buttons">
@@ -662,7 +1548,7 @@ export default function NebulaPage() {
                 {processState === PROCESS_STATES.SUCCESS && (
                   <button className="secondary-btn" onClick={handleDownload}>
                     <Download className="w-4 h-4" />
-                    <span>Download</span>
+                    <span>{generatedShares.length > 0 ? 'Download All' : 'Download'}</span>
                   </button>
                 )}
               </div>
@@ -677,6 +1563,30 @@ export default function NebulaPage() {
                   <img src={outputURL} alt="Encoded" className="result-image" />
                 </div>
               )}
+
+              {processState === PROCESS_STATES.SUCCESS && generatedShares.length > 0 && (
+                <div className="success-preview">
+                  <div className="success-badge">
+                    <Check className="w-4 h-4" />
+                    <span>Secret split into {generatedShares.length} shares!</span>
+                  </div>
+                  <div className="share-grid">
+                    {generatedShares.map(({ blob, url }, i) => (
+                      <div key={url} className="share-item">
+                        {medium === MEDIUMS.IMAGE ? (
+                          <img src={url} alt={`Share ${i + 1}`} className="share-thumb" />
+                        ) : (
+                          <audio src={url} controls className="share-audio" />
+                        )}
+                        <button className="copy-btn" onClick={() => downloadShare(blob, i)}>
+                          <Download className="w-4 h-4" />
+                          <span>Share {i + 1}</span>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -699,6 +1609,7 @@ export default function NebulaPage() {
                   <input
                     id="file-input"
                     type="file"
+                    multiple
                     className="hidden"
                     accept={medium === MEDIUMS.IMAGE ? 'image/*' : 'audio/wav,.wav'}
                     onChange={handleFileChange}
@@ -711,14 +1622,19 @@ export default function NebulaPage() {
                         <FileAudio className="w-10 h-10 text-neon-purple" />
                       )}
                       <div>
-                        <p className="file-name">{uploadedFile.name}</p>
-                        <p className="file-size">{(uploadedFile.size / 1024).toFixed(1)} KB</p>
+                        <p className="file-name">
+                          {uploadedFiles.length > 1 ? `${uploadedFiles.length} files (shares)` : uploadedFile.name}
+                        </p>
+                        <p className="file-size">
+                          {(uploadedFiles.reduce((sum, file) => sum + file.size, 0) / 1024).toFixed(1)} KB
+                        </p>
                       </div>
                     </div>
                   ) : (
                     <div className="drop-prompt">
                       <Upload className="w-10 h-10" />
                       <p>Drop file here or click to browse</p>
+                      <p className="drop-hint">Select several files to combine shares</p>
                       <span>{medium === MEDIUMS.IMAGE ? 'PNG, JPG' : 'WAV'}</span>
                     </div>
                   )}
@@ -779,13 +1695,23 @@ export default function NebulaPage() {
                 </div>
               )}
 
+              {/* Key Pair */}
+              <KeyManager identity={identity} onChange={setIdentity} />
+
+              {/* Trusted Signers */}
+              <SignerKeyring
+                signers={trustedSigners}
+                onAdd={addTrustedSigner}
+                onRemove={removeTrustedSigner}
+              />
+
               {/* Password */}
               <div className="input-group">
                 <label>Password</label>
                 <div className="password-input-wrapper">
                   <input
                     type={showPassword ? 'text' : 'password'}
-                    placeholder="Enter decryption password"
+                    placeholder={identity ? 'Enter password (optional with your key pair)' : 'Enter decryption password'}
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
                   />
@@ -795,6 +1721,9 @@ export default function NebulaPage() {
                 </div>
               </div>
 
+              {/* Keyfile */}
+              <KeyfilePicker keyfile={keyfile} onChange={setKeyfile} />
+
               {/* Decrypt Button */}
               <button
                 className="primary-btn full-width"
@@ -815,21 +1744,68 @@ export default function NebulaPage() {
               </button>
 
               {/* Revealed Secret */}
-              {processState === PROCESS_STATES.SUCCESS && revealedSecret && (
+              {processState === PROCESS_STATES.SUCCESS && (revealedSecret || revealedFile) && (
                 <div className="revealed-section">
                   <div className="revealed-header">
                     <div className="success-badge">
                       <Check className="w-4 h-4" />
                       <span>Secret Revealed!</span>
                     </div>
-                    <button className="copy-btn" onClick={copyToClipboard}>
-                      {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-                      <span>{copied ? 'Copied!' : 'Copy'}</span>
-                    </button>
-                  </div>
-                  <div className="revealed-content">
-                    {revealedSecret}
+                    {revealedFile ? (
+                      <button className="copy-btn" onClick={downloadRevealedFile}>
+                        <Download className="w-4 h-4" />
+                        <span>Download</span>
+                      </button>
+                    ) : (
+                      <button className="copy-btn" onClick={copyToClipboard}>
+                        {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                        <span>{copied ? 'Copied!' : 'Copy'}</span>
+                      </button>
+                    )}
                   </div>
+                  {revealedFile ? (
+                    <div className="secret-file">
+                      <Paperclip className="w-4 h-4" />
+                      <span className="secret-file-name">{revealedFile.name}</span>
+                      <span className="secret-file-size">
+                        {revealedFile.type ? `${revealedFile.type} · ` : ''}{formatBytes(revealedFile.bytes.length)}
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="revealed-content">
+                      {revealedSecret}
+                    </div>
+                  )}
+                  {revealedRecipient && revealedRecipient.slotCount > 1 && (
+                    <p className="recipient-match">
+                      Opened by recipient {revealedRecipient.slot + 1} of {revealedRecipient.slotCount}
+                      {revealedRecipient.type === RECIPIENT_TYPES.KEY
+                        ? ` (your key ${revealedRecipient.fingerprint})`
+                        : ' (password)'}
+                    </p>
+                  )}
+                  {revealedCorrections > 0 && (
+                    <p className="recipient-match">
+                      Error correction repaired {revealedCorrections} damaged byte{revealedCorrections === 1 ? '' : 's'}
+                    </p>
+                  )}
+                  {revealedShares && (
+                    <p className="recipient-match">
+                      Reconstructed from {revealedShares.threshold} of {revealedShares.total} shares
+                      ({revealedShares.found} valid found)
+                    </p>
+                  )}
+                  {revealedSignature && (
+                    <SignatureBadge
+                      signature={revealedSignature}
+                      status={getSignatureStatus(revealedSignature)}
+                      onTrust={() => addTrustedSigner({
+                        publicKey: revealedSignature.publicKey,
+                        fingerprint: revealedSignature.fingerprint,
+                        label: '',
+                      })}
+                    />
+                  )}
                 </div>
               )}
             </div>
@@ -864,3 +1840,27 @@ export default function NebulaPage() {
     </main>
   );
 }
+
+// ═══════════════════════════════════════════════════════════════
+// SIGNATURE BADGE
+// ═══════════════════════════════════════════════════════════════
+function SignatureBadge({ signature, status, onTrust }) {
+  const Icon = status === SIGNATURE_STATUS.VERIFIED
+    ? ShieldCheck
+    : status === SIGNATURE_STATUS.INVALID ? ShieldX : ShieldAlert;
+
+  return (
+    <div className={`signature-badge ${status}`}>
+      <Icon className="w-4 h-4" />
+      <span>
+        Signed by <span className="key-fingerprint">{signature.fingerprint}</span>, {status}
+      </span>
+      {status === SIGNATURE_STATUS.UNVERIFIED && (
+        <button className="copy-btn" onClick={onTrust}>
+          <Check className="w-4 h-4" />
+          <span>Trust signer</span>
+        </button>
+      )}
+    </div>
+  );
+}
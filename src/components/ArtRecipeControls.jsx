@@ -0,0 +1,67 @@
+/**
+ * NEBULA - Art Recipe Controls
+ * Save the recipe of the current artwork, or draw the artwork from a saved one
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+
+import { parseArtRecipe, serializeArtRecipe } from '@/utils/artRecipe';
+
+export function ArtRecipeControls({ recipe, loaded, onLoad }) {
+  const [error, setError] = useState('');
+  const [warnings, setWarnings] = useState([]);
+
+  const handleSave = () => {
+    const blob = new Blob([serializeArtRecipe(recipe)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `nebula-art-${recipe.style.replace(/_/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleChange = async (e) => {
+    const [file] = e.target.files || [];
+    // Allow loading the same recipe again after changing the art
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseArtRecipe(await file.text());
+      onLoad(parsed.recipe);
+      setWarnings(parsed.warnings);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Could not read this recipe');
+    }
+  };
+
+  return (
+    <div className="recipe-controls">
+      <div className="key-actions">
+        <button type="button" className="copy-btn" onClick={handleSave}>
+          <Download className="w-4 h-4" />
+          <span>Save recipe</span>
+        </button>
+        <label className="copy-btn">
+          <input type="file" accept="application/json,.json" onChange={handleChange} />
+          <Upload className="w-4 h-4" />
+          <span>Load recipe</span>
+        </label>
+      </div>
+      {loaded && (
+        <p className="key-hint">
+          Drawn from a saved recipe. Changing the art seed, style or size starts a new one.
+        </p>
+      )}
+      {loaded && warnings.map((warning) => <p key={warning} className="key-error">{warning}</p>)}
+      {error && <p className="key-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * NEBULA - Cover Image Picker
+ * Optional image of the user's own to hide data in, instead of generated art
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+
+import { formatBytes } from '@/utils/steganography';
+import { coverGeometry, COVER_FITS, COVER_SIZES } from '@/utils/coverImage';
+
+const FIT_OPTIONS = [
+  { fit: COVER_FITS.ORIGINAL, label: 'Original' },
+  { fit: COVER_FITS.RESIZE, label: 'Resize' },
+  { fit: COVER_FITS.CROP, label: 'Square crop' },
+];
+
+export function CoverImagePicker({ cover, options, capacity, onSelect, onRemove, onOptionsChange }) {
+  const [error, setError] = useState('');
+
+  const handleChange = async (e) => {
+    const [file] = e.target.files || [];
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      await onSelect(file);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Could not open this image');
+    }
+  };
+
+  if (!cover) {
+    return (
+      <div className="cover-picker">
+        <label className="secret-file secret-file-pick">
+          <input type="file" accept="image/*" onChange={handleChange} />
+          <ImagePlus className="w-4 h-4" />
+          <span>Or hide it in your own image (photo, screenshot...)</span>
+        </label>
+        {error && <p className="key-error">{error}</p>}
+      </div>
+    );
+  }
+
+  const { width, height } = coverGeometry(cover.width, cover.height, options);
+
+  return (
+    <div className="cover-picker">
+      <div className="secret-file">
+        <ImagePlus className="w-4 h-4" />
+        <span className="secret-file-name">{cover.name}</span>
+        <span className="secret-file-size">{width} × {height}</span>
+        <button className="recipient-remove" onClick={onRemove}>
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="protection-toggle">
+        {FIT_OPTIONS.map(({ fit, label }) => (
+          <button
+            key={fit}
+            className={`protection-btn ${options.fit === fit ? 'active' : ''}`}
+            onClick={() => onOptionsChange({ fit })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {options.fit !== COVER_FITS.ORIGINAL && (
+        <div className="protection-toggle">
+          {COVER_SIZES.map((maxSide) => (
+            <button
+              key={maxSide}
+              className={`protection-btn ${options.maxSide === maxSide ? 'active' : ''}`}
+              onClick={() => onOptionsChange({ maxSide })}
+            >
+              {maxSide} px
+            </button>
+          ))}
+        </div>
+      )}
+
+      {cover.hasAlpha && (
+        <>
+          <label className="option-toggle">
+            <input
+              type="checkbox"
+              checked={options.flatten}
+              onChange={(e) => onOptionsChange({ flatten: e.target.checked })}
+            />
+            <span>Fill transparent areas with white</span>
+          </label>
+          <p className="key-error">
+            This image has transparency. Browsers change the colour bits of see-through pixels, so hidden
+            data there may be lost{options.flatten ? '; filling them in avoids this' : ''}.
+          </p>
+        </>
+      )}
+
+      {cover.lossy && (
+        <p className="key-error">
+          This image was saved in a lossy format (e.g. JPEG). Hidden bits disturb its compression pattern,
+          which makes them easier to detect. An original PNG or a screenshot is a better cover.
+        </p>
+      )}
+
+      <p className="key-hint">
+        {capacity === null
+          ? 'The result is saved as JPEG; how much it holds depends on the picture\'s detail.'
+          : `Holds up to ${formatBytes(capacity)} of encrypted data at this size. The result is saved as PNG.`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+/**
+ * NEBULA - Key Pair Manager
+ * Generate, import and export the local recipient key pair
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { KeyRound, Copy, Check, Trash2, Plus, Upload } from 'lucide-react';
+
+import { generateKeyPair, publicKeyFromSecret, getKeyFingerprint } from '@/utils/steganography';
+
+export function KeyManager({ identity, onChange }) {
+  const [importText, setImportText] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [copiedField, setCopiedField] = useState(null);
+  const [error, setError] = useState('');
+
+  const copy = async (field, text) => {
+    await navigator.clipboard.writeText(text);
+    setCopiedField(field);
+    setTimeout(() => setCopiedField(null), 2000);
+  };
+
+  const handleGenerate = async () => {
+    try {
+      const pair = await generateKeyPair();
+      onChange({ ...pair, createdAt: Date.now() });
+      setError('');
+    } catch (err) {
+      console.error('Key generation failed:', err);
+      setError('Could not generate a key pair in this browser');
+    }
+  };
+
+  const handleImport = async () => {
+    const secretKey = importText.trim();
+    const publicKey = publicKeyFromSecret(secretKey);
+    if (!publicKey) {
+      setError('That is not a valid NEBULA secret key');
+      return;
+    }
+
+    const fingerprint = await getKeyFingerprint(publicKey);
+    onChange({ publicKey, secretKey, fingerprint, createdAt: Date.now() });
+    setImportText('');
+    setShowImport(false);
+    setError('');
+  };
+
+  return (
+    <div className="key-manager">
+      <label>
+        <KeyRound className="w-4 h-4" />
+        <span>Your Key Pair</span>
+        {identity && <span className="key-fingerprint">{identity.fingerprint}</span>}
+      </label>
+
+      {identity ? (
+        <>
+          <div className="key-box">
+            <code>{identity.publicKey}</code>
+          </div>
+          <p className="key-hint">
+            Share this public key. Messages hidden for it open here without a password.
+          </p>
+          <div className="key-actions">
+            <button className="copy-btn" onClick={() => copy('public', identity.publicKey)}>
+              {copiedField === 'public' ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              <span>Copy public key</span>
+            </button>
+            <button className="copy-btn" onClick={() => copy('secret', identity.secretKey)}>
+              {copiedField === 'secret' ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              <span>Export secret key</span>
+            </button>
+            <button className="copy-btn danger" onClick={() => onChange(null)}>
+              <Trash2 className="w-4 h-4" />
+              <span>Remove</span>
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="key-actions">
+            <button className="copy-btn" onClick={handleGenerate}>
+              <Plus className="w-4 h-4" />
+              <span>Generate key pair</span>
+            </button>
+            <button className="copy-btn" onClick={() => setShowImport(!showImport)}>
+              <Upload className="w-4 h-4" />
+              <span>Import secret key</span>
+            </button>
+          </div>
+          {showImport && (
+            <div className="key-import">
+              <textarea
+                className="secret-input key-input"
+                placeholder="NEBULA-SECRET:..."
+                value={importText}
+                onChange={(e) => setImportText(e.target.value)}
+              />
+              <button className="secondary-btn" onClick={handleImport}>
+                <Check className="w-4 h-4" />
+                <span>Use this key</span>
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <p className="key-error">{error}</p>}
+    </div>
+  );
+}
+
+export default KeyManager;
@@ -0,0 +1,61 @@
+/**
+ * NEBULA - Keyfile Picker
+ * Optional file whose hash is required alongside the password
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { FileKey, X } from 'lucide-react';
+
+import { hashKeyfile, formatBytes } from '@/utils/steganography';
+import { MAX_KEYFILE_BYTES } from '@/store/useNebulaStore';
+
+export function KeyfilePicker({ keyfile, onChange }) {
+  const [error, setError] = useState('');
+
+  const handleChange = async (e) => {
+    const [file] = e.target.files || [];
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_KEYFILE_BYTES) {
+      setError(`Keyfiles are limited to ${formatBytes(MAX_KEYFILE_BYTES)}`);
+      return;
+    }
+
+    const digest = await hashKeyfile(new Uint8Array(await file.arrayBuffer()));
+    onChange({ name: file.name, size: file.size, digest });
+    setError('');
+  };
+
+  return (
+    <div className="input-group">
+      <label>Keyfile (optional)</label>
+      {keyfile ? (
+        <div className="secret-file">
+          <FileKey className="w-4 h-4" />
+          <span className="secret-file-name">{keyfile.name}</span>
+          <span className="secret-file-size">{formatBytes(keyfile.size)}</span>
+          <button className="recipient-remove" onClick={() => onChange(null)}>
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      ) : (
+        <label className="secret-file secret-file-pick">
+          <input type="file" onChange={handleChange} />
+          <FileKey className="w-4 h-4" />
+          <span>Choose any file, e.g. a photo or an earlier NEBULA image</span>
+        </label>
+      )}
+      {error ? (
+        <p className="key-error">{error}</p>
+      ) : (
+        <p className="key-hint">
+          The exact same file is needed to reveal the message. A copy that was edited or re-saved will not work.
+        </p>
+      )}
+    </div>
+  );
+}
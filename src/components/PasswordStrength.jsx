@@ -0,0 +1,52 @@
+/**
+ * NEBULA - Password Strength Meter
+ * Live strength estimate under a password field, with a passphrase generator
+ */
+
+'use client';
+
+import { useMemo, useState } from 'react';
+import { Dices } from 'lucide-react';
+
+import { estimateStrength, generatePassphrase, STRENGTH_LEVELS } from '@/utils/password';
+
+const SEGMENTS = STRENGTH_LEVELS.VERY_STRONG + 1;
+
+export function PasswordStrength({ password, minLevel, onGenerate }) {
+  const [generating, setGenerating] = useState(false);
+  const strength = useMemo(() => estimateStrength(password), [password]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const { passphrase } = await generatePassphrase();
+      onGenerate(passphrase);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="password-strength">
+      <div className="strength-row">
+        <div className={`strength-meter level-${strength.level}`}>
+          {Array.from({ length: SEGMENTS }, (_, i) => (
+            <span key={i} className={password && i <= strength.level ? 'filled' : ''} />
+          ))}
+        </div>
+        <span className="strength-label">
+          {password ? `${strength.label} · ~${strength.bits} bits` : 'Strength'}
+        </span>
+        <button type="button" className="copy-btn" onClick={handleGenerate} disabled={generating}>
+          <Dices className="w-3.5 h-3.5" />
+          <span>Generate passphrase</span>
+        </button>
+      </div>
+      {password && (strength.feedback || strength.level < minLevel) && (
+        <p className={strength.level < minLevel ? 'key-error' : 'key-hint'}>
+          {strength.feedback || 'Too weak for the minimum strength setting'}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * NEBULA - Additional Recipients
+ * Extra passwords and public keys that can each open the same file
+ */
+
+'use client';
+
+import { Lock, KeyRound, Plus, Trash2 } from 'lucide-react';
+
+import { MAX_RECIPIENTS, RECIPIENT_TYPES } from '@/utils/steganography';
+
+export function RecipientList({ recipients, onAdd, onUpdate, onRemove }) {
+  // The primary password or key above takes the first slot
+  const canAdd = recipients.length + 1 < MAX_RECIPIENTS;
+
+  return (
+    <div className="recipient-list">
+      {recipients.map((recipient, index) => (
+        <div key={recipient.id} className="recipient-row">
+          <div className="recipient-row-header">
+            {recipient.type === RECIPIENT_TYPES.KEY
+              ? <KeyRound className="w-3.5 h-3.5" />
+              : <Lock className="w-3.5 h-3.5" />}
+            <span>Recipient {index + 2}</span>
+            <button className="recipient-remove" onClick={() => onRemove(recipient.id)}>
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+
+          {recipient.type === RECIPIENT_TYPES.KEY ? (
+            <textarea
+              className="secret-input key-input"
+              placeholder="NEBULA-PUB:..."
+              value={recipient.value}
+              onChange={(e) => onUpdate(recipient.id, { value: e.target.value })}
+            />
+          ) : (
+            <div className="password-grid">
+              <div className="password-input-wrapper">
+                <input
+                  type="password"
+                  placeholder="Password"
+                  value={recipient.value}
+                  onChange={(e) => onUpdate(recipient.id, { value: e.target.value })}
+                />
+              </div>
+              <div className="password-input-wrapper">
+                <input
+                  type="password"
+                  placeholder="Confirm password"
+                  value={recipient.confirm}
+                  onChange={(e) => onUpdate(recipient.id, { confirm: e.target.value })}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {canAdd && (
+        <div className="key-actions">
+          <button className="copy-btn" onClick={() => onAdd(RECIPIENT_TYPES.PASSWORD)}>
+            <Plus className="w-4 h-4" />
+            <span>Add password</span>
+          </button>
+          <button className="copy-btn" onClick={() => onAdd(RECIPIENT_TYPES.KEY)}>
+            <Plus className="w-4 h-4" />
+            <span>Add public key</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecipientList;
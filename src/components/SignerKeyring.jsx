@@ -0,0 +1,94 @@
+/**
+ * NEBULA - Trusted Signer Keyring
+ * Public keys whose signatures count as verified on reveal
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { ShieldCheck, Plus, Trash2, Check } from 'lucide-react';
+
+import { parsePublicKey, getKeyFingerprint } from '@/utils/steganography';
+
+export function SignerKeyring({ signers, onAdd, onRemove }) {
+  const [showAdd, setShowAdd] = useState(false);
+  const [keyText, setKeyText] = useState('');
+  const [label, setLabel] = useState('');
+  const [error, setError] = useState('');
+
+  const handleAdd = async () => {
+    const publicKey = keyText.trim();
+    if (!parsePublicKey(publicKey)) {
+      setError('That is not a valid NEBULA public key');
+      return;
+    }
+
+    const fingerprint = await getKeyFingerprint(publicKey);
+    onAdd({ publicKey, fingerprint, label: label.trim() });
+    setKeyText('');
+    setLabel('');
+    setShowAdd(false);
+    setError('');
+  };
+
+  return (
+    <div className="key-manager">
+      <label>
+        <ShieldCheck className="w-4 h-4" />
+        <span>Trusted Signers</span>
+      </label>
+
+      {signers.length > 0 ? (
+        <ul className="signer-list">
+          {signers.map((signer) => (
+            <li key={signer.fingerprint} className="signer-item">
+              <span className="key-fingerprint">{signer.fingerprint}</span>
+              <span className="signer-label">{signer.label || 'Unnamed'}</span>
+              <button className="recipient-remove" onClick={() => onRemove(signer.fingerprint)}>
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="key-hint">
+          Signatures from keys you add here are shown as verified.
+        </p>
+      )}
+
+      <div className="key-actions">
+        <button className="copy-btn" onClick={() => setShowAdd(!showAdd)}>
+          <Plus className="w-4 h-4" />
+          <span>Add signer</span>
+        </button>
+      </div>
+
+      {showAdd && (
+        <div className="key-import">
+          <textarea
+            className="secret-input key-input"
+            placeholder="NEBULA-PUB:..."
+            value={keyText}
+            onChange={(e) => setKeyText(e.target.value)}
+          />
+          <div className="password-input-wrapper">
+            <input
+              type="text"
+              placeholder="Name (optional)"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+            />
+          </div>
+          <button className="secondary-btn" onClick={handleAdd}>
+            <Check className="w-4 h-4" />
+            <span>Trust this key</span>
+          </button>
+        </div>
+      )}
+
+      {error && <p className="key-error">{error}</p>}
+    </div>
+  );
+}
+
+export default SignerKeyring;
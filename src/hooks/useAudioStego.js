@@ -8,18 +8,54 @@
 import { useCallback } from 'react';
 import { WaveFile } from 'wavefile';
 import {
-  encryptText,
-  decryptText,
+  encryptBytes,
+  embeddingKeyFor,
   generateVisualSeed,
-  stringToBinary,
-  binaryToString,
   detectEmotion,
   getEmotionMusicStyle,
   EMOTIONS,
 } from '@/utils/steganography';
+import { createSampleCarrier, createScatteredCarrier } from '@/utils/bitstream';
+import {
+  buildContainer,
+  containerCapacity,
+  parseContainerHeader,
+  writeContainer,
+  createDecodeError,
+  DECODE_ERRORS,
+  PAYLOAD_TYPES,
+  CONTAINER_OVERHEAD_BITS,
+} from '@/utils/container';
+import {
+  openCarriers,
+  writeDeniable,
+  calculateDeniableCapacity,
+  deniableBitsFor,
+  buildShares,
+  packContent,
+  unpackContent,
+  createCapacityError,
+} from '@/utils/payload';
 
-// End delimiter to mark the end of hidden data
-const END_DELIMITER = '1111111111111110';
+/**
+ * Wrap samples in a mono 16-bit WAV
+ * @param {Int16Array} samples - Audio samples with hidden data
+ * @returns {Blob} - WAV file blob
+ */
+function createWavBlob(samples) {
+  const wav = new WaveFile();
+  wav.fromScratch(1, 44100, '16', samples);
+  
+  // Plain downloads are labelled as NEBULA music; stealth export drops these
+  // tags for ordinary ones (see retagWav)
+  wav.setTag('INAM', 'Nebula Ambient');
+  wav.setTag('IART', 'NEBULA Generator');
+  wav.setTag('IGNR', 'Ambient/Electronic');
+  
+  const blob = new Blob([wav.toBuffer()], { type: 'audio/wav' });
+  console.log('WAV file created:', blob.size, 'bytes with LSB-hidden data');
+  return blob;
+}
 
 /**
  * Custom hook for Audio Steganography operations
@@ -32,21 +68,24 @@ export function useAudioStego() {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Generate music based on emotional content of text
+   * Generate music based on the emotional content of the art seed
    * WARM = Relaxing piano/guitar | COLD = Intense rock | NEUTRAL = Ambient
+   * The art seed is chosen independently of the message, so the music says
+   * nothing about what is hidden. `variant` (e.g. a share number) gives the
+   * same seed a different melody.
    */
-  const generateSoundscape = useCallback((secretText, durationSeconds = 12) => {
+  const generateSoundscape = useCallback((artSeed, durationSeconds = 12, variant = 0) => {
     const sampleRate = 44100;
     const numSamples = sampleRate * durationSeconds;
     const samples = new Int16Array(numSamples);
     
     // Detect emotion and get music style
-    const emotion = detectEmotion(secretText);
+    const emotion = detectEmotion(artSeed);
     const musicStyle = getEmotionMusicStyle(emotion);
     
     console.log(`🎵 Detected emotion: ${emotion} → Playing "${musicStyle.name}" style`);
     
-    const seed = generateVisualSeed(secretText);
+    const seed = generateVisualSeed(variant ? `${artSeed}\u0000${variant}` : artSeed);
     
     // Seeded random
     let randomState = seed;
@@ -408,175 +447,209 @@ export function useAudioStego() {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Encode secret text into audio samples using LSB steganography
-   * Each audio sample hides 1 bit in its LSB
-   * @param {string} secretText - The message to hide
-   * @param {string} password - Encryption password
+   * Generate a soundscape long enough for a payload
+   * @param {string} artSeed - Drives the music
+   * @param {number} payloadBits - Carrier bits the payload needs
+   * @param {number} payloadBytes - Payload size, used to scale the duration
+   * @param {number} variant - Melody variant
+   * @returns {Object} - { samples, carrier, duration }
+   */
+  const createSoundscapeCarrier = useCallback((artSeed, payloadBits, payloadBytes, variant = 0) => {
+    console.log('Binary data length:', payloadBits, 'bits');
+
+    // Calculate dynamic duration based on data size
+    // Each sample = 1 bit, sample rate = 44100 Hz
+    // Min 20 seconds, Max 120 seconds (2 minutes)
+    const minRequiredDuration = Math.ceil(payloadBits / 44100) + 5; // +5 seconds buffer
+    
+    // Scale duration based on message length for a nicer experience
+    // Longer messages = longer, more immersive audio
+    const scaledDuration = 20 + (payloadBytes / 10); // Base 20s + 1s per 10 bytes
+    
+    const duration = Math.min(120, Math.max(20, Math.max(minRequiredDuration, scaledDuration)));
+    
+    console.log(`🎵 Dynamic audio duration: ${duration.toFixed(1)}s (data: ${payloadBytes} bytes)`);
+    
+    const samples = generateSoundscape(artSeed, duration, variant);
+    return { samples, carrier: createSampleCarrier(samples), duration };
+  }, [generateSoundscape]);
+
+  /**
+   * Hide a container in a fresh soundscape
+   * @param {string|Object} secret - The hidden message or file, for capacity errors
+   * @param {Uint8Array} container - Output of buildContainer
+   * @param {Uint8Array} embeddingKey - Key for the sample order (see embeddingKeyFor)
+   * @param {string} artSeed - Drives the music
+   * @param {number} variant - Melody variant
+   * @returns {Blob} - WAV file blob with hidden data
+   */
+  const embedContainer = useCallback((secret, container, embeddingKey, artSeed, variant = 0) => {
+    const payloadBits = container.length * 8;
+    // Payload size before error correction, the unit capacities are given in
+    const { length: payloadBytes, ecc } = parseContainerHeader(container);
+    const { samples, carrier, duration } = createSoundscapeCarrier(
+      artSeed, payloadBits, payloadBytes, variant
+    );
+    
+    // Check capacity
+    if (payloadBits > carrier.length) {
+      const maxBytes = containerCapacity(carrier.length, { ecc });
+      throw createCapacityError(secret, payloadBytes, maxBytes, `${Math.round(duration)}s of audio`);
+    }
+
+    console.log('Audio samples:', samples.length, '| Data bits:', payloadBits);
+
+    // Hide data in sample LSBs, in keyed order over the whole soundscape
+    writeContainer(createScatteredCarrier(carrier, embeddingKey), container);
+    return createWavBlob(samples);
+  }, [createSoundscapeCarrier]);
+
+  /**
+   * Encode a secret message or file into audio samples using LSB steganography
+   * Each audio sample hides 1 bit in its LSB. With `protection.decoy`
+   * ({ text, password }) both messages go into the deniable two-region layout;
+   * otherwise `protection.ecc` (an ECC_LEVELS value) adds error correction.
+   * @param {string|Object} secret - Text, or a file { name, type, bytes }
+   * @param {string|Object} protection - Password, { password }, { recipientPublicKey } or { recipients }
+   * @param {string} artSeed - Drives the music (see generateSoundscape)
    * @returns {Promise<Blob>} - WAV file blob with hidden data
    */
-  const encode = useCallback(async (secretText, password) => {
-    return new Promise((resolve, reject) => {
-      try {
-        // Step 1: Encrypt the text
-        const encryptedText = encryptText(secretText, password);
-        console.log('Encrypted text for audio:', encryptedText.length, 'chars');
+  const encode = useCallback(async (secret, protection, artSeed) => {
+    const decoy = protection?.decoy;
+    const content = await packContent(secret);
 
-        // Step 2: Convert to binary with length header
-        const binaryMessage = stringToBinary(encryptedText);
-        const lengthBinary = binaryMessage.length.toString(2).padStart(32, '0');
-        const fullBinary = lengthBinary + binaryMessage + END_DELIMITER;
-        
-        console.log('Binary data length:', fullBinary.length, 'bits');
+    try {
+      if (!decoy) {
+        // Encrypt the content and frame it in a NEBULA container
+        const encrypted = await encryptBytes(content.bytes, protection);
+        console.log('Encrypted payload for audio:', encrypted.length, 'bytes');
 
-        // Step 3: Calculate dynamic duration based on data size
-        // Each sample = 1 bit, sample rate = 44100 Hz
-        // Min 20 seconds, Max 120 seconds (2 minutes)
-        const minRequiredDuration = Math.ceil(fullBinary.length / 44100) + 5; // +5 seconds buffer
-        
-        // Scale duration based on message length for a nicer experience
-        // Longer messages = longer, more immersive audio
-        const scaledDuration = 20 + (encryptedText.length / 10); // Base 20s + 1s per 10 chars
-        
-        const duration = Math.min(120, Math.max(20, Math.max(minRequiredDuration, scaledDuration)));
-        
-        console.log(`🎵 Dynamic audio duration: ${duration.toFixed(1)}s (data: ${encryptedText.length} chars)`);
-        
-        const samples = generateSoundscape(secretText, duration);
-        
-        // Check capacity
-        if (fullBinary.length > samples.length) {
-          reject(new Error(`Message too long! Max ~${Math.floor(samples.length / 8)} characters for ${duration}s audio.`));
-          return;
-        }
+        const framing = { type: content.type, flags: content.flags, ecc: protection?.ecc };
+        const embeddingKey = await embeddingKeyFor(protection);
+        return embedContainer(secret, buildContainer(encrypted, framing), embeddingKey, artSeed);
+      }
 
-        console.log('Audio samples:', samples.length, '| Data bits:', fullBinary.length);
+      // Seal the real and decoy messages into indistinguishable regions
+      const messages = [
+        { ...content, password: protection.recipients[0].password },
+        { ...(await packContent(decoy.text)), password: decoy.password },
+      ];
+      const payloadBytes = Math.max(...messages.map(({ bytes }) => bytes.length));
+      const payloadBits = deniableBitsFor(payloadBytes);
 
-        // Step 4: Hide data in LSB of each sample
-        for (let i = 0; i < fullBinary.length; i++) {
-          const bit = parseInt(fullBinary[i], 10);
-          // Clear LSB and set our bit
-          // For 16-bit signed integers, we modify the least significant bit
-          samples[i] = (samples[i] & 0xFFFE) | bit;
+      const { samples, carrier, duration } = createSoundscapeCarrier(artSeed, payloadBits, payloadBytes);
+      
+      // Check capacity
+      const maxBytes = calculateDeniableCapacity(carrier.length);
+      for (const [index, { bytes }] of messages.entries()) {
+        if (bytes.length > maxBytes) {
+          throw createCapacityError(
+            index === 0 ? secret : decoy.text, bytes.length, maxBytes,
+            `each half of ${Math.round(duration)}s of audio (decoy layout)`
+          );
         }
+      }
 
-        // Step 5: Create WAV file
-        const wav = new WaveFile();
-        wav.fromScratch(1, 44100, '16', samples);
-        
-        // Add innocent-looking metadata
-        wav.setTag('INAM', 'Nebula Ambient');
-        wav.setTag('IART', 'NEBULA Generator');
-        wav.setTag('IGNR', 'Ambient/Electronic');
-        
-        // Step 6: Convert to blob
-        const wavBuffer = wav.toBuffer();
-        const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-        
-        console.log('WAV file created:', blob.size, 'bytes with LSB-hidden data');
-        resolve(blob);
+      await writeDeniable(carrier, messages);
+      return createWavBlob(samples);
 
-      } catch (error) {
-        console.error('Audio encoding error:', error);
-        reject(error);
-      }
-    });
-  }, [generateSoundscape]);
+    } catch (error) {
+      console.error('Audio encoding error:', error);
+      throw error;
+    }
+  }, [embedContainer, createSoundscapeCarrier]);
+
+  /**
+   * Encrypt once and hide one Shamir share in each of several soundscapes
+   * @param {string|Object} secret - Text, or a file { name, type, bytes }
+   * @param {string|Object} protection - As for encode (decoys are not supported)
+   * @param {Object} split - { threshold, total }
+   * @param {string} artSeed - Drives the music; each share gets its own variant
+   * @returns {Promise<Array<Blob>>} - One WAV per share
+   */
+  const encodeShares = useCallback(async (secret, protection, { threshold, total }, artSeed) => {
+    const content = await packContent(secret);
+    const encrypted = await encryptBytes(content.bytes, protection);
+    const payloads = buildShares(encrypted, threshold, total, content.type);
+    // Every share carries the content flags and gets its own error correction
+    const framing = { flags: content.flags, ecc: protection?.ecc };
+    const embeddingKey = await embeddingKeyFor(protection);
+    console.log(`Split ${encrypted.length} bytes into ${total} shares (${threshold} needed)`);
+
+    return payloads.map((payload, index) =>
+      embedContainer(
+        secret, buildContainer(payload, { ...framing, type: PAYLOAD_TYPES.SHARE }), embeddingKey, artSeed, index + 1
+      )
+    );
+  }, [embedContainer]);
 
   // ═══════════════════════════════════════════════════════════════
   // LSB AUDIO STEGANOGRAPHY - DECODE
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Decode hidden text from audio samples using LSB extraction
-   * @param {File} audioFile - The WAV file to decode
-   * @param {string} password - Decryption password
-   * @returns {Promise<string>} - The revealed secret text
+   * Read a WAV file and expose its sample LSBs
+   * @param {File} audioFile - The WAV file to read
+   * @returns {Promise<Object>} - Sample carrier
    */
-  const decode = useCallback(async (audioFile, password) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          // Step 1: Read the WAV file
-          const arrayBuffer = e.target.result;
-          const uint8Array = new Uint8Array(arrayBuffer);
-          
-          const wav = new WaveFile(uint8Array);
-          
-          // Step 2: Get the audio samples
-          const samples = wav.getSamples(false, Int16Array);
-          
-          // Handle mono or stereo (use first channel if stereo)
-          const audioSamples = Array.isArray(samples) ? samples[0] : samples;
-          
-          console.log('Loaded audio samples:', audioSamples.length);
-          
-          if (audioSamples.length < 48) {
-            reject(new Error('Audio file too short to contain hidden data'));
-            return;
-          }
-
-          // Step 3: Extract LSBs from samples
-          let binaryData = '';
-          
-          // First, read the length header (32 bits)
-          for (let i = 0; i < 32; i++) {
-            const lsb = audioSamples[i] & 1;
-            binaryData += lsb.toString();
-          }
-          
-          const dataLength = parseInt(binaryData, 2);
-          console.log('Data length from header:', dataLength, 'bits');
-          
-          // Validate length
-          if (dataLength <= 0 || dataLength > (audioSamples.length - 48) || dataLength > 1000000) {
-            reject(new Error('No hidden data found or corrupted file'));
-            return;
-          }
-          
-          // Step 4: Extract the actual message bits
-          let messageBinary = '';
-          for (let i = 32; i < 32 + dataLength; i++) {
-            if (i >= audioSamples.length) break;
-            const lsb = audioSamples[i] & 1;
-            messageBinary += lsb.toString();
-          }
-          
-          console.log('Extracted binary length:', messageBinary.length);
-          
-          // Step 5: Convert binary to text (encrypted)
-          const encryptedText = binaryToString(messageBinary);
-          
-          if (!encryptedText) {
-            reject(new Error('Failed to extract hidden data'));
-            return;
-          }
-          
-          console.log('Extracted encrypted text:', encryptedText.length, 'chars');
-          
-          // Step 6: Decrypt with password
-          const decryptedText = decryptText(encryptedText, password);
-          
-          if (!decryptedText) {
-            reject(new Error('Invalid password or corrupted data'));
-            return;
-          }
-          
-          resolve(decryptedText);
-          
-        } catch (error) {
-          console.error('Audio decoding error:', error);
-          reject(new Error('Failed to read audio file. Make sure it\'s a valid NEBULA WAV file.'));
+  const loadCarrier = (audioFile) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      try {
+        // Step 1: Read the WAV file
+        const arrayBuffer = e.target.result;
+        const uint8Array = new Uint8Array(arrayBuffer);
+        
+        const wav = new WaveFile(uint8Array);
+        
+        // Step 2: Get the audio samples
+        const samples = wav.getSamples(false, Int16Array);
+        
+        // Handle mono or stereo (use first channel if stereo)
+        const audioSamples = Array.isArray(samples) ? samples[0] : samples;
+        
+        console.log('Loaded audio samples:', audioSamples.length);
+        
+        if (audioSamples.length < CONTAINER_OVERHEAD_BITS) {
+          reject(createDecodeError(DECODE_ERRORS.NOT_NEBULA, 'Audio file too short to contain hidden data'));
+          return;
         }
-      };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read audio file'));
-      };
-      
-      reader.readAsArrayBuffer(audioFile);
-    });
+
+        resolve(createSampleCarrier(audioSamples));
+      } catch (error) {
+        console.error('Audio decoding error:', error);
+        reject(new Error('Failed to read audio file. Make sure it\'s a valid NEBULA WAV file.'));
+      }
+    };
+    
+    reader.onerror = () => {
+      reject(new Error('Failed to read audio file'));
+    };
+    
+    reader.readAsArrayBuffer(audioFile);
+  });
+
+  /**
+   * Decode a hidden message or file from audio samples, or from several WAVs holding shares
+   * @param {File|Array<File>} audioFiles - The WAV file(s) to decode
+   * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+   * @returns {Promise<Object>} - { text, file, recipient, signature, shares, corrected } (see openCarriers)
+   */
+  const decode = useCallback(async (audioFiles, credentials) => {
+    const carriers = await Promise.all([].concat(audioFiles).map(loadCarrier));
+    
+    // Step 3: Read and decrypt the sample LSBs
+    // (throws NOT_NEBULA / DAMAGED / WRONG_PASSWORD / NOT_ENOUGH_SHARES decode errors)
+    const opened = await openCarriers(carriers, credentials);
+    
+    return {
+      ...(await unpackContent(opened.plainBytes, opened.type, opened.flags)),
+      recipient: opened.recipient,
+      signature: opened.signature,
+      shares: opened.shares ?? null,
+      corrected: opened.corrected,
+    };
   }, []);
 
   // ═══════════════════════════════════════════════════════════════
@@ -615,6 +688,7 @@ export function useAudioStego() {
   return {
     generateSoundscape,
     encode,
+    encodeShares,
     decode,
     downloadAudio,
     createAudioURL,
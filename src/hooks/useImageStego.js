@@ -1,22 +1,115 @@
 /**
  * NEBULA - Image Steganography Hook
- * LSB (Least Significant Bit) encoding in the Blue channel
+ * LSB (Least Significant Bit) encoding in the Blue channel, or in several
+ * channels and bit planes (see imageLayout.js), or in the DCT coefficients of
+ * a JPEG (see dctCarrier.js), or across the frames of an animation (see
+ * animation.js)
  */
 
 'use client';
 
 import { useCallback, useRef } from 'react';
 import {
-  encryptText,
-  decryptText,
-  prepareDataForEmbedding,
-  extractDataFromBinary,
-  generateVisualSeed,
+  encryptBytes,
+  embeddingKeyFor,
+  calculateImageCapacity,
   seedToColors,
-  detectEmotion,
-  getEmotionPalette,
   EMOTIONS,
 } from '@/utils/steganography';
+import { createPixelCarrier } from '@/utils/bitstream';
+import {
+  buildContainer,
+  writeContainer,
+  createDecodeError,
+  PAYLOAD_TYPES,
+  DECODE_ERRORS,
+  parseContainerHeader,
+} from '@/utils/container';
+import {
+  createLayoutCarrier,
+  createImageCarrier,
+  encodeImageLayout,
+  DEFAULT_IMAGE_LAYOUT,
+  IMAGE_FORMATS,
+  isAnimatedFormat,
+} from '@/utils/imageLayout';
+import { createJpeg, writeJpeg, readJpeg, isJpeg, DEFAULT_JPEG_QUALITY } from '@/utils/jpeg';
+import {
+  createCoefficientCarrier,
+  createDctCarrier,
+  createDctLayoutCarrier,
+  matrixLevelFor,
+  calculateDctCapacity,
+  MAX_MATRIX_LEVEL,
+} from '@/utils/dctCarrier';
+import { coverGeometry, isLossyImage } from '@/utils/coverImage';
+import { decodeImageFile } from '@/utils/imageDecode';
+import {
+  encodeApng,
+  encodeGif,
+  reduceGifColors,
+  maxAnimationFrames,
+  DEFAULT_ANIMATION_FRAMES,
+} from '@/utils/animation';
+import { ART_REFERENCE_SIDE } from '@/utils/artworkSize';
+import { findArtStyle } from '@/utils/artStyles';
+import { createArtHelpers } from '@/utils/artStyles/helpers';
+import {
+  openCarriers,
+  writeDeniable,
+  calculateDeniableCapacity,
+  buildShares,
+  packContent,
+  unpackContent,
+  createCapacityError,
+} from '@/utils/payload';
+
+/**
+ * Export a canvas as PNG
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to create image blob'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Read an image file as a carrier straight from its bytes
+ * JPEGs give their DCT coefficients; PNG, GIF, BMP and lossless WebP files
+ * their exact pixel values (see imageDecode.js), over every frame of an
+ * animation. Drawing to a canvas is avoided, as browsers may alter low bits
+ * on the way, and only draw an animation's first frame.
+ * @param {File} imageFile - The image file to read
+ * @returns {Promise<Object|null>} - Carrier that can switch to the layout a header names,
+ *   or null when the file needs the browser's decoder
+ */
+async function loadFileCarrier(imageFile) {
+  const bytes = new Uint8Array(await imageFile.arrayBuffer());
+
+  if (isJpeg(bytes)) {
+    try {
+      return createDctCarrier(readJpeg(bytes));
+    } catch (err) {
+      throw createDecodeError(DECODE_ERRORS.NOT_NEBULA, `Could not read this JPEG: ${err.message}`);
+    }
+  }
+
+  try {
+    const image = await decodeImageFile(bytes);
+    return image && createImageCarrier(image.data);
+  } catch (err) {
+    console.warn('Could not decode the image file, using the browser instead:', err.message);
+    return null;
+  }
+}
 
 /**
  * Custom hook for Image Steganography operations
@@ -30,444 +123,101 @@ export function useImageStego() {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Generate stunning artistic patterns with multiple styles
-   * FLOWER MANDALA, COSMIC BLOOM, AURORA GARDEN, CRYSTAL LOTUS
+   * Generate stunning artistic patterns in one of the registered art styles
+   * (see artStyles/index.js)
+   * Everything that drives the drawing comes from an art recipe (see
+   * artRecipe.js): style, palette and layout follow the art seed, which is
+   * chosen independently of the message, so the artwork says nothing about
+   * what is hidden.
+   * Styles draw in ART_REFERENCE_SIDE units, so any canvas size shows the same
+   * picture. `target` may be a p5.Graphics to draw offscreen; randomness and
+   * maths always come from `p5`. `time` moves the scene through an animation
+   * loop (see animation.js); 0 draws the still artwork.
+   * @param {Object} p5 - p5 instance
+   * @param {number} pixelWidth - Canvas width
+   * @param {number} pixelHeight - Canvas height
+   * @param {Object} recipe - Art recipe
+   * @param {Object} target - Where to draw (defaults to the p5 canvas)
+   * @param {number} time - Point of the animation loop, from 0 to 1
    */
-  const generatePattern = useCallback((p5, width, height, secretText) => {
-    const seed = generateVisualSeed(secretText);
+  const generatePattern = useCallback((p5, pixelWidth, pixelHeight, recipe, target = p5, time = 0) => {
+    const { seed, params, palette } = recipe;
     p5.randomSeed(seed);
     p5.noiseSeed(seed);
     
-    // Detect emotion for color palette
-    const emotion = detectEmotion(secretText);
-    const palette = getEmotionPalette(emotion);
+    const style = findArtStyle(recipe.style);
     
-    // Choose art style based on seed (4 different beautiful styles)
-    const artStyles = ['flower_mandala', 'cosmic_bloom', 'aurora_garden', 'crystal_lotus'];
-    const artStyle = artStyles[seed % artStyles.length];
+    console.log(`🎨 Emotion: ${recipe.emotion} | Style: ${style.id} | Palette: ${palette.name}`);
     
-    console.log(`🎨 Emotion: ${emotion} | Style: ${artStyle} | Palette: ${palette.name}`);
-    
-    // Shuffle palette for variety
-    const colors = [...palette.colors].sort(() => p5.random() - 0.5);
+    // Palette colours, in the recipe's shuffled order
+    const { colors } = palette;
     const [bgR, bgG, bgB] = palette.bg;
     
+    // Draw in reference units, scaled to the canvas
+    const scale = Math.min(pixelWidth, pixelHeight) / ART_REFERENCE_SIDE;
+    const width = pixelWidth / scale;
+    const height = pixelHeight / scale;
+    target.push();
+    target.scale(scale);
+    
     const centerX = width / 2;
     const centerY = height / 2;
     
     // ═══════════════════════════════════════════════════════════
     // BACKGROUND - Radial gradient
     // ═══════════════════════════════════════════════════════════
-    const bgGradient = p5.drawingContext.createRadialGradient(
+    const bgGradient = target.drawingContext.createRadialGradient(
       centerX, centerY, 0,
       centerX, centerY, width * 0.8
     );
     bgGradient.addColorStop(0, `rgb(${bgR * 2}, ${bgG * 2}, ${bgB * 2})`);
     bgGradient.addColorStop(0.5, `rgb(${bgR}, ${bgG}, ${bgB})`);
     bgGradient.addColorStop(1, `rgb(${bgR * 0.3}, ${bgG * 0.3}, ${bgB * 0.3})`);
-    p5.drawingContext.fillStyle = bgGradient;
-    p5.drawingContext.fillRect(0, 0, width, height);
+    target.drawingContext.fillStyle = bgGradient;
+    target.drawingContext.fillRect(0, 0, width, height);
     
     // ═══════════════════════════════════════════════════════════
-    // HELPER FUNCTIONS FOR BEAUTIFUL SHAPES
+    // ART STYLE
     // ═══════════════════════════════════════════════════════════
-    
-    // Draw a beautiful flower petal
-    const drawPetal = (x, y, petalLength, petalWidth, angle, color, alpha = 255) => {
-      p5.push();
-      p5.translate(x, y);
-      p5.rotate(angle);
-      
-      // Petal gradient
-      const gradient = p5.drawingContext.createLinearGradient(0, 0, petalLength, 0);
-      gradient.addColorStop(0, `rgba(255, 255, 255, ${alpha / 255})`);
-      gradient.addColorStop(0.3, `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha / 255})`);
-      gradient.addColorStop(1, `rgba(${color[0] * 0.6}, ${color[1] * 0.6}, ${color[2] * 0.6}, ${alpha / 255 * 0.5})`);
-      
-      p5.drawingContext.fillStyle = gradient;
-      p5.drawingContext.beginPath();
-      p5.drawingContext.moveTo(0, 0);
-      p5.drawingContext.bezierCurveTo(
-        petalLength * 0.3, -petalWidth * 0.5,
-        petalLength * 0.7, -petalWidth * 0.3,
-        petalLength, 0
-      );
-      p5.drawingContext.bezierCurveTo(
-        petalLength * 0.7, petalWidth * 0.3,
-        petalLength * 0.3, petalWidth * 0.5,
-        0, 0
-      );
-      p5.drawingContext.fill();
-      
-      // Petal edge glow
-      p5.drawingContext.strokeStyle = `rgba(255, 255, 255, ${alpha / 255 * 0.3})`;
-      p5.drawingContext.lineWidth = 1;
-      p5.drawingContext.stroke();
-      
-      p5.pop();
-    };
-    
-    // Draw a complete flower
-    const drawFlower = (x, y, size, numPetals, color, innerColor, rotation = 0) => {
-      // Outer glow
-      for (let g = size * 1.5; g > 0; g -= size * 0.1) {
-        const alpha = p5.map(g, 0, size * 1.5, 40, 0);
-        p5.noStroke();
-        p5.fill(color[0], color[1], color[2], alpha);
-        p5.ellipse(x, y, g * 2, g * 2);
-      }
-      
-      // Petals
-      for (let i = 0; i < numPetals; i++) {
-        const angle = (p5.TWO_PI / numPetals) * i + rotation;
-        const petalLength = size * (0.8 + p5.noise(i, seed * 0.01) * 0.4);
-        const petalWidth = size * 0.35;
-        drawPetal(x, y, petalLength, petalWidth, angle, color, 200);
-      }
-      
-      // Inner petals (smaller, different color)
-      for (let i = 0; i < numPetals; i++) {
-        const angle = (p5.TWO_PI / numPetals) * i + rotation + p5.PI / numPetals;
-        const petalLength = size * 0.5;
-        const petalWidth = size * 0.2;
-        drawPetal(x, y, petalLength, petalWidth, angle, innerColor, 180);
-      }
-      
-      // Center
-      const centerGradient = p5.drawingContext.createRadialGradient(x, y, 0, x, y, size * 0.25);
-      centerGradient.addColorStop(0, 'rgba(255, 255, 200, 1)');
-      centerGradient.addColorStop(0.5, `rgba(${innerColor[0]}, ${innerColor[1]}, ${innerColor[2]}, 1)`);
-      centerGradient.addColorStop(1, `rgba(${color[0]}, ${color[1]}, ${color[2]}, 0.8)`);
-      p5.drawingContext.fillStyle = centerGradient;
-      p5.drawingContext.beginPath();
-      p5.drawingContext.arc(x, y, size * 0.25, 0, p5.TWO_PI);
-      p5.drawingContext.fill();
-      
-      // Center sparkle
-      p5.fill(255, 255, 255, 200);
-      p5.noStroke();
-      p5.ellipse(x - size * 0.05, y - size * 0.05, size * 0.08, size * 0.08);
-    };
-    
-    // Draw a lotus/water lily
-    const drawLotus = (x, y, size, color) => {
-      const numLayers = 4;
-      for (let layer = numLayers - 1; layer >= 0; layer--) {
-        const layerSize = size * (0.4 + layer * 0.2);
-        const numPetals = 8 + layer * 4;
-        const rotation = layer * 0.15;
-        const layerColor = [
-          p5.lerp(255, color[0], layer / numLayers),
-          p5.lerp(255, color[1], layer / numLayers),
-          p5.lerp(255, color[2], layer / numLayers),
-        ];
-        
-        for (let i = 0; i < numPetals; i++) {
-          const angle = (p5.TWO_PI / numPetals) * i + rotation;
-          drawPetal(x, y, layerSize, layerSize * 0.3, angle, layerColor, 180 + layer * 20);
-        }
-      }
-      
-      // Golden center
-      const centerGrad = p5.drawingContext.createRadialGradient(x, y, 0, x, y, size * 0.15);
-      centerGrad.addColorStop(0, 'rgba(255, 250, 200, 1)');
-      centerGrad.addColorStop(1, 'rgba(255, 200, 100, 0.8)');
-      p5.drawingContext.fillStyle = centerGrad;
-      p5.drawingContext.beginPath();
-      p5.drawingContext.arc(x, y, size * 0.15, 0, p5.TWO_PI);
-      p5.drawingContext.fill();
-    };
-    
-    // ═══════════════════════════════════════════════════════════
-    // ART STYLE: FLOWER MANDALA
-    // ═══════════════════════════════════════════════════════════
-    if (artStyle === 'flower_mandala') {
-      // Background floral pattern
-      for (let i = 0; i < 30; i++) {
-        const x = p5.random(width);
-        const y = p5.random(height);
-        const size = 15 + p5.random(25);
-        const color = colors[Math.floor(p5.random(colors.length))];
-        const numPetals = 5 + Math.floor(p5.random(4));
-        
-        for (let p = 0; p < numPetals; p++) {
-          const angle = (p5.TWO_PI / numPetals) * p;
-          drawPetal(x, y, size, size * 0.3, angle, color, 40);
-        }
-      }
-      
-      // Mandala rings with flowers
-      const numRings = 4;
-      for (let ring = numRings - 1; ring >= 0; ring--) {
-        const ringRadius = 50 + ring * 60;
-        const numFlowers = 6 + ring * 4;
-        const flowerSize = 35 - ring * 5;
-        const color = colors[ring % colors.length];
-        const innerColor = colors[(ring + 2) % colors.length];
-        
-        for (let i = 0; i < numFlowers; i++) {
-          const angle = (p5.TWO_PI / numFlowers) * i + ring * 0.2;
-          const fx = centerX + Math.cos(angle) * ringRadius;
-          const fy = centerY + Math.sin(angle) * ringRadius;
-          drawFlower(fx, fy, flowerSize, 6 + ring, color, innerColor, angle);
-        }
-      }
-      
-      // Central lotus
-      drawLotus(centerX, centerY, 80, colors[0]);
-    }
-    
-    // ═══════════════════════════════════════════════════════════
-    // ART STYLE: COSMIC BLOOM
-    // ═══════════════════════════════════════════════════════════
-    else if (artStyle === 'cosmic_bloom') {
-      // Nebula clouds
-      for (let i = 0; i < 500; i++) {
-        const angle = p5.random(p5.TWO_PI);
-        const dist = p5.random(width * 0.6);
-        const x = centerX + Math.cos(angle) * dist * (0.5 + p5.noise(i * 0.1) * 0.5);
-        const y = centerY + Math.sin(angle) * dist * (0.5 + p5.noise(i * 0.1, 100) * 0.5);
-        const size = 3 + p5.random(8);
-        const color = colors[Math.floor(p5.random(colors.length))];
-        const alpha = 10 + p5.random(30);
-        
-        p5.noStroke();
-        p5.fill(color[0], color[1], color[2], alpha);
-        p5.ellipse(x, y, size, size);
-      }
-      
-      // Spiral galaxy flowers
-      const numSpirals = 3;
-      for (let spiral = 0; spiral < numSpirals; spiral++) {
-        const spiralOffset = (p5.TWO_PI / numSpirals) * spiral;
-        const spiralColor = colors[spiral % colors.length];
-        
-        for (let i = 0; i < 40; i++) {
-          const t = i / 40;
-          const angle = spiralOffset + t * p5.TWO_PI * 2.5;
-          const dist = 30 + t * 180;
-          const x = centerX + Math.cos(angle) * dist;
-          const y = centerY + Math.sin(angle) * dist;
-          const size = 10 + (1 - t) * 25;
-          
-          // Small cosmic flowers
-          const numPetals = 5;
-          for (let p = 0; p < numPetals; p++) {
-            const petalAngle = (p5.TWO_PI / numPetals) * p + angle;
-            drawPetal(x, y, size, size * 0.35, petalAngle, spiralColor, 150 + t * 100);
-          }
-          
-          // Flower center glow
-          p5.noStroke();
-          for (let g = size * 0.4; g > 0; g -= 2) {
-            const a = p5.map(g, 0, size * 0.4, 200, 0);
-            p5.fill(255, 255, 255, a);
-            p5.ellipse(x, y, g, g);
-          }
-        }
-      }
-      
-      // Central starburst flower
-      const starColor = colors[0];
-      for (let layer = 0; layer < 3; layer++) {
-        const layerPetals = 12 - layer * 2;
-        const layerSize = 60 - layer * 15;
-        for (let i = 0; i < layerPetals; i++) {
-          const angle = (p5.TWO_PI / layerPetals) * i + layer * 0.2;
-          drawPetal(centerX, centerY, layerSize, layerSize * 0.25, angle, starColor, 200);
-        }
-      }
-      
-      // Bright center
-      const centerBurst = p5.drawingContext.createRadialGradient(centerX, centerY, 0, centerX, centerY, 40);
-      centerBurst.addColorStop(0, 'rgba(255, 255, 255, 1)');
-      centerBurst.addColorStop(0.3, `rgba(${starColor[0]}, ${starColor[1]}, ${starColor[2]}, 0.8)`);
-      centerBurst.addColorStop(1, 'rgba(255, 255, 255, 0)');
-      p5.drawingContext.fillStyle = centerBurst;
-      p5.drawingContext.beginPath();
-      p5.drawingContext.arc(centerX, centerY, 40, 0, p5.TWO_PI);
-      p5.drawingContext.fill();
-    }
-    
-    // ═══════════════════════════════════════════════════════════
-    // ART STYLE: AURORA GARDEN
-    // ═══════════════════════════════════════════════════════════
-    else if (artStyle === 'aurora_garden') {
-      // Flowing aurora waves
-      for (let wave = 0; wave < 8; wave++) {
-        const waveColor = colors[wave % colors.length];
-        const baseY = height * (0.3 + wave * 0.08);
-        
-        for (let layer = 0; layer < 15; layer++) {
-          const alpha = p5.map(layer, 0, 15, 20, 2);
-          p5.noFill();
-          p5.stroke(waveColor[0], waveColor[1], waveColor[2], alpha);
-          p5.strokeWeight(3);
-          
-          p5.beginShape();
-          for (let x = 0; x <= width; x += 5) {
-            const noiseVal = p5.noise(x * 0.005 + wave, wave * 0.3, layer * 0.1);
-            const y = baseY + Math.sin(x * 0.01 + wave * 0.5) * 40 + noiseVal * 80 - 40 + layer * 5;
-            p5.vertex(x, y);
-          }
-          p5.endShape();
-        }
-      }
-      
-      // Floating garden flowers
-      for (let i = 0; i < 25; i++) {
-        const x = p5.random(width * 0.1, width * 0.9);
-        const y = p5.random(height * 0.2, height * 0.8);
-        const size = 20 + p5.random(35);
-        const color = colors[Math.floor(p5.random(colors.length))];
-        const innerColor = colors[Math.floor(p5.random(colors.length))];
-        const numPetals = 5 + Math.floor(p5.random(4));
-        
-        drawFlower(x, y, size, numPetals, color, innerColor, p5.random(p5.TWO_PI));
-      }
-      
-      // Dreamy particles
-      for (let i = 0; i < 80; i++) {
-        const x = p5.random(width);
-        const y = p5.random(height);
-        const size = 2 + p5.random(4);
-        const color = colors[Math.floor(p5.random(colors.length))];
-        
-        for (let g = size * 3; g > 0; g -= 1) {
-          const alpha = p5.map(g, 0, size * 3, 100, 0);
-          p5.noStroke();
-          p5.fill(color[0], color[1], color[2], alpha);
-          p5.ellipse(x, y, g, g);
-        }
-      }
-    }
-    
-    // ═══════════════════════════════════════════════════════════
-    // ART STYLE: CRYSTAL LOTUS
-    // ═══════════════════════════════════════════════════════════
-    else if (artStyle === 'crystal_lotus') {
-      // Crystalline background pattern
-      for (let i = 0; i < 60; i++) {
-        const x = p5.random(width);
-        const y = p5.random(height);
-        const size = 20 + p5.random(40);
-        const color = colors[Math.floor(p5.random(colors.length))];
-        const numSides = 6;
-        
-        // Crystal shape
-        p5.noFill();
-        p5.stroke(color[0], color[1], color[2], 30);
-        p5.strokeWeight(1);
-        p5.beginShape();
-        for (let j = 0; j < numSides; j++) {
-          const angle = (p5.TWO_PI / numSides) * j;
-          const px = x + Math.cos(angle) * size;
-          const py = y + Math.sin(angle) * size;
-          p5.vertex(px, py);
-        }
-        p5.endShape(p5.CLOSE);
-        
-        // Inner lines
-        for (let j = 0; j < numSides; j++) {
-          const angle = (p5.TWO_PI / numSides) * j;
-          p5.stroke(color[0], color[1], color[2], 15);
-          p5.line(x, y, x + Math.cos(angle) * size, y + Math.sin(angle) * size);
-        }
-      }
-      
-      // Geometric mandala rings
-      for (let ring = 0; ring < 5; ring++) {
-        const radius = 40 + ring * 45;
-        const numPoints = 12 + ring * 6;
-        const color = colors[ring % colors.length];
-        
-        // Ring glow
-        p5.noFill();
-        for (let g = 20; g > 0; g -= 4) {
-          p5.stroke(color[0], color[1], color[2], g * 1.5);
-          p5.strokeWeight(1);
-          p5.ellipse(centerX, centerY, radius * 2 + g, radius * 2 + g);
-        }
-        
-        // Points with flowers
-        for (let i = 0; i < numPoints; i++) {
-          const angle = (p5.TWO_PI / numPoints) * i + ring * 0.1;
-          const px = centerX + Math.cos(angle) * radius;
-          const py = centerY + Math.sin(angle) * radius;
-          
-          if (ring < 3) {
-            // Small flowers on inner rings
-            const flowerSize = 12 - ring * 2;
-            for (let p = 0; p < 5; p++) {
-              const petalAngle = (p5.TWO_PI / 5) * p + angle;
-              drawPetal(px, py, flowerSize, flowerSize * 0.4, petalAngle, color, 180);
-            }
-            p5.fill(255, 255, 200);
-            p5.noStroke();
-            p5.ellipse(px, py, 4, 4);
-          } else {
-            // Crystal points on outer rings
-            p5.fill(color[0], color[1], color[2], 150);
-            p5.noStroke();
-            p5.ellipse(px, py, 6, 6);
-          }
-        }
-        
-        // Connect points
-        p5.stroke(color[0], color[1], color[2], 40);
-        p5.strokeWeight(0.5);
-        for (let i = 0; i < numPoints; i++) {
-          const a1 = (p5.TWO_PI / numPoints) * i + ring * 0.1;
-          const a2 = (p5.TWO_PI / numPoints) * ((i + 2) % numPoints) + ring * 0.1;
-          p5.line(
-            centerX + Math.cos(a1) * radius,
-            centerY + Math.sin(a1) * radius,
-            centerX + Math.cos(a2) * radius,
-            centerY + Math.sin(a2) * radius
-          );
-        }
-      }
-      
-      // Central multi-layer lotus
-      drawLotus(centerX, centerY, 70, colors[0]);
-      
-      // Crown jewel at center
-      p5.noStroke();
-      const jewelGrad = p5.drawingContext.createRadialGradient(centerX, centerY, 0, centerX, centerY, 15);
-      jewelGrad.addColorStop(0, 'rgba(255, 255, 255, 1)');
-      jewelGrad.addColorStop(0.5, 'rgba(255, 255, 200, 0.8)');
-      jewelGrad.addColorStop(1, `rgba(${colors[0][0]}, ${colors[0][1]}, ${colors[0][2]}, 0)`);
-      p5.drawingContext.fillStyle = jewelGrad;
-      p5.drawingContext.beginPath();
-      p5.drawingContext.arc(centerX, centerY, 15, 0, p5.TWO_PI);
-      p5.drawingContext.fill();
-    }
+    style.draw({
+      p5,
+      target,
+      width,
+      height,
+      centerX,
+      centerY,
+      colors,
+      seed,
+      params,
+      time,
+      helpers: createArtHelpers(p5, target, seed),
+    });
     
     // ═══════════════════════════════════════════════════════════
     // FINAL TOUCHES: Sparkles & Vignette
     // ═══════════════════════════════════════════════════════════
     
-    // Sparkle overlay
+    // Sparkle overlay; animated, each twinkles one to three times per loop
     for (let i = 0; i < 60; i++) {
       const x = p5.random(width);
       const y = p5.random(height);
       const size = p5.random(1, 2.5);
-      const brightness = p5.random(200, 255);
+      const brightness = p5.random(200, 255) * (1 - 0.7 * Math.sin(Math.PI * time * (1 + (i % 3))) ** 2);
       
       // 4-point star sparkle
-      p5.stroke(255, 255, 255, brightness);
-      p5.strokeWeight(0.8);
+      target.stroke(255, 255, 255, brightness);
+      target.strokeWeight(0.8);
       const len = size * 4;
-      p5.line(x - len, y, x + len, y);
-      p5.line(x, y - len, x, y + len);
+      target.line(x - len, y, x + len, y);
+      target.line(x, y - len, x, y + len);
       
-      p5.noStroke();
-      p5.fill(255, 255, 255, brightness);
-      p5.ellipse(x, y, size, size);
+      target.noStroke();
+      target.fill(255, 255, 255, brightness);
+      target.ellipse(x, y, size, size);
     }
     
     // Soft vignette
-    const vignette = p5.drawingContext.createRadialGradient(
+    const vignette = target.drawingContext.createRadialGradient(
       centerX, centerY, 0,
       centerX, centerY, width * 0.75
     );
@@ -475,8 +225,95 @@ export function useImageStego() {
     vignette.addColorStop(0.6, 'rgba(0, 0, 0, 0)');
     vignette.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
     
-    p5.drawingContext.fillStyle = vignette;
-    p5.drawingContext.fillRect(0, 0, width, height);
+    target.drawingContext.fillStyle = vignette;
+    target.drawingContext.fillRect(0, 0, width, height);
+    
+    target.pop();
+  }, []);
+
+  /**
+   * Create an offscreen canvas for the artwork at its full output size
+   * The on-screen preview stays small; data is embedded in this canvas.
+   * Call remove() when done, as p5 keeps the canvas in the page.
+   * @param {Object} p5 - p5 instance (for randomness, and to create the canvas)
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @param {Function} recipeFor - Art recipe of a variant (e.g. a share number, 0 for none)
+   * @returns {Object} - { canvas, draw(variant, time), remove() }
+   */
+  const createArtworkCanvas = useCallback((p5, width, height, recipeFor) => {
+    const graphics = p5.createGraphics(width, height);
+    // One canvas pixel per image pixel, whatever the screen's density
+    graphics.pixelDensity(1);
+
+    return {
+      canvas: graphics.elt,
+      draw: (variant = 0, time = 0) => generatePattern(p5, width, height, recipeFor(variant), graphics, time),
+      remove: () => graphics.remove(),
+    };
+  }, [generatePattern]);
+
+  // ═══════════════════════════════════════════════════════════════
+  // COVER IMAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Open the user's own image for use as a cover
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} - { name, type, width, height, bitmap, hasAlpha, lossy }
+   */
+  const loadCoverImage = useCallback(async (file) => {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch {
+      throw new Error('This file is not an image the browser can open');
+    }
+
+    // Look for pixels that are not fully opaque
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    let hasAlpha = false;
+    for (let i = 3; i < data.length && !hasAlpha; i += 4) {
+      hasAlpha = data[i] < 255;
+    }
+
+    return {
+      name: file.name,
+      type: file.type,
+      width: bitmap.width,
+      height: bitmap.height,
+      bitmap,
+      hasAlpha,
+      lossy: isLossyImage(new Uint8Array(await file.arrayBuffer()), file.type),
+    };
+  }, []);
+
+  /**
+   * Draw a cover image into a carrier canvas, resizing the canvas to fit
+   * Call again before each encode: embedding changes the canvas pixels.
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} cover - Output of loadCoverImage
+   * @param {Object} options - { fit, maxSide, flatten } (see coverImage.js)
+   */
+  const drawCover = useCallback((canvas, cover, options) => {
+    const { width, height, source } = coverGeometry(cover.width, cover.height, options);
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    // Translucent pixels lose colour bits to premultiplied alpha, so fill them in
+    if (options.flatten && cover.hasAlpha) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(cover.bitmap, source.x, source.y, source.width, source.height, 0, 0, width, height);
   }, []);
 
   // ═══════════════════════════════════════════════════════════════
@@ -484,63 +321,227 @@ export function useImageStego() {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Encode secret text into an image using LSB steganography
-   * @param {string} secretText - The message to hide
-   * @param {string} password - Encryption password
+   * Read the pixels to hide data in
+   * PNG uses the canvas as drawn. APNG and GIF draw each frame of the loop
+   * with `drawFrame` and stack them top to bottom (see animation.js); GIF
+   * frames are then reduced to the colours the layout leaves room for.
+   * @param {HTMLCanvasElement} canvas - Canvas with the pattern
+   * @param {Object} output - { format, frames, drawFrame } (see encode)
+   * @param {Object} layout - Channels and bits per channel data will be hidden in
+   * @returns {Promise<Object>} - { width, height, frames, data, imageData }
+   */
+  const readPixels = async (canvas, { format, frames = DEFAULT_ANIMATION_FRAMES, drawFrame }, layout) => {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+
+    if (!isAnimatedFormat(format)) {
+      const imageData = ctx.getImageData(0, 0, width, height);
+      return { width, height, frames: 1, data: imageData.data, imageData };
+    }
+
+    const limit = maxAnimationFrames(width, height);
+    if (frames > limit) {
+      throw new Error(limit < 2
+        ? `A ${width}×${height} image is too large to animate. Choose a smaller size.`
+        : `A ${width}×${height} animation can have at most ${limit} frames.`);
+    }
+
+    const frameBytes = width * height * 4;
+    const data = new Uint8ClampedArray(frameBytes * frames);
+    for (let frame = 0; frame < frames; frame++) {
+      await drawFrame(frame / frames);
+      data.set(ctx.getImageData(0, 0, width, height).data, frame * frameBytes);
+    }
+    if (format === IMAGE_FORMATS.GIF) {
+      reduceGifColors(data, frames, layout);
+    }
+    return { width, height, frames, data, imageData: null };
+  };
+
+  /**
+   * Save pixels with hidden data in the output format
+   * @param {HTMLCanvasElement} canvas - Canvas the pixels came from
+   * @param {Object} pixels - Output of readPixels
+   * @param {string} format - IMAGE_FORMATS value other than JPEG
+   * @returns {Promise<Blob>} - PNG, APNG or GIF image blob
+   */
+  const writePixels = async (canvas, pixels, format) => {
+    if (format === IMAGE_FORMATS.APNG) {
+      return new Blob([await encodeApng(pixels.data, pixels)], { type: 'image/png' });
+    }
+    if (format === IMAGE_FORMATS.GIF) {
+      return new Blob([encodeGif(pixels.data, pixels)], { type: 'image/gif' });
+    }
+
+    canvas.getContext('2d').putImageData(pixels.imageData, 0, 0);
+    return canvasToBlob(canvas);
+  };
+
+  /**
+   * Hide a container in pixels from readPixels
+   * @param {Object} pixels - Output of readPixels; its data is changed
+   * @param {Uint8Array} container - Output of buildContainer
+   * @param {string|Object} secret - The hidden message or file, for capacity errors
+   * @param {Uint8Array} embeddingKey - Key for the pixel order (see embeddingKeyFor)
+   * @param {Object} layout - Channels and bits per channel the container was built for
+   * @param {number} ecc - ECC_LEVELS value the container was built with, for capacity errors
+   */
+  const embedContainer = (pixels, container, secret, embeddingKey, layout, ecc) => {
+    console.log('Container length:', container.length * 8, 'bits');
+
+    const carrier = createLayoutCarrier(pixels.data, layout, embeddingKey);
+
+    // Check capacity
+    if (container.length * 8 > carrier.length) {
+      const maxBytes = calculateImageCapacity(pixels.width, pixels.height * pixels.frames, layout, ecc);
+      const where = pixels.frames > 1 ? 'this animation' : 'this image';
+      // Both sizes exclude error correction, which maxBytes already allows for
+      throw createCapacityError(secret, parseContainerHeader(container).length, maxBytes, where);
+    }
+
+    // Hide data in the layout's channels and bit planes, in keyed order over
+    // the whole image (every frame of an animation)
+    writeContainer(carrier, container);
+  };
+
+  /**
+   * Compress the canvas to JPEG and hide a payload in its DCT coefficients
+   * The container is framed here, as the matrix level it records depends on
+   * how many coefficients the picture leaves usable: the highest level that
+   * fits is used, so shorter messages change fewer coefficients.
+   * @param {HTMLCanvasElement} canvas - Canvas with the pattern
+   * @param {Uint8Array} payload - Encrypted payload, or a share of one
+   * @param {Object} framing - { type, flags, ecc } as for buildContainer
+   * @param {string|Object} secret - The hidden message or file, for capacity errors
+   * @param {Uint8Array} embeddingKey - Key for the coefficient order (see embeddingKeyFor)
+   * @param {number} quality - JPEG quality, 1 to 100
+   * @returns {Blob} - JPEG image blob with hidden data
+   */
+  const embedJpeg = (canvas, payload, framing, secret, embeddingKey, quality) => {
+    const ctx = canvas.getContext('2d');
+    const jpeg = createJpeg(ctx.getImageData(0, 0, canvas.width, canvas.height), quality);
+    const slots = createCoefficientCarrier(jpeg).length;
+
+    // Containers with a layout have the same size whatever the level
+    const { length: layoutBytes } = buildContainer(payload, { ...framing, layout: MAX_MATRIX_LEVEL });
+    const level = matrixLevelFor(slots, layoutBytes * 8);
+    const container = buildContainer(payload, { ...framing, layout: level });
+    console.log('Container length:', container.length * 8, 'bits, matrix level', level);
+
+    const carrier = createDctLayoutCarrier(jpeg, level, embeddingKey);
+    if (container.length * 8 > carrier.length) {
+      const maxBytes = calculateDctCapacity(slots, framing.ecc);
+      throw createCapacityError(secret, payload.length, maxBytes, 'this JPEG');
+    }
+
+    writeContainer(carrier, container);
+    return new Blob([writeJpeg(jpeg)], { type: 'image/jpeg' });
+  };
+
+  /**
+   * Encode a secret message or file into an image using LSB steganography
+   * With `protection.decoy` ({ text, password }) both messages go into the
+   * deniable two-region layout instead of a container, and `protection.ecc`
+   * (an ECC_LEVELS value) adds error correction to the container. The layout
+   * is recorded in the container, so decode finds it by itself; decoys always
+   * use the default layout. JPEG output hides the data in DCT coefficients
+   * instead of pixels; APNG and GIF output in the pixels of every frame.
+   * @param {string|Object} secret - Text, or a file { name, type, bytes }
+   * @param {string|Object} protection - Password, { password }, { recipientPublicKey } or { recipients }
    * @param {HTMLCanvasElement} canvas - Canvas with the pattern
-   * @returns {Promise<Blob>} - PNG image blob with hidden data
+   * @param {Object} output - { format, layout, quality, frames, drawFrame }: an IMAGE_FORMATS
+   *   value, the channels and bits per channel for pixel formats (see imageLayout.js), the
+   *   quality for JPEG, and for APNG and GIF the frame count and an async (time) => redraws
+   *   the canvas at that point of the loop
+   * @returns {Promise<Blob>} - PNG, JPEG or GIF image blob with hidden data
    */
-  const encode = useCallback(async (secretText, password, canvas) => {
-    return new Promise((resolve, reject) => {
-      try {
-        // Step 1: Encrypt the text
-        const encryptedText = encryptText(secretText, password);
-        console.log('Encrypted text length:', encryptedText.length);
-
-        // Step 2: Prepare binary data
-        const binaryData = prepareDataForEmbedding(encryptedText);
-        console.log('Binary data length:', binaryData.length);
-
-        // Step 3: Get canvas context and image data
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
-
-        // Check capacity
-        const maxBits = canvas.width * canvas.height;
-        if (binaryData.length > maxBits) {
-          reject(new Error(`Message too long! Max ${Math.floor(maxBits / 8)} characters.`));
-          return;
-        }
-
-        // Step 4: Hide data in LSB of Blue channel
-        for (let i = 0; i < binaryData.length; i++) {
-          const bit = parseInt(binaryData[i], 10);
-          const pixelIndex = i * 4; // RGBA = 4 values per pixel
-          const blueIndex = pixelIndex + 2; // Blue is at offset 2
-
-          if (blueIndex < pixels.length) {
-            // Clear the LSB and set it to our bit
-            pixels[blueIndex] = (pixels[blueIndex] & 0xFE) | bit;
-          }
-        }
-
-        // Step 5: Put modified image data back
-        ctx.putImageData(imageData, 0, 0);
-
-        // Step 6: Export as PNG blob
-        canvas.toBlob((blob) => {
-          if (blob) {
-            resolve(blob);
-          } else {
-            reject(new Error('Failed to create image blob'));
-          }
-        }, 'image/png');
-
-      } catch (error) {
-        reject(error);
+  const encode = useCallback(async (secret, protection, canvas, output = {}) => {
+    const { format = IMAGE_FORMATS.PNG, layout = DEFAULT_IMAGE_LAYOUT, quality = DEFAULT_JPEG_QUALITY } = output;
+    const decoy = protection?.decoy;
+    const content = await packContent(secret);
+
+    if (!decoy) {
+      // Encrypt the content and frame it in a NEBULA container
+      const encrypted = await encryptBytes(content.bytes, protection);
+      console.log('Encrypted payload length:', encrypted.length, 'bytes');
+
+      const framing = { type: content.type, flags: content.flags, ecc: protection?.ecc };
+      const embeddingKey = await embeddingKeyFor(protection);
+      if (format === IMAGE_FORMATS.JPEG) {
+        return embedJpeg(canvas, encrypted, framing, secret, embeddingKey, quality);
       }
-    });
+      const pixels = await readPixels(canvas, output, layout);
+      const container = buildContainer(encrypted, { ...framing, layout: encodeImageLayout(layout) });
+      embedContainer(pixels, container, secret, embeddingKey, layout, protection?.ecc);
+      return writePixels(canvas, pixels, format);
+    }
+
+    // Seal the real and decoy messages into indistinguishable regions
+    const ctx = canvas.getContext('2d');
+    const jpeg = format === IMAGE_FORMATS.JPEG
+      ? createJpeg(ctx.getImageData(0, 0, canvas.width, canvas.height), quality)
+      : null;
+    const pixels = jpeg ? null : await readPixels(canvas, output, DEFAULT_IMAGE_LAYOUT);
+    const carrier = jpeg ? createCoefficientCarrier(jpeg) : createPixelCarrier(pixels.data);
+
+    const messages = [
+      { ...content, password: protection.recipients[0].password },
+      { ...(await packContent(decoy.text)), password: decoy.password },
+    ];
+
+    const maxBytes = calculateDeniableCapacity(carrier.length);
+    for (const [index, { bytes }] of messages.entries()) {
+      if (bytes.length > maxBytes) {
+        throw createCapacityError(
+          index === 0 ? secret : decoy.text, bytes.length, maxBytes, 'each half of this image (decoy layout)'
+        );
+      }
+    }
+
+    await writeDeniable(carrier, messages);
+    if (jpeg) {
+      return new Blob([writeJpeg(jpeg)], { type: 'image/jpeg' });
+    }
+    return writePixels(canvas, pixels, format);
+  }, []);
+
+  /**
+   * Encrypt once and hide one Shamir share in each of several artworks
+   * @param {string|Object} secret - Text, or a file { name, type, bytes }
+   * @param {string|Object} protection - As for encode (decoys are not supported)
+   * @param {Object} split - { threshold, total }
+   * @param {HTMLCanvasElement} canvas - Canvas the artworks are drawn on
+   * @param {Function} drawShare - async (index, time) => redraws the canvas for share `index`,
+   *   at a point of the animation loop for APNG and GIF
+   * @param {Object} output - { format, layout, quality, frames } as for encode
+   * @returns {Promise<Array<Blob>>} - One PNG, JPEG or GIF per share
+   */
+  const encodeShares = useCallback(async (
+    secret, protection, { threshold, total }, canvas, drawShare, output = {}
+  ) => {
+    const { format = IMAGE_FORMATS.PNG, layout = DEFAULT_IMAGE_LAYOUT, quality = DEFAULT_JPEG_QUALITY } = output;
+    const content = await packContent(secret);
+    const encrypted = await encryptBytes(content.bytes, protection);
+    const payloads = buildShares(encrypted, threshold, total, content.type);
+    // Every share carries the content flags and gets its own error correction
+    const framing = { flags: content.flags, ecc: protection?.ecc, type: PAYLOAD_TYPES.SHARE };
+    const embeddingKey = await embeddingKeyFor(protection);
+    console.log(`Split ${encrypted.length} bytes into ${total} shares (${threshold} needed)`);
+
+    const blobs = [];
+    for (const [index, payload] of payloads.entries()) {
+      // Animations draw their own frames
+      if (!isAnimatedFormat(format)) await drawShare(index);
+      if (format === IMAGE_FORMATS.JPEG) {
+        blobs.push(embedJpeg(canvas, payload, framing, secret, embeddingKey, quality));
+        continue;
+      }
+      const pixels = await readPixels(canvas, { ...output, drawFrame: (time) => drawShare(index, time) }, layout);
+      const container = buildContainer(payload, { ...framing, layout: encodeImageLayout(layout) });
+      embedContainer(pixels, container, secret, embeddingKey, layout, protection?.ecc);
+      blobs.push(await writePixels(canvas, pixels, format));
+    }
+    return blobs;
   }, []);
 
   // ═══════════════════════════════════════════════════════════════
@@ -548,81 +549,64 @@ export function useImageStego() {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Decode hidden text from an image
-   * @param {File} imageFile - The image file to decode
-   * @param {string} password - Decryption password
-   * @returns {Promise<string>} - The revealed secret text
+   * Load an image file through a canvas and expose its Blue channel LSBs
+   * Only for formats loadFileCarrier cannot read itself.
+   * @param {File} imageFile - The image file to read
+   * @returns {Promise<Object>} - Pixel carrier that can switch to the layout a header names
    */
-  const decode = useCallback(async (imageFile, password) => {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      
-      img.onload = () => {
-        try {
-          // Create hidden canvas for decoding
-          const canvas = document.createElement('canvas');
-          canvas.width = img.width;
-          canvas.height = img.height;
-          
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(img, 0, 0);
-          
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const pixels = imageData.data;
-          
-          // Step 1: Extract LSB from Blue channel
-          let binaryData = '';
-          const maxBits = canvas.width * canvas.height;
-          
-          for (let i = 0; i < maxBits; i++) {
-            const blueIndex = i * 4 + 2;
-            if (blueIndex < pixels.length) {
-              const lsb = pixels[blueIndex] & 1;
-              binaryData += lsb.toString();
-            }
-          }
-          
-          console.log('Extracted binary length:', binaryData.length);
-          
-          // Step 2: Extract encrypted text from binary
-          const encryptedText = extractDataFromBinary(binaryData);
-          
-          if (!encryptedText) {
-            reject(new Error('No hidden data found in this image'));
-            return;
-          }
-          
-          console.log('Extracted encrypted text');
-          
-          // Step 3: Decrypt with password
-          const decryptedText = decryptText(encryptedText, password);
-          
-          if (!decryptedText) {
-            reject(new Error('Invalid password or corrupted data'));
-            return;
-          }
-          
-          resolve(decryptedText);
-          
-        } catch (error) {
-          reject(error);
-        }
-      };
+  const loadCarrier = (imageFile) => new Promise((resolve, reject) => {
+    const img = new Image();
+    
+    img.onload = () => {
+      // Create hidden canvas for decoding
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
       
-      img.onerror = () => {
-        reject(new Error('Failed to load image'));
-      };
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
       
-      // Load image from file
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        img.src = e.target.result;
-      };
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
-      reader.readAsDataURL(imageFile);
-    });
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      resolve(createImageCarrier(imageData.data));
+    };
+    
+    img.onerror = () => {
+      reject(new Error('Failed to load image'));
+    };
+    
+    // Load image from file
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      img.src = e.target.result;
+    };
+    reader.onerror = () => {
+      reject(new Error('Failed to read file'));
+    };
+    reader.readAsDataURL(imageFile);
+  });
+
+  /**
+   * Decode a hidden message or file from an image, or from several images holding shares
+   * @param {File|Array<File>} imageFiles - The image file(s) to decode
+   * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+   * @returns {Promise<Object>} - { text, file, recipient, signature, shares, corrected } (see openCarriers)
+   */
+  const decode = useCallback(async (imageFiles, credentials) => {
+    const carriers = await Promise.all(
+      [].concat(imageFiles).map(async (file) => (await loadFileCarrier(file)) ?? loadCarrier(file))
+    );
+    
+    // Read and decrypt the hidden bits, in the layout their header names
+    // (throws NOT_NEBULA / DAMAGED / WRONG_PASSWORD / NOT_ENOUGH_SHARES decode errors)
+    const opened = await openCarriers(carriers, credentials);
+    
+    return {
+      ...(await unpackContent(opened.plainBytes, opened.type, opened.flags)),
+      recipient: opened.recipient,
+      signature: opened.signature,
+      shares: opened.shares ?? null,
+      corrected: opened.corrected,
+    };
   }, []);
 
   // ═══════════════════════════════════════════════════════════════
@@ -649,7 +633,11 @@ export function useImageStego() {
     canvasRef,
     hiddenCanvasRef,
     generatePattern,
+    createArtworkCanvas,
+    loadCoverImage,
+    drawCover,
     encode,
+    encodeShares,
     decode,
     downloadImage,
   };
@@ -4,6 +4,18 @@
  */
 
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { parsePublicKey, MAX_RECIPIENTS, RECIPIENT_TYPES } from '@/utils/steganography';
+import { MAX_CARRIER_SHARES } from '@/utils/payload';
+import { ECC_LEVELS } from '@/utils/ecc';
+import { estimateStrength, generatePassphrase, STRENGTH_LEVELS, STRENGTH_LABELS } from '@/utils/password';
+import { STEALTH_RANDOM } from '@/utils/stealth';
+import { DEFAULT_IMAGE_LAYOUT, IMAGE_FORMATS, isAnimatedFormat } from '@/utils/imageLayout';
+import { DEFAULT_JPEG_QUALITY } from '@/utils/jpeg';
+import { coverGeometry, DEFAULT_COVER_OPTIONS, MAX_COVER_PIXELS } from '@/utils/coverImage';
+import { ARTWORK_SIZES, DEFAULT_ARTWORK_SIZE } from '@/utils/artworkSize';
+import { ART_STYLE_AUTO } from '@/utils/artStyles';
+import { DEFAULT_ANIMATION_FRAMES } from '@/utils/animation';
 
 /**
  * Application modes
@@ -31,10 +43,66 @@ export const PROCESS_STATES = {
   ERROR: 'error',
 };
 
+/**
+ * How an encrypted message is protected
+ */
+export const PROTECTION_MODES = {
+  PASSWORD: 'password',
+  RECIPIENT: 'recipient',
+};
+
+/**
+ * What is being hidden
+ */
+export const SECRET_KINDS = {
+  TEXT: 'text',
+  FILE: 'file',
+};
+
+/**
+ * Largest file that can be picked for hiding (the carrier may hold less)
+ */
+export const MAX_SECRET_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Largest keyfile that is read into memory for hashing
+ */
+export const MAX_KEYFILE_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Words in a random art seed
+ */
+const ART_SEED_WORDS = 3;
+
+let nextRecipientId = 1;
+
+/**
+ * Release the object URLs of generated outputs
+ * @param {Object} state - Current store state
+ */
+const revokeOutputURLs = ({ outputURL, generatedShares }) => {
+  if (outputURL) {
+    URL.revokeObjectURL(outputURL);
+  }
+  generatedShares.forEach(({ url }) => URL.revokeObjectURL(url));
+};
+
+/**
+ * How a revealed message's signature checks out
+ */
+export const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',     // valid, signer is in the keyring (or is you)
+  UNVERIFIED: 'unverified', // valid, signer is unknown
+  INVALID: 'invalid',       // signature does not match the content
+};
+
 /**
  * Main Nebula Store
+ * Only the local key pair, trusted signers, the password policy and the stealth export
+ * settings are persisted (localStorage),
+ * see `partialize` below.
  */
-export const useNebulaStore = create((set, get) => ({
+export const useNebulaStore = create(persist((set, get) => ({
   // ═══════════════════════════════════════════════════════════════
   // STATE
   // ═══════════════════════════════════════════════════════════════
@@ -48,21 +116,111 @@ export const useNebulaStore = create((set, get) => ({
   // Secret text input
   secretText: '',
   
+  // Hide a text message or a file
+  secretKind: SECRET_KINDS.TEXT,
+  
+  // File to hide { name, type, bytes } (for encryption)
+  secretFile: null,
+  
+  // Text the artwork or music is generated from, never the message (for encryption)
+  artSeed: '',
+  
+  // User's own image to hide data in instead of generated art (for encryption)
+  // { name, type, width, height, bitmap, hasAlpha, lossy }
+  coverImage: null,
+  
+  // How the cover image is fitted { fit, maxSide, flatten }, see coverImage.js
+  coverOptions: DEFAULT_COVER_OPTIONS,
+  
   // Password input
   password: '',
   
   // Confirm password (for encryption)
   confirmPassword: '',
   
-  // Uploaded file for decryption
+  // Keyfile used together with the password { name, size, digest }
+  keyfile: null,
+  
+  // Weakest password accepted for encryption, a STRENGTH_LEVELS value (persisted)
+  minPasswordStrength: STRENGTH_LEVELS.FAIR,
+  
+  // Password or recipient public key (for encryption)
+  protectionMode: PROTECTION_MODES.PASSWORD,
+  
+  // Recipient public key text (for encryption)
+  recipientKey: '',
+  
+  // Additional recipients [{ id, type, value, confirm }] (for encryption)
+  extraRecipients: [],
+  
+  // Sign the hidden message with the local key pair (for encryption)
+  signMessage: false,
+  
+  // Split into Shamir shares across several carriers (for encryption)
+  shareEnabled: false,
+  shareThreshold: 2,
+  shareTotal: 3,
+  
+  // Reed-Solomon parity per block, an ECC_LEVELS value (for encryption)
+  eccLevel: ECC_LEVELS.LOW,
+  
+  // Image channels and bits per channel { channels, depth }, see imageLayout.js (for encryption)
+  imageLayout: DEFAULT_IMAGE_LAYOUT,
+  
+  // Image output, an IMAGE_FORMATS value, and its quality when JPEG (for encryption)
+  imageFormat: IMAGE_FORMATS.PNG,
+  jpegQuality: DEFAULT_JPEG_QUALITY,
+  
+  // Frames of an APNG or GIF loop, one of ANIMATION_FRAME_COUNTS (for encryption)
+  animationFrames: DEFAULT_ANIMATION_FRAMES,
+  
+  // Output size of the generated artwork, an ARTWORK_SIZES id (null for a recipe's own size) (for encryption)
+  artworkSize: DEFAULT_ARTWORK_SIZE,
+  
+  // Style of the generated artwork, an ART_STYLES id or ART_STYLE_AUTO, and its
+  // parameters (defaults fill in the rest) (for encryption)
+  artStyle: ART_STYLE_AUTO,
+  artStyleParams: {},
+  
+  // Saved art recipe the artwork is drawn from, until the art settings change (for encryption)
+  artRecipe: null,
+  
+  // Decoy message revealed by a second password (for encryption)
+  decoyEnabled: false,
+  decoyText: '',
+  decoyPassword: '',
+  decoyConfirm: '',
+  
+  // Download with innocuous file names and metadata (persisted)
+  stealthEnabled: false,
+  
+  // Stealth profile id for the current medium, or STEALTH_RANDOM (persisted)
+  stealthProfile: STEALTH_RANDOM,
+  
+  // Custom download name for stealth export, empty for the profile's own naming
+  stealthFilename: '',
+  
+  // Local key pair { publicKey, secretKey, fingerprint, createdAt } (persisted)
+  identity: null,
+  
+  // Trusted signer keys [{ publicKey, fingerprint, label, addedAt }] (persisted)
+  trustedSigners: [],
+  
+  // Uploaded file for decryption (the first of uploadedFiles)
   uploadedFile: null,
   
+  // All uploaded files, several when combining shares
+  uploadedFiles: [],
+  
   // Generated output (Blob)
   generatedOutput: null,
   
   // Generated output URL (for preview/download)
   outputURL: null,
   
+  // Generated shares [{ blob, url }] when splitting
+  generatedShares: [],
+  
   // Process state
   processState: PROCESS_STATES.IDLE,
   
@@ -72,6 +230,21 @@ export const useNebulaStore = create((set, get) => ({
   // Revealed secret (after decryption)
   revealedSecret: '',
   
+  // Revealed file { name, type, bytes }, instead of revealedSecret
+  revealedFile: null,
+  
+  // Which key slot opened the file { slot, slotCount, type, fingerprint }
+  revealedRecipient: null,
+  
+  // Sender signature of the revealed message { publicKey, fingerprint, valid }
+  revealedSignature: null,
+  
+  // Shares combined for the revealed message { found, threshold, total, invalid }
+  revealedShares: null,
+  
+  // Damaged bytes repaired by error correction while revealing
+  revealedCorrections: 0,
+  
   // Animation trigger states
   showSuccess: false,
   
@@ -80,29 +253,45 @@ export const useNebulaStore = create((set, get) => ({
   // ═══════════════════════════════════════════════════════════════
   
   setMode: (mode) => {
-    // Clean up previous output URL
-    const currentURL = get().outputURL;
-    if (currentURL) {
-      URL.revokeObjectURL(currentURL);
-    }
+    // Clean up previous output URLs
+    revokeOutputURLs(get());
     
     set({
       mode,
       // Reset state on mode change
       secretText: '',
+      secretKind: SECRET_KINDS.TEXT,
+      secretFile: null,
+      coverImage: null,
       password: '',
       confirmPassword: '',
+      keyfile: null,
+      recipientKey: '',
+      extraRecipients: [],
+      decoyEnabled: false,
+      decoyText: '',
+      decoyPassword: '',
+      decoyConfirm: '',
       uploadedFile: null,
+      uploadedFiles: [],
       generatedOutput: null,
       outputURL: null,
+      generatedShares: [],
       processState: PROCESS_STATES.IDLE,
       errorMessage: '',
       revealedSecret: '',
+      revealedFile: null,
+      revealedRecipient: null,
+      revealedSignature: null,
+      revealedShares: null,
+      revealedCorrections: 0,
       showSuccess: false,
     });
+    get().rollArtSeed();
   },
   
-  setMedium: (medium) => set({ medium }),
+  // Profiles are per medium, so a specific choice does not carry over
+  setMedium: (medium) => set({ medium, stealthProfile: STEALTH_RANDOM }),
   
   // ═══════════════════════════════════════════════════════════════
   // ACTIONS - Form Inputs
@@ -110,17 +299,208 @@ export const useNebulaStore = create((set, get) => ({
   
   setSecretText: (secretText) => set({ secretText }),
   
+  setSecretKind: (secretKind) => set({ secretKind }),
+  
+  setSecretFile: (secretFile) => set({ secretFile }),
+  
+  setArtSeed: (artSeed) => set({ artSeed, artRecipe: null }),
+  
+  setCoverImage: (coverImage) => set({ coverImage }),
+  
+  setCoverOptions: (changes) => set((state) => ({ coverOptions: { ...state.coverOptions, ...changes } })),
+  
+  /**
+   * Pick a fresh random art seed (a few diceware words)
+   */
+  rollArtSeed: async () => {
+    const { passphrase } = await generatePassphrase(ART_SEED_WORDS, ' ');
+    set({ artSeed: passphrase, artRecipe: null });
+  },
+  
   setPassword: (password) => set({ password }),
   
   setConfirmPassword: (confirmPassword) => set({ confirmPassword }),
   
-  setUploadedFile: (uploadedFile) => set({ 
-    uploadedFile,
+  setKeyfile: (keyfile) => set({ keyfile }),
+  
+  setMinPasswordStrength: (minPasswordStrength) => set({ minPasswordStrength }),
+  
+  setProtectionMode: (protectionMode) => set({ protectionMode }),
+  
+  setRecipientKey: (recipientKey) => set({ recipientKey }),
+  
+  setSignMessage: (signMessage) => set({ signMessage }),
+  
+  setShareEnabled: (shareEnabled) => set({ shareEnabled }),
+  
+  setShareThreshold: (shareThreshold) => set({ shareThreshold }),
+  
+  setShareTotal: (shareTotal) => set({ shareTotal }),
+  
+  setEccLevel: (eccLevel) => set({ eccLevel }),
+  
+  setImageLayout: (changes) => set((state) => ({ imageLayout: { ...state.imageLayout, ...changes } })),
+  
+  setImageFormat: (imageFormat) => set({ imageFormat }),
+  
+  setJpegQuality: (jpegQuality) => set({ jpegQuality }),
+  
+  setAnimationFrames: (animationFrames) => set({ animationFrames }),
+  
+  setArtworkSize: (artworkSize) => set({ artworkSize, artRecipe: null }),
+  
+  // Parameters belong to one style, so they start over with each style
+  setArtStyle: (artStyle) => set({ artStyle, artStyleParams: {}, artRecipe: null }),
+  
+  setArtStyleParams: (changes) => set((state) => ({
+    artStyleParams: { ...state.artStyleParams, ...changes },
+    artRecipe: null,
+  })),
+  
+  /**
+   * Draw the artwork from a saved recipe (see artRecipe.js)
+   * The art settings follow the recipe, so the form shows what it draws.
+   * @param {Object} artRecipe - Recipe from parseArtRecipe
+   */
+  loadArtRecipe: (artRecipe) => set({
+    artRecipe,
+    artSeed: artRecipe.artSeed,
+    artStyle: artRecipe.style,
+    artStyleParams: artRecipe.params,
+    // Other sizes are drawn at the recipe's size, with none of the choices selected
+    artworkSize: ARTWORK_SIZES.find(({ width, height }) => width === artRecipe.width && height === artRecipe.height)?.id
+      ?? null,
+  }),
+  
+  setDecoyEnabled: (decoyEnabled) => set({ decoyEnabled }),
+  
+  setDecoyText: (decoyText) => set({ decoyText }),
+  
+  setDecoyPassword: (decoyPassword) => set({ decoyPassword }),
+  
+  setDecoyConfirm: (decoyConfirm) => set({ decoyConfirm }),
+  
+  setStealthEnabled: (stealthEnabled) => set({ stealthEnabled }),
+  
+  setStealthProfile: (stealthProfile) => set({ stealthProfile }),
+  
+  setStealthFilename: (stealthFilename) => set({ stealthFilename }),
+  
+  addRecipient: (type) => set((state) => ({
+    extraRecipients: [
+      ...state.extraRecipients,
+      { id: nextRecipientId++, type, value: '', confirm: '' },
+    ],
+  })),
+  
+  updateRecipient: (id, changes) => set((state) => ({
+    extraRecipients: state.extraRecipients.map((recipient) =>
+      recipient.id === id ? { ...recipient, ...changes } : recipient
+    ),
+  })),
+  
+  removeRecipient: (id) => set((state) => ({
+    extraRecipients: state.extraRecipients.filter((recipient) => recipient.id !== id),
+  })),
+  
+  setUploadedFile: (uploadedFile) => get().setUploadedFiles(uploadedFile ? [uploadedFile] : []),
+  
+  setUploadedFiles: (uploadedFiles) => set({ 
+    uploadedFile: uploadedFiles[0] || null,
+    uploadedFiles,
     processState: PROCESS_STATES.IDLE,
     errorMessage: '',
     revealedSecret: '',
+    revealedFile: null,
+    revealedRecipient: null,
+    revealedSignature: null,
+    revealedShares: null,
+    revealedCorrections: 0,
   }),
   
+  // ═══════════════════════════════════════════════════════════════
+  // ACTIONS - Key Pair
+  // ═══════════════════════════════════════════════════════════════
+  
+  setIdentity: (identity) => set({ identity }),
+  
+  clearIdentity: () => set({ identity: null }),
+  
+  // ═══════════════════════════════════════════════════════════════
+  // ACTIONS - Signer Keyring
+  // ═══════════════════════════════════════════════════════════════
+  
+  addTrustedSigner: (signer) => set((state) => ({
+    trustedSigners: [
+      ...state.trustedSigners.filter((s) => s.fingerprint !== signer.fingerprint),
+      { ...signer, addedAt: Date.now() },
+    ],
+  })),
+  
+  removeTrustedSigner: (fingerprint) => set((state) => ({
+    trustedSigners: state.trustedSigners.filter((s) => s.fingerprint !== fingerprint),
+  })),
+  
+  /**
+   * Classify a revealed signature against the keyring
+   * @param {Object|null} signature - { publicKey, fingerprint, valid }
+   * @returns {string|null} - SIGNATURE_STATUS value, or null when unsigned
+   */
+  getSignatureStatus: (signature) => {
+    if (!signature) return null;
+    if (!signature.valid) return SIGNATURE_STATUS.INVALID;
+    
+    const { trustedSigners, identity } = get();
+    const trusted = identity?.fingerprint === signature.fingerprint
+      || trustedSigners.some((s) => s.publicKey === signature.publicKey);
+    return trusted ? SIGNATURE_STATUS.VERIFIED : SIGNATURE_STATUS.UNVERIFIED;
+  },
+  
+  /**
+   * Protection argument for the encode hooks
+   * The primary password or key comes first, then the additional recipients.
+   * The keyfile only applies to the primary password.
+   * @returns {Object} - { recipients: [{ type, password, keyfile } | { type, publicKey }], signer, decoy, ecc }
+   */
+  getEncryptProtection: () => {
+    const {
+      protectionMode, password, keyfile, recipientKey, extraRecipients, signMessage, identity,
+      decoyEnabled, decoyText, decoyPassword, eccLevel,
+    } = get();
+    const primary = protectionMode === PROTECTION_MODES.RECIPIENT
+      ? { type: RECIPIENT_TYPES.KEY, value: recipientKey }
+      : { type: RECIPIENT_TYPES.PASSWORD, value: password, keyfile: keyfile?.digest };
+    
+    return {
+      recipients: [primary, ...extraRecipients].map(({ type, value, keyfile: digest }) =>
+        type === RECIPIENT_TYPES.KEY
+          ? { type, publicKey: value.trim() }
+          : { type, password: value, keyfile: digest ?? null }
+      ),
+      signer: signMessage && identity ? identity.secretKey : null,
+      decoy: decoyEnabled ? { text: decoyText, password: decoyPassword } : null,
+      ecc: eccLevel,
+    };
+  },
+  
+  /**
+   * Secret argument for the encode hooks
+   * @returns {string|Object} - The text, or the file { name, type, bytes }
+   */
+  getEncryptSecret: () => {
+    const { secretKind, secretText, secretFile } = get();
+    return secretKind === SECRET_KINDS.FILE ? secretFile : secretText;
+  },
+  
+  /**
+   * Credentials argument for the decode hooks
+   * @returns {Object} - { password, keyfile, secretKey }
+   */
+  getDecryptCredentials: () => {
+    const { password, keyfile, identity } = get();
+    return { password, keyfile: keyfile?.digest ?? null, secretKey: identity?.secretKey };
+  },
+  
   // ═══════════════════════════════════════════════════════════════
   // ACTIONS - Process State
   // ═══════════════════════════════════════════════════════════════
@@ -135,6 +515,16 @@ export const useNebulaStore = create((set, get) => ({
     processState: PROCESS_STATES.SUCCESS,
     generatedOutput: output,
     outputURL: url,
+    generatedShares: [],
+    errorMessage: '',
+    showSuccess: true,
+  }),
+  
+  setShareSuccess: (shares) => set({
+    processState: PROCESS_STATES.SUCCESS,
+    generatedOutput: null,
+    outputURL: null,
+    generatedShares: shares,
     errorMessage: '',
     showSuccess: true,
   }),
@@ -145,8 +535,17 @@ export const useNebulaStore = create((set, get) => ({
     showSuccess: false,
   }),
   
-  setRevealedSecret: (secret) => set({
-    revealedSecret: secret,
+  /**
+   * Store a decode result
+   * @param {Object} revealed - { text, file, recipient, signature, shares, corrected } from the decode hooks
+   */
+  setRevealedSecret: ({ text, file = null, recipient = null, signature = null, shares = null, corrected = 0 }) => set({
+    revealedSecret: text ?? '',
+    revealedFile: file,
+    revealedRecipient: recipient,
+    revealedSignature: signature,
+    revealedShares: shares,
+    revealedCorrections: corrected,
     processState: PROCESS_STATES.SUCCESS,
     showSuccess: true,
   }),
@@ -156,53 +555,195 @@ export const useNebulaStore = create((set, get) => ({
   // ═══════════════════════════════════════════════════════════════
   
   validateEncryptForm: () => {
-    const { secretText, password, confirmPassword } = get();
+    const {
+      secretText, secretKind, secretFile, artSeed, password, confirmPassword, keyfile, protectionMode, recipientKey,
+      extraRecipients, signMessage, decoyEnabled, decoyText, decoyPassword, decoyConfirm,
+      shareEnabled, shareThreshold, shareTotal, minPasswordStrength, medium, coverImage, coverOptions, imageFormat,
+    } = get();
+    
+    // Policy error for a password, or '' when it is strong enough
+    const checkStrength = (value, label) => {
+      const { level, label: strength } = estimateStrength(value);
+      return level < minPasswordStrength
+        ? `${label} is ${strength.toLowerCase()}; the minimum is ${STRENGTH_LABELS[minPasswordStrength].toLowerCase()}. Try a generated passphrase`
+        : '';
+    };
+    
+    if (secretKind === SECRET_KINDS.FILE) {
+      if (!secretFile) {
+        return { valid: false, error: 'Please choose a file to hide' };
+      }
+      
+      if (secretFile.bytes.length > MAX_SECRET_FILE_BYTES) {
+        return { valid: false, error: 'File is too large (max 1 MB)' };
+      }
+    } else {
+      if (!secretText.trim()) {
+        return { valid: false, error: 'Please enter a secret message' };
+      }
+      
+      if (secretText.length > 5000) {
+        return { valid: false, error: 'Secret message is too long (max 5000 characters)' };
+      }
+    }
     
-    if (!secretText.trim()) {
-      return { valid: false, error: 'Please enter a secret message' };
+    const cover = medium === MEDIUMS.IMAGE ? coverImage : null;
+    if (cover) {
+      const { width, height } = coverGeometry(cover.width, cover.height, coverOptions);
+      if (width * height > MAX_COVER_PIXELS) {
+        return { valid: false, error: 'This image is too large to use at full size; resize or crop it' };
+      }
+      if (isAnimatedFormat(imageFormat)) {
+        return { valid: false, error: 'Animations are drawn from the generated art; remove the cover image or choose PNG or JPEG' };
+      }
+    } else if (!artSeed.trim()) {
+      return { valid: false, error: 'Please enter an art seed, or roll a random one' };
+    }
+    
+    if (protectionMode === PROTECTION_MODES.RECIPIENT) {
+      if (!recipientKey.trim()) {
+        return { valid: false, error: 'Please paste the recipient\'s public key' };
+      }
+      
+      if (!parsePublicKey(recipientKey)) {
+        return { valid: false, error: 'Recipient key is not a valid NEBULA public key' };
+      }
+    } else {
+      if (!password) {
+        return { valid: false, error: 'Please enter a password' };
+      }
+      
+      if (password.length < 4) {
+        return { valid: false, error: 'Password must be at least 4 characters' };
+      }
+      
+      if (password !== confirmPassword) {
+        return { valid: false, error: 'Passwords do not match' };
+      }
+      
+      const weak = checkStrength(password, 'Password');
+      if (weak) {
+        return { valid: false, error: weak };
+      }
     }
     
-    if (secretText.length > 5000) {
-      return { valid: false, error: 'Secret message is too long (max 5000 characters)' };
+    if (shareEnabled) {
+      if (decoyEnabled) {
+        return { valid: false, error: 'A decoy cannot be combined with splitting into shares' };
+      }
+      
+      if (shareTotal < 2 || shareTotal > MAX_CARRIER_SHARES) {
+        return { valid: false, error: `Split into 2 to ${MAX_CARRIER_SHARES} shares` };
+      }
+      
+      if (shareThreshold < 2 || shareThreshold > shareTotal) {
+        return { valid: false, error: 'Shares needed must be between 2 and the number of shares' };
+      }
     }
     
-    if (!password) {
-      return { valid: false, error: 'Please enter a password' };
+    // A deniable carrier has room for exactly one password per message
+    if (decoyEnabled) {
+      if (protectionMode !== PROTECTION_MODES.PASSWORD || extraRecipients.length > 0 || signMessage || keyfile) {
+        return { valid: false, error: 'A decoy only works with a single password (no keys, keyfile, extra recipients or signature)' };
+      }
+      
+      if (!decoyText.trim()) {
+        return { valid: false, error: 'Please enter a decoy message' };
+      }
+      
+      if (decoyText.length > 5000) {
+        return { valid: false, error: 'Decoy message is too long (max 5000 characters)' };
+      }
+      
+      if (decoyPassword.length < 4) {
+        return { valid: false, error: 'Decoy password must be at least 4 characters' };
+      }
+      
+      if (decoyPassword !== decoyConfirm) {
+        return { valid: false, error: 'Decoy passwords do not match' };
+      }
+      
+      if (decoyPassword === password) {
+        return { valid: false, error: 'The decoy password must differ from the real one' };
+      }
+      
+      const weak = checkStrength(decoyPassword, 'Decoy password');
+      if (weak) {
+        return { valid: false, error: weak };
+      }
+      
+      return { valid: true, error: '' };
     }
     
-    if (password.length < 4) {
-      return { valid: false, error: 'Password must be at least 4 characters' };
+    if (extraRecipients.length + 1 > MAX_RECIPIENTS) {
+      return { valid: false, error: `At most ${MAX_RECIPIENTS} recipients are supported` };
     }
     
-    if (password !== confirmPassword) {
-      return { valid: false, error: 'Passwords do not match' };
+    const seen = new Set([
+      protectionMode === PROTECTION_MODES.RECIPIENT ? recipientKey.trim() : password,
+    ]);
+    
+    for (const [index, recipient] of extraRecipients.entries()) {
+      const label = `Recipient ${index + 2}`;
+      
+      if (recipient.type === RECIPIENT_TYPES.KEY) {
+        if (!parsePublicKey(recipient.value)) {
+          return { valid: false, error: `${label}: not a valid NEBULA public key` };
+        }
+      } else {
+        if (recipient.value.length < 4) {
+          return { valid: false, error: `${label}: password must be at least 4 characters` };
+        }
+        
+        if (recipient.value !== recipient.confirm) {
+          return { valid: false, error: `${label}: passwords do not match` };
+        }
+        
+        const weak = checkStrength(recipient.value, `${label}: password`);
+        if (weak) {
+          return { valid: false, error: weak };
+        }
+      }
+      
+      const value = recipient.type === RECIPIENT_TYPES.KEY ? recipient.value.trim() : recipient.value;
+      if (seen.has(value)) {
+        return { valid: false, error: `${label} is a duplicate` };
+      }
+      seen.add(value);
     }
     
     return { valid: true, error: '' };
   },
   
   validateDecryptForm: () => {
-    const { uploadedFile, password, medium } = get();
+    const { uploadedFiles, password, keyfile, medium, identity } = get();
     
-    if (!uploadedFile) {
+    if (uploadedFiles.length === 0) {
       return { valid: false, error: 'Please upload a file' };
     }
     
-    // Validate file type
-    if (medium === MEDIUMS.IMAGE) {
-      if (!uploadedFile.type.startsWith('image/')) {
-        return { valid: false, error: 'Please upload an image file (PNG recommended)' };
-      }
-    } else if (medium === MEDIUMS.AUDIO) {
-      if (!uploadedFile.type.includes('audio/') && !uploadedFile.name.endsWith('.wav')) {
-        return { valid: false, error: 'Please upload a WAV audio file' };
+    // Validate file types
+    for (const file of uploadedFiles) {
+      if (medium === MEDIUMS.IMAGE) {
+        if (!file.type.startsWith('image/')) {
+          return { valid: false, error: 'Please upload image files (PNG recommended)' };
+        }
+      } else if (medium === MEDIUMS.AUDIO) {
+        if (!file.type.includes('audio/') && !file.name.endsWith('.wav')) {
+          return { valid: false, error: 'Please upload WAV audio files' };
+        }
       }
     }
     
-    if (!password) {
+    // A stored key pair can open recipient-mode files without a password
+    if (!password && !identity) {
       return { valid: false, error: 'Please enter the password' };
     }
     
+    if (keyfile && !password) {
+      return { valid: false, error: 'A keyfile only works together with its password' };
+    }
+    
     return { valid: true, error: '' };
   },
   
@@ -211,27 +752,53 @@ export const useNebulaStore = create((set, get) => ({
   // ═══════════════════════════════════════════════════════════════
   
   reset: () => {
-    // Clean up previous output URL
-    const currentURL = get().outputURL;
-    if (currentURL) {
-      URL.revokeObjectURL(currentURL);
-    }
+    // Clean up previous output URLs
+    revokeOutputURLs(get());
     
     set({
       secretText: '',
+      secretKind: SECRET_KINDS.TEXT,
+      secretFile: null,
+      coverImage: null,
       password: '',
       confirmPassword: '',
+      keyfile: null,
+      recipientKey: '',
+      extraRecipients: [],
+      decoyEnabled: false,
+      decoyText: '',
+      decoyPassword: '',
+      decoyConfirm: '',
       uploadedFile: null,
+      uploadedFiles: [],
       generatedOutput: null,
       outputURL: null,
+      generatedShares: [],
       processState: PROCESS_STATES.IDLE,
       errorMessage: '',
       revealedSecret: '',
+      revealedFile: null,
+      revealedRecipient: null,
+      revealedSignature: null,
+      revealedShares: null,
+      revealedCorrections: 0,
       showSuccess: false,
     });
+    get().rollArtSeed();
   },
   
   resetSuccess: () => set({ showSuccess: false }),
+}), {
+  name: 'nebula-keys',
+  partialize: (state) => ({
+    identity: state.identity,
+    trustedSigners: state.trustedSigners,
+    minPasswordStrength: state.minPasswordStrength,
+    stealthEnabled: state.stealthEnabled,
+    stealthProfile: state.stealthProfile,
+  }),
+  // Rehydrated from the page after mount to avoid SSR hydration mismatches
+  skipHydration: true,
 }));
 
 export default useNebulaStore;
@@ -0,0 +1,165 @@
+/**
+ * NEBULA - Test Image Patterns
+ * The pixels the image fixtures in this folder were made from, so tests can
+ * check decoded files against them exactly
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// PATTERNS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Size of every fixture: odd, and not a multiple of 8, so row padding,
+ * filters and interlacing all meet ragged edges
+ */
+export const FIXTURE_WIDTH = 23;
+export const FIXTURE_HEIGHT = 17;
+
+/**
+ * Colours of the tile pattern, for formats limited to a palette
+ */
+export const TILE_COLORS = [
+  [12, 34, 56, 255],
+  [200, 16, 96, 255],
+  [255, 255, 255, 255],
+  [0, 0, 0, 255],
+  [90, 180, 40, 255],
+  [30, 120, 250, 255],
+];
+
+/**
+ * Alpha of the last tile colour in translucent tiles
+ */
+export const TILE_ALPHA = 128;
+
+/**
+ * Deterministic byte noise (xorshift32)
+ * @param {number} seed - Non-zero seed
+ * @returns {Function} - () => next byte
+ */
+function byteNoise(seed) {
+  let state = seed;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) & 0xFF;
+  };
+}
+
+/**
+ * Noisy gradient: every channel of every pixel differs in its low bits
+ * @param {Object} options - { alpha } for varied alpha (opaque otherwise), seed
+ * @returns {Uint8Array} - FIXTURE_WIDTH x FIXTURE_HEIGHT RGBA pixels
+ */
+export function noisePixels({ alpha = false, seed = 0x9E3779B9 } = {}) {
+  const next = byteNoise(seed);
+  const data = new Uint8Array(FIXTURE_WIDTH * FIXTURE_HEIGHT * 4);
+  for (let y = 0; y < FIXTURE_HEIGHT; y++) {
+    for (let x = 0; x < FIXTURE_WIDTH; x++) {
+      const i = (y * FIXTURE_WIDTH + x) * 4;
+      data[i] = (x * 11 + next()) & 0xFF;
+      data[i + 1] = (y * 15 + next()) & 0xFF;
+      data[i + 2] = ((x + y) * 5 + next()) & 0xFF;
+      data[i + 3] = alpha ? 1 + (next() % 255) : 255;
+    }
+  }
+  return data;
+}
+
+/**
+ * Greyscale version of noisePixels, one byte per pixel
+ * @returns {Uint8Array}
+ */
+export function greyPixels() {
+  const rgba = noisePixels();
+  return rgba.filter((_, i) => i % 4 === 0);
+}
+
+/**
+ * Smooth gradients, the kind of picture JPEG is made for
+ * @returns {Uint8Array} - FIXTURE_WIDTH x FIXTURE_HEIGHT opaque RGBA pixels
+ */
+export function smoothPixels() {
+  const data = new Uint8Array(FIXTURE_WIDTH * FIXTURE_HEIGHT * 4);
+  for (let y = 0; y < FIXTURE_HEIGHT; y++) {
+    for (let x = 0; x < FIXTURE_WIDTH; x++) {
+      const wave = Math.round(60 * Math.sin(x / 3 + y / 4));
+      data.set([x * 10, y * 14, 128 + wave, 255], (y * FIXTURE_WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+/**
+ * Tiles of TILE_COLORS in an uneven checkerboard
+ * @param {Object} options - { translucent } to give the last colour TILE_ALPHA
+ * @returns {Uint8Array} - FIXTURE_WIDTH x FIXTURE_HEIGHT RGBA pixels
+ */
+export function tilePixels({ translucent = false } = {}) {
+  const colors = TILE_COLORS.map((color, i) =>
+    (translucent && i === TILE_COLORS.length - 1 ? [...color.slice(0, 3), TILE_ALPHA] : color)
+  );
+  const data = new Uint8Array(FIXTURE_WIDTH * FIXTURE_HEIGHT * 4);
+  for (let y = 0; y < FIXTURE_HEIGHT; y++) {
+    for (let x = 0; x < FIXTURE_WIDTH; x++) {
+      data.set(colors[(Math.floor(x / 3) + Math.floor(y / 4) * 2) % colors.length], (y * FIXTURE_WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+/**
+ * Frames of a small animation: a fixed background with a square moving
+ * across it, so encoders store later frames as changed regions only
+ * @param {number} count - Frames
+ * @param {Object} options - { tiles } for a tile background (few colours), noise otherwise
+ * @returns {Array<Uint8Array>} - RGBA pixels of each frame
+ */
+export function animationFrames(count, { tiles = false } = {}) {
+  const background = tiles ? tilePixels() : noisePixels();
+  return Array.from({ length: count }, (_, frame) => {
+    const data = background.slice();
+    for (let y = 4; y < 10; y++) {
+      for (let x = 2 + frame * 5; x < 8 + frame * 5; x++) {
+        data.set(TILE_COLORS[frame % TILE_COLORS.length].slice(0, 3), (y * FIXTURE_WIDTH + x) * 4);
+      }
+    }
+    return data;
+  });
+}
+
+/**
+ * Frames of a window onto the translucent noise, moving over a transparent
+ * image, so encoders replace regions instead of drawing over them
+ * @param {number} count - Frames
+ * @returns {Array<Uint8Array>} - RGBA pixels of each frame
+ */
+export function windowFrames(count) {
+  const background = noisePixels({ alpha: true });
+  return Array.from({ length: count }, (_, frame) => {
+    const data = new Uint8Array(background.length);
+    for (let y = 3; y < 12; y++) {
+      for (let x = 1 + frame * 6; x < 9 + frame * 6; x++) {
+        const i = (y * FIXTURE_WIDTH + x) * 4;
+        data.set(background.subarray(i, i + 4), i);
+      }
+    }
+    return data;
+  });
+}
+
+/**
+ * Stack frames top to bottom, as the decoders return them
+ * @param {Array<Uint8Array>} frames - RGBA pixels of each frame
+ * @returns {Uint8Array}
+ */
+export function stackFrames(frames) {
+  const stacked = new Uint8Array(frames.reduce((total, frame) => total + frame.length, 0));
+  let offset = 0;
+  for (const frame of frames) {
+    stacked.set(frame, offset);
+    offset += frame.length;
+  }
+  return stacked;
+}
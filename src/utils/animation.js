@@ -0,0 +1,412 @@
+/**
+ * NEBULA - Animated Images
+ * Loops of the generated art as APNG or GIF files. Data is hidden in every
+ * frame: the frames are stacked top to bottom into one tall image, and the
+ * image layout (see imageLayout.js) spreads the container over all of it.
+ * The decoders in imageDecode.js give the frames back in the same stack.
+ */
+
+import { MAX_COVER_PIXELS } from '@/utils/coverImage';
+import { deflateBytes } from '@/utils/compression';
+import { layoutBitsPerPixel } from '@/utils/imageLayout';
+import { concatBytes, pngChunk } from '@/utils/stealth';
+
+// ═══════════════════════════════════════════════════════════════
+// SETTINGS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Frame count choices, and the default
+ */
+export const ANIMATION_FRAME_COUNTS = [4, 8, 16, 24];
+export const DEFAULT_ANIMATION_FRAMES = 16;
+
+/**
+ * Time each frame is shown, in milliseconds
+ */
+export const ANIMATION_FRAME_DELAY = 100;
+
+/**
+ * Most frames an animation of this size may have
+ * The stacked frames are one carrier, so they share the cover size limit.
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {number} - Frame count, 0 or 1 when the size is too large to animate
+ */
+export const maxAnimationFrames = (width, height) => Math.floor(MAX_COVER_PIXELS / (width * height));
+
+// ═══════════════════════════════════════════════════════════════
+// GIF PALETTES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Fewest colours a GIF frame is reduced to before it looks broken
+ */
+const MIN_GIF_COLORS = 16;
+
+/**
+ * Colours a GIF frame may have before data is hidden
+ * Writing the layout's bits can turn each colour into 2^(bits per pixel)
+ * others, and a frame holds at most 256.
+ * @param {Object} layout - { channels, depth }
+ * @returns {number}
+ */
+export const gifColorBudget = (layout) => 256 >> layoutBitsPerPixel(layout);
+
+/**
+ * Pick a palette by median cut: split the box of colours with the widest
+ * channel at its weighted median, until there are enough boxes
+ * @param {Map<number, number>} counts - Pixel count by 0xRRGGBB colour
+ * @param {number} size - Most colours to pick
+ * @returns {Array<number[]>} - RGB colours, each the weighted mean of its box
+ */
+function medianCut(counts, size) {
+  const makeBox = (colors) => {
+    let range = -1;
+    let channel = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = 255;
+      let max = 0;
+      for (const { rgb } of colors) {
+        min = Math.min(min, rgb[c]);
+        max = Math.max(max, rgb[c]);
+      }
+      if (max - min > range) {
+        range = max - min;
+        channel = c;
+      }
+    }
+    return { colors, range, channel };
+  };
+
+  const colors = Array.from(counts, ([key, count]) => ({ rgb: [key >> 16, (key >> 8) & 0xFF, key & 0xFF], count }));
+  const boxes = [makeBox(colors)];
+
+  while (boxes.length < size) {
+    let widest = -1;
+    boxes.forEach((box, i) => {
+      if (box.colors.length > 1 && (widest < 0 || box.range > boxes[widest].range)) widest = i;
+    });
+    if (widest < 0) break;
+
+    const { colors: sorted, channel } = boxes[widest];
+    sorted.sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+    const total = sorted.reduce((sum, { count }) => sum + count, 0);
+    let split = 1;
+    for (let seen = 0; split < sorted.length - 1; split++) {
+      seen += sorted[split - 1].count;
+      if (seen * 2 >= total) break;
+    }
+    boxes.splice(widest, 1, makeBox(sorted.slice(0, split)), makeBox(sorted.slice(split)));
+  }
+
+  return boxes.map(({ colors: box }) => {
+    const sum = [0, 0, 0];
+    let total = 0;
+    for (const { rgb, count } of box) {
+      for (let c = 0; c < 3; c++) sum[c] += rgb[c] * count;
+      total += count;
+    }
+    return sum.map((value) => Math.round(value / total));
+  });
+}
+
+/**
+ * Reduce each frame to the colours a GIF can keep once data is hidden, in place
+ * The layout's bits are cleared in every palette colour, so whatever is
+ * written there, a frame stays within 256 colours.
+ * @param {Uint8ClampedArray} data - Stacked RGBA frames
+ * @param {number} frames - Frame count
+ * @param {Object} layout - { channels, depth } the data will be hidden in
+ */
+export function reduceGifColors(data, frames, layout) {
+  const budget = gifColorBudget(layout);
+  if (budget < MIN_GIF_COLORS) {
+    throw new Error('GIF frames cannot hold this many hidden bits per pixel: use fewer channels or bits, or APNG');
+  }
+
+  const keep = [0xFF, 0xFF, 0xFF];
+  for (const channel of layout.channels) keep[channel] = 0xFF & ~((1 << layout.depth) - 1);
+  const keyAt = (pixels, i) => ((pixels[i] & keep[0]) << 16) | ((pixels[i + 1] & keep[1]) << 8) | (pixels[i + 2] & keep[2]);
+
+  const frameBytes = data.length / frames;
+  for (let frame = 0; frame < frames; frame++) {
+    const pixels = data.subarray(frame * frameBytes, (frame + 1) * frameBytes);
+
+    const counts = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key = keyAt(pixels, i);
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+    const palette = medianCut(counts, budget).map((rgb) => rgb.map((value, c) => value & keep[c]));
+
+    // Nearest palette colour, once per distinct colour
+    const nearest = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key = keyAt(pixels, i);
+      let color = nearest.get(key);
+      if (!color) {
+        let best = Infinity;
+        for (const candidate of palette) {
+          const distance = (candidate[0] - (key >> 16)) ** 2
+            + (candidate[1] - ((key >> 8) & 0xFF)) ** 2
+            + (candidate[2] - (key & 0xFF)) ** 2;
+          if (distance < best) {
+            best = distance;
+            color = candidate;
+          }
+        }
+        nearest.set(key, color);
+      }
+      pixels.set(color, i);
+      pixels[i + 3] = 255;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// APNG
+// ═══════════════════════════════════════════════════════════════
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Big-endian fields of a PNG chunk
+ * @param {Array<Array<number>>} fields - [value, bytes] pairs, bytes 1, 2 or 4
+ * @returns {Uint8Array}
+ */
+function pngFields(fields) {
+  const bytes = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  fields.reduce((offset, [value, size]) => {
+    if (size === 4) view.setUint32(offset, value);
+    else if (size === 2) view.setUint16(offset, value);
+    else view.setUint8(offset, value);
+    return offset + size;
+  }, 0);
+  return bytes;
+}
+
+/**
+ * Filter one frame's rows with the Paeth predictor, ready to deflate
+ * @param {Uint8ClampedArray} pixels - RGBA frame
+ * @param {number} width
+ * @param {number} height
+ * @param {number} channels - 3 to drop alpha, or 4
+ * @returns {Uint8Array} - Filter byte and samples for each row
+ */
+function filterFrame(pixels, width, height, channels) {
+  const stride = width * channels;
+  const raw = new Uint8Array(height * (stride + 1));
+  let previous = new Uint8Array(stride);
+  let line = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) line[x * channels + c] = pixels[(y * width + x) * 4 + c];
+    }
+
+    const out = y * (stride + 1);
+    raw[out] = 4;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? line[i - channels] : 0;
+      const up = previous[i];
+      const upLeft = i >= channels ? previous[i - channels] : 0;
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      raw[out + 1 + i] = line[i] - (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+    }
+    [previous, line] = [line, previous];
+  }
+  return raw;
+}
+
+/**
+ * Write stacked frames as an animated PNG that loops forever
+ * Every frame covers the whole image and replaces the one before, so each
+ * pixel's stored value is exactly the one data was hidden in.
+ * @param {Uint8ClampedArray} data - Stacked RGBA frames
+ * @param {Object} geometry - { width, height, frames, delay } with delay in milliseconds
+ * @returns {Promise<Uint8Array>} - APNG file bytes
+ */
+export async function encodeApng(data, { width, height, frames, delay = ANIMATION_FRAME_DELAY }) {
+  let opaque = true;
+  for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255;
+  const channels = opaque ? 3 : 4;
+  const frameBytes = width * height * 4;
+
+  const chunks = [
+    pngChunk('IHDR', pngFields([[width, 4], [height, 4], [8, 1], [opaque ? 2 : 6, 1], [0, 1], [0, 1], [0, 1]])),
+    pngChunk('acTL', pngFields([[frames, 4], [0, 4]])),
+  ];
+
+  // fcTL and fdAT chunks share one sequence
+  let sequence = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    chunks.push(pngChunk('fcTL', pngFields([
+      [sequence++, 4], [width, 4], [height, 4], [0, 4], [0, 4], [delay, 2], [1000, 2], [0, 1], [0, 1],
+    ])));
+
+    const pixels = data.subarray(frame * frameBytes, (frame + 1) * frameBytes);
+    const compressed = await deflateBytes(filterFrame(pixels, width, height, channels));
+    // The first frame is also the still image viewers without APNG support show
+    chunks.push(frame === 0
+      ? pngChunk('IDAT', compressed)
+      : pngChunk('fdAT', concatBytes([pngFields([[sequence++, 4]]), compressed])));
+  }
+  chunks.push(pngChunk('IEND', new Uint8Array(0)));
+
+  return concatBytes([PNG_SIGNATURE, ...chunks]);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GIF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Largest LZW code, which fills the 12-bit code table
+ */
+const LZW_MAX_CODES = 4096;
+
+/**
+ * Compress colour indices with GIF's variable-width LZW
+ * @param {Uint8Array} indices - Colour index of each pixel
+ * @param {number} minCodeSize - Bits of the literal codes, 2 to 8
+ * @returns {Uint8Array} - Codes, packed least significant bit first
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  const table = new Map();
+
+  let out = new Uint8Array(1024);
+  let length = 0;
+  let bits = 0;
+  let bitCount = 0;
+  const pushByte = (byte) => {
+    if (length === out.length) {
+      const grown = new Uint8Array(out.length * 2);
+      grown.set(out);
+      out = grown;
+    }
+    out[length++] = byte;
+  };
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      pushByte(bits & 0xFF);
+      bits >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (current << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      current = code;
+      continue;
+    }
+
+    emit(current);
+    if (nextCode === LZW_MAX_CODES) {
+      // Table full: start over
+      emit(clearCode);
+      table.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      // Widen codes as the decoder will, one entry behind
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    current = index;
+  }
+  emit(current);
+  emit(endCode);
+  if (bitCount > 0) pushByte(bits);
+
+  return out.subarray(0, length);
+}
+
+/**
+ * Split data into GIF sub-blocks of up to 255 bytes, with the empty end block
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function subBlocks(bytes) {
+  const blocks = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255) + 1);
+  let out = 0;
+  for (let offset = 0; offset < bytes.length; offset += 255) {
+    const block = bytes.subarray(offset, offset + 255);
+    blocks[out++] = block.length;
+    blocks.set(block, out);
+    out += block.length;
+  }
+  return blocks;
+}
+
+const ascii = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+const le16 = (value) => [value & 0xFF, value >> 8];
+
+/**
+ * Write stacked frames as an animated GIF that loops forever
+ * Each frame gets its own colour table, so the colours are stored exactly.
+ * @param {Uint8ClampedArray} data - Stacked RGBA frames, opaque
+ * @param {Object} geometry - { width, height, frames, delay } with delay in milliseconds
+ * @returns {Uint8Array} - GIF file bytes
+ * @throws {Error} - If a frame has more than 256 colours (see reduceGifColors)
+ */
+export function encodeGif(data, { width, height, frames, delay = ANIMATION_FRAME_DELAY }) {
+  const parts = [
+    ascii('GIF89a'),
+    // Logical screen, without a global colour table
+    new Uint8Array([...le16(width), ...le16(height), 0x70, 0, 0]),
+    // Loop forever
+    new Uint8Array([0x21, 0xFF, 0x0B, ...ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0]),
+  ];
+
+  const frameBytes = width * height * 4;
+  for (let frame = 0; frame < frames; frame++) {
+    const pixels = data.subarray(frame * frameBytes, (frame + 1) * frameBytes);
+    const colors = new Map();
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const key = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+      let index = colors.get(key);
+      if (index === undefined) {
+        if (colors.size === 256) throw new Error('A GIF frame can only hold 256 colours: use APNG instead');
+        index = colors.size;
+        colors.set(key, index);
+      }
+      indices[i] = index;
+    }
+
+    const tableBits = Math.max(1, Math.ceil(Math.log2(colors.size)));
+    const table = new Uint8Array(3 << tableBits);
+    for (const [key, index] of colors) table.set([key >> 16, (key >> 8) & 0xFF, key & 0xFF], index * 3);
+    const minCodeSize = Math.max(2, tableBits);
+
+    parts.push(
+      // Graphic control: keep the frame in place, show it for `delay`
+      new Uint8Array([0x21, 0xF9, 0x04, 0x04, ...le16(Math.round(delay / 10)), 0, 0]),
+      // Image descriptor with a local colour table
+      new Uint8Array([0x2C, 0, 0, 0, 0, ...le16(width), ...le16(height), 0x80 | (tableBits - 1)]),
+      table,
+      new Uint8Array([minCodeSize]),
+      subBlocks(lzwEncode(indices, minCodeSize))
+    );
+  }
+  parts.push(new Uint8Array([0x3B]));
+
+  return concatBytes(parts);
+}
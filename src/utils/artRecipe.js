@@ -0,0 +1,191 @@
+/**
+ * NEBULA - Art Recipes
+ * Everything that drives a rendering of the generated art, as a small JSON
+ * document, so the exact same art can be drawn again later
+ */
+
+import { detectEmotion, generateVisualSeed, getEmotionPalette } from '@/utils/steganography';
+import { ART_STYLE_AUTO, findArtStyle, pickArtStyle, resolveStyleParams } from '@/utils/artStyles';
+import { MAX_COVER_PIXELS } from '@/utils/coverImage';
+
+// ═══════════════════════════════════════════════════════════════
+// VERSIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Recipe document tag and layout version
+ */
+export const ART_RECIPE_FORMAT = 'nebula-art-recipe';
+export const ART_RECIPE_VERSION = 1;
+
+/**
+ * Version of the drawing shared by every style in generatePattern: background,
+ * sparkles and vignette
+ * Bump it with any change there that alters existing art. Changes inside a
+ * style bump that style's own `version` instead.
+ */
+export const ART_DRAWING_VERSION = 1;
+
+// ═══════════════════════════════════════════════════════════════
+// CREATING RECIPES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Shuffle palette colours in an order fixed by the seed
+ * Uses its own generator (not p5's), so the artwork's random draws start
+ * from the seed, and every browser gives the same order.
+ * @param {number[][]} colors - RGB colours
+ * @param {number} seed - Visual seed
+ * @returns {number[][]} - Shuffled copy
+ */
+function shuffleColors(colors, seed) {
+  let state = seed;
+  const random = () => {
+    state = (Math.imul(state, 1103515245) + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+
+  const shuffled = colors.map((color) => [...color]);
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Visual seed of an art seed and variant
+ * @param {string} artSeed - Art seed
+ * @param {number} variant - Variant, e.g. a share number (0 for none)
+ * @returns {number} - Seed for p5's random and noise
+ */
+const variantSeed = (artSeed, variant) => generateVisualSeed(variant ? `${artSeed}\u0000${variant}` : artSeed);
+
+/**
+ * Work out the recipe for an artwork from the art settings
+ * @param {Object} settings - { artSeed, variant, style (id or ART_STYLE_AUTO), params, width, height }
+ * @returns {Object} - Recipe
+ */
+export function createArtRecipe({ artSeed, variant = 0, style = ART_STYLE_AUTO, params = {}, width, height }) {
+  const seed = variantSeed(artSeed, variant);
+  const emotion = detectEmotion(artSeed);
+  const palette = getEmotionPalette(emotion);
+  const chosen = pickArtStyle(style, seed);
+
+  return {
+    format: ART_RECIPE_FORMAT,
+    version: ART_RECIPE_VERSION,
+    drawing: ART_DRAWING_VERSION,
+    artSeed,
+    variant,
+    seed,
+    style: chosen.id,
+    styleVersion: chosen.version,
+    params: resolveStyleParams(chosen, params),
+    emotion,
+    palette: { name: palette.name, bg: [...palette.bg], colors: shuffleColors(palette.colors, seed) },
+    width,
+    height,
+  };
+}
+
+/**
+ * Another variant of a recipe (e.g. for shares), keeping its style, settings
+ * and palette
+ * @param {Object} recipe - Recipe
+ * @param {number} variant - Variant, 0 for the recipe's base artwork
+ * @returns {Object} - Recipe
+ */
+export function artRecipeVariant(recipe, variant) {
+  if (variant === recipe.variant) return recipe;
+
+  const seed = variantSeed(recipe.artSeed, variant);
+  return {
+    ...recipe,
+    variant,
+    seed,
+    palette: { ...recipe.palette, colors: shuffleColors(recipe.palette.colors, seed) },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SAVING & LOADING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Write a recipe as JSON
+ * @param {Object} recipe - Recipe
+ * @returns {string} - JSON text
+ */
+export const serializeArtRecipe = (recipe) => JSON.stringify(recipe, null, 2);
+
+const isByte = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+const isColor = (color) => Array.isArray(color) && color.length === 3 && color.every(isByte);
+
+/**
+ * Read and check a saved recipe
+ * @param {string} text - JSON text
+ * @returns {Object} - { recipe, warnings } where warnings say why the art may
+ *   not match the original exactly
+ * @throws {Error} - If the text is not a recipe this version can draw
+ */
+export function parseArtRecipe(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a NEBULA art recipe');
+  }
+
+  if (data?.format !== ART_RECIPE_FORMAT) {
+    throw new Error('This file is not a NEBULA art recipe');
+  }
+  if (!Number.isInteger(data.version) || data.version > ART_RECIPE_VERSION) {
+    throw new Error('This recipe was saved by a newer version of NEBULA');
+  }
+
+  const style = findArtStyle(data.style);
+  if (!style) {
+    throw new Error(`This recipe uses an art style this version does not have (${data.style})`);
+  }
+
+  const { palette, width, height } = data;
+  const valid = typeof data.artSeed === 'string'
+    && Number.isInteger(data.variant) && data.variant >= 0
+    && Number.isInteger(data.seed) && data.seed >= 0
+    && palette && typeof palette.name === 'string' && isColor(palette.bg)
+    && Array.isArray(palette.colors) && palette.colors.length > 0 && palette.colors.every(isColor)
+    && Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0
+    && width * height <= MAX_COVER_PIXELS;
+  if (!valid) {
+    throw new Error('This art recipe is damaged or incomplete');
+  }
+
+  const warnings = [];
+  if (data.drawing !== ART_DRAWING_VERSION) {
+    warnings.push('The shared drawing code has changed since this recipe was saved, so details may differ.');
+  }
+  if (data.styleVersion !== style.version) {
+    warnings.push(`The ${style.name} style has changed since this recipe was saved, so the art may differ.`);
+  }
+
+  return {
+    recipe: {
+      format: ART_RECIPE_FORMAT,
+      version: ART_RECIPE_VERSION,
+      // Drawn by this version from now on
+      drawing: ART_DRAWING_VERSION,
+      artSeed: data.artSeed,
+      variant: data.variant,
+      seed: data.seed,
+      style: style.id,
+      styleVersion: style.version,
+      params: resolveStyleParams(style, data.params ?? {}),
+      emotion: typeof data.emotion === 'string' ? data.emotion : '',
+      palette: { name: palette.name, bg: palette.bg, colors: palette.colors },
+      width,
+      height,
+    },
+    warnings,
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * NEBULA - Art Style: Aurora Garden
+ * Flowing bands of aurora light over floating flowers and glowing particles;
+ * animated, the bands ripple and drift
+ */
+
+export const auroraGarden = {
+  id: 'aurora_garden',
+  name: 'Aurora Garden',
+  version: 1,
+  params: {
+    waves: { label: 'Aurora waves', min: 1, max: 10, default: 8 },
+    flowers: { label: 'Flowers', min: 0, max: 50, default: 25 },
+  },
+
+  draw({ p5, target, width, height, colors, params, time, helpers }) {
+    const { drawFlower } = helpers;
+    
+    // Flowing aurora waves; over the loop the noise is read along a circle,
+    // so the bands drift and come back to where they started
+    const phase = time * p5.TWO_PI;
+    const driftX = Math.cos(phase) - 1;
+    const driftY = Math.sin(phase);
+    for (let wave = 0; wave < params.waves; wave++) {
+      const waveColor = colors[wave % colors.length];
+      const baseY = height * (0.3 + wave * 0.08);
+      
+      for (let layer = 0; layer < 15; layer++) {
+        const alpha = p5.map(layer, 0, 15, 20, 2);
+        target.noFill();
+        target.stroke(waveColor[0], waveColor[1], waveColor[2], alpha);
+        target.strokeWeight(3);
+        
+        target.beginShape();
+        for (let x = 0; x <= width; x += 5) {
+          const noiseVal = p5.noise(x * 0.005 + wave + driftX, wave * 0.3 + driftY, layer * 0.1);
+          const y = baseY + Math.sin(x * 0.01 + wave * 0.5 + phase) * 40 + noiseVal * 80 - 40 + layer * 5;
+          target.vertex(x, y);
+        }
+        target.endShape();
+      }
+    }
+    
+    // Floating garden flowers
+    for (let i = 0; i < params.flowers; i++) {
+      const x = p5.random(width * 0.1, width * 0.9);
+      const y = p5.random(height * 0.2, height * 0.8);
+      const size = 20 + p5.random(35);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      const innerColor = colors[Math.floor(p5.random(colors.length))];
+      const numPetals = 5 + Math.floor(p5.random(4));
+      
+      drawFlower(x, y, size, numPetals, color, innerColor, p5.random(p5.TWO_PI));
+    }
+    
+    // Dreamy particles
+    for (let i = 0; i < 80; i++) {
+      const x = p5.random(width);
+      const y = p5.random(height);
+      const size = 2 + p5.random(4);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      
+      for (let g = size * 3; g > 0; g -= 1) {
+        const alpha = p5.map(g, 0, size * 3, 100, 0);
+        target.noStroke();
+        target.fill(color[0], color[1], color[2], alpha);
+        target.ellipse(x, y, g, g);
+      }
+    }
+  },
+};
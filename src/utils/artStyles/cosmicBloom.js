@@ -0,0 +1,87 @@
+/**
+ * NEBULA - Art Style: Cosmic Bloom
+ * Spiral arms of small flowers in a nebula cloud, around a starburst;
+ * animated, the arms sway and the starburst turns
+ */
+
+export const cosmicBloom = {
+  id: 'cosmic_bloom',
+  name: 'Cosmic Bloom',
+  version: 1,
+  params: {
+    clouds: { label: 'Nebula dust', min: 0, max: 1000, default: 500 },
+    spirals: { label: 'Spiral arms', min: 1, max: 6, default: 3 },
+  },
+
+  draw({ p5, target, width, centerX, centerY, colors, params, time, helpers }) {
+    const { drawPetal } = helpers;
+    
+    // Nebula clouds
+    for (let i = 0; i < params.clouds; i++) {
+      const angle = p5.random(p5.TWO_PI);
+      const dist = p5.random(width * 0.6);
+      const x = centerX + Math.cos(angle) * dist * (0.5 + p5.noise(i * 0.1) * 0.5);
+      const y = centerY + Math.sin(angle) * dist * (0.5 + p5.noise(i * 0.1, 100) * 0.5);
+      const size = 3 + p5.random(8);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      const alpha = 10 + p5.random(30);
+      
+      target.noStroke();
+      target.fill(color[0], color[1], color[2], alpha);
+      target.ellipse(x, y, size, size);
+    }
+    
+    // Spiral galaxy flowers; the arms' outer ends swing back and forth over the loop
+    const swing = Math.sin(time * p5.TWO_PI) * 0.3;
+    for (let spiral = 0; spiral < params.spirals; spiral++) {
+      const spiralOffset = (p5.TWO_PI / params.spirals) * spiral;
+      const spiralColor = colors[spiral % colors.length];
+      
+      for (let i = 0; i < 40; i++) {
+        const t = i / 40;
+        const angle = spiralOffset + t * p5.TWO_PI * 2.5 + swing * t;
+        const dist = 30 + t * 180;
+        const x = centerX + Math.cos(angle) * dist;
+        const y = centerY + Math.sin(angle) * dist;
+        const size = 10 + (1 - t) * 25;
+        
+        // Small cosmic flowers
+        const numPetals = 5;
+        for (let p = 0; p < numPetals; p++) {
+          const petalAngle = (p5.TWO_PI / numPetals) * p + angle;
+          drawPetal(x, y, size, size * 0.35, petalAngle, spiralColor, 150 + t * 100);
+        }
+        
+        // Flower center glow
+        target.noStroke();
+        for (let g = size * 0.4; g > 0; g -= 2) {
+          const a = p5.map(g, 0, size * 0.4, 200, 0);
+          target.fill(255, 255, 255, a);
+          target.ellipse(x, y, g, g);
+        }
+      }
+    }
+    
+    // Central starburst flower
+    const starColor = colors[0];
+    for (let layer = 0; layer < 3; layer++) {
+      const layerPetals = 12 - layer * 2;
+      const layerSize = 60 - layer * 15;
+      for (let i = 0; i < layerPetals; i++) {
+        const spin = (layer % 2 ? -1 : 1) * time * (p5.TWO_PI / layerPetals);
+        const angle = (p5.TWO_PI / layerPetals) * i + layer * 0.2 + spin;
+        drawPetal(centerX, centerY, layerSize, layerSize * 0.25, angle, starColor, 200);
+      }
+    }
+    
+    // Bright center
+    const centerBurst = target.drawingContext.createRadialGradient(centerX, centerY, 0, centerX, centerY, 40);
+    centerBurst.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    centerBurst.addColorStop(0.3, `rgba(${starColor[0]}, ${starColor[1]}, ${starColor[2]}, 0.8)`);
+    centerBurst.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    target.drawingContext.fillStyle = centerBurst;
+    target.drawingContext.beginPath();
+    target.drawingContext.arc(centerX, centerY, 40, 0, p5.TWO_PI);
+    target.drawingContext.fill();
+  },
+};
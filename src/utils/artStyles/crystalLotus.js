@@ -0,0 +1,117 @@
+/**
+ * NEBULA - Art Style: Crystal Lotus
+ * Geometric rings of points and small flowers over hexagonal crystals, around a lotus;
+ * animated, the rings turn in alternate directions
+ */
+
+export const crystalLotus = {
+  id: 'crystal_lotus',
+  name: 'Crystal Lotus',
+  version: 1,
+  params: {
+    crystals: { label: 'Crystals', min: 0, max: 120, default: 60 },
+    rings: { label: 'Rings', min: 1, max: 7, default: 5 },
+  },
+
+  draw({ p5, target, width, height, centerX, centerY, colors, params, time, helpers }) {
+    const { drawPetal, drawLotus } = helpers;
+    
+    // Crystalline background pattern
+    for (let i = 0; i < params.crystals; i++) {
+      const x = p5.random(width);
+      const y = p5.random(height);
+      const size = 20 + p5.random(40);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      const numSides = 6;
+      
+      // Crystal shape
+      target.noFill();
+      target.stroke(color[0], color[1], color[2], 30);
+      target.strokeWeight(1);
+      target.beginShape();
+      for (let j = 0; j < numSides; j++) {
+        const angle = (p5.TWO_PI / numSides) * j;
+        const px = x + Math.cos(angle) * size;
+        const py = y + Math.sin(angle) * size;
+        target.vertex(px, py);
+      }
+      target.endShape(p5.CLOSE);
+      
+      // Inner lines
+      for (let j = 0; j < numSides; j++) {
+        const angle = (p5.TWO_PI / numSides) * j;
+        target.stroke(color[0], color[1], color[2], 15);
+        target.line(x, y, x + Math.cos(angle) * size, y + Math.sin(angle) * size);
+      }
+    }
+    
+    // Geometric mandala rings
+    for (let ring = 0; ring < params.rings; ring++) {
+      const radius = 40 + ring * 45;
+      const numPoints = 12 + ring * 6;
+      const color = colors[ring % colors.length];
+      // One point's step per loop, so the last frame leads back to the first
+      const spin = ring * 0.1 + (ring % 2 ? -1 : 1) * time * (p5.TWO_PI / numPoints);
+      
+      // Ring glow
+      target.noFill();
+      for (let g = 20; g > 0; g -= 4) {
+        target.stroke(color[0], color[1], color[2], g * 1.5);
+        target.strokeWeight(1);
+        target.ellipse(centerX, centerY, radius * 2 + g, radius * 2 + g);
+      }
+      
+      // Points with flowers
+      for (let i = 0; i < numPoints; i++) {
+        const angle = (p5.TWO_PI / numPoints) * i + spin;
+        const px = centerX + Math.cos(angle) * radius;
+        const py = centerY + Math.sin(angle) * radius;
+        
+        if (ring < 3) {
+          // Small flowers on inner rings
+          const flowerSize = 12 - ring * 2;
+          for (let p = 0; p < 5; p++) {
+            const petalAngle = (p5.TWO_PI / 5) * p + angle;
+            drawPetal(px, py, flowerSize, flowerSize * 0.4, petalAngle, color, 180);
+          }
+          target.fill(255, 255, 200);
+          target.noStroke();
+          target.ellipse(px, py, 4, 4);
+        } else {
+          // Crystal points on outer rings
+          target.fill(color[0], color[1], color[2], 150);
+          target.noStroke();
+          target.ellipse(px, py, 6, 6);
+        }
+      }
+      
+      // Connect points
+      target.stroke(color[0], color[1], color[2], 40);
+      target.strokeWeight(0.5);
+      for (let i = 0; i < numPoints; i++) {
+        const a1 = (p5.TWO_PI / numPoints) * i + spin;
+        const a2 = (p5.TWO_PI / numPoints) * ((i + 2) % numPoints) + spin;
+        target.line(
+          centerX + Math.cos(a1) * radius,
+          centerY + Math.sin(a1) * radius,
+          centerX + Math.cos(a2) * radius,
+          centerY + Math.sin(a2) * radius
+        );
+      }
+    }
+    
+    // Central multi-layer lotus
+    drawLotus(centerX, centerY, 70, colors[0], time);
+    
+    // Crown jewel at center
+    target.noStroke();
+    const jewelGrad = target.drawingContext.createRadialGradient(centerX, centerY, 0, centerX, centerY, 15);
+    jewelGrad.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    jewelGrad.addColorStop(0.5, 'rgba(255, 255, 200, 0.8)');
+    jewelGrad.addColorStop(1, `rgba(${colors[0][0]}, ${colors[0][1]}, ${colors[0][2]}, 0)`);
+    target.drawingContext.fillStyle = jewelGrad;
+    target.drawingContext.beginPath();
+    target.drawingContext.arc(centerX, centerY, 15, 0, p5.TWO_PI);
+    target.drawingContext.fill();
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * NEBULA - Art Style: Flow Field
+ * Thin lines traced through a Perlin noise field, like wind or water currents;
+ * animated, the field drifts
+ */
+
+/**
+ * Distance a line moves per step, in reference units
+ */
+const STEP = 1.5;
+
+export const flowField = {
+  id: 'flow_field',
+  name: 'Flow Field',
+  version: 1,
+  params: {
+    lines: { label: 'Lines', min: 100, max: 3000, default: 1200 },
+    length: { label: 'Line length', min: 10, max: 200, default: 60 },
+    turbulence: { label: 'Turbulence', min: 1, max: 10, default: 4 },
+  },
+
+  draw({ p5, target, width, height, colors, params, time }) {
+    const ctx = target.drawingContext;
+    const frequency = params.turbulence / 400;
+
+    // Direction of the current at a point; two turns of range give eddies.
+    // Over the loop the field is read along a circle, so it drifts and returns.
+    const driftX = (Math.cos(time * p5.TWO_PI) - 1) * 0.5;
+    const driftY = Math.sin(time * p5.TWO_PI) * 0.5;
+    const direction = (x, y) => p5.noise(x * frequency + driftX, y * frequency + driftY) * p5.TWO_PI * 2;
+
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (let i = 0; i < params.lines; i++) {
+      let x = p5.random(-20, width + 20);
+      let y = p5.random(-20, height + 20);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      const alpha = 0.15 + p5.random(0.45);
+
+      ctx.strokeStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha})`;
+      ctx.lineWidth = 0.4 + p5.random(1.2);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      for (let step = 0; step < params.length; step++) {
+        const angle = direction(x, y);
+        x += Math.cos(angle) * STEP;
+        y += Math.sin(angle) * STEP;
+        ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    }
+
+    // Bright flecks riding the current
+    target.noStroke();
+    for (let i = 0; i < params.lines / 4; i++) {
+      const color = colors[Math.floor(p5.random(colors.length))];
+      target.fill(Math.min(255, color[0] + 60), Math.min(255, color[1] + 60), Math.min(255, color[2] + 60), 60 + p5.random(120));
+      target.ellipse(p5.random(width), p5.random(height), 0.8 + p5.random(1.6));
+    }
+  },
+};
@@ -0,0 +1,54 @@
+/**
+ * NEBULA - Art Style: Flower Mandala
+ * Rings of flowers around a central lotus, over a scattering of faint blossoms;
+ * animated, the rings turn in alternate directions
+ */
+
+export const flowerMandala = {
+  id: 'flower_mandala',
+  name: 'Flower Mandala',
+  version: 1,
+  params: {
+    blossoms: { label: 'Blossoms', min: 0, max: 60, default: 30 },
+    rings: { label: 'Rings', min: 1, max: 5, default: 4 },
+  },
+
+  draw({ p5, width, height, centerX, centerY, colors, params, time, helpers }) {
+    const { drawPetal, drawFlower, drawLotus } = helpers;
+    
+    // Background floral pattern
+    for (let i = 0; i < params.blossoms; i++) {
+      const x = p5.random(width);
+      const y = p5.random(height);
+      const size = 15 + p5.random(25);
+      const color = colors[Math.floor(p5.random(colors.length))];
+      const numPetals = 5 + Math.floor(p5.random(4));
+      
+      for (let p = 0; p < numPetals; p++) {
+        const angle = (p5.TWO_PI / numPetals) * p;
+        drawPetal(x, y, size, size * 0.3, angle, color, 40);
+      }
+    }
+    
+    // Mandala rings with flowers
+    for (let ring = params.rings - 1; ring >= 0; ring--) {
+      const ringRadius = 50 + ring * 60;
+      const numFlowers = 6 + ring * 4;
+      const flowerSize = 35 - ring * 5;
+      const color = colors[ring % colors.length];
+      const innerColor = colors[(ring + 2) % colors.length];
+      // One flower's step per loop, so the last frame leads back to the first
+      const spin = (ring % 2 ? -1 : 1) * time * (p5.TWO_PI / numFlowers);
+      
+      for (let i = 0; i < numFlowers; i++) {
+        const angle = (p5.TWO_PI / numFlowers) * i + ring * 0.2 + spin;
+        const fx = centerX + Math.cos(angle) * ringRadius;
+        const fy = centerY + Math.sin(angle) * ringRadius;
+        drawFlower(fx, fy, flowerSize, 6 + ring, color, innerColor, angle);
+      }
+    }
+    
+    // Central lotus
+    drawLotus(centerX, centerY, 80, colors[0], time);
+  },
+};
@@ -0,0 +1,136 @@
+/**
+ * NEBULA - Art Style: Fractal Coral
+ * L-system trees and corals grown from the bottom edge, with polyps at the
+ * branch tips; animated, they sway as if in a current
+ */
+
+/**
+ * L-system grammars: F draws forward, + and - turn, [ and ] save and restore
+ * the turtle; other symbols only steer the growth
+ */
+const GRAMMARS = [
+  { axiom: 'X', rules: { X: 'F+[[X]-X]-F[-FX]+X', F: 'FF' }, angle: 25 },
+  { axiom: 'F', rules: { F: 'FF+[+F-F-F]-[-F+F+F]' }, angle: 22.5 },
+  { axiom: 'X', rules: { X: 'F[+X]F[-X]+X', F: 'FF' }, angle: 20 },
+  { axiom: 'X', rules: { X: 'F[+X][-X]FX', F: 'FF' }, angle: 25.7 },
+];
+
+/**
+ * Longest string an L-system may grow to, which bounds the number of branches
+ */
+const MAX_SYMBOLS = 60000;
+
+/**
+ * Grow an L-system string
+ * @param {Object} grammar - { axiom, rules }
+ * @param {number} iterations - Rewriting steps (fewer if the string grows too long)
+ * @returns {string} - Symbols
+ */
+function grow({ axiom, rules }, iterations) {
+  let symbols = axiom;
+  for (let i = 0; i < iterations; i++) {
+    const next = Array.from(symbols, (symbol) => rules[symbol] ?? symbol).join('');
+    if (next.length > MAX_SYMBOLS) break;
+    symbols = next;
+  }
+  return symbols;
+}
+
+export const fractalCoral = {
+  id: 'fractal_coral',
+  name: 'Fractal Coral',
+  version: 1,
+  params: {
+    trees: { label: 'Trees', min: 1, max: 5, default: 3 },
+    depth: { label: 'Depth', min: 2, max: 7, default: 5 },
+    sway: { label: 'Sway', min: 0, max: 20, default: 8 },
+  },
+
+  draw({ p5, target, width, height, colors, params, time }) {
+    const ctx = target.drawingContext;
+
+    // Drifting plankton behind the branches
+    target.noStroke();
+    for (let i = 0; i < 400; i++) {
+      const color = colors[Math.floor(p5.random(colors.length))];
+      target.fill(color[0], color[1], color[2], 20 + p5.random(60));
+      target.ellipse(p5.random(width), p5.random(height), 1 + p5.random(2.5));
+    }
+
+    for (let tree = 0; tree < params.trees; tree++) {
+      const grammar = GRAMMARS[Math.floor(p5.random(GRAMMARS.length))];
+      const symbols = grow(grammar, params.depth);
+
+      // Walk the turtle in unit steps, recording branches and tips
+      const segments = [];
+      const tips = [];
+      const stack = [];
+      let turtle = { x: 0, y: 0, heading: -Math.PI / 2, depth: 0 };
+      for (const symbol of symbols) {
+        if (symbol === 'F') {
+          const x = turtle.x + Math.cos(turtle.heading);
+          const y = turtle.y + Math.sin(turtle.heading);
+          segments.push({ x1: turtle.x, y1: turtle.y, x2: x, y2: y, depth: turtle.depth });
+          turtle = { ...turtle, x, y };
+        } else if (symbol === '+' || symbol === '-') {
+          const turn = grammar.angle + p5.random(-params.sway, params.sway);
+          turtle = { ...turtle, heading: turtle.heading + (symbol === '+' ? 1 : -1) * turn * Math.PI / 180 };
+        } else if (symbol === '[') {
+          stack.push(turtle);
+          turtle = { ...turtle, depth: turtle.depth + 1 };
+        } else if (symbol === ']') {
+          tips.push(turtle);
+          turtle = stack.pop();
+        }
+      }
+      if (segments.length === 0) continue;
+
+      // Fit the tree into its slot along the bottom edge
+      let minX = 0;
+      let maxX = 0;
+      let minY = 0;
+      let maxDepth = 0;
+      for (const { x2, y2, depth } of segments) {
+        minX = Math.min(minX, x2);
+        maxX = Math.max(maxX, x2);
+        minY = Math.min(minY, y2);
+        maxDepth = Math.max(maxDepth, depth);
+      }
+      const slotWidth = width / params.trees;
+      const treeHeight = height * (0.55 + p5.random(0.35));
+      const scale = Math.min(slotWidth * 1.1 / (maxX - minX || 1), treeHeight / (-minY || 1));
+      const baseX = slotWidth * (tree + 0.5) + p5.random(-0.1, 0.1) * slotWidth;
+      const rootX = (maxX + minX) / 2;
+      // Sway bends the tree more the higher up, back and forth over the loop
+      const bend = Math.sin(time * p5.TWO_PI) * 0.08 * treeHeight;
+      const place = (x, y) => [baseX + (x - rootX) * scale + bend * (y / (minY || -1)) ** 2, height + y * scale];
+
+      // Branches, thinner and lighter with depth, one path per depth
+      for (let depth = 0; depth <= maxDepth; depth++) {
+        const t = maxDepth ? depth / maxDepth : 0;
+        const color = colors[(tree + depth) % colors.length];
+        ctx.strokeStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${0.9 - t * 0.4})`;
+        ctx.lineWidth = 0.5 + (1 - t) * 2.5;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        for (const segment of segments) {
+          if (segment.depth !== depth) continue;
+          ctx.moveTo(...place(segment.x1, segment.y1));
+          ctx.lineTo(...place(segment.x2, segment.y2));
+        }
+        ctx.stroke();
+      }
+
+      // Polyps at the tips
+      target.noStroke();
+      for (const tip of tips) {
+        const [x, y] = place(tip.x, tip.y);
+        const color = colors[Math.floor(p5.random(colors.length))];
+        target.fill(255, 255, 255, 120);
+        target.ellipse(x, y, 2.5, 2.5);
+        target.fill(color[0], color[1], color[2], 90 + p5.random(100));
+        target.ellipse(x, y, 1.5 + p5.random(3));
+      }
+    }
+  },
+};
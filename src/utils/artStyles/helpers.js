@@ -0,0 +1,122 @@
+/**
+ * NEBULA - Art Style Helpers
+ * Shapes shared by the art styles: petals, flowers and lotuses
+ */
+
+/**
+ * Create the shape helpers for one rendering
+ * @param {Object} p5 - p5 instance, for randomness and maths
+ * @param {Object} target - p5 instance or p5.Graphics to draw into
+ * @param {number} seed - Visual seed of the rendering
+ * @returns {Object} - { drawPetal, drawFlower, drawLotus }
+ */
+export function createArtHelpers(p5, target, seed) {
+  // Draw a beautiful flower petal
+  const drawPetal = (x, y, petalLength, petalWidth, angle, color, alpha = 255) => {
+    target.push();
+    target.translate(x, y);
+    target.rotate(angle);
+    
+    // Petal gradient
+    const gradient = target.drawingContext.createLinearGradient(0, 0, petalLength, 0);
+    gradient.addColorStop(0, `rgba(255, 255, 255, ${alpha / 255})`);
+    gradient.addColorStop(0.3, `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha / 255})`);
+    gradient.addColorStop(1, `rgba(${color[0] * 0.6}, ${color[1] * 0.6}, ${color[2] * 0.6}, ${alpha / 255 * 0.5})`);
+    
+    target.drawingContext.fillStyle = gradient;
+    target.drawingContext.beginPath();
+    target.drawingContext.moveTo(0, 0);
+    target.drawingContext.bezierCurveTo(
+      petalLength * 0.3, -petalWidth * 0.5,
+      petalLength * 0.7, -petalWidth * 0.3,
+      petalLength, 0
+    );
+    target.drawingContext.bezierCurveTo(
+      petalLength * 0.7, petalWidth * 0.3,
+      petalLength * 0.3, petalWidth * 0.5,
+      0, 0
+    );
+    target.drawingContext.fill();
+    
+    // Petal edge glow
+    target.drawingContext.strokeStyle = `rgba(255, 255, 255, ${alpha / 255 * 0.3})`;
+    target.drawingContext.lineWidth = 1;
+    target.drawingContext.stroke();
+    
+    target.pop();
+  };
+  
+  // Draw a complete flower
+  const drawFlower = (x, y, size, numPetals, color, innerColor, rotation = 0) => {
+    // Outer glow
+    for (let g = size * 1.5; g > 0; g -= size * 0.1) {
+      const alpha = p5.map(g, 0, size * 1.5, 40, 0);
+      target.noStroke();
+      target.fill(color[0], color[1], color[2], alpha);
+      target.ellipse(x, y, g * 2, g * 2);
+    }
+    
+    // Petals
+    for (let i = 0; i < numPetals; i++) {
+      const angle = (p5.TWO_PI / numPetals) * i + rotation;
+      const petalLength = size * (0.8 + p5.noise(i, seed * 0.01) * 0.4);
+      const petalWidth = size * 0.35;
+      drawPetal(x, y, petalLength, petalWidth, angle, color, 200);
+    }
+    
+    // Inner petals (smaller, different color)
+    for (let i = 0; i < numPetals; i++) {
+      const angle = (p5.TWO_PI / numPetals) * i + rotation + p5.PI / numPetals;
+      const petalLength = size * 0.5;
+      const petalWidth = size * 0.2;
+      drawPetal(x, y, petalLength, petalWidth, angle, innerColor, 180);
+    }
+    
+    // Center
+    const centerGradient = target.drawingContext.createRadialGradient(x, y, 0, x, y, size * 0.25);
+    centerGradient.addColorStop(0, 'rgba(255, 255, 200, 1)');
+    centerGradient.addColorStop(0.5, `rgba(${innerColor[0]}, ${innerColor[1]}, ${innerColor[2]}, 1)`);
+    centerGradient.addColorStop(1, `rgba(${color[0]}, ${color[1]}, ${color[2]}, 0.8)`);
+    target.drawingContext.fillStyle = centerGradient;
+    target.drawingContext.beginPath();
+    target.drawingContext.arc(x, y, size * 0.25, 0, p5.TWO_PI);
+    target.drawingContext.fill();
+    
+    // Center sparkle
+    target.fill(255, 255, 255, 200);
+    target.noStroke();
+    target.ellipse(x - size * 0.05, y - size * 0.05, size * 0.08, size * 0.08);
+  };
+  
+  // Draw a lotus/water lily; over an animation loop (time 0 to 1) its layers
+  // turn by one petal, alternately clockwise and back
+  const drawLotus = (x, y, size, color, time = 0) => {
+    const numLayers = 4;
+    for (let layer = numLayers - 1; layer >= 0; layer--) {
+      const layerSize = size * (0.4 + layer * 0.2);
+      const numPetals = 8 + layer * 4;
+      const rotation = layer * 0.15 + (layer % 2 ? -1 : 1) * time * (p5.TWO_PI / numPetals);
+      const layerColor = [
+        p5.lerp(255, color[0], layer / numLayers),
+        p5.lerp(255, color[1], layer / numLayers),
+        p5.lerp(255, color[2], layer / numLayers),
+      ];
+      
+      for (let i = 0; i < numPetals; i++) {
+        const angle = (p5.TWO_PI / numPetals) * i + rotation;
+        drawPetal(x, y, layerSize, layerSize * 0.3, angle, layerColor, 180 + layer * 20);
+      }
+    }
+    
+    // Golden center
+    const centerGrad = target.drawingContext.createRadialGradient(x, y, 0, x, y, size * 0.15);
+    centerGrad.addColorStop(0, 'rgba(255, 250, 200, 1)');
+    centerGrad.addColorStop(1, 'rgba(255, 200, 100, 0.8)');
+    target.drawingContext.fillStyle = centerGrad;
+    target.drawingContext.beginPath();
+    target.drawingContext.arc(x, y, size * 0.15, 0, p5.TWO_PI);
+    target.drawingContext.fill();
+  };
+  
+  return { drawPetal, drawFlower, drawLotus };
+}
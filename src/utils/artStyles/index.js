@@ -0,0 +1,73 @@
+/**
+ * NEBULA - Art Style Registry
+ * The styles the generated art can be drawn in. Each style is a module of
+ * its own; listing it in ART_STYLES makes it available everywhere.
+ */
+
+import { flowerMandala } from '@/utils/artStyles/flowerMandala';
+import { cosmicBloom } from '@/utils/artStyles/cosmicBloom';
+import { auroraGarden } from '@/utils/artStyles/auroraGarden';
+import { crystalLotus } from '@/utils/artStyles/crystalLotus';
+import { starTessellation } from '@/utils/artStyles/starTessellation';
+import { fractalCoral } from '@/utils/artStyles/fractalCoral';
+import { flowField } from '@/utils/artStyles/flowField';
+
+/**
+ * Registered styles, in the order they are offered
+ * A style is { id, name, version, params, draw }:
+ * - version: bumped with any change that alters the style's art (see artRecipe.js)
+ * - params: schema of its settings, { key: { label, min, max, default } } (whole numbers)
+ * - draw(scene): paints the style in reference units (see artworkSize.js), given
+ *   { p5, target, width, height, centerX, centerY, colors, seed, params, time, helpers }
+ *   where helpers are the shared shapes from helpers.js, and time is the point
+ *   of an animation loop (see animation.js), from 0 to 1. Time 0 is the still
+ *   artwork; a loop should end where it started, and make the same random
+ *   draws in every frame.
+ * The background, sparkles and vignette are drawn around every style.
+ * ART_STYLE_AUTO picks among all of them, so a new style changes the
+ * automatic pick for some seeds.
+ */
+export const ART_STYLES = [
+  flowerMandala,
+  cosmicBloom,
+  auroraGarden,
+  crystalLotus,
+  starTessellation,
+  fractalCoral,
+  flowField,
+];
+
+/**
+ * Style choice that lets the art seed pick the style
+ */
+export const ART_STYLE_AUTO = 'auto';
+
+/**
+ * Look up a style
+ * @param {string} id - Style id
+ * @returns {Object|null} - The style, or null if none has this id
+ */
+export const findArtStyle = (id) => ART_STYLES.find((style) => style.id === id) ?? null;
+
+/**
+ * Pick the style for a rendering
+ * @param {string} id - Style id, or ART_STYLE_AUTO
+ * @param {number} seed - Visual seed, which picks the style for ART_STYLE_AUTO (or an unknown id)
+ * @returns {Object} - The style
+ */
+export const pickArtStyle = (id, seed) => findArtStyle(id) ?? ART_STYLES[seed % ART_STYLES.length];
+
+/**
+ * Fill in a style's parameters from its schema
+ * @param {Object} style - The style
+ * @param {Object} params - Chosen values, possibly partial
+ * @returns {Object} - Every parameter, as a whole number within its range
+ */
+export function resolveStyleParams(style, params = {}) {
+  return Object.fromEntries(
+    Object.entries(style.params).map(([key, { min, max, default: fallback }]) => {
+      const value = Number(params[key] ?? fallback);
+      return [key, Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback];
+    })
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * NEBULA - Art Style: Star Tessellation
+ * Islamic-style interlaced star pattern on a square grid, drawn with Hankin's
+ * method: rays from the midpoint of each tile edge meet their neighbours to
+ * outline a star in every tile, and cross the next tile's rays at the edge;
+ * animated, the contact angle swings so the stars open and close
+ */
+
+export const starTessellation = {
+  id: 'star_tessellation',
+  name: 'Star Tessellation',
+  version: 1,
+  params: {
+    tiles: { label: 'Tiles across', min: 3, max: 16, default: 7 },
+    angle: { label: 'Contact angle', min: 30, max: 80, default: 67 },
+    grain: { label: 'Grain', min: 0, max: 4000, default: 1500 },
+  },
+
+  draw({ p5, target, width, height, centerX, centerY, colors, params, time }) {
+    const ctx = target.drawingContext;
+    const size = Math.min(width, height) / params.tiles;
+    const half = size / 2;
+
+    // Rays leave each edge midpoint at the contact angle and meet their
+    // neighbours on the tile's diagonals, `reach` from the centre on each axis
+    const theta = (params.angle + Math.sin(time * p5.TWO_PI) * 8) * Math.PI / 180;
+    const reach = half * Math.cos(theta) / (Math.cos(theta) + Math.sin(theta));
+    const star = [
+      [0, half], [reach, reach], [half, 0], [reach, -reach],
+      [0, -half], [-reach, -reach], [-half, 0], [-reach, reach],
+    ];
+
+    // Small eight-point rosette at each tile's centre
+    const rosette = Array.from({ length: 16 }, (_, k) => {
+      const angle = (p5.TWO_PI / 16) * k;
+      const radius = reach * (k % 2 ? 0.3 : 0.6);
+      return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    });
+
+    const tracePolygon = (x, y, points) => {
+      ctx.beginPath();
+      points.forEach(([px, py], k) => (k ? ctx.lineTo(x + px, y + py) : ctx.moveTo(x + px, y + py)));
+      ctx.closePath();
+    };
+
+    // Tiles are laid out from the centre, so the pattern is centred
+    const columns = Math.ceil(width / 2 / size) + 1;
+    const rows = Math.ceil(height / 2 / size) + 1;
+    const tiles = [];
+    for (let row = -rows; row <= rows; row++) {
+      for (let column = -columns; column <= columns; column++) {
+        tiles.push({
+          x: centerX + column * size,
+          y: centerY + row * size,
+          color: colors[Math.abs(row + column) % colors.length],
+          alpha: 0.35 + p5.random(0.35),
+        });
+      }
+    }
+
+    // Star fills
+    for (const { x, y, color, alpha } of tiles) {
+      tracePolygon(x, y, star);
+      ctx.fillStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha})`;
+      ctx.fill();
+    }
+
+    // Interlaced straps: a dark band under a light line
+    for (const [strokeStyle, lineWidth] of [['rgba(0, 0, 0, 0.55)', size * 0.09], ['rgba(255, 255, 255, 0.6)', size * 0.03]]) {
+      ctx.strokeStyle = strokeStyle;
+      ctx.lineWidth = lineWidth;
+      ctx.lineJoin = 'round';
+      for (const { x, y } of tiles) {
+        tracePolygon(x, y, star);
+        ctx.stroke();
+      }
+    }
+
+    // Rosettes
+    for (const { x, y, color } of tiles) {
+      tracePolygon(x, y, rosette);
+      ctx.fillStyle = `rgba(${Math.min(255, color[0] + 80)}, ${Math.min(255, color[1] + 80)}, ${Math.min(255, color[2] + 80)}, 0.85)`;
+      ctx.fill();
+    }
+
+    // Fine grain, as on glazed tiles
+    target.noStroke();
+    for (let i = 0; i < params.grain; i++) {
+      const color = colors[Math.floor(p5.random(colors.length))];
+      target.fill(color[0], color[1], color[2], 40 + p5.random(80));
+      target.ellipse(p5.random(width), p5.random(height), 0.6 + p5.random(1), 0.6 + p5.random(1));
+    }
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * NEBULA - Artwork Sizes
+ * Output sizes for the generated art, which is drawn in a fixed reference
+ * space and scaled to the canvas, so every size shows the same picture
+ */
+
+/**
+ * Short side of the space art styles draw in, in their own units
+ * Sizes in the styles (ring radii, flower sizes...) are in these units.
+ */
+export const ART_REFERENCE_SIDE = 512;
+
+/**
+ * Longest side of the on-screen preview, in pixels
+ * The artwork itself is rendered offscreen at full size.
+ */
+export const ARTWORK_PREVIEW_SIDE = 512;
+
+/**
+ * Output size choices
+ * All stay within MAX_COVER_PIXELS (see coverImage.js), and each works with
+ * every image layout: the embedding order only takes memory for the bits a
+ * message uses, however many the layout offers (see createScatteredCarrier).
+ */
+export const ARTWORK_SIZES = [
+  { id: 'square-512', label: '512 px', width: 512, height: 512 },
+  { id: 'square-1024', label: '1024 px', width: 1024, height: 1024 },
+  { id: 'square-2048', label: '2048 px', width: 2048, height: 2048 },
+  { id: 'uhd', label: '4K', width: 3840, height: 2160 },
+  { id: 'desktop', label: 'Desktop', width: 2560, height: 1440 },
+  { id: 'phone', label: 'Phone', width: 1440, height: 2560 },
+];
+
+export const DEFAULT_ARTWORK_SIZE = 'square-512';
+
+/**
+ * Look up an output size
+ * @param {string} id - ARTWORK_SIZES id
+ * @returns {Object} - { id, label, width, height }, the default size for unknown ids
+ */
+export const artworkSize = (id) => (
+  ARTWORK_SIZES.find((size) => size.id === id) ?? ARTWORK_SIZES.find((size) => size.id === DEFAULT_ARTWORK_SIZE)
+);
+
+/**
+ * Size of the preview for an output size, with the same shape
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {Object} - { width, height }
+ */
+export function previewGeometry(width, height) {
+  const scale = ARTWORK_PREVIEW_SIDE / Math.max(width, height);
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * NEBULA - Bit Stream Utilities
+ * Byte-oriented bit reader/writer over steganographic carriers
+ */
+
+import { createKeystream } from '@/utils/keystream';
+
+// ═══════════════════════════════════════════════════════════════
+// CARRIERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A carrier exposes the embeddable LSB slots of a medium as a flat bit array:
+ *   { length, getBit(index), setBit(index, bit) }
+ * Bits are written MSB-first per byte, matching the original bit-string format.
+ */
+
+/**
+ * Create a carrier over one bit plane of one colour channel of RGBA pixel data
+ * @param {Uint8ClampedArray} pixels - ImageData.data
+ * @param {number} channel - Channel offset (0 = R, 1 = G, 2 = B)
+ * @param {number} plane - Bit within the channel (0 = least significant)
+ * @returns {Object} - Carrier with one slot per pixel
+ */
+export function createPixelCarrier(pixels, channel = 2, plane = 0) {
+  const mask = 1 << plane;
+  return {
+    length: Math.floor(pixels.length / 4),
+    getBit: (index) => (pixels[index * 4 + channel] >> plane) & 1,
+    setBit: (index, bit) => {
+      const i = index * 4 + channel;
+      pixels[i] = (pixels[i] & ~mask) | (bit << plane);
+    },
+  };
+}
+
+/**
+ * Create a carrier over 16-bit PCM samples
+ * @param {Int16Array} samples - Audio samples
+ * @returns {Object} - Carrier with one slot per sample
+ */
+export function createSampleCarrier(samples) {
+  return {
+    length: samples.length,
+    getBit: (index) => samples[index] & 1,
+    setBit: (index, bit) => {
+      samples[index] = (samples[index] & ~1) | bit;
+    },
+  };
+}
+
+// A sparse order holding more than this share of a carrier's slots switches to
+// a full table, which then takes less memory than the map
+const SPARSE_ORDER_SHARE = 1 / 8;
+
+/**
+ * Visit a carrier's slots in a keyed pseudo-random order
+ * The order is a Fisher-Yates shuffle driven by a ChaCha20 keystream and is
+ * built lazily, so reading a header only settles its first few positions.
+ * Unsettled positions are only stored once a swap has moved them, so memory
+ * grows with the bits used rather than with the size of the carrier.
+ * @param {Object} carrier - Underlying carrier
+ * @param {Uint8Array} key - 32-byte embedding key
+ * @returns {Object} - Carrier of the same length whose bit i lives at a keyed position
+ */
+export function createScatteredCarrier(carrier, key) {
+  const { length } = carrier;
+  const stream = createKeystream(key);
+
+  // order[i] for i < settled is final; later positions hold their own slot
+  // unless moved has another, until the order switches to a full table
+  let order = new Uint32Array(Math.min(length, 1024));
+  let moved = new Map();
+  let settled = 0;
+
+  const slotAt = (position) => (moved ? moved.get(position) ?? position : order[position]);
+
+  const switchToTable = () => {
+    const table = new Uint32Array(length);
+    table.set(order.subarray(0, settled));
+    for (let i = settled; i < length; i++) table[i] = i;
+    for (const [position, slot] of moved) table[position] = slot;
+    order = table;
+    moved = null;
+  };
+
+  const slotFor = (index) => {
+    while (settled <= index) {
+      const j = settled + stream.uniform(length - settled);
+      const slot = slotAt(j);
+      if (moved) {
+        if (j !== settled) moved.set(j, slotAt(settled));
+        moved.delete(settled);
+        if (settled === order.length) {
+          const grown = new Uint32Array(Math.min(length, order.length * 2));
+          grown.set(order);
+          order = grown;
+        }
+      } else {
+        order[j] = order[settled];
+      }
+      order[settled++] = slot;
+
+      if (moved && moved.size > length * SPARSE_ORDER_SHARE) switchToTable();
+    }
+    return order[index];
+  };
+
+  return {
+    length,
+    getBit: (index) => carrier.getBit(slotFor(index)),
+    setBit: (index, bit) => carrier.setBit(slotFor(index), bit),
+  };
+}
+
+/**
+ * Join carriers end to end
+ * @param {Array<Object>} carriers - Carriers in order
+ * @returns {Object} - Carrier whose slots are those of each carrier in turn
+ */
+export function concatCarriers(carriers) {
+  if (carriers.length === 1) return carriers[0];
+
+  const starts = [];
+  let length = 0;
+  for (const carrier of carriers) {
+    starts.push(length);
+    length += carrier.length;
+  }
+
+  const partFor = (index) => {
+    let part = carriers.length - 1;
+    while (starts[part] > index) part--;
+    return part;
+  };
+
+  return {
+    length,
+    getBit: (index) => {
+      const part = partFor(index);
+      return carriers[part].getBit(index - starts[part]);
+    },
+    setBit: (index, bit) => {
+      const part = partFor(index);
+      carriers[part].setBit(index - starts[part], bit);
+    },
+  };
+}
+
+/**
+ * View part of a carrier as a carrier of its own
+ * @param {Object} carrier - Underlying carrier
+ * @param {number} start - First slot
+ * @param {number} length - Slots to include (default: up to the end)
+ * @returns {Object} - Carrier whose slot i is slot start + i of `carrier`
+ */
+export function sliceCarrier(carrier, start, length = carrier.length - start) {
+  return {
+    length: Math.max(0, Math.min(length, carrier.length - start)),
+    getBit: (index) => carrier.getBit(start + index),
+    setBit: (index, bit) => carrier.setBit(start + index, bit),
+  };
+}
+
+/**
+ * Matrix encoding, as in F5: each group of 2^level - 1 slots holds `level`
+ * bits, read as the XOR of the (1-based) positions of its slots that are set,
+ * so any new value for those bits takes at most one slot change.
+ * Changes are worked out against the group as it was before the first write,
+ * so writing a group's bits one at a time still changes one slot at most,
+ * provided the underlying carrier restores a slot exactly when its old bit is
+ * written back (see createCoefficientCarrier).
+ * @param {Object} carrier - Underlying carrier
+ * @param {number} level - Bits per group, 1 to 16
+ * @returns {Object} - Carrier of `level` bits per group of slots
+ */
+export function createMatrixCarrier(carrier, level) {
+  const size = (1 << level) - 1;
+  const groups = Math.floor(carrier.length / size);
+  const written = new Map(); // group -> { original: hash before any write, changed: slot position or 0 }
+  let cachedGroup = -1;
+  let cachedHash = 0;
+
+  const hashOf = (group) => {
+    if (group !== cachedGroup) {
+      cachedHash = 0;
+      for (let position = 1; position <= size; position++) {
+        if (carrier.getBit(group * size + position - 1)) cachedHash ^= position;
+      }
+      cachedGroup = group;
+    }
+    return cachedHash;
+  };
+
+  const flip = (group, position) => {
+    const slot = group * size + position - 1;
+    carrier.setBit(slot, carrier.getBit(slot) ^ 1);
+  };
+
+  return {
+    length: groups * level,
+    getBit: (index) => (hashOf(Math.floor(index / level)) >> (index % level)) & 1,
+    setBit: (index, bit) => {
+      const group = Math.floor(index / level);
+      const mask = 1 << (index % level);
+      const hash = hashOf(group);
+      if (((hash & mask) !== 0) === Boolean(bit)) return;
+
+      let state = written.get(group);
+      if (!state) {
+        state = { original: hash, changed: 0 };
+        written.set(group, state);
+      }
+
+      if (state.changed) flip(group, state.changed);
+      state.changed = state.original ^ hash ^ mask;
+      if (state.changed) flip(group, state.changed);
+      cachedGroup = -1;
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// READ / WRITE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Write bytes into a carrier
+ * @param {Object} carrier - Target carrier
+ * @param {Uint8Array} bytes - Data to write
+ * @param {number} startBit - First carrier slot to use
+ * @returns {number} - Index of the slot after the last written bit
+ */
+export function writeBytes(carrier, bytes, startBit = 0) {
+  if (startBit + bytes.length * 8 > carrier.length) {
+    throw new Error('Data does not fit in the carrier');
+  }
+
+  let bit = startBit;
+  for (let i = 0; i < bytes.length; i++) {
+    const value = bytes[i];
+    for (let b = 7; b >= 0; b--) {
+      carrier.setBit(bit++, (value >> b) & 1);
+    }
+  }
+  return bit;
+}
+
+/**
+ * Read bytes from a carrier
+ * @param {Object} carrier - Source carrier
+ * @param {number} byteLength - Number of bytes to read
+ * @param {number} startBit - First carrier slot to read
+ * @returns {Uint8Array} - The bytes read
+ */
+export function readBytes(carrier, byteLength, startBit = 0) {
+  if (startBit + byteLength * 8 > carrier.length) {
+    throw new Error('Read past the end of the carrier');
+  }
+
+  const bytes = new Uint8Array(byteLength);
+  let bit = startBit;
+  for (let i = 0; i < byteLength; i++) {
+    let value = 0;
+    for (let b = 0; b < 8; b++) {
+      value = (value << 1) | carrier.getBit(bit++);
+    }
+    bytes[i] = value;
+  }
+  return bytes;
+}
+
+/**
+ * Read a big-endian unsigned 32-bit integer from a carrier
+ * @param {Object} carrier - Source carrier
+ * @param {number} startBit - First carrier slot to read
+ * @returns {number}
+ */
+export function readUint32(carrier, startBit = 0) {
+  const bytes = readBytes(carrier, 4, startBit);
+  return new DataView(bytes.buffer).getUint32(0);
+}
@@ -0,0 +1,81 @@
+/**
+ * NEBULA - Bit Stream Tests
+ * The lazily built embedding order against a plain Fisher-Yates shuffle of
+ * the same keystream, which every file written so far was hidden in
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createScatteredCarrier, readBytes, writeBytes } from '@/utils/bitstream';
+import { createKeystream } from '@/utils/keystream';
+
+const KEY = Uint8Array.from({ length: 32 }, (_, i) => i * 7 + 3);
+
+/**
+ * The full shuffled order, built up front
+ * @param {number} length - Carrier length
+ * @param {Uint8Array} key - Embedding key
+ * @returns {Uint32Array}
+ */
+const referenceOrder = (length, key) => {
+  const stream = createKeystream(key);
+  const order = Uint32Array.from({ length }, (_, i) => i);
+  for (let i = 0; i < length; i++) {
+    const j = i + stream.uniform(length - i);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+/**
+ * A carrier that records which slots are read
+ * @param {number} length - Slot count
+ * @returns {Object} - Carrier plus `slots`, the slot read for each getBit
+ */
+const recordingCarrier = (length) => {
+  const bits = new Uint8Array(length);
+  const slots = [];
+  return {
+    length,
+    slots,
+    bits,
+    getBit: (index) => {
+      slots.push(index);
+      return bits[index];
+    },
+    setBit: (index, bit) => {
+      bits[index] = bit;
+    },
+  };
+};
+
+describe('createScatteredCarrier', () => {
+  it.each([
+    ['a few positions of a large carrier', 1 << 20, 64],
+    ['past the switch to a full table', 4096, 1000],
+    ['every position', 3000, 3000],
+  ])('visits %s in the original order', (_, length, visited) => {
+    const carrier = recordingCarrier(length);
+    const scattered = createScatteredCarrier(carrier, KEY);
+    for (let i = 0; i < visited; i++) scattered.getBit(i);
+
+    expect(carrier.slots).toEqual([...referenceOrder(length, KEY).subarray(0, visited)]);
+  });
+
+  it('settles positions read out of order', () => {
+    const carrier = recordingCarrier(5000);
+    const scattered = createScatteredCarrier(carrier, KEY);
+    const positions = [900, 3, 4999, 640, 0, 2500];
+    for (const position of positions) scattered.getBit(position);
+
+    const order = referenceOrder(5000, KEY);
+    expect(carrier.slots).toEqual(positions.map((position) => order[position]));
+  });
+
+  it('reads back what it writes', () => {
+    const carrier = recordingCarrier(8192);
+    const bytes = Uint8Array.from({ length: 300 }, (_, i) => (i * 37) & 0xFF);
+    writeBytes(createScatteredCarrier(carrier, KEY), bytes);
+
+    expect(readBytes(createScatteredCarrier(carrier, KEY), 300)).toEqual(bytes);
+  });
+});
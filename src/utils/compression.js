@@ -0,0 +1,97 @@
+/**
+ * NEBULA - Payload Compression
+ * DEFLATE stage between the plaintext and encryption, via the browser's
+ * CompressionStream / DecompressionStream
+ */
+
+import { CONTAINER_FLAGS, createDecodeError, DECODE_ERRORS } from '@/utils/container';
+
+// ═══════════════════════════════════════════════════════════════
+// STREAM HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * DEFLATE with the zlib wrapper: the format every CompressionStream supports
+ */
+const DEFLATE_FORMAT = 'deflate';
+
+/**
+ * Run bytes through a (de)compression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} - Output bytes
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Compress content if that makes it smaller
+ * Already compressed files (zip, png, jpeg...) usually do not shrink and are
+ * stored as they are. Without CompressionStream nothing is compressed.
+ * @param {Uint8Array} bytes - Content before encryption
+ * @returns {Promise<Object>} - { bytes, flags } with flags a CONTAINER_FLAGS bitmask
+ */
+export async function compressBytes(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    return { bytes, flags: 0 };
+  }
+
+  const compressed = await pipeBytes(bytes, new CompressionStream(DEFLATE_FORMAT));
+
+  return compressed.length < bytes.length
+    ? { bytes: compressed, flags: CONTAINER_FLAGS.DEFLATE }
+    : { bytes, flags: 0 };
+}
+
+/**
+ * Inflate zlib-wrapped DEFLATE data other than payloads (e.g. PNG image data)
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {Promise<Uint8Array>} - Inflated bytes
+ */
+export async function inflateBytes(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress DEFLATE data');
+  }
+  return pipeBytes(bytes, new DecompressionStream(DEFLATE_FORMAT));
+}
+
+/**
+ * Compress data other than payloads with the zlib wrapper (e.g. PNG image data)
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Promise<Uint8Array>} - Compressed bytes
+ */
+export async function deflateBytes(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('This browser cannot compress DEFLATE data');
+  }
+  return pipeBytes(bytes, new CompressionStream(DEFLATE_FORMAT));
+}
+
+/**
+ * Undo compressBytes
+ * @param {Uint8Array} bytes - Decrypted content
+ * @param {number} flags - CONTAINER_FLAGS bitmask the content was stored with
+ * @returns {Promise<Uint8Array>} - Original content
+ */
+export async function decompressBytes(bytes, flags = 0) {
+  if (!(flags & CONTAINER_FLAGS.DEFLATE)) return bytes;
+
+  if (typeof DecompressionStream === 'undefined') {
+    throw createDecodeError(
+      DECODE_ERRORS.UNSUPPORTED_VERSION,
+      'This message is compressed, and this browser cannot decompress it'
+    );
+  }
+
+  try {
+    return await pipeBytes(bytes, new DecompressionStream(DEFLATE_FORMAT));
+  } catch {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data is damaged (decompression failed)');
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * NEBULA - Carrier Container Format
+ * Self-describing frame shared by image and audio carriers
+ */
+
+import { readBytes, writeBytes, readUint32 } from '@/utils/bitstream';
+import { rsEncode, rsDecode, eccEncode, eccDecode, eccEncodedLength, eccCapacity, ECC_LEVELS } from '@/utils/ecc';
+
+// ═══════════════════════════════════════════════════════════════
+// FORMAT CONSTANTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Container layout (all integers big-endian):
+ *
+ *   magic      4 bytes   'NBLA'
+ *   version    1 byte    CONTAINER_VERSION
+ *   type       1 byte    PAYLOAD_TYPES value
+ *   flags      1 byte    CONTAINER_FLAGS bitmask
+ *   ecc        1 byte    ECC_LEVELS value (reserved, 0, in version 1)
+ *   length     4 bytes   payload length in bytes
+ *   crc32      4 bytes   CRC-32 of the payload
+ *   layout     1 byte    carrier layout (version 3 only)
+ *   payload    n bytes   encryption envelope, or a share of one
+ *
+ * Version 2 adds forward error correction. The header is followed by 16
+ * Reed-Solomon parity bytes of its own, and the payload is stored as
+ * interleaved Reed-Solomon blocks with `ecc` parity bytes each (see ecc.js);
+ * length and crc32 still describe the unprotected payload. Version 1 is
+ * written when error correction is off, and inside deniable regions.
+ *
+ * Version 3 adds a layout byte for carriers that can use their slots in more
+ * than one way: more bits per pixel (see imageLayout.js) or matrix encoding
+ * (see dctCarrier.js). It always has header parity.
+ * The header itself stays in the carrier's default slots, so it can be read
+ * before the layout is known; the payload continues in the layout it names.
+ * Versions 1 and 2 use the default layout (0), and are still written for it.
+ */
+export const CONTAINER_MAGIC = 'NBLA';
+export const CONTAINER_VERSION = 3;
+export const CONTAINER_HEADER_BYTES = 16;
+export const CONTAINER_OVERHEAD_BITS = CONTAINER_HEADER_BYTES * 8;
+export const LAYOUT_HEADER_BYTES = CONTAINER_HEADER_BYTES + 1;
+const HEADER_PARITY_BYTES = 16;
+
+/**
+ * Carrier bits taken by a version 3 header with its parity
+ */
+export const LAYOUT_OVERHEAD_BITS = (LAYOUT_HEADER_BYTES + HEADER_PARITY_BYTES) * 8;
+
+/**
+ * Header size for a container version, without parity
+ * @param {number} version - Container version
+ * @returns {number}
+ */
+const headerBytesFor = (version) => (version >= 3 ? LAYOUT_HEADER_BYTES : CONTAINER_HEADER_BYTES);
+
+/**
+ * Carrier bits taken by a header, parity included
+ * @param {number} version - Container version
+ * @returns {number}
+ */
+const headerBitsFor = (version) =>
+  (headerBytesFor(version) + (version >= 2 ? HEADER_PARITY_BYTES : 0)) * 8;
+
+/**
+ * What the payload holds once decrypted
+ */
+export const PAYLOAD_TYPES = {
+  TEXT: 1,
+  SHARE: 2, // One Shamir share of an encryption envelope
+  FILE: 3, // File record: name, MIME type and contents
+};
+
+/**
+ * Header flag bits describing how the content was processed before encryption
+ * For shares, every share carries the flags of the content it was split from.
+ */
+export const CONTAINER_FLAGS = {
+  DEFLATE: 0x01, // Content was DEFLATE-compressed (zlib format)
+};
+
+const KNOWN_FLAGS = Object.values(CONTAINER_FLAGS).reduce((mask, flag) => mask | flag, 0);
+
+/**
+ * Decode failure reasons, attached to errors as `error.code`
+ */
+export const DECODE_ERRORS = {
+  NOT_NEBULA: 'not_nebula',
+  DAMAGED: 'damaged',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  WRONG_PASSWORD: 'wrong_password',
+  NOT_ENOUGH_SHARES: 'not_enough_shares',
+};
+
+/**
+ * Create an Error tagged with a DECODE_ERRORS code
+ * @param {string} code - One of DECODE_ERRORS
+ * @param {string} message - Human readable message
+ * @returns {Error}
+ */
+export function createDecodeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CRC-32 (IEEE 802.3)
+// ═══════════════════════════════════════════════════════════════
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Input data
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BUILD / PARSE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Pick the oldest container version that can describe a framing
+ * @param {number} ecc - ECC_LEVELS value
+ * @param {number} layout - Carrier layout, 0 for the default
+ * @returns {number}
+ */
+const versionFor = (ecc, layout) => (layout ? 3 : ecc ? 2 : 1);
+
+/**
+ * Largest payload a carrier can hold with a given framing
+ * @param {number} carrierBits - Carrier length in bits, in the chosen layout
+ * @param {Object} options - { ecc, layout } as for buildContainer
+ * @returns {number} - Payload bytes
+ */
+export function containerCapacity(carrierBits, { ecc = ECC_LEVELS.OFF, layout = 0 } = {}) {
+  const availableBytes = Math.floor((carrierBits - headerBitsFor(versionFor(ecc, layout))) / 8);
+  return eccCapacity(availableBytes, ecc);
+}
+
+/**
+ * Frame a payload in a NEBULA container
+ * @param {Uint8Array} payload - Encrypted payload
+ * @param {Object} options - { type, flags, ecc, layout } with ecc an ECC_LEVELS value and
+ *   layout a carrier layout code (0 for the default)
+ * @returns {Uint8Array} - Header followed by the payload
+ */
+export function buildContainer(payload, { type = PAYLOAD_TYPES.TEXT, flags = 0, ecc = ECC_LEVELS.OFF, layout = 0 } = {}) {
+  const version = versionFor(ecc, layout);
+  const header = new Uint8Array(headerBytesFor(version));
+  const view = new DataView(header.buffer);
+
+  for (let i = 0; i < 4; i++) header[i] = CONTAINER_MAGIC.charCodeAt(i);
+  header[4] = version;
+  header[5] = type;
+  header[6] = flags;
+  header[7] = ecc;
+  view.setUint32(8, payload.length);
+  view.setUint32(12, crc32(payload));
+  if (version >= 3) header[16] = layout;
+
+  const protectedHeader = version >= 2 ? rsEncode(header, HEADER_PARITY_BYTES) : header;
+  const stored = eccEncode(payload, ecc);
+  const container = new Uint8Array(protectedHeader.length + stored.length);
+  container.set(protectedHeader);
+  container.set(stored, protectedHeader.length);
+
+  return container;
+}
+
+/**
+ * Parse a container header
+ * @param {Uint8Array} bytes - At least CONTAINER_HEADER_BYTES bytes (LAYOUT_HEADER_BYTES for version 3)
+ * @returns {Object|null} - { version, type, flags, ecc, length, checksum, layout } or null if the magic is missing
+ */
+export function parseContainerHeader(bytes) {
+  if (bytes.length < CONTAINER_HEADER_BYTES) return null;
+
+  for (let i = 0; i < 4; i++) {
+    if (bytes[i] !== CONTAINER_MAGIC.charCodeAt(i)) return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, CONTAINER_HEADER_BYTES);
+  return {
+    version: bytes[4],
+    type: bytes[5],
+    flags: bytes[6],
+    ecc: bytes[7],
+    length: view.getUint32(8),
+    checksum: view.getUint32(12),
+    layout: bytes[4] >= 3 ? bytes[16] ?? 0 : 0,
+  };
+}
+
+/**
+ * Write a container into a carrier
+ * @param {Object} carrier - Target carrier
+ * @param {Uint8Array} container - Output of buildContainer
+ */
+export function writeContainer(carrier, container) {
+  writeBytes(carrier, container, 0);
+}
+
+/**
+ * Read the pre-container layout: 32-bit bit length, data, delimiter
+ * @param {Object} carrier - Source carrier
+ * @returns {Uint8Array|null} - Payload bytes or null
+ */
+function readLegacyPayload(carrier) {
+  if (carrier.length < 48) return null;
+
+  const bitLength = readUint32(carrier, 0);
+  if (bitLength <= 0 || bitLength % 8 !== 0 || bitLength > carrier.length - 48) {
+    return null;
+  }
+  return readBytes(carrier, bitLength / 8, 32);
+}
+
+/**
+ * Read a version 2 or 3 header, repairing it with its parity bytes
+ * @param {Object} carrier - Source carrier
+ * @returns {Object|null} - { header, corrected } or null if there is no repairable header
+ */
+function readProtectedHeader(carrier) {
+  for (const headerBytes of [CONTAINER_HEADER_BYTES, LAYOUT_HEADER_BYTES]) {
+    const blockBytes = headerBytes + HEADER_PARITY_BYTES;
+    if (carrier.length < blockBytes * 8) return null;
+
+    const block = readBytes(carrier, blockBytes, 0);
+    const corrected = rsDecode(block, HEADER_PARITY_BYTES);
+    const header = corrected >= 0 ? parseContainerHeader(block) : null;
+
+    // The parity only checks out for the block size the header was written with
+    if (header && header.version >= 2 && headerBytesFor(header.version) === headerBytes) {
+      return { header, corrected };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and verify a container from a carrier
+ * Throws a decode error (see DECODE_ERRORS) when nothing usable is found.
+ * @param {Object} carrier - Source carrier
+ * @param {Object} options - { legacy, withLayout }: legacy also looks for the pre-container
+ *   layout (default true); withLayout(layout) returns the carrier to read a version 3
+ *   payload from, which must start with the same bits as `carrier`
+ * @returns {Object} - { header, payload, legacy, corrected } with corrected the number of repaired bytes
+ */
+export function readContainer(carrier, { legacy = true, withLayout = null } = {}) {
+  if (carrier.length < CONTAINER_OVERHEAD_BITS) {
+    throw createDecodeError(DECODE_ERRORS.NOT_NEBULA, 'Carrier is too small to hold hidden data');
+  }
+
+  let header = parseContainerHeader(readBytes(carrier, CONTAINER_HEADER_BYTES, 0));
+  let corrected = 0;
+
+  // Anything but an intact version 1 header may be a damaged version 2 one
+  if (header?.version !== 1) {
+    const repaired = readProtectedHeader(carrier);
+    if (repaired) ({ header, corrected } = repaired);
+  }
+
+  if (!header) {
+    // Carriers written before the container format have no magic
+    const legacyPayload = legacy && readLegacyPayload(carrier);
+    if (legacyPayload) {
+      return { header: null, payload: legacyPayload, legacy: true, corrected: 0 };
+    }
+    throw createDecodeError(DECODE_ERRORS.NOT_NEBULA, 'No hidden NEBULA data found');
+  }
+
+  if (header.version > CONTAINER_VERSION) {
+    throw createDecodeError(
+      DECODE_ERRORS.UNSUPPORTED_VERSION,
+      `Hidden data uses container version ${header.version}, which this app does not support`
+    );
+  }
+
+  if (header.flags & ~KNOWN_FLAGS) {
+    throw createDecodeError(
+      DECODE_ERRORS.UNSUPPORTED_VERSION,
+      'Hidden data was processed in a way this app does not support'
+    );
+  }
+
+  if (header.layout) {
+    carrier = withLayout?.(header.layout);
+    if (!carrier) {
+      throw createDecodeError(
+        DECODE_ERRORS.UNSUPPORTED_VERSION,
+        'Hidden data uses a carrier layout this app does not support for this file'
+      );
+    }
+  }
+
+  const ecc = header.version >= 2 ? header.ecc : ECC_LEVELS.OFF;
+  const headerBits = headerBitsFor(header.version);
+  const knownType = Object.values(PAYLOAD_TYPES).includes(header.type);
+  const knownEcc = Object.values(ECC_LEVELS).includes(ecc);
+  const availableBytes = Math.floor((carrier.length - headerBits) / 8);
+  if (!knownType || !knownEcc || header.length === 0 || eccEncodedLength(header.length, ecc) > availableBytes) {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data header is corrupted');
+  }
+
+  const stored = readBytes(carrier, eccEncodedLength(header.length, ecc), headerBits);
+  const decoded = eccDecode(stored, header.length, ecc);
+  if (!decoded) {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data is too damaged to repair');
+  }
+
+  const { data: payload } = decoded;
+  if (crc32(payload) !== header.checksum) {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data is damaged (checksum mismatch)');
+  }
+
+  return { header, payload, legacy: false, corrected: corrected + decoded.corrected };
+}
@@ -0,0 +1,109 @@
+/**
+ * NEBULA - Cover Images
+ * Sizing and format checks for the user's own images, used instead of generated art
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// SIZING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * How a cover image is fitted into the carrier canvas
+ */
+export const COVER_FITS = {
+  ORIGINAL: 'original', // keep every pixel
+  RESIZE: 'resize',     // scale down so the longest side is at most maxSide
+  CROP: 'crop',         // centred square, scaled down to at most maxSide
+};
+
+/**
+ * Longest side choices for RESIZE and CROP
+ */
+export const COVER_SIZES = [512, 1024, 2048];
+
+export const DEFAULT_COVER_OPTIONS = {
+  fit: COVER_FITS.ORIGINAL,
+  maxSide: 1024,
+  flatten: true, // paint transparent areas white
+};
+
+/**
+ * Largest carrier canvas, in pixels (a little over 4K UHD)
+ * Keyed embedding orders take a few bytes per hidden bit, so bigger
+ * canvases would use too much memory.
+ */
+export const MAX_COVER_PIXELS = 1 << 23;
+
+/**
+ * Work out the carrier size and the part of the image drawn into it
+ * Images are scaled down, never up.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { fit, maxSide }
+ * @returns {Object} - { width, height, source: { x, y, width, height } }
+ */
+export function coverGeometry(width, height, { fit, maxSide }) {
+  if (fit === COVER_FITS.CROP) {
+    const side = Math.min(width, height);
+    const target = Math.min(side, maxSide);
+    return {
+      width: target,
+      height: target,
+      source: { x: Math.floor((width - side) / 2), y: Math.floor((height - side) / 2), width: side, height: side },
+    };
+  }
+
+  const scale = fit === COVER_FITS.RESIZE ? Math.min(1, maxSide / Math.max(width, height)) : 1;
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    source: { x: 0, y: 0, width, height },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FORMAT CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+/**
+ * Find how a WebP file is compressed
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {boolean|null} - true for VP8 (lossy), false for VP8L (lossless), null if unknown
+ */
+function isLossyWebp(bytes) {
+  // RIFF chunks after the 'WEBP' tag: VP8X (extended) may precede the image data
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    if (type === 'VP8 ') return true;
+    if (type === 'VP8L') return false;
+    const size = new DataView(bytes.buffer, bytes.byteOffset + offset + 4, 4).getUint32(0, true);
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+/**
+ * Tell whether an image went through lossy compression
+ * Lossy pictures carry block artefacts that LSB changes disturb, which makes
+ * hidden data easier to detect.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} type - MIME type reported by the browser
+ * @returns {boolean}
+ */
+export function isLossyImage(bytes, type = '') {
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return true;
+
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    return isLossyWebp(bytes) ?? true;
+  }
+
+  // ISO media files (AVIF, HEIC) name their brand in the ftyp box
+  if (ascii(bytes, 4, 4) === 'ftyp') {
+    return ['avif', 'avis', 'heic', 'heix', 'mif1'].includes(ascii(bytes, 8, 4));
+  }
+
+  return ['image/jpeg', 'image/avif', 'image/heic', 'image/heif'].includes(type);
+}
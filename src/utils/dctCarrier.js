@@ -0,0 +1,158 @@
+/**
+ * NEBULA - DCT Coefficient Carriers
+ * Hiding bits in the quantized DCT coefficients of a JPEG (see jpeg.js), so
+ * the hidden data lives in the file's compressed form rather than in pixels
+ */
+
+import {
+  createScatteredCarrier,
+  createMatrixCarrier,
+  concatCarriers,
+  sliceCarrier,
+} from '@/utils/bitstream';
+import { containerCapacity, LAYOUT_OVERHEAD_BITS } from '@/utils/container';
+import { MAX_AC_COEFFICIENT } from '@/utils/jpeg';
+
+// ═══════════════════════════════════════════════════════════════
+// COEFFICIENT CARRIER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Smallest coefficient magnitude used as a slot
+ * Zeros and ones are left alone: changing them would add or remove
+ * coefficients (which shows in the file) and move the slots of everything
+ * after them. At 2 and above a ±1 change keeps the slot a slot.
+ */
+const MIN_SLOT_MAGNITUDE = 2;
+
+/**
+ * Create a carrier over the AC coefficients of a JPEG
+ * A slot's bit is the lowest bit of the coefficient's magnitude. Setting it
+ * moves the magnitude one step up or down from its original value (never to
+ * below MIN_SLOT_MAGNITUDE) and writing the original bit back restores the
+ * original value, which matrix encoding relies on.
+ * @param {Object} jpeg - JPEG data from createJpeg or readJpeg
+ * @returns {Object} - Carrier with one slot per usable coefficient
+ */
+export function createCoefficientCarrier(jpeg) {
+  const parts = jpeg.components.map(({ blocks }) => {
+    const positions = [];
+    for (let offset = 0; offset < blocks.length; offset += 64) {
+      // Index 0 of each block is the DC coefficient
+      for (let k = 1; k < 64; k++) {
+        if (Math.abs(blocks[offset + k]) >= MIN_SLOT_MAGNITUDE) positions.push(offset + k);
+      }
+    }
+
+    const slots = Uint32Array.from(positions);
+    const original = Int16Array.from(slots, (position) => blocks[position]);
+
+    return {
+      length: slots.length,
+      getBit: (index) => Math.abs(blocks[slots[index]]) & 1,
+      setBit: (index, bit) => {
+        const value = original[index];
+        const magnitude = Math.abs(value);
+        if ((magnitude & 1) === bit) {
+          blocks[slots[index]] = value;
+          return;
+        }
+
+        // Direction is random where both keep the slot, so magnitudes do not
+        // drift one way (the choice needs no secrecy)
+        const up = magnitude === MIN_SLOT_MAGNITUDE
+          || (magnitude < MAX_AC_COEFFICIENT && Math.random() < 0.5);
+        const changed = up ? magnitude + 1 : magnitude - 1;
+        blocks[slots[index]] = value < 0 ? -changed : changed;
+      },
+    };
+  });
+
+  return concatCarriers(parts);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MATRIX LEVELS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Matrix encoding levels, as stored in the container layout byte (see container.js)
+ * Level k hides k bits in each group of 2^k - 1 coefficients with at most one
+ * change, so higher levels change fewer coefficients but hold less. Level 0
+ * is plain embedding, one bit per coefficient.
+ */
+export const MIN_MATRIX_LEVEL = 2;
+export const MAX_MATRIX_LEVEL = 7;
+
+/**
+ * Carrier length at a matrix level
+ * The version 3 header takes plain slots, so it can be read before the level is known.
+ * @param {number} slots - Usable coefficients
+ * @param {number} level - Matrix level, 0 for plain
+ * @returns {number} - Carrier bits
+ */
+export function matrixCarrierBits(slots, level) {
+  if (!level) return slots;
+  if (slots < LAYOUT_OVERHEAD_BITS) return 0;
+  return LAYOUT_OVERHEAD_BITS + Math.floor((slots - LAYOUT_OVERHEAD_BITS) / ((1 << level) - 1)) * level;
+}
+
+/**
+ * Pick the highest matrix level that still fits a container
+ * @param {number} slots - Usable coefficients
+ * @param {number} containerBits - Size of the container, built with a layout
+ * @returns {number} - Matrix level, or 0 when only plain embedding is left
+ */
+export function matrixLevelFor(slots, containerBits) {
+  for (let level = MAX_MATRIX_LEVEL; level >= MIN_MATRIX_LEVEL; level--) {
+    if (matrixCarrierBits(slots, level) >= containerBits) return level;
+  }
+  return 0;
+}
+
+/**
+ * Largest payload a JPEG can hold (plain embedding)
+ * @param {number} slots - Usable coefficients
+ * @param {number} ecc - ECC_LEVELS value
+ * @returns {number} - Payload bytes
+ */
+export const calculateDctCapacity = (slots, ecc) => Math.max(0, containerCapacity(slots, { ecc }));
+
+// ═══════════════════════════════════════════════════════════════
+// LAYOUT CARRIERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Carrier over a JPEG's coefficients at a matrix level, in keyed order
+ * The first LAYOUT_OVERHEAD_BITS scattered slots are used plainly for the
+ * header; the matrix groups are made of the scattered slots after them.
+ * @param {Object} jpeg - JPEG data
+ * @param {number} level - Matrix level, 0 for plain
+ * @param {Uint8Array} key - 32-byte embedding key
+ * @returns {Object} - Carrier
+ */
+export function createDctLayoutCarrier(jpeg, level, key) {
+  const scattered = createScatteredCarrier(createCoefficientCarrier(jpeg), key);
+  if (!level) return scattered;
+
+  return concatCarriers([
+    sliceCarrier(scattered, 0, LAYOUT_OVERHEAD_BITS),
+    createMatrixCarrier(sliceCarrier(scattered, LAYOUT_OVERHEAD_BITS), level),
+  ]);
+}
+
+/**
+ * Carrier for decoding a JPEG whose matrix level is not known yet
+ * It reads plainly; readContainer switches to the level named in the header
+ * through `withLayout`.
+ * @param {Object} jpeg - JPEG data from readJpeg
+ * @returns {Object} - Coefficient carrier with withLayout(code, key)
+ */
+export function createDctCarrier(jpeg) {
+  return {
+    ...createCoefficientCarrier(jpeg),
+    withLayout: (code, key) => (
+      code >= MIN_MATRIX_LEVEL && code <= MAX_MATRIX_LEVEL ? createDctLayoutCarrier(jpeg, code, key) : null
+    ),
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * NEBULA - Forward Error Correction
+ * Reed-Solomon codes over GF(2^8), interleaved across blocks so a burst of
+ * damaged carrier bits is spread over many codewords
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// ERROR CORRECTION LEVELS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parity bytes per Reed-Solomon block (at most 255 bytes). Each block can
+ * repair up to half as many damaged bytes as it has parity bytes.
+ */
+export const ECC_LEVELS = {
+  OFF: 0,
+  LOW: 16,    // repairs 8 bytes per block, ~7% larger
+  MEDIUM: 32, // repairs 16 bytes per block, ~14% larger
+  HIGH: 64,   // repairs 32 bytes per block, ~33% larger
+};
+
+const BLOCK_BYTES = 255;
+
+// ═══════════════════════════════════════════════════════════════
+// GF(256) ARITHMETIC
+// ═══════════════════════════════════════════════════════════════
+
+let expTable = null;
+let logTable = null;
+
+/**
+ * Build exp/log tables for GF(2^8) with the polynomial x^8 + x^4 + x^3 + x^2 + 1
+ * (0x11D) and generator 2, as used by QR codes and CDs
+ */
+const getTables = () => {
+  if (!expTable) {
+    expTable = new Uint8Array(512);
+    logTable = new Uint8Array(256);
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+      expTable[i] = x;
+      logTable[x] = i;
+      x <<= 1;
+      if (x & 0x100) x ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) expTable[i] = expTable[i - 255];
+  }
+  return { expTable, logTable };
+};
+
+const gfMul = (a, b) => {
+  if (a === 0 || b === 0) return 0;
+  const { expTable: exp, logTable: log } = getTables();
+  return exp[log[a] + log[b]];
+};
+
+const gfDiv = (a, b) => {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  const { expTable: exp, logTable: log } = getTables();
+  return exp[(log[a] + 255 - log[b]) % 255];
+};
+
+const gfPow = (x, power) => {
+  const { expTable: exp, logTable: log } = getTables();
+  return exp[(((log[x] * power) % 255) + 255) % 255];
+};
+
+const gfInverse = (x) => gfDiv(1, x);
+
+// Polynomials are arrays of coefficients, highest degree first
+
+const polyScale = (p, x) => p.map((c) => gfMul(c, x));
+
+const polyAdd = (p, q) => {
+  const result = new Array(Math.max(p.length, q.length)).fill(0);
+  p.forEach((c, i) => { result[i + result.length - p.length] = c; });
+  q.forEach((c, i) => { result[i + result.length - q.length] ^= c; });
+  return result;
+};
+
+const polyMul = (p, q) => {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  for (let j = 0; j < q.length; j++) {
+    for (let i = 0; i < p.length; i++) {
+      result[i + j] ^= gfMul(p[i], q[j]);
+    }
+  }
+  return result;
+};
+
+const polyEval = (p, x) => {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) y = gfMul(y, x) ^ p[i];
+  return y;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// REED-SOLOMON CODEWORDS
+// ═══════════════════════════════════════════════════════════════
+
+const generatorCache = new Map();
+
+/**
+ * Generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(nsym-1))
+ * @param {number} nsym - Parity bytes
+ * @returns {Array<number>}
+ */
+const generatorPoly = (nsym) => {
+  if (!generatorCache.has(nsym)) {
+    let g = [1];
+    for (let i = 0; i < nsym; i++) g = polyMul(g, [1, gfPow(2, i)]);
+    generatorCache.set(nsym, g);
+  }
+  return generatorCache.get(nsym);
+};
+
+/**
+ * Encode a message as a systematic codeword: the message followed by parity
+ * @param {Uint8Array} message - At most 255 - nsym bytes
+ * @param {number} nsym - Parity bytes
+ * @returns {Uint8Array} - Codeword of message.length + nsym bytes
+ */
+export function rsEncode(message, nsym) {
+  if (message.length + nsym > BLOCK_BYTES) {
+    throw new Error(`Reed-Solomon blocks hold at most ${BLOCK_BYTES} bytes`);
+  }
+
+  const generator = generatorPoly(nsym);
+  const codeword = new Uint8Array(message.length + nsym);
+  codeword.set(message);
+
+  // Polynomial division by the generator; the remainder is the parity
+  for (let i = 0; i < message.length; i++) {
+    const coef = codeword[i];
+    if (coef === 0) continue;
+    for (let j = 1; j < generator.length; j++) {
+      codeword[i + j] ^= gfMul(generator[j], coef);
+    }
+  }
+  codeword.set(message);
+
+  return codeword;
+}
+
+/**
+ * Syndromes of a codeword, with a leading zero so index i holds S(i - 1)
+ * @param {Uint8Array} codeword - Received codeword
+ * @param {number} nsym - Parity bytes
+ * @returns {Array<number>}
+ */
+const calcSyndromes = (codeword, nsym) => {
+  const syndromes = [0];
+  for (let i = 0; i < nsym; i++) syndromes.push(polyEval(codeword, gfPow(2, i)));
+  return syndromes;
+};
+
+/**
+ * Berlekamp-Massey: error locator polynomial from the syndromes
+ * @returns {Array<number>|null} - Locator, or null when there are too many errors
+ */
+const findErrorLocator = (syndromes, nsym) => {
+  let errLoc = [1];
+  let oldLoc = [1];
+
+  for (let i = 0; i < nsym; i++) {
+    const k = i + 1;
+    let delta = syndromes[k];
+    for (let j = 1; j < errLoc.length; j++) {
+      delta ^= gfMul(errLoc[errLoc.length - 1 - j], syndromes[k - j]);
+    }
+    oldLoc = [...oldLoc, 0];
+
+    if (delta !== 0) {
+      if (oldLoc.length > errLoc.length) {
+        const newLoc = polyScale(oldLoc, delta);
+        oldLoc = polyScale(errLoc, gfInverse(delta));
+        errLoc = newLoc;
+      }
+      errLoc = polyAdd(errLoc, polyScale(oldLoc, delta));
+    }
+  }
+
+  while (errLoc.length > 1 && errLoc[0] === 0) errLoc.shift();
+  return (errLoc.length - 1) * 2 > nsym ? null : errLoc;
+};
+
+/**
+ * Chien search: positions where the locator has roots
+ * @returns {Array<number>|null} - Byte positions, or null if they do not add up
+ */
+const findErrorPositions = (errLoc, length) => {
+  const reversed = [...errLoc].reverse();
+  const positions = [];
+  for (let i = 0; i < length; i++) {
+    if (polyEval(reversed, gfPow(2, i)) === 0) positions.push(length - 1 - i);
+  }
+  return positions.length === errLoc.length - 1 ? positions : null;
+};
+
+/**
+ * Forney algorithm: fix the bytes at known error positions in place
+ */
+const correctErrors = (codeword, syndromes, positions) => {
+  const coefPositions = positions.map((p) => codeword.length - 1 - p);
+
+  let errataLoc = [1];
+  for (const i of coefPositions) errataLoc = polyMul(errataLoc, polyAdd([1], [gfPow(2, i), 0]));
+
+  // Error evaluator: (S(x) * locator(x)) mod x^(errors + 1)
+  const product = polyMul([...syndromes].reverse(), errataLoc);
+  const errEval = product.slice(product.length - errataLoc.length);
+
+  const X = coefPositions.map((p) => gfPow(2, p));
+  X.forEach((Xi, i) => {
+    const XiInv = gfInverse(Xi);
+
+    let locPrime = 1;
+    X.forEach((Xj, j) => {
+      if (j !== i) locPrime = gfMul(locPrime, 1 ^ gfMul(XiInv, Xj));
+    });
+
+    const y = gfMul(Xi, polyEval(errEval, XiInv));
+    codeword[positions[i]] ^= gfDiv(y, locPrime);
+  });
+};
+
+/**
+ * Repair a codeword in place
+ * @param {Uint8Array} codeword - Received codeword (message followed by parity)
+ * @param {number} nsym - Parity bytes
+ * @returns {number} - Bytes corrected, or -1 if the codeword is beyond repair
+ */
+export function rsDecode(codeword, nsym) {
+  const syndromes = calcSyndromes(codeword, nsym);
+  if (syndromes.every((s) => s === 0)) return 0;
+
+  const errLoc = findErrorLocator(syndromes, nsym);
+  const positions = errLoc && findErrorPositions(errLoc, codeword.length);
+  if (!positions) return -1;
+
+  correctErrors(codeword, syndromes, positions);
+  return calcSyndromes(codeword, nsym).every((s) => s === 0) ? positions.length : -1;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERLEAVED BLOCKS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Block layout for data of a given size: the data is split evenly over the
+ * fewest blocks that fit, zero-padded to equal length
+ * @param {number} dataLength - Bytes to protect
+ * @param {number} nsym - Parity bytes per block
+ * @returns {Object} - { blocks, dataPerBlock, blockLength }
+ */
+const blockLayout = (dataLength, nsym) => {
+  const blocks = Math.max(1, Math.ceil(dataLength / (BLOCK_BYTES - nsym)));
+  const dataPerBlock = Math.max(1, Math.ceil(dataLength / blocks));
+  return { blocks, dataPerBlock, blockLength: dataPerBlock + nsym };
+};
+
+/**
+ * Size of data once protected
+ * @param {number} dataLength - Bytes to protect
+ * @param {number} nsym - Parity bytes per block (an ECC_LEVELS value)
+ * @returns {number} - Encoded length in bytes
+ */
+export function eccEncodedLength(dataLength, nsym) {
+  if (!nsym) return dataLength;
+  const { blocks, blockLength } = blockLayout(dataLength, nsym);
+  return blocks * blockLength;
+}
+
+/**
+ * Largest data size whose protected form fits in the given space
+ * @param {number} availableBytes - Space for the encoded data
+ * @param {number} nsym - Parity bytes per block (an ECC_LEVELS value)
+ * @returns {number} - Data bytes, 0 if not even one block fits
+ */
+export function eccCapacity(availableBytes, nsym) {
+  if (!nsym) return Math.max(0, availableBytes);
+
+  // Start from a close estimate, then settle on the exact boundary
+  let dataLength = Math.max(0, availableBytes - Math.ceil(availableBytes / BLOCK_BYTES) * nsym);
+  while (eccEncodedLength(dataLength + 1, nsym) <= availableBytes) dataLength++;
+  while (dataLength > 0 && eccEncodedLength(dataLength, nsym) > availableBytes) dataLength--;
+  return dataLength;
+}
+
+/**
+ * Protect data with interleaved Reed-Solomon blocks
+ * Byte i of block j is stored at i * blocks + j, so neighbouring bytes in the
+ * carrier belong to different blocks.
+ * @param {Uint8Array} data - Bytes to protect
+ * @param {number} nsym - Parity bytes per block (an ECC_LEVELS value)
+ * @returns {Uint8Array} - eccEncodedLength(data.length, nsym) bytes
+ */
+export function eccEncode(data, nsym) {
+  if (!nsym) return data;
+
+  const { blocks, dataPerBlock, blockLength } = blockLayout(data.length, nsym);
+  const encoded = new Uint8Array(blocks * blockLength);
+  const chunk = new Uint8Array(dataPerBlock);
+
+  for (let j = 0; j < blocks; j++) {
+    chunk.fill(0);
+    chunk.set(data.subarray(j * dataPerBlock, (j + 1) * dataPerBlock));
+    const codeword = rsEncode(chunk, nsym);
+    for (let i = 0; i < blockLength; i++) encoded[i * blocks + j] = codeword[i];
+  }
+
+  return encoded;
+}
+
+/**
+ * Undo eccEncode, repairing what the parity allows
+ * @param {Uint8Array} encoded - Output of eccEncode, possibly damaged
+ * @param {number} dataLength - Original data length
+ * @param {number} nsym - Parity bytes per block
+ * @returns {Object|null} - { data, corrected } or null if a block is beyond repair
+ */
+export function eccDecode(encoded, dataLength, nsym) {
+  if (!nsym) return { data: encoded.slice(0, dataLength), corrected: 0 };
+
+  const { blocks, dataPerBlock, blockLength } = blockLayout(dataLength, nsym);
+  const data = new Uint8Array(blocks * dataPerBlock);
+  const codeword = new Uint8Array(blockLength);
+  let corrected = 0;
+
+  for (let j = 0; j < blocks; j++) {
+    for (let i = 0; i < blockLength; i++) codeword[i] = encoded[i * blocks + j];
+
+    const fixed = rsDecode(codeword, nsym);
+    if (fixed < 0) return null;
+    corrected += fixed;
+
+    data.set(codeword.subarray(0, dataPerBlock), j * dataPerBlock);
+  }
+
+  return { data: data.slice(0, dataLength), corrected };
+}
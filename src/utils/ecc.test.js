@@ -0,0 +1,124 @@
+/**
+ * NEBULA - Error Correction Tests
+ * A known Reed-Solomon codeword (the QR code field and generator), repairs
+ * up to the parity limit, and interleaved blocks under burst damage
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  ECC_LEVELS,
+  eccCapacity,
+  eccDecode,
+  eccEncode,
+  eccEncodedLength,
+  rsDecode,
+  rsEncode,
+} from '@/utils/ecc';
+
+/**
+ * Deterministic test bytes
+ * @param {number} length - Byte count
+ * @param {number} seed - Varies the pattern
+ * @returns {Uint8Array}
+ */
+const testBytes = (length, seed = 1) => Uint8Array.from({ length }, (_, i) => (i * 131 + seed * 71 + (i >> 3)) & 0xFF);
+
+/**
+ * Damage bytes in place by flipping all their bits
+ * @param {Uint8Array} bytes - Bytes to damage
+ * @param {Array<number>} positions - Byte positions
+ * @returns {Uint8Array} - The same bytes
+ */
+const damage = (bytes, positions) => {
+  for (const position of positions) bytes[position] ^= 0xFF;
+  return bytes;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// CODEWORDS
+// ═══════════════════════════════════════════════════════════════
+
+describe('rsEncode / rsDecode', () => {
+  // "hello world" as a version 1-M QR code: 16 data and 10 parity codewords
+  const QR_DATA = [0x40, 0xD2, 0x75, 0x47, 0x76, 0x17, 0x32, 0x06, 0x27, 0x26, 0x96, 0xC6, 0xC6, 0x96, 0x70, 0xEC];
+  const QR_PARITY = [0xBC, 0x2A, 0x90, 0x13, 0x6B, 0xAF, 0xEF, 0xFD, 0x4B, 0xE0];
+
+  it('matches a known QR code codeword', () => {
+    expect(rsEncode(Uint8Array.from(QR_DATA), 10)).toEqual(Uint8Array.from([...QR_DATA, ...QR_PARITY]));
+  });
+
+  it('accepts an undamaged codeword', () => {
+    const codeword = Uint8Array.from([...QR_DATA, ...QR_PARITY]);
+    expect(rsDecode(codeword, 10)).toBe(0);
+  });
+
+  it.each([
+    [ECC_LEVELS.LOW, 100],
+    [ECC_LEVELS.MEDIUM, 223],
+    [ECC_LEVELS.HIGH, 191],
+  ])('repairs up to %i / 2 damaged bytes in a %i-byte message', (nsym, length) => {
+    const message = testBytes(length, nsym);
+    const codeword = rsEncode(message, nsym);
+    // Spread over data and parity alike
+    const positions = Array.from({ length: nsym / 2 }, (_, i) => Math.floor((i * codeword.length) / (nsym / 2)));
+
+    const received = damage(codeword.slice(), positions);
+    expect(rsDecode(received, nsym)).toBe(nsym / 2);
+    expect(received).toEqual(codeword);
+  });
+
+  it('reports codewords beyond repair', () => {
+    const codeword = rsEncode(testBytes(200), ECC_LEVELS.LOW);
+    const received = damage(codeword.slice(), Array.from({ length: 20 }, (_, i) => i * 3));
+
+    expect(rsDecode(received, ECC_LEVELS.LOW)).toBe(-1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INTERLEAVED BLOCKS
+// ═══════════════════════════════════════════════════════════════
+
+describe('eccEncode / eccDecode', () => {
+  it.each([
+    [ECC_LEVELS.LOW, 1],
+    [ECC_LEVELS.LOW, 5000],
+    [ECC_LEVELS.MEDIUM, 1234],
+    [ECC_LEVELS.HIGH, 3000],
+  ])('repairs a burst across blocks (parity %i, %i bytes)', (nsym, length) => {
+    const data = testBytes(length, 7);
+    const encoded = eccEncode(data, nsym);
+    expect(encoded.length).toBe(eccEncodedLength(length, nsym));
+
+    // Interleaving spreads a burst of (nsym / 2) x blocks bytes evenly over the blocks
+    const blocks = Math.ceil(length / (255 - nsym));
+    const burst = (nsym / 2) * blocks;
+    const start = Math.floor((encoded.length - burst) / 2);
+    const damaged = damage(encoded.slice(), Array.from({ length: burst }, (_, i) => start + i));
+
+    expect(eccDecode(damaged, length, nsym)).toEqual({ data, corrected: burst });
+  });
+
+  it('fails when one block is beyond repair', () => {
+    const encoded = eccEncode(testBytes(1000), ECC_LEVELS.LOW);
+    const blocks = Math.ceil(1000 / (255 - ECC_LEVELS.LOW));
+    // Nine damaged bytes of the first block
+    const damaged = damage(encoded.slice(), Array.from({ length: 9 }, (_, i) => i * blocks));
+
+    expect(eccDecode(damaged, 1000, ECC_LEVELS.LOW)).toBeNull();
+  });
+
+  it('passes data through with error correction off', () => {
+    const data = testBytes(50);
+    expect(eccEncode(data, ECC_LEVELS.OFF)).toBe(data);
+    expect(eccDecode(data, 50, ECC_LEVELS.OFF)).toEqual({ data, corrected: 0 });
+  });
+
+  it.each(Object.values(ECC_LEVELS))('gives capacities that fit exactly (parity %i)', (nsym) => {
+    for (const available of [0, 17, 255, 256, 1000, 65537]) {
+      const capacity = eccCapacity(available, nsym);
+      if (capacity > 0) expect(eccEncodedLength(capacity, nsym)).toBeLessThanOrEqual(available);
+      expect(eccEncodedLength(capacity + 1, nsym)).toBeGreaterThan(available);
+    }
+  });
+});
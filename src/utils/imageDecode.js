@@ -0,0 +1,718 @@
+/**
+ * NEBULA - Image File Decoders
+ * Read the exact pixel values of PNG, GIF, BMP and lossless WebP files
+ * without a canvas. Canvases may alter low bits (colour management,
+ * premultiplied alpha, anti-fingerprinting noise), which destroys hidden
+ * data, and only show the first frame of an animation.
+ */
+
+import { inflateBytes } from '@/utils/compression';
+import { decodeVp8l } from '@/utils/vp8l';
+
+/**
+ * Largest image decoded here, in pixels
+ */
+const MAX_DECODE_PIXELS = 1 << 26;
+
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+/**
+ * Check image dimensions before allocating pixel data
+ * @param {number} width
+ * @param {number} height
+ */
+function checkSize(width, height) {
+  if (!width || !height) throw new Error('Image has no size');
+  if (width * height > MAX_DECODE_PIXELS) throw new Error('Image is too large to decode');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PNG
+// ═══════════════════════════════════════════════════════════════
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Samples per pixel, and allowed bit depths, by PNG colour type
+ */
+const PNG_COLOR_TYPES = {
+  0: { channels: 1, depths: [1, 2, 4, 8, 16] }, // greyscale
+  2: { channels: 3, depths: [8, 16] },          // RGB
+  3: { channels: 1, depths: [1, 2, 4, 8] },     // palette
+  4: { channels: 2, depths: [8, 16] },          // greyscale + alpha
+  6: { channels: 4, depths: [8, 16] },          // RGBA
+};
+
+/**
+ * Chunks that make a PNG animated
+ */
+const APNG_CHUNKS = ['acTL', 'fcTL', 'fdAT'];
+
+/**
+ * Adam7 passes: [x0, y0, dx, dy]
+ */
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/**
+ * Undo a PNG row filter, in place
+ * @param {Uint8Array} line - Filtered row
+ * @param {Uint8Array} previous - Unfiltered row above (zeros for the first)
+ * @param {number} filter - Filter type, 0 to 4
+ * @param {number} bpp - Bytes per complete pixel, at least 1
+ */
+function unfilterRow(line, previous, filter, bpp) {
+  if (filter > 4) throw new Error('PNG data is corrupt (unknown filter)');
+
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+    if (filter === 1) line[i] += left;
+    else if (filter === 2) line[i] += up;
+    else if (filter === 3) line[i] += (left + up) >> 1;
+    else if (filter === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      line[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+    }
+  }
+}
+
+/**
+ * Read the chunks of a PNG that decoding needs
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} - { header, palette, transparency, chunks } with chunks the
+ *   image data and animation chunks (IDAT, acTL, fcTL, fdAT) in file order, as { type, data }
+ */
+function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+
+  for (let offset = PNG_SIGNATURE.length; offset + 12 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      const fields = new DataView(data.buffer, data.byteOffset, data.length);
+      header = {
+        width: fields.getUint32(0),
+        height: fields.getUint32(4),
+        depth: data[8],
+        colorType: data[9],
+        interlaced: data[12] === 1,
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (APNG_CHUNKS.includes(type) || type === 'IDAT') {
+      chunks.push({ type, data });
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG has no header');
+  const format = PNG_COLOR_TYPES[header.colorType];
+  if (!format || !format.depths.includes(header.depth)) throw new Error('PNG uses an unknown colour format');
+  if (header.colorType === 3 && !palette) throw new Error('PNG has no palette');
+  checkSize(header.width, header.height);
+
+  return { header, palette, transparency, chunks };
+}
+
+/**
+ * Inflate and unfilter PNG image data to RGBA
+ * 16-bit samples keep their high byte, as browsers do.
+ * @param {Object} png - Output of readPngChunks
+ * @param {Array<Uint8Array>} parts - Compressed image data, in order
+ * @param {number} width - Image width (a frame's own, for APNG frames)
+ * @param {number} height - Image height
+ * @returns {Promise<Uint8ClampedArray>} - RGBA pixels
+ */
+async function decodePngData({ header, palette, transparency }, parts, width, height) {
+  const { depth, colorType, interlaced } = header;
+  const format = PNG_COLOR_TYPES[colorType];
+
+  const compressed = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((position, part) => {
+    compressed.set(part, position);
+    return position + part.length;
+  }, 0);
+  const raw = await inflateBytes(compressed);
+
+  const bitsPerPixel = format.channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << depth) - 1;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  const sample = (line, index) => {
+    if (depth === 8) return line[index];
+    if (depth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+    const bit = index * depth;
+    return (line[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const to8 = (value) => (depth === 16 ? value >> 8 : depth < 8 ? Math.round((value * 255) / maxSample) : value);
+  const key = (i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1];
+
+  const writePixel = (line, i, out) => {
+    const base = i * format.channels;
+    if (colorType === 3) {
+      const index = sample(line, i);
+      data.set(palette.subarray(index * 3, index * 3 + 3), out);
+      data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      return;
+    }
+
+    if (colorType === 0 || colorType === 4) {
+      const grey = sample(line, base);
+      data[out] = data[out + 1] = data[out + 2] = to8(grey);
+      data[out + 3] = colorType === 4 ? to8(sample(line, base + 1))
+        : transparency?.length >= 2 && grey === key(0) ? 0 : 255;
+      return;
+    }
+
+    const [r, g, b] = [sample(line, base), sample(line, base + 1), sample(line, base + 2)];
+    data[out] = to8(r);
+    data[out + 1] = to8(g);
+    data[out + 2] = to8(b);
+    data[out + 3] = colorType === 6 ? to8(sample(line, base + 3))
+      : transparency?.length >= 6 && r === key(0) && g === key(1) && b === key(2) ? 0 : 255;
+  };
+
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of interlaced ? ADAM7 : [[0, 0, 1, 1]]) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = new Uint8Array(stride);
+    for (let row = 0; row < passHeight; row++) {
+      if (offset + 1 + stride > raw.length) throw new Error('PNG data ends unexpectedly');
+      const filter = raw[offset];
+      const line = raw.slice(offset + 1, offset + 1 + stride);
+      offset += 1 + stride;
+      unfilterRow(line, previous, filter, bpp);
+
+      const y = y0 + row * dy;
+      for (let i = 0; i < passWidth; i++) writePixel(line, i, (y * width + x0 + i * dx) * 4);
+      previous = line;
+    }
+  }
+
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// APNG
+// ═══════════════════════════════════════════════════════════════
+
+const APNG_DISPOSE = {
+  NONE: 0,
+  BACKGROUND: 1, // clear the frame's area
+  PREVIOUS: 2,   // restore the area as it was before the frame
+};
+
+const APNG_BLEND = {
+  SOURCE: 0, // replace the area
+  OVER: 1,   // alpha-composite over it
+};
+
+/**
+ * Alpha-composite one RGBA pixel over another, in place
+ * @param {Uint8ClampedArray} target - Pixels drawn on
+ * @param {number} at - Byte offset in target
+ * @param {Uint8ClampedArray} source - Pixels drawn
+ * @param {number} from - Byte offset in source
+ */
+function blendOver(target, at, source, from) {
+  const alpha = source[from + 3];
+  if (alpha === 255) {
+    target.set(source.subarray(from, from + 4), at);
+    return;
+  }
+  if (alpha === 0) return;
+
+  const below = target[at + 3] * (255 - alpha) / 255;
+  const outAlpha = alpha + below;
+  for (let c = 0; c < 3; c++) {
+    target[at + c] = Math.round((source[from + c] * alpha + target[at + c] * below) / outAlpha);
+  }
+  target[at + 3] = Math.round(outAlpha);
+}
+
+/**
+ * Render every frame of an animated PNG
+ * @param {Object} png - Output of readPngChunks, with an acTL chunk
+ * @returns {Promise<Object>} - { width, height, frames, data } with the frames
+ *   stacked top to bottom in data
+ */
+async function decodeApngFrames(png) {
+  const { width, height } = png.header;
+
+  // Frame controls with their image data; IDAT is a frame only after an fcTL
+  const frames = [];
+  for (const { type, data } of png.chunks) {
+    if (type === 'fcTL') {
+      if (data.length < 26) throw new Error('PNG data is corrupt (short frame control)');
+      const fields = new DataView(data.buffer, data.byteOffset, data.length);
+      frames.push({
+        width: fields.getUint32(4),
+        height: fields.getUint32(8),
+        x: fields.getUint32(12),
+        y: fields.getUint32(16),
+        dispose: data[24],
+        blend: data[25],
+        parts: [],
+      });
+    } else if (type === 'IDAT' || type === 'fdAT') {
+      frames.at(-1)?.parts.push(type === 'IDAT' ? data : data.subarray(4));
+    }
+  }
+
+  const shown = frames.filter(({ parts }) => parts.length);
+  if (!shown.length) throw new Error('PNG has no image data');
+  checkSize(width, height * shown.length);
+
+  const frameBytes = width * height * 4;
+  const canvas = new Uint8ClampedArray(frameBytes);
+  const data = new Uint8ClampedArray(frameBytes * shown.length);
+
+  for (const [index, frame] of shown.entries()) {
+    if (!frame.width || !frame.height || frame.x + frame.width > width || frame.y + frame.height > height) {
+      throw new Error('PNG data is corrupt (frame outside the image)');
+    }
+    const pixels = await decodePngData(png, frame.parts, frame.width, frame.height);
+    const rowBytes = frame.width * 4;
+    const rowAt = (row) => ((frame.y + row) * width + frame.x) * 4;
+
+    // The first frame cannot restore what came before it
+    const dispose = index === 0 && frame.dispose === APNG_DISPOSE.PREVIOUS ? APNG_DISPOSE.BACKGROUND : frame.dispose;
+    const saved = dispose === APNG_DISPOSE.PREVIOUS
+      ? Array.from({ length: frame.height }, (_, row) => canvas.slice(rowAt(row), rowAt(row) + rowBytes))
+      : null;
+
+    for (let row = 0; row < frame.height; row++) {
+      const source = pixels.subarray(row * rowBytes, (row + 1) * rowBytes);
+      if (frame.blend === APNG_BLEND.OVER) {
+        for (let x = 0; x < rowBytes; x += 4) blendOver(canvas, rowAt(row) + x, source, x);
+      } else {
+        canvas.set(source, rowAt(row));
+      }
+    }
+    data.set(canvas, index * frameBytes);
+
+    for (let row = 0; row < frame.height; row++) {
+      if (dispose === APNG_DISPOSE.BACKGROUND) canvas.fill(0, rowAt(row), rowAt(row) + rowBytes);
+      if (dispose === APNG_DISPOSE.PREVIOUS) canvas.set(saved[row], rowAt(row));
+    }
+  }
+
+  return { width, height, frames: shown.length, data };
+}
+
+/**
+ * Decode a PNG to RGBA
+ * An animated PNG gives every frame, stacked top to bottom as in
+ * animation.js; viewers without APNG support only show its still image.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Promise<Object>} - { width, height, frames, data } with `frames` frames of `height` rows in data
+ */
+export async function decodePng(bytes) {
+  const png = readPngChunks(bytes);
+  if (png.chunks.some(({ type }) => type === 'acTL')) {
+    return decodeApngFrames(png);
+  }
+
+  const idat = png.chunks.filter(({ type }) => type === 'IDAT').map(({ data }) => data);
+  if (!idat.length) throw new Error('PNG has no image data');
+  const { width, height } = png.header;
+  return { width, height, frames: 1, data: await decodePngData(png, idat, width, height) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BMP
+// ═══════════════════════════════════════════════════════════════
+
+const BMP_COMPRESSION = {
+  RGB: 0,
+  BITFIELDS: 3,
+  ALPHA_BITFIELDS: 6,
+};
+
+/**
+ * Extract a masked channel and scale it to 8 bits
+ * @param {number} value - Pixel value
+ * @param {number} mask - Channel mask
+ * @returns {number}
+ */
+function maskedChannel(value, mask) {
+  if (!mask) return 0;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  const max = mask >>> shift;
+  const channel = (value & mask) >>> shift;
+  return max === 255 ? channel : Math.round((channel * 255) / max);
+}
+
+/**
+ * Decode an uncompressed BMP to RGBA
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object|null} - { width, height, data }, or null for run-length encoded or embedded JPEG/PNG files
+ */
+export function decodeBmp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const dataOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  const core = headerSize === 12;
+
+  const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+  const signedHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+  const bitCount = view.getUint16(core ? 24 : 28, true);
+  const compression = core ? BMP_COMPRESSION.RGB : view.getUint32(30, true);
+  if (!Object.values(BMP_COMPRESSION).includes(compression)) return null;
+  if (![1, 4, 8, 16, 24, 32].includes(bitCount)) return null;
+
+  const height = Math.abs(signedHeight);
+  checkSize(width, height);
+
+  // Channel masks follow a 40-byte header, or sit inside larger ones at the same place
+  let masks = bitCount === 16 ? [0x7C00, 0x03E0, 0x001F, 0] : [0xFF0000, 0x00FF00, 0x0000FF, 0];
+  if (compression !== BMP_COMPRESSION.RGB) {
+    masks = [0, 4, 8].map((at) => view.getUint32(54 + at, true));
+    masks.push(compression === BMP_COMPRESSION.ALPHA_BITFIELDS || headerSize >= 56 ? view.getUint32(66, true) : 0);
+  }
+
+  // Palette entries are BGR (core header) or BGRX
+  let palette = null;
+  const entrySize = core ? 3 : 4;
+  if (bitCount <= 8) {
+    const colorsUsed = core ? 0 : view.getUint32(46, true);
+    const count = colorsUsed || 1 << bitCount;
+    palette = bytes.subarray(14 + headerSize, 14 + headerSize + count * entrySize);
+  }
+
+  const rowSize = Math.floor((bitCount * width + 31) / 32) * 4;
+  if (dataOffset + rowSize * height > bytes.length) throw new Error('BMP data ends unexpectedly');
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up unless the height is negative
+    const row = dataOffset + (signedHeight < 0 ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+
+      if (palette) {
+        const bit = x * bitCount;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        const entry = index * entrySize;
+        data[out] = palette[entry + 2] ?? 0;
+        data[out + 1] = palette[entry + 1] ?? 0;
+        data[out + 2] = palette[entry] ?? 0;
+        data[out + 3] = 255;
+      } else if (bitCount === 24) {
+        data[out] = bytes[row + x * 3 + 2];
+        data[out + 1] = bytes[row + x * 3 + 1];
+        data[out + 2] = bytes[row + x * 3];
+        data[out + 3] = 255;
+      } else {
+        const value = bitCount === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        data[out] = maskedChannel(value, masks[0]);
+        data[out + 1] = maskedChannel(value, masks[1]);
+        data[out + 2] = maskedChannel(value, masks[2]);
+        data[out + 3] = masks[3] ? maskedChannel(value, masks[3]) : 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// GIF
+// ═══════════════════════════════════════════════════════════════
+
+const GIF_BLOCKS = {
+  EXTENSION: 0x21,
+  IMAGE: 0x2C,
+  TRAILER: 0x3B,
+};
+
+const GIF_GRAPHIC_CONTROL = 0xF9;
+
+const GIF_DISPOSE = {
+  BACKGROUND: 2, // clear the frame's area
+  PREVIOUS: 3,   // restore the area as it was before the frame
+};
+
+/**
+ * Interlaced GIF passes: [first row, row step]
+ */
+const GIF_INTERLACE = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+/**
+ * Expand GIF's variable-width LZW codes into colour indices
+ * @param {Uint8Array} bytes - Joined sub-block data
+ * @param {number} minCodeSize - Bits of the literal codes
+ * @param {number} count - Pixels in the frame; extra indices are dropped
+ * @returns {Uint8Array} - Colour indices (zeros where the data runs short)
+ */
+function lzwDecode(bytes, minCodeSize, count) {
+  if (minCodeSize < 2 || minCodeSize > 8) throw new Error('GIF data is corrupt (bad code size)');
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let code = 0; code < clearCode; code++) {
+    suffix[code] = code;
+    lengths[code] = 1;
+  }
+
+  const out = new Uint8Array(count);
+  let written = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let position = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  // Write a code's string at the end of the output
+  const writeCode = (code) => {
+    for (let k = lengths[code] - 1, entry = code; k >= 0; k--, entry = prefix[entry]) {
+      if (written + k < count) out[written + k] = suffix[entry];
+    }
+    written += lengths[code];
+  };
+
+  while (written < count) {
+    while (bitCount < codeSize && position < bytes.length) {
+      bits |= bytes[position++] << bitCount;
+      bitCount += 8;
+    }
+    if (bitCount < codeSize) break;
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    if (previous < 0) {
+      if (code > clearCode) throw new Error('GIF data is corrupt (bad code)');
+      writeCode(code);
+      previous = code;
+      continue;
+    }
+    if (code > nextCode) throw new Error('GIF data is corrupt (bad code)');
+
+    // A code not in the table yet is the previous string plus its own first index
+    let first = code < nextCode ? code : previous;
+    while (lengths[first] > 1) first = prefix[first];
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = suffix[first];
+      lengths[nextCode] = lengths[previous] + 1;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    writeCode(code);
+    previous = code;
+  }
+
+  return out;
+}
+
+/**
+ * Join the sub-blocks that start at an offset
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Offset of the first sub-block's size
+ * @returns {Object} - { data, end } with end the offset after the terminator
+ */
+function readSubBlocks(bytes, offset) {
+  const parts = [];
+  let position = offset;
+  while (position < bytes.length && bytes[position] !== 0) {
+    parts.push(bytes.subarray(position + 1, position + 1 + bytes[position]));
+    position += 1 + bytes[position];
+  }
+
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((at, part) => {
+    data.set(part, at);
+    return at + part.length;
+  }, 0);
+  return { data, end: position + 1 };
+}
+
+/**
+ * Decode a GIF to RGBA, rendering every frame
+ * Transparent pixels show the frames below, as in browsers; areas no frame
+ * covers are transparent.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} - { width, height, frames, data } with the frames stacked top to bottom in data
+ */
+export function decodeGif(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  checkSize(width, height);
+
+  const screenFlags = bytes[10];
+  let offset = 13;
+  let globalTable = null;
+  if (screenFlags & 0x80) {
+    globalTable = bytes.subarray(offset, offset + (3 << ((screenFlags & 7) + 1)));
+    offset += globalTable.length;
+  }
+
+  const frameBytes = width * height * 4;
+  const canvas = new Uint8ClampedArray(frameBytes);
+  const frames = [];
+  let control = null;
+
+  while (offset < bytes.length && bytes[offset] !== GIF_BLOCKS.TRAILER) {
+    const block = bytes[offset];
+
+    if (block === GIF_BLOCKS.EXTENSION) {
+      if (bytes[offset + 1] === GIF_GRAPHIC_CONTROL) {
+        const flags = bytes[offset + 3];
+        control = { dispose: (flags >> 2) & 7, transparent: flags & 1 ? bytes[offset + 6] : -1 };
+      }
+      offset = readSubBlocks(bytes, offset + 2).end;
+      continue;
+    }
+    if (block !== GIF_BLOCKS.IMAGE) throw new Error('GIF data is corrupt (unknown block)');
+
+    const x = view.getUint16(offset + 1, true);
+    const y = view.getUint16(offset + 3, true);
+    const frameWidth = view.getUint16(offset + 5, true);
+    const frameHeight = view.getUint16(offset + 7, true);
+    const flags = bytes[offset + 9];
+    offset += 10;
+
+    let table = globalTable;
+    if (flags & 0x80) {
+      table = bytes.subarray(offset, offset + (3 << ((flags & 7) + 1)));
+      offset += table.length;
+    }
+    if (!table) throw new Error('GIF has no colour table');
+
+    const minCodeSize = bytes[offset];
+    const { data: compressed, end } = readSubBlocks(bytes, offset + 1);
+    offset = end;
+    const indices = lzwDecode(compressed, minCodeSize, frameWidth * frameHeight);
+
+    // Interlaced frames store every 8th row first, and so on
+    const rows = flags & 0x40
+      ? GIF_INTERLACE.flatMap(([start, step]) => Array.from(
+        { length: Math.max(0, Math.ceil((frameHeight - start) / step)) }, (_, i) => start + i * step
+      ))
+      : Array.from({ length: frameHeight }, (_, i) => i);
+
+    const { dispose = 0, transparent = -1 } = control ?? {};
+    const saved = dispose === GIF_DISPOSE.PREVIOUS ? canvas.slice() : null;
+
+    rows.forEach((row, stored) => {
+      const canvasY = y + row;
+      if (canvasY >= height) return;
+      for (let column = 0; column < frameWidth && x + column < width; column++) {
+        const index = indices[stored * frameWidth + column];
+        if (index === transparent) continue;
+        const out = (canvasY * width + x + column) * 4;
+        canvas[out] = table[index * 3] ?? 0;
+        canvas[out + 1] = table[index * 3 + 1] ?? 0;
+        canvas[out + 2] = table[index * 3 + 2] ?? 0;
+        canvas[out + 3] = 255;
+      }
+    });
+    checkSize(width, height * (frames.length + 1));
+    frames.push(canvas.slice());
+
+    if (dispose === GIF_DISPOSE.BACKGROUND) {
+      for (let row = y; row < Math.min(height, y + frameHeight); row++) {
+        canvas.fill(0, (row * width + x) * 4, (row * width + Math.min(width, x + frameWidth)) * 4);
+      }
+    } else if (saved) {
+      canvas.set(saved);
+    }
+    control = null;
+  }
+
+  if (!frames.length) throw new Error('GIF has no image data');
+  const data = new Uint8ClampedArray(frameBytes * frames.length);
+  frames.forEach((frame, i) => data.set(frame, i * frameBytes));
+  return { width, height, frames: frames.length, data };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WEBP
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Find a chunk in a RIFF file
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} type - Four-letter chunk type
+ * @returns {Uint8Array|null} - Chunk data
+ */
+function findRiffChunk(bytes, type) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const size = view.getUint32(offset + 4, true);
+    if (ascii(bytes, offset, 4) === type) return bytes.subarray(offset + 8, offset + 8 + size);
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Decode an image file to its exact RGBA pixel values
+ * Animated PNGs and GIFs give all their frames, stacked top to bottom (see
+ * animation.js). Lossy and animated WebP files are left to the browser: they
+ * cannot carry pixel-level data anyway.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Promise<Object|null>} - { width, height, frames, data }, or null for formats not handled here
+ */
+export async function decodeImageFile(bytes) {
+  if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    return decodePng(bytes);
+  }
+
+  if (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a') {
+    return decodeGif(bytes);
+  }
+
+  if (ascii(bytes, 0, 2) === 'BM') {
+    const image = decodeBmp(bytes);
+    return image && { ...image, frames: 1 };
+  }
+
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    if (findRiffChunk(bytes, 'ANIM')) return null;
+    const lossless = findRiffChunk(bytes, 'VP8L');
+    return lossless && { ...decodeVp8l(lossless), frames: 1 };
+  }
+
+  return null;
+}
@@ -0,0 +1,93 @@
+/**
+ * NEBULA - Image File Decoder Tests
+ * Decodes fixtures written by other encoders (libvips through sharp for PNG,
+ * GIF and WebP, UPNG.js for APNG, bmp-js for BMP) and checks every pixel
+ * against the patterns they were made from
+ */
+
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { decodeImageFile } from '@/utils/imageDecode';
+import {
+  FIXTURE_WIDTH,
+  FIXTURE_HEIGHT,
+  animationFrames,
+  greyPixels,
+  noisePixels,
+  stackFrames,
+  tilePixels,
+  windowFrames,
+} from '@/utils/__fixtures__/patterns';
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url)));
+
+// Decoders return canvas-style clamped arrays
+const bytesOf = ({ data }) => new Uint8Array(data.buffer, data.byteOffset, data.length);
+
+/**
+ * Spread greyscale samples over opaque RGBA pixels
+ * @param {Uint8Array} grey - One byte per pixel
+ * @returns {Uint8Array}
+ */
+const greyToRgba = (grey) => {
+  const rgba = new Uint8Array(grey.length * 4);
+  grey.forEach((value, i) => rgba.set([value, value, value, 255], i * 4));
+  return rgba;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// EXACT PIXELS
+// ═══════════════════════════════════════════════════════════════
+
+describe('decodeImageFile', () => {
+  it.each([
+    ['rgba.png', 'RGBA PNG with adaptive filters', () => noisePixels({ alpha: true })],
+    ['rgb.png', 'RGB PNG', () => noisePixels()],
+    ['rgb16.png', '16-bit RGB PNG, reduced to the high bytes', () => noisePixels()],
+    ['grey.png', 'greyscale PNG', () => greyToRgba(greyPixels())],
+    ['palette.png', '4-bit palette PNG with tRNS alpha', () => tilePixels({ translucent: true })],
+    ['interlaced.png', 'Adam7 interlaced PNG', () => noisePixels({ alpha: true })],
+    ['interlaced.gif', 'interlaced GIF', () => tilePixels()],
+    ['bottomup.bmp', 'bottom-up 24-bit BMP', () => noisePixels()],
+    ['topdown.bmp', 'top-down 24-bit BMP', () => noisePixels()],
+    ['lossless.webp', 'lossless WebP with alpha', () => noisePixels({ alpha: true })],
+  ])('decodes %s (%s)', async (name, _, expected) => {
+    const image = await decodeImageFile(fixture(name));
+
+    expect(image).toMatchObject({ width: FIXTURE_WIDTH, height: FIXTURE_HEIGHT, frames: 1 });
+    expect(bytesOf(image)).toEqual(expected());
+  });
+
+  it.each([
+    ['animated.png', 'APNG with frames blended over the previous ones', () => animationFrames(3)],
+    ['animated-palette.png', 'palette APNG with frames replacing their regions', () => windowFrames(3)],
+    ['animated.gif', 'GIF with partial frames', () => animationFrames(3, { tiles: true })],
+  ])('renders every frame of %s (%s)', async (name, _, frames) => {
+    const image = await decodeImageFile(fixture(name));
+
+    expect(image).toMatchObject({ width: FIXTURE_WIDTH, height: FIXTURE_HEIGHT, frames: 3 });
+    expect(bytesOf(image)).toEqual(stackFrames(frames()));
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // OTHER FILES
+  // ═══════════════════════════════════════════════════════════════
+
+  it('leaves formats it does not handle to the browser', async () => {
+    expect(await decodeImageFile(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10]))).toBeNull();
+  });
+
+  it('rejects truncated PNG data', async () => {
+    const png = fixture('rgba.png');
+    const header = png.subarray(0, 33);
+    await expect(decodeImageFile(header)).rejects.toThrow('PNG has no image data');
+  });
+
+  it('rejects GIF data with an unknown block', async () => {
+    const gif = fixture('interlaced.gif');
+    const damaged = gif.slice();
+    // First block after the global colour table
+    damaged[13 + 3 * (2 << (gif[10] & 7))] = 0x42;
+    await expect(decodeImageFile(damaged)).rejects.toThrow('GIF data is corrupt');
+  });
+});
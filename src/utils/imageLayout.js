@@ -0,0 +1,143 @@
+/**
+ * NEBULA - Image Carrier Layouts
+ * Which colour channels and how many low bits per channel an image hides data in
+ */
+
+import { createPixelCarrier, createScatteredCarrier, concatCarriers } from '@/utils/bitstream';
+
+// ═══════════════════════════════════════════════════════════════
+// LAYOUTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Image output formats, which also decide where data hides
+ */
+export const IMAGE_FORMATS = {
+  PNG: 'png',   // lossless: pixel bits, in a layout (below)
+  JPEG: 'jpeg', // DCT coefficients of the compressed file (see dctCarrier.js)
+  APNG: 'apng', // animated PNG: pixel bits spread over every frame (see animation.js)
+  GIF: 'gif',   // animated GIF, like APNG within 256 colours per frame
+};
+
+/**
+ * Whether a format draws an animation of the artwork
+ * @param {string} format - IMAGE_FORMATS value
+ * @returns {boolean}
+ */
+export const isAnimatedFormat = (format) => format === IMAGE_FORMATS.APNG || format === IMAGE_FORMATS.GIF;
+
+/**
+ * Colour channels, as offsets into RGBA pixel data
+ * Alpha is not offered: canvases store premultiplied colour, so pixels made
+ * translucent would lose the low bits of their other channels.
+ */
+export const IMAGE_CHANNELS = {
+  RED: 0,
+  GREEN: 1,
+  BLUE: 2,
+};
+
+export const MAX_BITS_PER_CHANNEL = 4;
+
+/**
+ * The original layout: the lowest bit of the blue channel
+ * Blue bit 0 is part of every layout, as it holds the container header.
+ */
+export const DEFAULT_IMAGE_LAYOUT = {
+  channels: [IMAGE_CHANNELS.BLUE],
+  depth: 1,
+};
+
+/**
+ * Layout code, as stored in the container header (see container.js):
+ *
+ *   bit 0      red channel
+ *   bit 1      green channel
+ *   bits 4-5   bits per channel - 1
+ *
+ * Blue is implied, so the default layout is code 0.
+ */
+const CODE_RED = 0x01;
+const CODE_GREEN = 0x02;
+const CODE_KNOWN_BITS = 0x33;
+
+/**
+ * Turn a layout into its header code
+ * @param {Object} layout - { channels, depth }
+ * @returns {number} - 0 for DEFAULT_IMAGE_LAYOUT
+ */
+export function encodeImageLayout({ channels, depth }) {
+  let code = (depth - 1) << 4;
+  if (channels.includes(IMAGE_CHANNELS.RED)) code |= CODE_RED;
+  if (channels.includes(IMAGE_CHANNELS.GREEN)) code |= CODE_GREEN;
+  return code;
+}
+
+/**
+ * Turn a header code back into a layout
+ * @param {number} code - Layout code
+ * @returns {Object|null} - { channels, depth } or null for an unknown code
+ */
+export function decodeImageLayout(code) {
+  if (code & ~CODE_KNOWN_BITS) return null;
+
+  const channels = [];
+  if (code & CODE_RED) channels.push(IMAGE_CHANNELS.RED);
+  if (code & CODE_GREEN) channels.push(IMAGE_CHANNELS.GREEN);
+  channels.push(IMAGE_CHANNELS.BLUE);
+
+  return { channels, depth: ((code >> 4) & 0x03) + 1 };
+}
+
+/**
+ * Hidden bits per pixel in a layout
+ * @param {Object} layout - { channels, depth }
+ * @returns {number}
+ */
+export const layoutBitsPerPixel = ({ channels, depth }) => channels.length * depth;
+
+// ═══════════════════════════════════════════════════════════════
+// CARRIERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Carrier over an image's pixels in a layout, in keyed order
+ * Blue bit 0 comes first, scattered exactly as in the default layout, so the
+ * header sits where a decoder looks before it knows the layout. Then each
+ * further bit plane level is used in turn, lowest first, so a short message
+ * leaves the higher bits untouched.
+ * @param {Uint8ClampedArray} pixels - ImageData.data
+ * @param {Object} layout - { channels, depth }
+ * @param {Uint8Array} key - 32-byte embedding key
+ * @returns {Object} - Scattered carrier
+ */
+export function createLayoutCarrier(pixels, layout, key) {
+  const channels = [...layout.channels].sort((a, b) => a - b);
+  const levels = [createScatteredCarrier(createPixelCarrier(pixels, IMAGE_CHANNELS.BLUE, 0), key)];
+
+  for (let plane = 0; plane < layout.depth; plane++) {
+    const planes = channels
+      .filter((channel) => plane > 0 || channel !== IMAGE_CHANNELS.BLUE)
+      .map((channel) => createPixelCarrier(pixels, channel, plane));
+    if (planes.length) levels.push(createScatteredCarrier(concatCarriers(planes), key));
+  }
+
+  return concatCarriers(levels);
+}
+
+/**
+ * Carrier for decoding an image whose layout is not known yet
+ * It reads like the default layout (blue bit 0); readContainer switches to
+ * the layout named in the header through `withLayout`.
+ * @param {Uint8ClampedArray} pixels - ImageData.data
+ * @returns {Object} - Pixel carrier with withLayout(code, key)
+ */
+export function createImageCarrier(pixels) {
+  return {
+    ...createPixelCarrier(pixels),
+    withLayout: (code, key) => {
+      const layout = decodeImageLayout(code);
+      return layout && createLayoutCarrier(pixels, layout, key);
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * NEBULA - Image Carrier Layout Tests
+ * Layout codes, and messages hidden at the largest artwork size in the
+ * heaviest layout
+ */
+
+import { describe, expect, it } from 'vitest';
+import { ARTWORK_SIZES } from '@/utils/artworkSize';
+import { readBytes, writeBytes } from '@/utils/bitstream';
+import {
+  createLayoutCarrier,
+  decodeImageLayout,
+  DEFAULT_IMAGE_LAYOUT,
+  encodeImageLayout,
+  IMAGE_CHANNELS,
+  layoutBitsPerPixel,
+  MAX_BITS_PER_CHANNEL,
+} from '@/utils/imageLayout';
+
+const KEY = Uint8Array.from({ length: 32 }, (_, i) => i * 7 + 3);
+
+const HEAVIEST_LAYOUT = {
+  channels: [IMAGE_CHANNELS.RED, IMAGE_CHANNELS.GREEN, IMAGE_CHANNELS.BLUE],
+  depth: MAX_BITS_PER_CHANNEL,
+};
+
+describe('encodeImageLayout / decodeImageLayout', () => {
+  it('gives the default layout code 0', () => {
+    expect(encodeImageLayout(DEFAULT_IMAGE_LAYOUT)).toBe(0);
+    expect(decodeImageLayout(0)).toEqual(DEFAULT_IMAGE_LAYOUT);
+  });
+
+  it('round-trips the heaviest layout', () => {
+    expect(decodeImageLayout(encodeImageLayout(HEAVIEST_LAYOUT))).toEqual(HEAVIEST_LAYOUT);
+  });
+
+  it('rejects unknown codes', () => {
+    expect(decodeImageLayout(0x80)).toBeNull();
+  });
+});
+
+describe('createLayoutCarrier', () => {
+  it('hides a message at the largest artwork size in the heaviest layout without a full order', () => {
+    const { width, height } = ARTWORK_SIZES.reduce((a, b) => (a.width * a.height >= b.width * b.height ? a : b));
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const message = Uint8Array.from({ length: 20000 }, (_, i) => (i * 37) & 0xFF);
+
+    const before = process.memoryUsage().arrayBuffers;
+    const carrier = createLayoutCarrier(pixels, HEAVIEST_LAYOUT, KEY);
+    writeBytes(carrier, message);
+    const used = process.memoryUsage().arrayBuffers - before;
+
+    expect(carrier.length).toBe(width * height * layoutBitsPerPixel(HEAVIEST_LAYOUT));
+    // A full order would take 4 bytes per slot: about 400 MB here
+    expect(used).toBeLessThan(16 * 1024 * 1024);
+    expect(readBytes(createLayoutCarrier(pixels, HEAVIEST_LAYOUT, KEY), message.length)).toEqual(message);
+  });
+});
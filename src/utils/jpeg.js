@@ -0,0 +1,685 @@
+/**
+ * NEBULA - JPEG Codec
+ * Baseline JPEG at the level of quantized DCT coefficients: pixels to
+ * coefficients, coefficients to a file, and a file back to coefficients.
+ * Hiding data happens in between (see dctCarrier.js); decoding to pixels is
+ * left to the browser.
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// TABLES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Quality choices offered for JPEG output (IJG scale, 1-100)
+ */
+export const JPEG_QUALITIES = [75, 85, 95];
+export const DEFAULT_JPEG_QUALITY = 85;
+
+/**
+ * Natural (row-major) position of each coefficient in zigzag order
+ */
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+/**
+ * Example quantization tables from the JPEG standard (Annex K), natural order
+ */
+const LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+
+const CHROMA_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99),
+];
+
+/**
+ * Typical Huffman tables from the JPEG standard (Annex K.3)
+ * counts[i] is the number of codes of length i + 1.
+ */
+const STANDARD_HUFFMAN = {
+  lumaDc: {
+    counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  chromaDc: {
+    counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  lumaAc: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+      0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+      0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+      0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+      0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+      0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+      0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+      0xF9, 0xFA,
+    ],
+  },
+  chromaAc: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+      0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+      0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+      0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+      0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+      0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+      0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+      0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+      0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+      0xF9, 0xFA,
+    ],
+  },
+};
+
+/**
+ * Largest quantized AC magnitude baseline Huffman coding can express
+ */
+export const MAX_AC_COEFFICIENT = 1023;
+const MAX_DC_COEFFICIENT = 2047;
+
+/**
+ * Scale a base quantization table to a quality, as libjpeg does
+ * @param {Array<number>} base - Table in natural order
+ * @param {number} quality - 1 to 100
+ * @returns {Uint16Array} - Table in zigzag order
+ */
+function scaleQuantTable(base, quality) {
+  const q = Math.min(100, Math.max(1, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return Uint16Array.from(ZIGZAG, (pos) => Math.min(255, Math.max(1, Math.floor((base[pos] * scale + 50) / 100))));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// JPEG DATA
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A JPEG as this module sees it:
+ *
+ *   {
+ *     width, height,
+ *     quantTables: [Uint16Array(64)],          zigzag order, indexed by tq
+ *     components: [{
+ *       id, h, v, tq,                           as in the frame header
+ *       blocksPerLine, blocksPerColumn,         blocks stored, MCU padding included
+ *       blocks: Int16Array,                     64 quantized coefficients per block, zigzag order
+ *     }],
+ *   }
+ *
+ * Index 0 of each block is the DC coefficient, 1-63 the AC coefficients.
+ */
+
+/**
+ * Fill in the block counts of a frame's components
+ * @param {Object} jpeg - { width, height, components } with h and v set
+ */
+function allocateBlocks(jpeg) {
+  const hMax = Math.max(...jpeg.components.map(({ h }) => h));
+  const vMax = Math.max(...jpeg.components.map(({ v }) => v));
+  jpeg.mcusPerLine = Math.ceil(jpeg.width / (8 * hMax));
+  jpeg.mcusPerColumn = Math.ceil(jpeg.height / (8 * vMax));
+
+  for (const component of jpeg.components) {
+    // Blocks holding image data; the rest pad out the last MCU row and column
+    component.codedBlocksPerLine = Math.ceil(Math.ceil((jpeg.width * component.h) / hMax) / 8);
+    component.codedBlocksPerColumn = Math.ceil(Math.ceil((jpeg.height * component.v) / vMax) / 8);
+    component.blocksPerLine = jpeg.mcusPerLine * component.h;
+    component.blocksPerColumn = jpeg.mcusPerColumn * component.v;
+    component.blocks = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PIXELS TO COEFFICIENTS
+// ═══════════════════════════════════════════════════════════════
+
+let dctTable = null;
+
+/**
+ * DCT basis: dctTable[u * 8 + x] = C(u) / 2 * cos((2x + 1) u pi / 16)
+ */
+const getDctTable = () => {
+  if (!dctTable) {
+    dctTable = new Float64Array(64);
+    for (let u = 0; u < 8; u++) {
+      const c = u === 0 ? Math.SQRT1_2 : 1;
+      for (let x = 0; x < 8; x++) {
+        dctTable[u * 8 + x] = (c / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+      }
+    }
+  }
+  return dctTable;
+};
+
+/**
+ * Transform and quantize one 8x8 block of level-shifted samples
+ * @param {Float64Array} samples - 64 samples, row-major
+ * @param {Uint16Array} quant - Quantization table, zigzag order
+ * @param {Int16Array} out - Destination
+ * @param {number} offset - Index of the block in `out`
+ */
+function quantizeBlock(samples, quant, out, offset) {
+  const table = getDctTable();
+  const rows = new Float64Array(64);
+
+  // Rows first (horizontal frequencies), then columns
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += table[u * 8 + x] * samples[y * 8 + x];
+      rows[y * 8 + u] = sum;
+    }
+  }
+
+  for (let k = 0; k < 64; k++) {
+    const u = ZIGZAG[k] & 7;
+    const v = ZIGZAG[k] >> 3;
+    let sum = 0;
+    for (let y = 0; y < 8; y++) sum += table[v * 8 + y] * rows[y * 8 + u];
+
+    const limit = k ? MAX_AC_COEFFICIENT : MAX_DC_COEFFICIENT;
+    out[offset + k] = Math.max(-limit, Math.min(limit, Math.round(sum / quant[k])));
+  }
+}
+
+/**
+ * Compress pixels to quantized DCT coefficients (YCbCr, no chroma subsampling)
+ * Chroma is kept at full resolution: it costs a little file size but keeps
+ * three times the coefficients to hide data in. Alpha is ignored.
+ * @param {Object} imageData - { width, height, data } as from getImageData
+ * @param {number} quality - 1 to 100
+ * @returns {Object} - JPEG data (see above)
+ */
+export function createJpeg({ width, height, data }, quality = DEFAULT_JPEG_QUALITY) {
+  const jpeg = {
+    width,
+    height,
+    quantTables: [scaleQuantTable(LUMA_QUANT, quality), scaleQuantTable(CHROMA_QUANT, quality)],
+    components: [1, 2, 3].map((id) => ({ id, h: 1, v: 1, tq: id === 1 ? 0 : 1 })),
+  };
+  allocateBlocks(jpeg);
+
+  const planes = [new Float64Array(64), new Float64Array(64), new Float64Array(64)];
+  const { blocksPerLine, blocksPerColumn } = jpeg.components[0];
+
+  for (let by = 0; by < blocksPerColumn; by++) {
+    for (let bx = 0; bx < blocksPerLine; bx++) {
+      for (let y = 0; y < 8; y++) {
+        // Edge blocks repeat the last row and column
+        const py = Math.min(by * 8 + y, height - 1);
+        for (let x = 0; x < 8; x++) {
+          const px = Math.min(bx * 8 + x, width - 1);
+          const i = (py * width + px) * 4;
+          const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+
+          planes[0][y * 8 + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+          planes[1][y * 8 + x] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+          planes[2][y * 8 + x] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+        }
+      }
+
+      const offset = (by * blocksPerLine + bx) * 64;
+      jpeg.components.forEach((component, c) => {
+        quantizeBlock(planes[c], jpeg.quantTables[component.tq], component.blocks, offset);
+      });
+    }
+  }
+
+  return jpeg;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HUFFMAN CODING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Assign canonical codes to a table's symbols (Annex C)
+ * @param {Object} table - { counts, symbols }
+ * @returns {Array<Object>} - [{ symbol, code, length }] in symbol order of the table
+ */
+function canonicalCodes({ counts, symbols }) {
+  const codes = [];
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes.push({ symbol: symbols[k++], code: code++, length });
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+/**
+ * Encoder lookup: code and length by symbol
+ * @param {Object} table - { counts, symbols }
+ * @returns {Object} - { codes: Uint16Array(256), lengths: Uint8Array(256) }
+ */
+function buildEncoder(table) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  for (const { symbol, code, length } of canonicalCodes(table)) {
+    codes[symbol] = code;
+    lengths[symbol] = length;
+  }
+  return { codes, lengths };
+}
+
+/**
+ * Decoder lookup: symbols by code, per code length (Annex F.2.2.3)
+ * @param {Object} table - { counts, symbols }
+ * @returns {Object} - { maxCode, valueOffset, symbols }
+ */
+function buildDecoder(table) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = table.counts[length - 1];
+    valueOffset[length] = k - code;
+    code += count;
+    k += count;
+    if (count) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  // Sentinel so decoding stops on codes longer than 16 bits
+  maxCode[17] = 0x7FFFFFFF;
+  return { maxCode, valueOffset, symbols: table.symbols };
+}
+
+/**
+ * Magnitude category of a coefficient or DC difference
+ * @param {number} value
+ * @returns {number} - Bits needed for |value|
+ */
+const categoryOf = (value) => 32 - Math.clz32(Math.abs(value));
+
+// ═══════════════════════════════════════════════════════════════
+// COEFFICIENTS TO FILE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Growable byte buffer with a JPEG entropy-coded bit writer
+ */
+function createByteWriter() {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const byte = (value) => {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = value;
+  };
+
+  return {
+    byte,
+    word: (value) => {
+      byte(value >> 8);
+      byte(value & 0xFF);
+    },
+    array: (values) => values.forEach(byte),
+    bits: (value, count) => {
+      for (let b = count - 1; b >= 0; b--) {
+        bitBuffer = (bitBuffer << 1) | ((value >> b) & 1);
+        if (++bitCount === 8) {
+          byte(bitBuffer);
+          // 0xFF in entropy-coded data is followed by a stuffed zero byte
+          if (bitBuffer === 0xFF) byte(0);
+          bitBuffer = 0;
+          bitCount = 0;
+        }
+      }
+    },
+    // Pad the last byte with one bits
+    flushBits() {
+      if (bitCount) this.bits(0xFF, 8 - bitCount);
+    },
+    result: () => bytes.slice(0, length),
+  };
+}
+
+/**
+ * Write a JPEG file (baseline, JFIF, standard Huffman tables)
+ * The first component uses the luma Huffman tables, the others the chroma ones.
+ * @param {Object} jpeg - JPEG data (see above)
+ * @returns {Uint8Array} - File bytes
+ */
+export function writeJpeg(jpeg) {
+  const out = createByteWriter();
+  const { components } = jpeg;
+  const tables = [
+    { dc: STANDARD_HUFFMAN.lumaDc, ac: STANDARD_HUFFMAN.lumaAc },
+    { dc: STANDARD_HUFFMAN.chromaDc, ac: STANDARD_HUFFMAN.chromaAc },
+  ];
+  const tableFor = (index) => (index === 0 ? 0 : 1);
+
+  // SOI, then a minimal JFIF header: version 1.1, no density, no thumbnail
+  out.word(0xFFD8);
+  out.word(0xFFE0);
+  out.word(16);
+  out.array([0x4A, 0x46, 0x49, 0x46, 0x00, 1, 1, 0]);
+  out.word(1);
+  out.word(1);
+  out.array([0, 0]);
+
+  jpeg.quantTables.forEach((table, id) => {
+    out.word(0xFFDB);
+    out.word(67);
+    out.byte(id);
+    out.array(table);
+  });
+
+  out.word(0xFFC0);
+  out.word(8 + components.length * 3);
+  out.byte(8);
+  out.word(jpeg.height);
+  out.word(jpeg.width);
+  out.byte(components.length);
+  for (const { id, h, v, tq } of components) out.array([id, (h << 4) | v, tq]);
+
+  const usedTables = components.length > 1 ? [0, 1] : [0];
+  for (const id of usedTables) {
+    for (const [tableClass, table] of [[0, tables[id].dc], [1, tables[id].ac]]) {
+      out.word(0xFFC4);
+      out.word(19 + table.symbols.length);
+      out.byte((tableClass << 4) | id);
+      out.array(table.counts);
+      out.array(table.symbols);
+    }
+  }
+
+  out.word(0xFFDA);
+  out.word(6 + components.length * 2);
+  out.byte(components.length);
+  components.forEach(({ id }, index) => out.array([id, (tableFor(index) << 4) | tableFor(index)]));
+  out.array([0, 63, 0]);
+
+  const encoders = tables.map(({ dc, ac }) => ({ dc: buildEncoder(dc), ac: buildEncoder(ac) }));
+  const predictions = components.map(() => 0);
+
+  const writeValue = ({ codes, lengths }, symbol, value, size) => {
+    out.bits(codes[symbol], lengths[symbol]);
+    // Negative values are stored as value - 1 in `size` bits
+    if (size) out.bits(value < 0 ? value + (1 << size) - 1 : value, size);
+  };
+
+  const writeBlock = (index, offset) => {
+    const { blocks } = components[index];
+    const { dc, ac } = encoders[tableFor(index)];
+
+    const diff = blocks[offset] - predictions[index];
+    predictions[index] = blocks[offset];
+    writeValue(dc, categoryOf(diff), diff, categoryOf(diff));
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = blocks[offset + k];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      for (; run > 15; run -= 16) writeValue(ac, 0xF0, 0, 0);
+      const size = categoryOf(value);
+      writeValue(ac, (run << 4) | size, value, size);
+      run = 0;
+    }
+    if (run) writeValue(ac, 0x00, 0, 0);
+  };
+
+  for (let row = 0; row < jpeg.mcusPerColumn; row++) {
+    for (let col = 0; col < jpeg.mcusPerLine; col++) {
+      components.forEach((component, index) => {
+        for (let y = 0; y < component.v; y++) {
+          for (let x = 0; x < component.h; x++) {
+            const block = (row * component.v + y) * component.blocksPerLine + col * component.h + x;
+            writeBlock(index, block * 64);
+          }
+        }
+      });
+    }
+  }
+
+  out.flushBits();
+  out.word(0xFFD9);
+  return out.result();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FILE TO COEFFICIENTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check for the JPEG start-of-image marker
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {boolean}
+ */
+export const isJpeg = (bytes) => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+
+/**
+ * Read one scan's entropy-coded data into the components' blocks
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - Offset of the first entropy-coded byte
+ * @param {Object} jpeg - Frame being read
+ * @param {Array<Object>} scan - [{ component, dc, ac }] decoders per scan component
+ * @param {number} restartInterval - MCUs between restart markers, 0 for none
+ * @returns {number} - Offset of the marker after the scan
+ */
+function readScan(bytes, start, jpeg, scan, restartInterval) {
+  let position = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (position >= bytes.length) throw new Error('JPEG data ends unexpectedly');
+      bitBuffer = bytes[position++];
+      if (bitBuffer === 0xFF) {
+        if (bytes[position] !== 0) throw new Error('JPEG data is corrupt (unexpected marker)');
+        position++;
+      }
+      bitCount = 8;
+    }
+    return (bitBuffer >> --bitCount) & 1;
+  };
+
+  const receive = (size) => {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = (value << 1) | readBit();
+    return value;
+  };
+
+  // Undo the negative value coding of writeValue
+  const extend = (value, size) => (value < 1 << (size - 1) ? value - (1 << size) + 1 : value);
+
+  const decodeSymbol = ({ maxCode, valueOffset, symbols }) => {
+    let code = readBit();
+    let length = 1;
+    while (code > maxCode[length]) {
+      code = (code << 1) | readBit();
+      if (++length > 16) throw new Error('JPEG data is corrupt (bad Huffman code)');
+    }
+    return symbols[code + valueOffset[length]];
+  };
+
+  const readBlock = (entry, offset) => {
+    const { component } = entry;
+    const size = decodeSymbol(entry.dc);
+    entry.prediction += size ? extend(receive(size), size) : 0;
+    component.blocks[offset] = entry.prediction;
+
+    for (let k = 1; k < 64;) {
+      const symbol = decodeSymbol(entry.ac);
+      const run = symbol >> 4;
+      const acSize = symbol & 0x0F;
+      if (!acSize) {
+        if (run < 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) throw new Error('JPEG data is corrupt (coefficient out of range)');
+      component.blocks[offset + k++] = extend(receive(acSize), acSize);
+    }
+  };
+
+  // A scan of one component walks its own blocks; an interleaved scan walks MCUs
+  const single = scan.length === 1;
+  const mcusPerLine = single ? scan[0].component.codedBlocksPerLine : jpeg.mcusPerLine;
+  const mcuCount = single
+    ? mcusPerLine * scan[0].component.codedBlocksPerColumn
+    : jpeg.mcusPerLine * jpeg.mcusPerColumn;
+
+  for (const entry of scan) entry.prediction = 0;
+
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (restartInterval && mcu && mcu % restartInterval === 0) {
+      // Restart: byte-align, skip the RSTn marker and reset DC predictions
+      bitCount = 0;
+      if (bytes[position] !== 0xFF || (bytes[position + 1] & 0xF8) !== 0xD0) {
+        throw new Error('JPEG data is corrupt (missing restart marker)');
+      }
+      position += 2;
+      for (const entry of scan) entry.prediction = 0;
+    }
+
+    const row = Math.floor(mcu / mcusPerLine);
+    const col = mcu % mcusPerLine;
+
+    for (const entry of scan) {
+      const { component } = entry;
+      const [h, v] = single ? [1, 1] : [component.h, component.v];
+      for (let y = 0; y < v; y++) {
+        for (let x = 0; x < h; x++) {
+          const block = (row * v + y) * component.blocksPerLine + col * h + x;
+          readBlock(entry, block * 64);
+        }
+      }
+    }
+  }
+
+  // Skip padding up to the next marker
+  while (position < bytes.length && !(bytes[position] === 0xFF && bytes[position + 1] && (bytes[position + 1] & 0xF8) !== 0xD0)) {
+    position++;
+  }
+  return position;
+}
+
+/**
+ * Read the quantized coefficients of a baseline JPEG
+ * Progressive, arithmetic-coded and lossless JPEGs are refused: NEBULA only
+ * writes baseline files, and any other kind has been re-encoded since.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} - JPEG data (see above)
+ */
+export function readJpeg(bytes) {
+  if (!isJpeg(bytes)) throw new Error('Not a JPEG file');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const quantTables = [];
+  const huffman = { 0: [], 1: [] };
+  let jpeg = null;
+  let restartInterval = 0;
+  let scans = 0;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) throw new Error('JPEG data is corrupt (expected a marker)');
+    const marker = bytes[offset + 1];
+    offset += 2;
+
+    // Fill bytes and stray restart markers carry no segment
+    if (marker === 0xFF) {
+      offset--;
+      continue;
+    }
+    if (marker === 0xD9) break;
+    if (marker >= 0xD0 && marker <= 0xD7) continue;
+
+    const length = view.getUint16(offset);
+    const segment = bytes.subarray(offset + 2, offset + length);
+    offset += length;
+
+    if (marker === 0xDB) {
+      for (let i = 0; i < segment.length;) {
+        const wide = segment[i] >> 4;
+        const values = new Uint16Array(64);
+        for (let k = 0; k < 64; k++) {
+          values[k] = wide ? (segment[i + 1 + k * 2] << 8) | segment[i + 2 + k * 2] : segment[i + 1 + k];
+        }
+        quantTables[segment[i] & 0x0F] = values;
+        i += 1 + (wide ? 128 : 64);
+      }
+    } else if (marker === 0xC4) {
+      for (let i = 0; i < segment.length;) {
+        const counts = Array.from(segment.subarray(i + 1, i + 17));
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const symbols = Array.from(segment.subarray(i + 17, i + 17 + total));
+        huffman[segment[i] >> 4][segment[i] & 0x0F] = buildDecoder({ counts, symbols });
+        i += 17 + total;
+      }
+    } else if (marker === 0xDD) {
+      restartInterval = (segment[0] << 8) | segment[1];
+    } else if (marker === 0xC0 || marker === 0xC1) {
+      if (segment[0] !== 8) throw new Error('Only 8-bit JPEGs are supported');
+      jpeg = {
+        height: (segment[1] << 8) | segment[2],
+        width: (segment[3] << 8) | segment[4],
+        quantTables,
+        components: Array.from({ length: segment[5] }, (_, i) => ({
+          id: segment[6 + i * 3],
+          h: segment[7 + i * 3] >> 4,
+          v: segment[7 + i * 3] & 0x0F,
+          tq: segment[8 + i * 3],
+        })),
+      };
+      if (!jpeg.width || !jpeg.height) throw new Error('JPEG has no image size');
+      allocateBlocks(jpeg);
+    } else if (marker >= 0xC2 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      throw new Error('Only baseline JPEGs are supported (this one is progressive, arithmetic-coded or lossless)');
+    } else if (marker === 0xDA) {
+      if (!jpeg) throw new Error('JPEG scan comes before its frame header');
+      const scan = Array.from({ length: segment[0] }, (_, i) => {
+        const component = jpeg.components.find(({ id }) => id === segment[1 + i * 2]);
+        const dc = huffman[0][segment[2 + i * 2] >> 4];
+        const ac = huffman[1][segment[2 + i * 2] & 0x0F];
+        if (!component || !dc || !ac) throw new Error('JPEG scan refers to a missing component or table');
+        return { component, dc, ac };
+      });
+      offset = readScan(bytes, offset, jpeg, scan, restartInterval);
+      scans++;
+    }
+  }
+
+  if (!jpeg || !scans) throw new Error('JPEG has no image data');
+  return jpeg;
+}
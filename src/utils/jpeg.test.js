@@ -0,0 +1,67 @@
+/**
+ * NEBULA - JPEG Codec Tests
+ * Files written by libjpeg (through sharp) are read and written again, and
+ * both are decoded by an independent decoder (jpeg-js) to the same pixels
+ */
+
+import { readFileSync } from 'node:fs';
+import jpegJs from 'jpeg-js';
+import { describe, expect, it } from 'vitest';
+import { createJpeg, readJpeg, writeJpeg } from '@/utils/jpeg';
+import { FIXTURE_WIDTH, FIXTURE_HEIGHT, smoothPixels } from '@/utils/__fixtures__/patterns';
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url)));
+
+/**
+ * Decode a JPEG to RGBA pixels with jpeg-js
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Uint8Array}
+ */
+const decodePixels = (bytes) => jpegJs.decode(bytes, { useTArray: true, formatAsRGBA: true }).data;
+
+const coefficientsOf = (jpeg) => jpeg.components.map(({ blocks }) => blocks);
+
+describe('readJpeg / writeJpeg', () => {
+  it.each([
+    ['subsampled.jpg', '4:2:0 chroma, standard Huffman tables', [[2, 2], [1, 1], [1, 1]]],
+    ['optimized.jpg', '4:4:4 chroma, optimized Huffman tables', [[1, 1], [1, 1], [1, 1]]],
+  ])('rewrites %s (%s) without changing a pixel', (name, _, sampling) => {
+    const original = fixture(name);
+    const jpeg = readJpeg(original);
+
+    expect(jpeg).toMatchObject({ width: FIXTURE_WIDTH, height: FIXTURE_HEIGHT });
+    expect(jpeg.components.map(({ h, v }) => [h, v])).toEqual(sampling);
+    expect(decodePixels(writeJpeg(jpeg))).toEqual(decodePixels(original));
+  });
+
+  it('reads back the coefficients it writes', () => {
+    const jpeg = createJpeg({ width: FIXTURE_WIDTH, height: FIXTURE_HEIGHT, data: smoothPixels() }, 85);
+    const reread = readJpeg(writeJpeg(jpeg));
+
+    expect(reread.quantTables).toEqual(jpeg.quantTables);
+    expect(coefficientsOf(reread)).toEqual(coefficientsOf(jpeg));
+  });
+
+  it('refuses progressive files', () => {
+    expect(() => readJpeg(fixture('progressive.jpg'))).toThrow('Only baseline JPEGs are supported');
+  });
+
+  it('refuses truncated files', () => {
+    const original = fixture('optimized.jpg');
+    expect(() => readJpeg(original.subarray(0, original.length - 200))).toThrow('JPEG data');
+  });
+});
+
+describe('createJpeg', () => {
+  it.each([75, 95])('compresses pixels close to the original at quality %i', (quality) => {
+    const pixels = smoothPixels();
+    const decoded = decodePixels(writeJpeg(createJpeg({ width: FIXTURE_WIDTH, height: FIXTURE_HEIGHT, data: pixels }, quality)));
+
+    let error = 0;
+    for (let i = 0; i < pixels.length; i++) {
+      if (i % 4 !== 3) error += Math.abs(decoded[i] - pixels[i]);
+    }
+    // Mean error per channel value
+    expect(error / (FIXTURE_WIDTH * FIXTURE_HEIGHT * 3)).toBeLessThan(quality === 95 ? 1.5 : 3);
+  });
+});
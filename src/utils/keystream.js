@@ -0,0 +1,92 @@
+/**
+ * NEBULA - Keyed Random Stream
+ * ChaCha20 keystream (RFC 8439) used as a deterministic CSPRNG, so encoder
+ * and decoder derive the same sequence from the same key
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// CHACHA20 BLOCK
+// ═══════════════════════════════════════════════════════════════
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+
+// 'expand 32-byte k'
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+const quarterRound = (x, a, b, c, d) => {
+  x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 16);
+  x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 12);
+  x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 8);
+  x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 7);
+};
+
+/**
+ * Compute one 64-byte block
+ * @param {Uint32Array} state - 16-word input state
+ * @param {Uint32Array} out - 16-word output buffer
+ */
+function chachaBlock(state, out) {
+  out.set(state);
+  for (let i = 0; i < 20; i += 2) {
+    // Column round
+    quarterRound(out, 0, 4, 8, 12);
+    quarterRound(out, 1, 5, 9, 13);
+    quarterRound(out, 2, 6, 10, 14);
+    quarterRound(out, 3, 7, 11, 15);
+    // Diagonal round
+    quarterRound(out, 0, 5, 10, 15);
+    quarterRound(out, 1, 6, 11, 12);
+    quarterRound(out, 2, 7, 8, 13);
+    quarterRound(out, 3, 4, 9, 14);
+  }
+  for (let i = 0; i < 16; i++) out[i] = (out[i] + state[i]) | 0;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Create a random stream from a 32-byte key (zero nonce, counter from 0)
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {Object} - { nextUint32(), uniform(n) }
+ */
+export function createKeystream(key) {
+  if (key.length !== 32) {
+    throw new Error('Keystream key must be 32 bytes');
+  }
+
+  const state = new Uint32Array(16);
+  state.set(SIGMA);
+  const view = new DataView(key.buffer, key.byteOffset, 32);
+  for (let i = 0; i < 8; i++) state[4 + i] = view.getUint32(i * 4, true);
+
+  const block = new Uint32Array(16);
+  let used = 16;
+
+  const nextUint32 = () => {
+    if (used === 16) {
+      chachaBlock(state, block);
+      state[12] = (state[12] + 1) | 0;
+      if (state[12] === 0) state[13] = (state[13] + 1) | 0;
+      used = 0;
+    }
+    return block[used++];
+  };
+
+  /**
+   * Unbiased integer in [0, n) by rejection sampling
+   * @param {number} n - Upper bound, at most 2^32
+   * @returns {number}
+   */
+  const uniform = (n) => {
+    const limit = 0x100000000 - (0x100000000 % n);
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % n;
+  };
+
+  return { nextUint32, uniform };
+}
@@ -0,0 +1,416 @@
+/**
+ * NEBULA - Password Strength
+ * Entropy estimate that sees through common passwords, keyboard walks,
+ * sequences and repetition, and a diceware passphrase generator
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// STRENGTH LEVELS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Strength levels, weakest first
+ */
+export const STRENGTH_LEVELS = {
+  VERY_WEAK: 0,
+  WEAK: 1,
+  FAIR: 2,
+  STRONG: 3,
+  VERY_STRONG: 4,
+};
+
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+/**
+ * Estimated bits of entropy needed for each level
+ */
+const LEVEL_BITS = [0, 28, 40, 60, 80];
+
+// Longest substring tried against every pattern, which keeps the search linear
+// in the password length; longer repeats are found as runs (see analyze)
+const MAX_TOKEN = 32;
+
+// ═══════════════════════════════════════════════════════════════
+// DICTIONARY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Common passwords and words, most common first (a word's rank is its guess count)
+ */
+const COMMON_WORDS = `
+password 123456 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon 123123 baseball abc123
+football monkey letmein 696969 shadow master 666666 qwertyuiop 123321 mustang 1234567890 michael
+654321 superman 1qaz2wsx 7777777 121212 000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm
+asdfgh hunter buster soccer harley batman andrew tigger sunshine iloveyou 2000 charlie robert thomas
+hockey ranger daniel starwars klaster 112233 george computer michelle jessica pepper 1111 zxcvbn
+555555 11111111 131313 freedom 777777 pass maggie 159753 aaaaaa ginger princess joshua cheese amanda
+summer love ashley nicole chelsea biteme matthew access yankees 987654321 dallas austin thunder taylor
+matrix william corvette hello martin heather secret merlin diamond 1234qwer gfhjkm hammer silver 222222
+88888888 anthony justin test bailey q1w2e3r4t5 patrick internet scooter orange 11111 golfer cookie
+richard samantha bigdog guitar jackson whatever mickey chicken sparky snoopy maverick phoenix camaro
+peanut morgan welcome falcon cowboy ferrari samsung andrea smokey steelers joseph mercedes dakota
+arsenal eagles melissa boomer booboo spider nascar monster tigers yellow xxxxxx 123123123 gateway
+marina diablo bulldog qwer1234 compaq purple hardcore banana junior hannah 123654 porsche lakers
+iceman money cowboys 987654 london tennis 999999 ncc1701 coffee scooby 0000 miller boston q1w2e3r4
+brandon yamaha chester mother forever johnny edward 333333 oliver redsox player nikita knight fender
+barney midnight please brandy chicago badboy slayer rangers charles angel flower bigdaddy rabbit wizard
+jasper enter rachel chris steven winner adidas victoria natasha 1q2w3e4r jasmine winter prince panties
+marine ghbdtn fishing cocacola casper james 232323 raiders 888888 marlboro gandalf asdfasdf crystal
+87654321 12344321 golf heaven goober apple admin login changeme default guest root toor abc qwe asd
+zxc azerty trustme letmein1 passw0rd p4ssw0rd password1 password123 welcome1 iloveyou1 monkey1
+qwerty123 abc12345 secret1 hello123 nebula hidden stego art music image audio
+`.trim().split(/\s+/);
+
+const DICTIONARY = new Map(COMMON_WORDS.map((word, i) => [word, i + 1]));
+const LONGEST_WORD = Math.max(...COMMON_WORDS.map((word) => word.length));
+
+// Ranks below this count as "very common" in the feedback
+const VERY_COMMON_RANK = 100;
+
+/**
+ * Common character substitutions, undone before dictionary lookups
+ */
+const LEET = {
+  '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+  '|': 'l', '0': 'o', '5': 's', '$': 's', '7': 't', '+': 't', '2': 'z',
+};
+
+// ═══════════════════════════════════════════════════════════════
+// KEYBOARD LAYOUT
+// ═══════════════════════════════════════════════════════════════
+
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+const SHIFTED_ROWS = ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'];
+
+let keyPositions = null;
+
+/**
+ * Row and column of every key, shifted characters included
+ * @returns {Map<string, Object>} - char → { row, col, shifted }
+ */
+const getKeyPositions = () => {
+  if (!keyPositions) {
+    keyPositions = new Map();
+    KEYBOARD_ROWS.forEach((row, r) => {
+      [...row].forEach((char, c) => keyPositions.set(char, { row: r, col: c, shifted: false }));
+    });
+    SHIFTED_ROWS.forEach((row, r) => {
+      [...row].forEach((char, c) => keyPositions.set(char, { row: r, col: c, shifted: true }));
+    });
+  }
+  return keyPositions;
+};
+
+const KEY_COUNT = KEYBOARD_ROWS.join('').length;
+const AVERAGE_KEY_DEGREE = 4.6;
+
+/**
+ * Direction from one key to a neighbour on a staggered keyboard, or null
+ * Each row is shifted half a key right of the one above it.
+ * @returns {string|null}
+ */
+const keyDirection = (from, to) => {
+  const rowDelta = to.row - from.row;
+  const colDelta = to.col - from.col;
+  if (rowDelta === 0 && Math.abs(colDelta) === 1) return `0${colDelta}`;
+  if (rowDelta === -1 && (colDelta === 0 || colDelta === 1)) return `-1${colDelta}`;
+  if (rowDelta === 1 && (colDelta === 0 || colDelta === -1)) return `1${colDelta}`;
+  return null;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PATTERN MATCHING
+// ═══════════════════════════════════════════════════════════════
+
+const log2 = Math.log2;
+
+/**
+ * Character set size a brute-force attack would need for a password
+ * @param {string} password - The password
+ * @returns {number}
+ */
+const bruteForceCharset = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/[0-9]/.test(password)) size += 10;
+  if (/[ -/:-@[-`{-~]/.test(password)) size += 33;
+  if (/[^\x20-\x7e]/.test(password)) size += 100;
+  return Math.max(size, 10);
+};
+
+/**
+ * Extra bits for the capitalisation of a dictionary word
+ * @param {string} word - The word as typed
+ * @returns {number}
+ */
+const capitalizationBits = (word) => {
+  const upper = (word.match(/[A-Z]/g) || []).length;
+  if (upper === 0) return 0;
+  if (upper === word.length || (upper === 1 && /^[A-Z]/.test(word))) return 1;
+  return Math.min(upper, word.length - upper) + 1;
+};
+
+/**
+ * Dictionary match, allowing substitutions and reversal
+ * @param {string} token - Candidate substring
+ * @returns {Object|null} - { pattern, bits, rank } or null
+ */
+const matchDictionary = (token) => {
+  if (token.length > LONGEST_WORD) return null;
+  const lower = token.toLowerCase();
+  const unleet = [...lower].map((c) => LEET[c] || c).join('');
+  const substitutions = [...lower].filter((c) => LEET[c]).length;
+  const reversed = [...lower].reverse().join('');
+
+  const candidates = [
+    [lower, 0],
+    [reversed, 1],
+    [unleet, substitutions + 1],
+  ];
+
+  let best = null;
+  for (const [word, extraBits] of candidates) {
+    const rank = DICTIONARY.get(word);
+    if (!rank) continue;
+    const bits = log2(rank) + extraBits + capitalizationBits(token) + 1;
+    if (!best || bits < best.bits) {
+      best = { pattern: extraBits > 0 && word === unleet ? 'leet' : 'dictionary', bits, rank };
+    }
+  }
+  return best;
+};
+
+/**
+ * Runs of characters with a constant step of ±1 (abc, 4321)
+ * @param {string} token - Candidate substring (3+ characters)
+ * @returns {Object|null}
+ */
+const matchSequence = (token) => {
+  const step = token.charCodeAt(1) - token.charCodeAt(0);
+  if (Math.abs(step) !== 1) return null;
+  for (let i = 2; i < token.length; i++) {
+    if (token.charCodeAt(i) - token.charCodeAt(i - 1) !== step) return null;
+  }
+
+  const obviousStart = /^[aAzZ019]/.test(token);
+  const startBits = obviousStart ? 1 : /\d/.test(token[0]) ? log2(10) : log2(26);
+  return { pattern: 'sequence', bits: startBits + log2(token.length) + (step < 0 ? 1 : 0) };
+};
+
+/**
+ * Walks across neighbouring keyboard keys (qwerty, zxcvbn, 1qaz)
+ * @param {string} token - Candidate substring (3+ characters)
+ * @returns {Object|null}
+ */
+const matchKeyboard = (token) => {
+  const positions = getKeyPositions();
+  const keys = [...token].map((c) => positions.get(c));
+  if (keys.some((key) => !key)) return null;
+
+  let turns = 0;
+  let direction = null;
+  for (let i = 1; i < keys.length; i++) {
+    const next = keyDirection(keys[i - 1], keys[i]);
+    if (!next) return null;
+    if (next !== direction) turns++;
+    direction = next;
+  }
+
+  const shifted = keys.filter((key) => key.shifted).length;
+  const shiftBits = shifted === 0 ? 0 : shifted === keys.length ? 1 : shifted;
+  return {
+    pattern: 'keyboard',
+    bits: log2(KEY_COUNT) + log2(token.length) + (turns - 1) * log2(AVERAGE_KEY_DEGREE) + shiftBits,
+  };
+};
+
+/**
+ * Plausible years, e.g. birth years
+ * @param {string} token - Candidate substring
+ * @returns {Object|null}
+ */
+const matchYear = (token) => (/^(19|20)\d\d$/.test(token) ? { pattern: 'year', bits: log2(120) } : null);
+
+/**
+ * Minimum bits over all ways of splitting a password into patterns
+ * @param {string} password - The password
+ * @returns {Object} - { bits, patterns: [{ pattern, token, rank }] }
+ */
+function analyze(password) {
+  const chars = [...password];
+  const n = chars.length;
+  const bruteBits = log2(bruteForceCharset(password));
+
+  // best[j]: cheapest way to guess the first j characters
+  const best = new Array(n + 1).fill(Infinity);
+  const via = new Array(n + 1).fill(null);
+  best[0] = 0;
+
+  // runStart[size]: start of the longest run ending at j that repeats every size characters
+  const runStart = new Array(MAX_TOKEN + 1).fill(0);
+  const baseBits = new Map();
+
+  const consider = (i, j, match, token) => {
+    if (best[i] + match.bits < best[j]) {
+      best[j] = best[i] + match.bits;
+      via[j] = { start: i, match: { ...match, token: token ?? chars.slice(i, j).join('') } };
+    }
+  };
+
+  for (let j = 1; j <= n; j++) {
+    best[j] = best[j - 1] + bruteBits;
+    via[j] = { start: j - 1, match: null };
+
+    for (let i = Math.max(0, j - MAX_TOKEN); i <= j - 3; i++) {
+      const token = chars.slice(i, j).join('');
+      const matches = [
+        matchDictionary(token),
+        matchSequence(token),
+        matchKeyboard(token),
+        matchYear(token),
+        matchRepeat(token),
+      ].filter(Boolean);
+
+      for (const match of matches) consider(i, j, match, token);
+    }
+
+    // Repeats too long to be a token ('a' × 100, 'password' × 10)
+    for (let size = 1; size < runStart.length; size++) {
+      if (j <= size || chars[j - 1] !== chars[j - 1 - size]) runStart[size] = Math.max(0, j - size);
+      const count = Math.floor((j - runStart[size]) / size);
+      if (count * size <= MAX_TOKEN) continue;
+
+      const start = j - count * size;
+      const base = chars.slice(start, start + size).join('');
+      if (!baseBits.has(base)) baseBits.set(base, repeatBaseBits(base));
+      consider(start, j, { pattern: 'repeat', bits: baseBits.get(base) + log2(count) });
+    }
+  }
+
+  const patterns = [];
+  for (let j = n; j > 0; j = via[j].start) {
+    if (via[j].match) patterns.unshift(via[j].match);
+  }
+
+  return { bits: best[n], patterns };
+}
+
+/**
+ * Bits to guess the repeated part of a repeat
+ * The base is scored on its own, so a repeated dictionary word stays cheap.
+ * @param {string} base - One copy
+ * @returns {number}
+ */
+function repeatBaseBits(base) {
+  return [...base].length === 1 ? log2(bruteForceCharset(base)) : analyze(base).bits;
+}
+
+/**
+ * A short base repeated (aaa, abcabc, love!love!)
+ * @param {string} token - Candidate substring (3+ characters)
+ * @returns {Object|null}
+ */
+function matchRepeat(token) {
+  const chars = [...token];
+  for (let size = 1; size <= chars.length / 2; size++) {
+    if (chars.length % size !== 0) continue;
+    const base = chars.slice(0, size).join('');
+    if (base.repeat(chars.length / size) !== token) continue;
+
+    return { pattern: 'repeat', bits: repeatBaseBits(base) + log2(chars.length / size) };
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Feedback for the weakest pattern found
+ * @param {Array<Object>} patterns - Patterns from analyze
+ * @returns {string}
+ */
+const patternWarning = (patterns) => {
+  const found = new Set(patterns.map(({ pattern }) => pattern));
+  if (patterns.some(({ pattern, rank }) => pattern === 'dictionary' && rank <= VERY_COMMON_RANK)) {
+    return 'This is one of the most common passwords';
+  }
+  if (found.has('dictionary')) return 'Common words and passwords are easy to guess';
+  if (found.has('leet')) return 'Swaps like @ for a or 0 for o do not fool attackers';
+  if (found.has('keyboard')) return 'Keyboard patterns like qwerty are easy to guess';
+  if (found.has('repeat')) return 'Repeats like "aaa" or "abcabc" are easy to guess';
+  if (found.has('sequence')) return 'Sequences like abc or 4321 are easy to guess';
+  if (found.has('year')) return 'Years are easy to guess';
+  return '';
+};
+
+/**
+ * Estimate how hard a password is to guess
+ * @param {string} password - The password
+ * @returns {Object} - { bits, level, label, feedback } with level a STRENGTH_LEVELS value
+ */
+export function estimateStrength(password) {
+  if (!password) {
+    return { bits: 0, level: STRENGTH_LEVELS.VERY_WEAK, label: STRENGTH_LABELS[0], feedback: '' };
+  }
+
+  const { bits, patterns } = analyze(password);
+  let level = STRENGTH_LEVELS.VERY_WEAK;
+  while (level < STRENGTH_LEVELS.VERY_STRONG && bits >= LEVEL_BITS[level + 1]) level++;
+
+  let feedback = patternWarning(patterns);
+  if (!feedback && level < STRENGTH_LEVELS.STRONG) {
+    feedback = 'Make it longer, or generate a passphrase';
+  }
+
+  return { bits: Math.round(bits), level, label: STRENGTH_LABELS[level], feedback };
+}
+
+/**
+ * Check a password against a minimum strength
+ * @param {string} password - The password
+ * @param {number} minLevel - STRENGTH_LEVELS value
+ * @returns {boolean}
+ */
+export function meetsStrength(password, minLevel) {
+  return estimateStrength(password).level >= minLevel;
+}
+
+/**
+ * Default words in a generated passphrase: 6 × log2(7776) ≈ 77 bits
+ */
+export const DEFAULT_PASSPHRASE_WORDS = 6;
+
+/**
+ * Unbiased random index in [0, n) from the CSPRNG
+ * @param {number} n - Upper bound
+ * @returns {number}
+ */
+const randomIndex = (n) => {
+  const limit = 0x100000000 - (0x100000000 % n);
+  const value = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(value);
+  } while (value[0] >= limit);
+  return value[0] % n;
+};
+
+/**
+ * Generate a diceware passphrase
+ * The wordlist is loaded on first use so it stays out of the main bundle;
+ * it ships with the app, so this works offline.
+ * @param {number} words - Number of words
+ * @param {string} separator - Text between words
+ * @returns {Promise<Object>} - { passphrase, bits } with bits the exact entropy
+ */
+export async function generatePassphrase(words = DEFAULT_PASSPHRASE_WORDS, separator = '-') {
+  const { DICEWARE_WORDS } = await import('@/utils/wordlist');
+
+  const chosen = Array.from({ length: words }, () => DICEWARE_WORDS[randomIndex(DICEWARE_WORDS.length)]);
+  return {
+    passphrase: chosen.join(separator),
+    bits: Math.floor(words * log2(DICEWARE_WORDS.length)),
+  };
+}
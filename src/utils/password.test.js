@@ -0,0 +1,76 @@
+/**
+ * NEBULA - Password Strength Tests
+ * Patterns the estimator must see through, anywhere in the password, and
+ * random passwords it must not underrate
+ */
+
+import { describe, expect, it } from 'vitest';
+import { estimateStrength, meetsStrength, STRENGTH_LEVELS } from '@/utils/password';
+
+// A random-looking password with no patterns in it
+const RANDOM = 'q8#Lz!v2Wm@p';
+
+// Every printable ASCII character in order
+const ASCII = Array.from({ length: 94 }, (_, i) => String.fromCharCode(33 + i)).join('');
+
+describe('estimateStrength', () => {
+  it.each([
+    ['a common password', 'password', 'most common passwords'],
+    ['a capitalised common word', 'Dragon', 'most common passwords'],
+    ['substitutions', 'P@ssw0rd', 'Swaps like @ for a'],
+    ['a keyboard walk', 'zxcvbnm,./', 'Keyboard patterns'],
+    ['a sequence', 'abcdefgh', 'Sequences'],
+    ['a descending sequence', '98765432', 'Sequences'],
+    ['a repeated character', 'aaaaaaaa', 'Repeats'],
+    ['a repeated word', 'hellohellohello', 'Repeats'],
+  ])('rates %s as very weak', (_, password, feedback) => {
+    const strength = estimateStrength(password);
+
+    expect(strength.level).toBe(STRENGTH_LEVELS.VERY_WEAK);
+    expect(strength.feedback).toContain(feedback);
+  });
+
+  it('rates random passwords by their length', () => {
+    expect(estimateStrength(RANDOM).level).toBe(STRENGTH_LEVELS.STRONG);
+    expect(estimateStrength(RANDOM + RANDOM.split('').reverse().join('')).level).toBe(STRENGTH_LEVELS.VERY_STRONG);
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // LONG PASSWORDS
+  // ═══════════════════════════════════════════════════════════════
+
+  it.each([
+    ['a character × 80', 'a'.repeat(80)],
+    ['a character × 100', 'a'.repeat(100)],
+    ['a character × 1000', 'a'.repeat(1000)],
+    ['a common password × 10', 'password'.repeat(10)],
+    ['a 20-character base × 4', 'abcdefghij0987654321'.repeat(4)],
+    ['every printable character in order', ASCII],
+  ])('rates %s as very weak', (_, password) => {
+    expect(estimateStrength(password).level).toBe(STRENGTH_LEVELS.VERY_WEAK);
+  });
+
+  it.each([
+    ['a repeated character', 'a'.repeat(100)],
+    ['a long sequence', ASCII],
+    ['a repeated password', 'password'.repeat(10)],
+  ])('scores %s after a random start as it scores it alone', (_, pattern) => {
+    const { bits } = estimateStrength(RANDOM + pattern);
+    expect(bits).toBeLessThanOrEqual(estimateStrength(RANDOM).bits + estimateStrength(pattern).bits + 1);
+  });
+
+  it('scores a repeated random password by its first copy', () => {
+    expect(estimateStrength(RANDOM.repeat(10)).bits).toBeLessThan(estimateStrength(RANDOM).bits + 4);
+  });
+
+  it('rates nothing as very weak', () => {
+    expect(estimateStrength('')).toMatchObject({ bits: 0, level: STRENGTH_LEVELS.VERY_WEAK });
+  });
+});
+
+describe('meetsStrength', () => {
+  it('compares against a minimum level', () => {
+    expect(meetsStrength(RANDOM, STRENGTH_LEVELS.STRONG)).toBe(true);
+    expect(meetsStrength('password'.repeat(10), STRENGTH_LEVELS.WEAK)).toBe(false);
+  });
+});
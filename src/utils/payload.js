@@ -0,0 +1,502 @@
+/**
+ * NEBULA - Carrier Payloads
+ * Text and file contents, opening hidden messages, the deniable two-region
+ * layout for decoys, and Shamir shares spread over several carriers
+ */
+
+import { readBytes, writeBytes, createScatteredCarrier } from '@/utils/bitstream';
+import {
+  buildContainer,
+  parseContainerHeader,
+  readContainer,
+  crc32,
+  createDecodeError,
+  DECODE_ERRORS,
+  PAYLOAD_TYPES,
+  CONTAINER_HEADER_BYTES,
+} from '@/utils/container';
+import {
+  decryptEnvelope,
+  envelopeNeedsKeyfile,
+  sealRegion,
+  openRegion,
+  randomBytes,
+  textToBytes,
+  bytesToText,
+  formatBytes,
+  embeddingKeysFor,
+  RECIPIENT_TYPES,
+  REGION_OVERHEAD_BYTES,
+} from '@/utils/steganography';
+import { splitSecret, combineShares } from '@/utils/shamir';
+import { compressBytes, decompressBytes } from '@/utils/compression';
+
+// ═══════════════════════════════════════════════════════════════
+// CONTENT (TEXT OR FILE)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * File record layout (container type FILE), encrypted as a whole so the
+ * name and type stay hidden:
+ *
+ *   nameLength  2 bytes   big-endian
+ *   name        n bytes   UTF-8 file name
+ *   typeLength  1 byte
+ *   type        n bytes   MIME type, empty if unknown
+ *   data        n bytes   file contents
+ */
+const MAX_FILE_NAME_BYTES = 0xFFFF;
+const MAX_FILE_TYPE_BYTES = 0xFF;
+
+/**
+ * Serialize a secret before encryption
+ * @param {string|Object} secret - Text, or a file { name, type, bytes }
+ * @returns {Uint8Array}
+ */
+function serializeSecret(secret) {
+  if (typeof secret === 'string') return textToBytes(secret);
+
+  const name = textToBytes(secret.name || 'file').subarray(0, MAX_FILE_NAME_BYTES);
+  const mime = textToBytes(secret.type || '').subarray(0, MAX_FILE_TYPE_BYTES);
+  const bytes = new Uint8Array(2 + name.length + 1 + mime.length + secret.bytes.length);
+
+  let offset = 0;
+  bytes[offset++] = name.length >> 8;
+  bytes[offset++] = name.length & 0xFF;
+  bytes.set(name, offset);
+  offset += name.length;
+  bytes[offset++] = mime.length;
+  bytes.set(mime, offset);
+  offset += mime.length;
+  bytes.set(secret.bytes, offset);
+
+  return bytes;
+}
+
+/**
+ * Serialize and compress a secret before encryption
+ * @param {string|Object} secret - Text, or a file { name, type, bytes }
+ * @returns {Promise<Object>} - { bytes, type, flags }: PAYLOAD_TYPES value and CONTAINER_FLAGS to frame with
+ */
+export async function packContent(secret) {
+  const { bytes, flags } = await compressBytes(serializeSecret(secret));
+  return {
+    bytes,
+    type: typeof secret === 'string' ? PAYLOAD_TYPES.TEXT : PAYLOAD_TYPES.FILE,
+    flags,
+  };
+}
+
+/**
+ * Turn decrypted bytes back into text or a file
+ * @param {Uint8Array} contentBytes - Decrypted content
+ * @param {number} type - PAYLOAD_TYPES value the content was stored as
+ * @param {number} flags - CONTAINER_FLAGS the content was stored with
+ * @returns {Promise<Object>} - { text, file } with exactly one of them set; file is { name, type, bytes }
+ */
+export async function unpackContent(contentBytes, type = PAYLOAD_TYPES.TEXT, flags = 0) {
+  const plainBytes = await decompressBytes(contentBytes, flags);
+
+  if (type !== PAYLOAD_TYPES.FILE) {
+    return { text: bytesToText(plainBytes), file: null };
+  }
+
+  const nameLength = plainBytes.length >= 2 ? (plainBytes[0] << 8) | plainBytes[1] : -1;
+  const typeOffset = 2 + nameLength;
+  if (nameLength < 0 || typeOffset >= plainBytes.length) {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden file record is corrupted');
+  }
+  const dataOffset = typeOffset + 1 + plainBytes[typeOffset];
+  if (dataOffset > plainBytes.length) {
+    throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden file record is corrupted');
+  }
+
+  return {
+    text: null,
+    file: {
+      name: bytesToText(plainBytes.subarray(2, typeOffset)) || 'file',
+      type: bytesToText(plainBytes.subarray(typeOffset + 1, dataOffset)),
+      bytes: plainBytes.slice(dataOffset),
+    },
+  };
+}
+
+/**
+ * Error for a secret that does not fit in its carrier
+ * @param {string|Object} secret - Text, or a file { name, bytes }
+ * @param {number} neededBytes - Bytes the carrier would have to hold (after encryption and error correction)
+ * @param {number} capacityBytes - Bytes the carrier can hold
+ * @param {string} carrierName - How to refer to the carrier, e.g. 'this image'
+ * @returns {Error}
+ */
+export function createCapacityError(secret, neededBytes, capacityBytes, carrierName) {
+  if (typeof secret === 'string') {
+    return new Error(
+      `Message too long! It needs ${neededBytes} bytes once encrypted, but ${carrierName} holds at most ${capacityBytes}.`
+    );
+  }
+
+  return new Error(
+    `File too large! ${secret.name} is ${formatBytes(secret.bytes.length)} ` +
+    `(${formatBytes(neededBytes)} once encrypted), but ${carrierName} holds at most ${formatBytes(capacityBytes)}.`
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DENIABLE LAYOUT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A deniable carrier has no container header. Its bits are split into
+ * DENIABLE_REGIONS equal regions, each either a sealed region (see sealRegion)
+ * holding a container, or random filler. Regions are assigned in random order,
+ * so neither position nor content shows how many messages the carrier holds:
+ * with the decoy password one message opens, and the rest looks like filler.
+ */
+export const DENIABLE_REGIONS = 2;
+
+/**
+ * Size of each region for a carrier
+ * @param {number} carrierBits - Carrier length in bits
+ * @returns {number} - Region size in bytes
+ */
+const regionBytesFor = (carrierBits) => Math.floor(carrierBits / 8 / DENIABLE_REGIONS);
+
+/**
+ * Largest message that fits in each region of a carrier
+ * @param {number} carrierBits - Carrier length in bits
+ * @returns {number} - Maximum message size in bytes
+ */
+export function calculateDeniableCapacity(carrierBits) {
+  return Math.max(0, regionBytesFor(carrierBits) - REGION_OVERHEAD_BYTES - CONTAINER_HEADER_BYTES);
+}
+
+/**
+ * Carrier bits needed to hold messages of a given size in the deniable layout
+ * @param {number} messageBytes - Size of the largest message
+ * @returns {number} - Required carrier length in bits
+ */
+export function deniableBitsFor(messageBytes) {
+  return (messageBytes + REGION_OVERHEAD_BYTES + CONTAINER_HEADER_BYTES) * 8 * DENIABLE_REGIONS;
+}
+
+/**
+ * Seal messages into random regions and write the whole layout
+ * @param {Object} carrier - Target carrier
+ * @param {Array<Object>} messages - [{ bytes, type, flags, password }], at most DENIABLE_REGIONS
+ * @returns {Promise<void>}
+ */
+export async function writeDeniable(carrier, messages) {
+  if (messages.length > DENIABLE_REGIONS) {
+    throw new Error(`At most ${DENIABLE_REGIONS} messages fit in a deniable carrier`);
+  }
+
+  const regionBytes = regionBytesFor(carrier.length);
+  const largest = Math.max(...messages.map(({ bytes }) => bytes.length));
+  if (largest > calculateDeniableCapacity(carrier.length)) {
+    throw new Error('Messages do not fit in the carrier');
+  }
+
+  // Random region order (Fisher-Yates with CSPRNG bytes)
+  const order = Array.from({ length: DENIABLE_REGIONS }, (_, i) => i);
+  const rand = randomBytes(DENIABLE_REGIONS);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = rand[i] % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const regions = Array.from({ length: DENIABLE_REGIONS }, () => randomBytes(regionBytes));
+  for (const [i, { bytes, type = PAYLOAD_TYPES.TEXT, flags = 0, password }] of messages.entries()) {
+    const container = buildContainer(bytes, { type, flags });
+    regions[order[i]] = await sealRegion(container, password, regionBytes);
+  }
+
+  regions.forEach((region, i) => writeBytes(carrier, region, i * regionBytes * 8));
+}
+
+/**
+ * Find the region a password opens
+ * @param {Object} carrier - Source carrier
+ * @param {string} password - Candidate password
+ * @returns {Promise<Object|null>} - { header, payload } or null
+ */
+export async function readDeniable(carrier, password) {
+  const regionBytes = regionBytesFor(carrier.length);
+  if (!password || regionBytes <= REGION_OVERHEAD_BYTES + CONTAINER_HEADER_BYTES) return null;
+
+  for (let i = 0; i < DENIABLE_REGIONS; i++) {
+    const plain = await openRegion(readBytes(carrier, regionBytes, i * regionBytes * 8), password);
+    if (!plain) continue;
+
+    const header = parseContainerHeader(plain);
+    const end = CONTAINER_HEADER_BYTES + (header?.length ?? 0);
+    if (!header || end > plain.length) {
+      throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data header is corrupted');
+    }
+
+    const payload = plain.slice(CONTAINER_HEADER_BYTES, end);
+    if (crc32(payload) !== header.checksum) {
+      throw createDecodeError(DECODE_ERRORS.DAMAGED, 'Hidden data is damaged (checksum mismatch)');
+    }
+    return { header, payload };
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SHAMIR SHARES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Share payload layout (container type SHARE):
+ *
+ *   set        8 bytes   random id shared by all shares of one split
+ *   threshold  1 byte    shares needed (k)
+ *   total      1 byte    shares created (n)
+ *   x          1 byte    share index, 1..n
+ *   content    1 byte    PAYLOAD_TYPES value of the encrypted content
+ *   y          n bytes   share of the encryption envelope
+ *
+ * The envelope is split after encryption, so the shares still need the
+ * password or key, and fewer than k of them reveal nothing about it.
+ */
+const SHARE_HEADER_BYTES = 8 + 1 + 1 + 1 + 1;
+
+/**
+ * Most carriers a message can be split across from the UI
+ */
+export const MAX_CARRIER_SHARES = 10;
+
+/**
+ * Split an envelope into share payloads
+ * @param {Uint8Array} envelope - Encrypted envelope
+ * @param {number} threshold - Shares needed to recover (k)
+ * @param {number} total - Shares to create (n)
+ * @param {number} contentType - PAYLOAD_TYPES value of the encrypted content
+ * @returns {Array<Uint8Array>} - One payload per carrier, frame as PAYLOAD_TYPES.SHARE
+ */
+export function buildShares(envelope, threshold, total, contentType = PAYLOAD_TYPES.TEXT) {
+  const setId = randomBytes(8);
+
+  return splitSecret(envelope, total, threshold).map(({ x, y }) => {
+    const payload = new Uint8Array(SHARE_HEADER_BYTES + y.length);
+    payload.set(setId, 0);
+    payload[8] = threshold;
+    payload[9] = total;
+    payload[10] = x;
+    payload[11] = contentType;
+    payload.set(y, SHARE_HEADER_BYTES);
+    return payload;
+  });
+}
+
+/**
+ * Parse a share payload
+ * @param {Uint8Array} payload - Container payload
+ * @returns {Object|null} - { setId, threshold, total, x, contentType, y } or null if malformed
+ */
+function parseShare(payload) {
+  if (payload.length <= SHARE_HEADER_BYTES) return null;
+
+  const threshold = payload[8];
+  const total = payload[9];
+  const x = payload[10];
+  const contentType = payload[11];
+  if (threshold < 2 || threshold > total || x < 1 || x > total) return null;
+  if (contentType !== PAYLOAD_TYPES.TEXT && contentType !== PAYLOAD_TYPES.FILE) return null;
+
+  return {
+    setId: Array.from(payload.subarray(0, 8), (b) => b.toString(16).padStart(2, '0')).join(''),
+    threshold,
+    total,
+    x,
+    contentType,
+    y: payload.subarray(SHARE_HEADER_BYTES),
+  };
+}
+
+/**
+ * Read a share from a carrier
+ * @param {Object} carrier - Source carrier
+ * @param {Array<Uint8Array>} keys - Embedding keys to try
+ * @returns {Object|null} - Parsed share, or null if the carrier does not hold a valid one
+ */
+function readShare(carrier, keys) {
+  try {
+    const { header, payload, corrected } = findContainer(carrier, keys);
+    const share = header?.type === PAYLOAD_TYPES.SHARE ? parseShare(payload) : null;
+    return share && { ...share, flags: header.flags, corrected };
+  } catch {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OPEN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Locate the container in a carrier
+ * Keyed embedding orders are tried first, then the sequential layout used
+ * before embedding was scattered. Carriers that support several layouts
+ * (see imageLayout.js) provide `withLayout(layout, key)`.
+ * @param {Object} carrier - Source carrier
+ * @param {Array<Uint8Array>} keys - Embedding keys to try (see embeddingKeysFor)
+ * @returns {Object} - As readContainer; throws NOT_NEBULA when no order holds one
+ */
+function findContainer(carrier, keys) {
+  for (const key of keys) {
+    try {
+      return readContainer(createScatteredCarrier(carrier, key), {
+        legacy: false,
+        withLayout: carrier.withLayout && ((layout) => carrier.withLayout(layout, key)),
+      });
+    } catch (error) {
+      if (error.code !== DECODE_ERRORS.NOT_NEBULA) throw error;
+    }
+  }
+  return readContainer(carrier);
+}
+
+/**
+ * WRONG_PASSWORD decode error for an envelope the credentials do not open
+ * `keyfileRequired` is set when the envelope wants a keyfile none was given for.
+ * @param {Uint8Array} envelope - Envelope bytes
+ * @param {string|Object} credentials - As for decryptEnvelope
+ * @returns {Error}
+ */
+function createWrongPasswordError(envelope, credentials) {
+  const error = createDecodeError(DECODE_ERRORS.WRONG_PASSWORD, 'Invalid password or key');
+  error.keyfileRequired = !credentials?.keyfile && envelopeNeedsKeyfile(envelope);
+  error.containerFound = true;
+  return error;
+}
+
+/**
+ * Decode error for carriers where no embedding order holds anything
+ * Keyed orders hide the container from anyone without the credentials, so
+ * when any were tried (the shared default key always comes last) a wrong
+ * password, a missing keyfile and a carrier with nothing hidden look the
+ * same, and are reported as WRONG_PASSWORD with `containerFound` unset.
+ * @param {Array<Uint8Array>} keys - Embedding keys that were tried (see embeddingKeysFor)
+ * @param {string} message - Message for a carrier without hidden data
+ * @returns {Error}
+ */
+function createNotFoundError(keys, message) {
+  if (keys.length <= 1) return createDecodeError(DECODE_ERRORS.NOT_NEBULA, message);
+
+  const error = createDecodeError(DECODE_ERRORS.WRONG_PASSWORD, 'Invalid password or key, or no hidden data');
+  error.keyfileRequired = false;
+  error.containerFound = false;
+  return error;
+}
+
+/**
+ * Read and decrypt the message hidden in a carrier
+ * Tries the framed container first, then the deniable layout. A deniable
+ * carrier looks like any other image or audio, so a wrong password on one is
+ * reported like a carrier where nothing is found (see createNotFoundError).
+ * @param {Object} carrier - Source carrier
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @param {Array<Uint8Array>} keys - Embedding keys to try, derived from the credentials if omitted
+ * @returns {Promise<Object>} - { plainBytes, type, flags, header, corrected, recipient, signature }
+ */
+export async function openCarrier(carrier, credentials, keys = null) {
+  const password = typeof credentials === 'string' ? credentials : credentials?.password;
+
+  const orderKeys = keys ?? await embeddingKeysFor(credentials);
+
+  let framed = null;
+  try {
+    framed = findContainer(carrier, orderKeys);
+  } catch (error) {
+    if (error.code !== DECODE_ERRORS.NOT_NEBULA) throw error;
+  }
+
+  if (framed) {
+    const opened = await decryptEnvelope(framed.payload, credentials);
+    if (opened) {
+      return {
+        ...opened,
+        type: framed.header?.type ?? PAYLOAD_TYPES.TEXT,
+        flags: framed.header?.flags ?? 0,
+        header: framed.header,
+        corrected: framed.corrected,
+      };
+    }
+
+    // Random deniable bits can occasionally pass for the legacy layout
+    if (!framed.legacy) {
+      throw createWrongPasswordError(framed.payload, credentials);
+    }
+  }
+
+  const region = await readDeniable(carrier, password);
+  if (region) {
+    return {
+      plainBytes: region.payload,
+      type: region.header.type,
+      flags: region.header.flags,
+      header: region.header,
+      corrected: 0,
+      recipient: { slot: 0, slotCount: 1, type: RECIPIENT_TYPES.PASSWORD },
+      signature: null,
+    };
+  }
+
+  if (framed) {
+    throw createWrongPasswordError(framed.payload, credentials);
+  }
+  throw createNotFoundError(orderKeys, 'No hidden NEBULA data found');
+}
+
+/**
+ * Read and decrypt a message from one or more carriers
+ * Several carriers are treated as Shamir shares. A single carrier is opened
+ * directly unless it holds a share, which then counts towards the threshold.
+ * @param {Array<Object>} carriers - Source carriers
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @returns {Promise<Object>} - As openCarrier, plus shares: { found, threshold, total, invalid } when combined
+ */
+export async function openCarriers(carriers, credentials) {
+  const keys = await embeddingKeysFor(credentials);
+  const shares = carriers.map((carrier) => readShare(carrier, keys));
+  const valid = shares.filter(Boolean);
+
+  if (valid.length === 0) {
+    if (carriers.length === 1) return openCarrier(carriers[0], credentials, keys);
+    throw createNotFoundError(keys, 'None of these files holds a NEBULA share');
+  }
+
+  // Use the split with the most distinct shares; duplicates of one x count once
+  const sets = new Map();
+  for (const share of valid) {
+    const set = sets.get(share.setId) || new Map();
+    set.set(share.x, share);
+    sets.set(share.setId, set);
+  }
+  const best = [...sets.values()].sort((a, b) => b.size - a.size)[0];
+  const [{ threshold, total, contentType, flags }] = best.values();
+  const found = best.size;
+  const summary = { found, threshold, total, invalid: carriers.length - found };
+
+  if (found < threshold) {
+    const error = createDecodeError(
+      DECODE_ERRORS.NOT_ENOUGH_SHARES,
+      `Found ${found} of the ${threshold} shares needed`
+    );
+    error.shares = summary;
+    throw error;
+  }
+
+  const used = [...best.values()].slice(0, threshold);
+  const envelope = combineShares(used);
+  const opened = await decryptEnvelope(envelope, credentials);
+  if (!opened) {
+    throw createWrongPasswordError(envelope, credentials);
+  }
+
+  const corrected = used.reduce((sum, share) => sum + share.corrected, 0);
+  return { ...opened, type: contentType, flags, header: null, corrected, shares: summary };
+}
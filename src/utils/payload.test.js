@@ -0,0 +1,125 @@
+/**
+ * NEBULA - Carrier Payload Tests
+ * Messages hidden in an in-memory carrier the way the encoders hide them,
+ * and opened again with the right and the wrong credentials
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createScatteredCarrier } from '@/utils/bitstream';
+import { buildContainer, DECODE_ERRORS, writeContainer } from '@/utils/container';
+import { openCarrier, packContent, unpackContent } from '@/utils/payload';
+import {
+  embeddingKeyFor,
+  encryptBytes,
+  hashKeyfile,
+  KDF_LIMITS,
+  RECIPIENT_TYPES,
+  textToBytes,
+} from '@/utils/steganography';
+
+const PASSWORD = 'correct horse battery staple';
+const CARRIER_BITS = 8192;
+
+// Credentials whose embedding order holds nothing
+const NOTHING_FOUND = { code: DECODE_ERRORS.WRONG_PASSWORD, containerFound: false };
+
+// Cheapest envelope settings within KDF_LIMITS, to keep the tests fast
+const PBKDF2_OPTIONS = { iterations: KDF_LIMITS.PBKDF2_ITERATIONS.min };
+
+/**
+ * A carrier over noise bits, like the LSBs of a photo
+ * @param {number} length - Bit count
+ * @returns {Object} - Carrier
+ */
+const noiseCarrier = (length) => {
+  const bits = Uint8Array.from({ length }, (_, i) => ((i * 2654435761) >>> 13) & 1);
+  return {
+    length,
+    getBit: (index) => bits[index],
+    setBit: (index, bit) => {
+      bits[index] = bit;
+    },
+  };
+};
+
+/**
+ * Hide text as the encoders do: envelope, container, keyed order
+ * @param {string} text - The message
+ * @param {string|Object} protection - As for encryptBytes
+ * @returns {Promise<Object>} - The carrier
+ */
+const hide = async (text, protection) => {
+  const content = await packContent(text);
+  const envelope = await encryptBytes(content.bytes, protection, PBKDF2_OPTIONS);
+  const carrier = noiseCarrier(CARRIER_BITS);
+
+  const ordered = createScatteredCarrier(carrier, await embeddingKeyFor(protection));
+  writeContainer(ordered, buildContainer(envelope, { type: content.type, flags: content.flags }));
+  return carrier;
+};
+
+const reveal = async (carrier, credentials) => {
+  const opened = await openCarrier(carrier, credentials);
+  return (await unpackContent(opened.plainBytes, opened.type, opened.flags)).text;
+};
+
+describe('openCarrier', () => {
+  it('opens a message hidden with a password', async () => {
+    const carrier = await hide('meet at dawn', PASSWORD);
+
+    expect(await reveal(carrier, PASSWORD)).toBe('meet at dawn');
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // NOTHING FOUND
+  // ═══════════════════════════════════════════════════════════════
+
+  it('reports a wrong password as such, though it finds nothing', async () => {
+    const carrier = await hide('meet at dawn', PASSWORD);
+
+    await expect(openCarrier(carrier, 'wrong password')).rejects.toMatchObject(NOTHING_FOUND);
+  });
+
+  it('reports a carrier with nothing hidden like a wrong password', async () => {
+    await expect(openCarrier(noiseCarrier(CARRIER_BITS), PASSWORD)).rejects.toMatchObject(NOTHING_FOUND);
+  });
+
+  it('reports a carrier with nothing hidden as such without credentials', async () => {
+    await expect(openCarrier(noiseCarrier(CARRIER_BITS), {})).rejects.toMatchObject({ code: DECODE_ERRORS.NOT_NEBULA });
+  });
+
+  it('reports a wrong password on a file for several recipients, which uses the default order', async () => {
+    const carrier = await hide('meet at dawn', {
+      recipients: [
+        { type: RECIPIENT_TYPES.PASSWORD, password: PASSWORD },
+        { type: RECIPIENT_TYPES.PASSWORD, password: 'second password' },
+      ],
+    });
+
+    expect(await reveal(carrier, 'second password')).toBe('meet at dawn');
+    await expect(openCarrier(carrier, 'wrong password')).rejects.toMatchObject({
+      code: DECODE_ERRORS.WRONG_PASSWORD,
+      containerFound: true,
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // KEYFILES
+  // ═══════════════════════════════════════════════════════════════
+
+  it('needs the keyfile to find a message hidden with one', async () => {
+    const keyfile = await hashKeyfile(textToBytes('holiday photo'));
+    const carrier = await hide('meet at dawn', { password: PASSWORD, keyfile });
+
+    expect(await reveal(carrier, { password: PASSWORD, keyfile })).toBe('meet at dawn');
+    // Not even the container is found, so the password alone cannot be checked
+    await expect(openCarrier(carrier, { password: PASSWORD })).rejects.toMatchObject(NOTHING_FOUND);
+  });
+
+  it('ignores a keyfile the message was not hidden with', async () => {
+    const keyfile = await hashKeyfile(textToBytes('holiday photo'));
+    const carrier = await hide('meet at dawn', PASSWORD);
+
+    expect(await reveal(carrier, { password: PASSWORD, keyfile })).toBe('meet at dawn');
+  });
+});
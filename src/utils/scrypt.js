@@ -0,0 +1,144 @@
+/**
+ * NEBULA - scrypt Key Derivation
+ * Memory-hard KDF (RFC 7914) built on WebCrypto PBKDF2-HMAC-SHA256
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// SALSA20/8 CORE
+// ═══════════════════════════════════════════════════════════════
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+
+/**
+ * Apply the Salsa20/8 core to a 16-word block in place
+ * @param {Uint32Array} B - Block buffer
+ * @param {number} offset - Word offset of the block inside B
+ * @param {Uint32Array} x - 16-word scratch buffer
+ */
+function salsa208(B, offset, x) {
+  for (let i = 0; i < 16; i++) x[i] = B[offset + i];
+
+  for (let i = 0; i < 8; i += 2) {
+    // Column round
+    x[4] ^= rotl(x[0] + x[12], 7);   x[8] ^= rotl(x[4] + x[0], 9);
+    x[12] ^= rotl(x[8] + x[4], 13);  x[0] ^= rotl(x[12] + x[8], 18);
+    x[9] ^= rotl(x[5] + x[1], 7);    x[13] ^= rotl(x[9] + x[5], 9);
+    x[1] ^= rotl(x[13] + x[9], 13);  x[5] ^= rotl(x[1] + x[13], 18);
+    x[14] ^= rotl(x[10] + x[6], 7);  x[2] ^= rotl(x[14] + x[10], 9);
+    x[6] ^= rotl(x[2] + x[14], 13);  x[10] ^= rotl(x[6] + x[2], 18);
+    x[3] ^= rotl(x[15] + x[11], 7);  x[7] ^= rotl(x[3] + x[15], 9);
+    x[11] ^= rotl(x[7] + x[3], 13);  x[15] ^= rotl(x[11] + x[7], 18);
+
+    // Row round
+    x[1] ^= rotl(x[0] + x[3], 7);    x[2] ^= rotl(x[1] + x[0], 9);
+    x[3] ^= rotl(x[2] + x[1], 13);   x[0] ^= rotl(x[3] + x[2], 18);
+    x[6] ^= rotl(x[5] + x[4], 7);    x[7] ^= rotl(x[6] + x[5], 9);
+    x[4] ^= rotl(x[7] + x[6], 13);   x[5] ^= rotl(x[4] + x[7], 18);
+    x[11] ^= rotl(x[10] + x[9], 7);  x[8] ^= rotl(x[11] + x[10], 9);
+    x[9] ^= rotl(x[8] + x[11], 13);  x[10] ^= rotl(x[9] + x[8], 18);
+    x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+    x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+  }
+
+  for (let i = 0; i < 16; i++) B[offset + i] = (B[offset + i] + x[i]) >>> 0;
+}
+
+/**
+ * scryptBlockMix: mixes 2r 64-byte blocks of B into Y, then writes back shuffled
+ * @param {Uint32Array} B - Input/output buffer (32 * r words)
+ * @param {Uint32Array} Y - Scratch buffer (32 * r words)
+ * @param {number} r - Block size parameter
+ * @param {Uint32Array} x - 16-word scratch buffer
+ */
+function blockMix(B, Y, r, x) {
+  const X = new Uint32Array(16);
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let j = 0; j < 16; j++) X[j] ^= B[i * 16 + j];
+    salsa208(X, 0, x);
+    Y.set(X, i * 16);
+  }
+
+  // Even blocks first, then odd blocks
+  for (let i = 0; i < r; i++) {
+    B.set(Y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+    B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+  }
+}
+
+/**
+ * scryptROMix over one 128 * r byte block
+ * @param {Uint32Array} B - Block (32 * r words), modified in place
+ * @param {number} N - CPU/memory cost (power of two)
+ * @param {number} r - Block size parameter
+ */
+function roMix(B, N, r) {
+  const blockWords = 32 * r;
+  const V = new Uint32Array(blockWords * N);
+  const Y = new Uint32Array(blockWords);
+  const x = new Uint32Array(16);
+
+  for (let i = 0; i < N; i++) {
+    V.set(B, i * blockWords);
+    blockMix(B, Y, r, x);
+  }
+
+  for (let i = 0; i < N; i++) {
+    const j = B[(2 * r - 1) * 16] & (N - 1);
+    for (let k = 0; k < blockWords; k++) B[k] ^= V[j * blockWords + k];
+    blockMix(B, Y, r, x);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Run PBKDF2-HMAC-SHA256 with a single iteration (scrypt's outer layer)
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function pbkdf2Once(password, salt, length) {
+  const subtle = globalThis.crypto.subtle;
+  const key = await subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: 1 },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Derive a key with scrypt
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} params - { N, r, p } cost parameters (N must be a power of two)
+ * @param {number} dkLen - Derived key length in bytes
+ * @returns {Promise<Uint8Array>} - Derived key
+ */
+export async function scrypt(password, salt, { N, r, p }, dkLen) {
+  if (N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two greater than 1');
+  }
+
+  const blockBytes = 128 * r;
+  const B = await pbkdf2Once(password, salt, p * blockBytes);
+  const view = new DataView(B.buffer, B.byteOffset, B.byteLength);
+  const block = new Uint32Array(32 * r);
+
+  for (let i = 0; i < p; i++) {
+    const base = i * blockBytes;
+    for (let k = 0; k < block.length; k++) block[k] = view.getUint32(base + k * 4, true);
+    roMix(block, N, r);
+    for (let k = 0; k < block.length; k++) view.setUint32(base + k * 4, block[k], true);
+  }
+
+  return pbkdf2Once(password, B, dkLen);
+}
+
+export default scrypt;
@@ -0,0 +1,36 @@
+/**
+ * NEBULA - scrypt Tests
+ * Test vectors from RFC 7914 §12
+ */
+
+import { describe, expect, it } from 'vitest';
+import { scrypt } from '@/utils/scrypt';
+
+const text = (value) => new TextEncoder().encode(value);
+const hex = (value) => Uint8Array.from(value.match(/../g), (byte) => parseInt(byte, 16));
+
+describe('scrypt', () => {
+  it.each([
+    [
+      '', '', { N: 16, r: 1, p: 1 },
+      '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442'
+      + 'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906',
+    ],
+    [
+      'password', 'NaCl', { N: 1024, r: 8, p: 16 },
+      'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162'
+      + '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640',
+    ],
+    [
+      'pleaseletmein', 'SodiumChloride', { N: 16384, r: 8, p: 1 },
+      '7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2'
+      + 'd5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887',
+    ],
+  ])('matches the RFC 7914 vector for P="%s", S="%s"', async (password, salt, params, expected) => {
+    expect(await scrypt(text(password), text(salt), params, 64)).toEqual(hex(expected));
+  });
+
+  it('rejects N that is not a power of two', async () => {
+    await expect(scrypt(text('password'), text('NaCl'), { N: 1000, r: 8, p: 1 }, 32)).rejects.toThrow('power of two');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * NEBULA - Shamir Secret Sharing
+ * k-of-n byte-wise secret splitting over GF(2^8)
+ */
+
+import { randomBytes } from '@/utils/steganography';
+
+// ═══════════════════════════════════════════════════════════════
+// GF(256) ARITHMETIC
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Largest number of shares: x coordinates are the non-zero field elements
+ */
+export const MAX_SHARES = 255;
+
+let expTable = null;
+let logTable = null;
+
+/**
+ * Build exp/log tables for GF(2^8) with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+ * and generator 3
+ */
+const getTables = () => {
+  if (!expTable) {
+    expTable = new Uint8Array(510);
+    logTable = new Uint8Array(256);
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+      expTable[i] = x;
+      logTable[x] = i;
+      // Multiply by 3: x * 2 (reduced) xor x
+      x ^= (x << 1) ^ (x & 0x80 ? 0x11B : 0);
+    }
+    for (let i = 255; i < 510; i++) expTable[i] = expTable[i - 255];
+  }
+  return { expTable, logTable };
+};
+
+const gfMul = (a, b) => {
+  if (a === 0 || b === 0) return 0;
+  const { expTable: exp, logTable: log } = getTables();
+  return exp[log[a] + log[b]];
+};
+
+const gfDiv = (a, b) => {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  const { expTable: exp, logTable: log } = getTables();
+  return exp[log[a] + 255 - log[b]];
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SPLIT / COMBINE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split a secret into shares, any `threshold` of which recover it
+ * Each byte is the constant term of its own random polynomial of degree threshold - 1.
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} total - Number of shares (n)
+ * @param {number} threshold - Shares needed to recover (k)
+ * @returns {Array<Object>} - [{ x, y: Uint8Array }], x = 1..total
+ */
+export function splitSecret(secret, total, threshold) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(total) || threshold < 2 || threshold > total) {
+    throw new Error('Threshold must be between 2 and the number of shares');
+  }
+  if (total > MAX_SHARES) {
+    throw new Error(`At most ${MAX_SHARES} shares are supported`);
+  }
+
+  const shares = Array.from({ length: total }, (_, i) => ({ x: i + 1, y: new Uint8Array(secret.length) }));
+  const coefficients = randomBytes((threshold - 1) * secret.length);
+
+  for (let b = 0; b < secret.length; b++) {
+    for (const share of shares) {
+      // Horner's rule, highest degree first
+      let y = 0;
+      for (let c = threshold - 2; c >= 0; c--) {
+        y = gfMul(y, share.x) ^ coefficients[c * secret.length + b];
+      }
+      share.y[b] = gfMul(y, share.x) ^ secret[b];
+    }
+  }
+
+  return shares;
+}
+
+/**
+ * Recover a secret from shares by Lagrange interpolation at x = 0
+ * Fewer than the threshold yields unrelated bytes, not an error.
+ * @param {Array<Object>} shares - [{ x, y: Uint8Array }] with distinct x and equal lengths
+ * @returns {Uint8Array} - The secret
+ */
+export function combineShares(shares) {
+  if (shares.length === 0) {
+    throw new Error('No shares to combine');
+  }
+
+  const length = shares[0].y.length;
+  const secret = new Uint8Array(length);
+
+  // Lagrange basis values at 0 are the same for every byte
+  const basis = shares.map(({ x: xi }, i) => {
+    let value = 1;
+    shares.forEach(({ x: xj }, j) => {
+      if (i !== j) value = gfMul(value, gfDiv(xj, xj ^ xi));
+    });
+    return value;
+  });
+
+  for (let b = 0; b < length; b++) {
+    let value = 0;
+    shares.forEach(({ y }, i) => {
+      value ^= gfMul(y[b], basis[i]);
+    });
+    secret[b] = value;
+  }
+
+  return secret;
+}
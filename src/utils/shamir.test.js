@@ -0,0 +1,70 @@
+/**
+ * NEBULA - Shamir Secret Sharing Tests
+ * Known shares of a fixed polynomial, and split / combine round trips
+ */
+
+import { describe, expect, it } from 'vitest';
+import { combineShares, MAX_SHARES, splitSecret } from '@/utils/shamir';
+
+/**
+ * Every way to pick k items
+ * @param {Array} items - Items to pick from
+ * @param {number} k - Items per pick
+ * @returns {Array<Array>}
+ */
+const choose = (items, k) => (k === 0
+  ? [[]]
+  : items.flatMap((item, i) => choose(items.slice(i + 1), k - 1).map((rest) => [item, ...rest])));
+
+describe('combineShares', () => {
+  // Secret [00 FF 42 53] on f(x) = s + a·x + b·x² over GF(2^8) with the AES
+  // polynomial, a = [01 CA 7E 10], b = [02 35 E1 99]
+  const shares = {
+    1: [0x03, 0x00, 0xDD, 0xDA],
+    2: [0x0A, 0xA4, 0x17, 0x21],
+    3: [0x09, 0x5B, 0x88, 0xA8],
+    4: [0x24, 0x87, 0x33, 0x40],
+  };
+  const share = (x) => ({ x, y: Uint8Array.from(shares[x]) });
+
+  it.each(choose([1, 2, 3, 4], 3))('recovers a known secret from shares %i, %i and %i', (...xs) => {
+    expect(combineShares(xs.map(share))).toEqual(Uint8Array.from([0x00, 0xFF, 0x42, 0x53]));
+  });
+
+  it('yields other bytes below the threshold', () => {
+    expect(combineShares([share(1), share(4)])).not.toEqual(Uint8Array.from([0x00, 0xFF, 0x42, 0x53]));
+  });
+
+  it('needs at least one share', () => {
+    expect(() => combineShares([])).toThrow('No shares');
+  });
+});
+
+describe('splitSecret', () => {
+  const secret = Uint8Array.from({ length: 48 }, (_, i) => (i * 37 + 11) & 0xFF);
+
+  it('recovers the secret from any threshold of the shares', () => {
+    const shares = splitSecret(secret, 5, 3);
+
+    expect(shares.map(({ x }) => x)).toEqual([1, 2, 3, 4, 5]);
+    for (const picked of [...choose(shares, 3), ...choose(shares, 4), shares]) {
+      expect(combineShares(picked)).toEqual(secret);
+    }
+    for (const picked of choose(shares, 2)) {
+      expect(combineShares(picked)).not.toEqual(secret);
+    }
+  });
+
+  it('supports the largest number of shares', () => {
+    const shares = splitSecret(secret, MAX_SHARES, 2);
+    expect(combineShares([shares[0], shares[MAX_SHARES - 1]])).toEqual(secret);
+  });
+
+  it.each([
+    [5, 1],
+    [3, 4],
+    [MAX_SHARES + 1, 2],
+  ])('rejects %i shares with threshold %i', (total, threshold) => {
+    expect(() => splitSecret(secret, total, threshold)).toThrow();
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * NEBULA - Stealth Export
+ * Innocuous file names and metadata for downloads, so output files do not
+ * advertise the tool that made them. Only metadata is rewritten: the pixels,
+ * coefficients and samples that carry the hidden data are copied unchanged.
+ */
+
+import { WaveFile } from 'wavefile';
+
+import { crc32 } from '@/utils/container';
+import { isJpeg } from '@/utils/jpeg';
+
+// ═══════════════════════════════════════════════════════════════
+// PROFILES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Profile id that picks one of the medium's profiles at random
+ */
+export const STEALTH_RANDOM = 'random';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const randomInt = (max) => crypto.getRandomValues(new Uint32Array(1))[0] % max;
+
+const ymd = (date, separator = '') =>
+  [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].join(separator);
+
+const hms = (date, separator = '') =>
+  [pad(date.getHours()), pad(date.getMinutes()), pad(date.getSeconds())].join(separator);
+
+/**
+ * What common tools write, per medium (keys match MEDIUMS)
+ * `name({ date, index, serial, extension })` builds the file name for file
+ * `index` of a download; `serial` is a random start number shared by the
+ * batch. Image profiles list PNG tEXt chunks (a Comment becomes the COM
+ * segment of a JPEG), audio profiles WAV INFO tags.
+ */
+export const STEALTH_PROFILES = {
+  image: [
+    {
+      id: 'mac-screenshot',
+      label: 'Mac screenshot',
+      text: {},
+      name: ({ date, extension }) => `Screenshot ${ymd(date, '-')} at ${hms(date, '.')}${extension}`,
+    },
+    {
+      id: 'phone-screenshot',
+      label: 'Phone screenshot',
+      text: {},
+      name: ({ date, extension }) => `Screenshot_${ymd(date)}-${hms(date)}${extension}`,
+    },
+    {
+      id: 'gimp',
+      label: 'GIMP export',
+      text: { Comment: 'Created with GIMP' },
+      name: ({ serial, index, extension }) => `wallpaper-${serial + index}${extension}`,
+    },
+  ],
+  audio: [
+    {
+      id: 'ffmpeg',
+      label: 'Converted (ffmpeg)',
+      tags: { ISFT: 'Lavf60.16.100' },
+      name: ({ date, extension }) => `audio_${ymd(date)}_${hms(date)}${extension}`,
+    },
+    {
+      id: 'field-recorder',
+      label: 'Field recorder',
+      tags: {},
+      name: ({ serial, index, extension }) => `ZOOM${pad(serial + index, 4)}${extension.toUpperCase()}`,
+    },
+    {
+      id: 'audio-editor',
+      label: 'Audio editor',
+      tags: { ISFT: 'Sound Forge Pro 14.0' },
+      name: ({ serial, index, extension }) => `ambient loop ${serial + index}${extension}`,
+    },
+  ],
+};
+
+/**
+ * Resolve a profile choice for a medium
+ * @param {string} medium - 'image' or 'audio'
+ * @param {string} profileId - A profile id, or STEALTH_RANDOM
+ * @returns {Object} - The profile (a random one when the id is unknown)
+ */
+export function pickStealthProfile(medium, profileId = STEALTH_RANDOM) {
+  const profiles = STEALTH_PROFILES[medium];
+  return profiles.find(({ id }) => id === profileId) || profiles[randomInt(profiles.length)];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PNG CHUNKS
+// ═══════════════════════════════════════════════════════════════
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC over type and data)
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Latin-1 bytes of a tEXt chunk: keyword, NUL, text
+ * @returns {Uint8Array}
+ */
+const textChunkData = (keyword, text) =>
+  Uint8Array.from(`${keyword}\u0000${text}`, (c) => c.charCodeAt(0) & 0xFF);
+
+/**
+ * Ancillary chunks that hold the frames of an animated PNG, and are kept
+ */
+const APNG_CHUNKS = ['acTL', 'fcTL', 'fdAT'];
+
+/**
+ * Drop every ancillary chunk (text, time, colour profile, physical size...)
+ * and add the given tEXt chunks after IHDR
+ * Critical chunks, IDAT included, and the frames of animated PNGs are copied
+ * byte for byte.
+ * @param {Uint8Array} png - PNG file bytes
+ * @param {Object} text - { keyword: text } for new tEXt chunks
+ * @returns {Uint8Array} - Normalized PNG
+ */
+export function normalizePng(png, text = {}) {
+  if (!PNG_SIGNATURE.every((byte, i) => png[i] === byte)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(png.buffer, png.byteOffset, png.length);
+  const parts = [png.subarray(0, PNG_SIGNATURE.length)];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= png.length) {
+    const length = view.getUint32(offset);
+    const end = offset + 12 + length;
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+
+    // Bit 5 of the first type byte (lowercase) marks an ancillary chunk
+    if (!(png[offset + 4] & 0x20) || APNG_CHUNKS.includes(type)) {
+      parts.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      for (const [keyword, value] of Object.entries(text)) {
+        parts.push(pngChunk('tEXt', textChunkData(keyword, value)));
+      }
+    }
+    if (type === 'IEND') break;
+    offset = end;
+  }
+
+  return concatBytes(parts);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// JPEG SEGMENTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Drop every APP segment but the JFIF header (EXIF, XMP, colour profiles...)
+ * and every comment, optionally adding one comment
+ * Tables, frame and scan data, which hold the hidden coefficients, are copied
+ * byte for byte.
+ * @param {Uint8Array} jpeg - JPEG file bytes
+ * @param {string} comment - Text of a new COM segment, if any
+ * @returns {Uint8Array} - Normalized JPEG
+ */
+export function normalizeJpeg(jpeg, comment = '') {
+  if (!isJpeg(jpeg)) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const view = new DataView(jpeg.buffer, jpeg.byteOffset, jpeg.length);
+  const parts = [jpeg.subarray(0, 2)];
+  let commentAt = 1;
+  let offset = 2;
+
+  // Segments up to the first scan; everything from there on is kept as is
+  while (offset + 4 <= jpeg.length && jpeg[offset + 1] !== 0xDA) {
+    const marker = jpeg[offset + 1];
+    const end = offset + 2 + view.getUint16(offset + 2);
+    const isJfif = marker === 0xE0 && String.fromCharCode(...jpeg.subarray(offset + 4, offset + 8)) === 'JFIF';
+
+    if (isJfif || !((marker >= 0xE0 && marker <= 0xEF) || marker === 0xFE)) {
+      parts.push(jpeg.subarray(offset, end));
+      if (isJfif) commentAt = parts.length;
+    }
+    offset = end;
+  }
+  parts.push(jpeg.subarray(offset));
+
+  if (comment) {
+    const text = Uint8Array.from(comment, (c) => c.charCodeAt(0) & 0xFF);
+    const segment = new Uint8Array(4 + text.length);
+    new DataView(segment.buffer).setUint16(0, 0xFFFE);
+    new DataView(segment.buffer).setUint16(2, 2 + text.length);
+    segment.set(text, 4);
+    parts.splice(commentAt, 0, segment);
+  }
+
+  return concatBytes(parts);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WAV TAGS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Replace a WAV's INFO tags
+ * With no tags the LIST chunk is removed altogether, as most recorders and
+ * converters write none.
+ * @param {Uint8Array} wavBytes - WAV file bytes
+ * @param {Object} tags - { INFO id: value }, e.g. { ISFT: 'Lavf60.16.100' }
+ * @returns {Uint8Array} - Rewritten WAV
+ */
+export function retagWav(wavBytes, tags = {}) {
+  const wav = new WaveFile(wavBytes);
+  wav.LIST = [];
+  for (const [tag, value] of Object.entries(tags)) {
+    wav.setTag(tag, value);
+  }
+  return wav.toBuffer();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Turn a custom name into a safe file name with the right extension
+ * @param {string} name - User input
+ * @param {string} extension - e.g. '.png'
+ * @param {number} index - File number within the download
+ * @param {number} count - Files in the download
+ * @returns {string}
+ */
+const customFileName = (name, extension, index, count) => {
+  const base = name.trim().replace(/[\\/:*?"<>|]/g, '').replace(new RegExp(`\\${extension}$`, 'i'), '');
+  return count > 1 ? `${base} (${index + 1})${extension}` : `${base}${extension}`;
+};
+
+/**
+ * Prepare a batch of outputs for a stealthy download
+ * GIFs keep their bytes: NEBULA writes nothing in them but the frames and the
+ * usual loop extension.
+ * @param {Array<Blob>} blobs - Generated PNGs, JPEGs, GIFs or WAVs (several for shares)
+ * @param {string} medium - 'image' or 'audio'
+ * @param {Object} options - { profile: id or STEALTH_RANDOM, filename: optional custom name }
+ * @returns {Promise<Array<Object>>} - [{ blob, filename }]
+ */
+export async function stealthExport(blobs, medium, { profile: profileId, filename = '' } = {}) {
+  const profile = pickStealthProfile(medium, profileId);
+  const type = blobs[0]?.type;
+  const jpeg = type === 'image/jpeg';
+  const gif = type === 'image/gif';
+  const extension = medium === 'image' ? (jpeg ? '.jpg' : gif ? '.gif' : '.png') : '.wav';
+  const serial = 1 + randomInt(900);
+
+  // Files of one batch look like they were saved a few seconds apart
+  let time = Date.now();
+  const dates = blobs.map(() => new Date(time += (2 + randomInt(20)) * 1000));
+
+  return Promise.all(blobs.map(async (blob, index) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let cleaned;
+    if (medium !== 'image') {
+      cleaned = new Blob([retagWav(bytes, profile.tags)], { type: 'audio/wav' });
+    } else if (jpeg) {
+      cleaned = new Blob([normalizeJpeg(bytes, profile.text.Comment)], { type: 'image/jpeg' });
+    } else if (gif) {
+      cleaned = blob;
+    } else {
+      cleaned = new Blob([normalizePng(bytes, profile.text)], { type: 'image/png' });
+    }
+
+    return {
+      blob: cleaned,
+      filename: filename.trim()
+        ? customFileName(filename, extension, index, blobs.length)
+        : profile.name({ date: dates[index], index, serial, extension }),
+    };
+  }));
+}
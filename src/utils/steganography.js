@@ -1,45 +1,1027 @@
 /**
  * NEBULA - Steganography Utilities
- * Core encryption/decryption and binary conversion functions
+ * Core encryption/decryption, text encoding and capacity functions
  */
 
 import CryptoJS from 'crypto-js';
+import { scrypt } from '@/utils/scrypt';
+import { containerCapacity } from '@/utils/container';
+import { ECC_LEVELS } from '@/utils/ecc';
+import { DEFAULT_IMAGE_LAYOUT, encodeImageLayout, layoutBitsPerPixel } from '@/utils/imageLayout';
 
 // ═══════════════════════════════════════════════════════════════
-// ENCRYPTION / DECRYPTION (AES-256)
+// ENCRYPTION ENVELOPE FORMAT
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Encrypt text using AES-256 with the given password
+ * Envelope layout, version 3 (all integers big-endian):
+ *
+ *   magic      4 bytes   'NBEV'
+ *   version    1 byte    ENVELOPE_VERSION
+ *   flags      1 byte    ENVELOPE_FLAGS bitmask
+ *   slots      1 byte    number of key slots (1..MAX_RECIPIENTS)
+ *   iv        12 bytes   content IV
+ *   slot[]   146 bytes   one per recipient, see below
+ *   data       n bytes   AES-256-GCM ciphertext of the content, followed by the tag
+ *
+ * The content is encrypted once with a random 256-bit content key. Each key
+ * slot wraps that key for one recipient (LUKS-style):
+ *
+ *   kdf        1 byte    KDF id, ORed with KDF_FLAGS
+ *   cost       4 bytes   PBKDF2 iterations, [log2 N, r, p, 0] for scrypt, 0 for ECDH
+ *   salt      16 bytes   KDF salt (HKDF salt for ECDH)
+ *   iv        12 bytes   wrapping IV
+ *   epk       65 bytes   ECDH: the sender's ephemeral P-256 public key; random otherwise
+ *   wrapped   48 bytes   AES-GCM encrypted content key + tag
+ *
+ * A password slot with the KEYFILE flag also needs the keyfile: its SHA-256
+ * digest is appended to the password before key derivation.
+ *
+ * The 19 header bytes are authenticated as additional data by every slot and
+ * by the content. When the SIGNED flag is set the decrypted content starts with
+ * the sender's public key (65 bytes) and an ECDSA P-256 signature (64 bytes),
+ * see signContent.
+ *
+ * Older envelopes are still decrypted:
+ *
+ *   v2: as v3 without the flags byte
+ *   v1: magic, version, kdf (1), cost (4), salt (16), iv (12), [epk (65)], data
+ */
+export const ENVELOPE_MAGIC = 'NBEV';
+export const ENVELOPE_VERSION = 3;
+
+/**
+ * Envelope header flag bits
+ */
+export const ENVELOPE_FLAGS = {
+  SIGNED: 0x01,
+};
+
+/**
+ * Maximum number of key slots in one envelope
+ */
+export const MAX_RECIPIENTS = 8;
+
+/**
+ * Kinds of recipient a key slot can be opened by
+ */
+export const RECIPIENT_TYPES = {
+  PASSWORD: 'password',
+  KEY: 'key',
+};
+
+/**
+ * Supported key derivation schemes
+ */
+export const KDF = {
+  PBKDF2_SHA256: 1,
+  SCRYPT: 2,
+  ECDH_P256: 3, // Ephemeral-static ECDH + HKDF-SHA256 (recipient public key)
+};
+
+/**
+ * Flag bits in the high bits of a key slot's KDF byte
+ */
+export const KDF_FLAGS = {
+  KEYFILE: 0x80, // password slot also needs a keyfile
+};
+
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+export const DEFAULT_SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * Range of KDF costs envelopes are written and read with
+ * The cost is read from the carrier, so without a limit a damaged or crafted
+ * file could ask for hours of PBKDF2 or gigabytes of scrypt memory.
+ */
+export const KDF_LIMITS = {
+  PBKDF2_ITERATIONS: { min: 10000, max: 2000000 },
+  SCRYPT_LOG_N: { min: 10, max: 17 },
+  SCRYPT_R: { min: 1, max: 16 },
+  SCRYPT_P: { min: 1, max: 4 },
+};
+
+/**
+ * Text prefixes for exported keys
+ */
+export const PUBLIC_KEY_PREFIX = 'NEBULA-PUB:';
+export const SECRET_KEY_PREFIX = 'NEBULA-SECRET:';
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const V1_HEADER_BYTES = 4 + 1 + 1 + 4 + SALT_BYTES + IV_BYTES;
+const V2_HEADER_BYTES = 4 + 1 + 1 + IV_BYTES;
+const V3_HEADER_BYTES = 4 + 1 + 1 + 1 + IV_BYTES;
+const CONTENT_KEY_BYTES = 32;
+const TAG_BYTES = 16;
+const PUBLIC_KEY_BYTES = 65;
+const SLOT_BYTES = 1 + 4 + SALT_BYTES + IV_BYTES + PUBLIC_KEY_BYTES + CONTENT_KEY_BYTES + TAG_BYTES;
+const PRIVATE_SCALAR_BYTES = 32;
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const HKDF_INFO = 'NEBULA recipient v1';
+const SIGNATURE_BYTES = 64;
+const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_CONTEXT = 'NEBULA signature v1';
+
+const getSubtle = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('WebCrypto is not available (a secure context is required)');
+  }
+  return globalThis.crypto.subtle;
+};
+
+/**
+ * Fill a buffer of any size with CSPRNG output
+ * getRandomValues is limited to 64 KiB per call.
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 0x10000) {
+    crypto.getRandomValues(bytes.subarray(i, Math.min(length, i + 0x10000)));
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as Base64
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a Base64 string to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array|null} - Raw bytes or null if the input is not Base64
+ */
+export function base64ToBytes(base64) {
+  try {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encode bytes as unpadded Base64url (RFC 4648 §5)
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string}
+ */
+export function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded Base64url to bytes
+ * @param {string} str - Base64url string
+ * @returns {Uint8Array|null} - Raw bytes or null if the input is invalid
+ */
+export function base64UrlToBytes(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+/**
+ * Hash a keyfile for use as a second factor
+ * Any file works; only its exact bytes matter, so an image that was
+ * re-saved or re-compressed is a different keyfile.
+ * @param {Uint8Array} bytes - Keyfile contents
+ * @returns {Promise<Uint8Array>} - 32-byte SHA-256 digest
+ */
+export async function hashKeyfile(bytes) {
+  return new Uint8Array(await getSubtle().digest('SHA-256', bytes));
+}
+
+/**
+ * Bytes a password and optional keyfile are keyed with
+ * @param {string} password - The password
+ * @param {Uint8Array|null} keyfile - Keyfile digest (see hashKeyfile), appended to the password
+ * @returns {Uint8Array}
+ */
+function passwordSecret(password, keyfile = null) {
+  const passwordBytes = textToBytes(password);
+  if (!keyfile) return passwordBytes;
+
+  const combined = new Uint8Array(passwordBytes.length + keyfile.length);
+  combined.set(passwordBytes, 0);
+  combined.set(keyfile, passwordBytes.length);
+  return combined;
+}
+
+/**
+ * Derive an AES-256-GCM key from a password
+ * @param {string} password - The password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} kdf - KDF id
+ * @param {Uint8Array} cost - 4-byte cost field from the envelope
+ * @param {Uint8Array|null} keyfile - Keyfile digest (see hashKeyfile), appended to the password
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePasswordKey(password, salt, kdf, cost, keyfile = null) {
+  const subtle = getSubtle();
+  const passwordBytes = passwordSecret(password, keyfile);
+
+  if (kdf === KDF.PBKDF2_SHA256) {
+    const iterations = new DataView(cost.buffer, cost.byteOffset, 4).getUint32(0);
+    const baseKey = await subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  if (kdf === KDF.SCRYPT) {
+    const [logN, r, p] = cost;
+    const keyBytes = await scrypt(passwordBytes, salt, { N: 2 ** logN, r, p }, 32);
+    return subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  throw new Error(`Unsupported KDF id: ${kdf}`);
+}
+
+const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check a stored KDF id and cost against KDF_LIMITS
+ * @param {number} kdf - KDF id, without KDF_FLAGS
+ * @param {Uint8Array} cost - 4-byte cost field
+ * @returns {boolean} - False for unknown KDFs and costs out of range
+ */
+function isKdfCostAllowed(kdf, cost) {
+  if (kdf === KDF.PBKDF2_SHA256) {
+    const iterations = new DataView(cost.buffer, cost.byteOffset, 4).getUint32(0);
+    return inRange(iterations, KDF_LIMITS.PBKDF2_ITERATIONS);
+  }
+  if (kdf === KDF.SCRYPT) {
+    const [logN, r, p] = cost;
+    return inRange(logN, KDF_LIMITS.SCRYPT_LOG_N)
+      && inRange(r, KDF_LIMITS.SCRYPT_R)
+      && inRange(p, KDF_LIMITS.SCRYPT_P);
+  }
+  return false;
+}
+
+/**
+ * Build the 4-byte cost field for a KDF
+ * @param {number} kdf - KDF id
+ * @param {Object} options - { iterations } or { scryptParams }
+ * @returns {Uint8Array}
+ */
+function encodeKdfCost(kdf, { iterations = DEFAULT_PBKDF2_ITERATIONS, scryptParams = DEFAULT_SCRYPT_PARAMS } = {}) {
+  const cost = new Uint8Array(4);
+  if (kdf === KDF.SCRYPT) {
+    cost[0] = Math.log2(scryptParams.N);
+    cost[1] = scryptParams.r;
+    cost[2] = scryptParams.p;
+  } else {
+    new DataView(cost.buffer).setUint32(0, iterations);
+  }
+  if (!isKdfCostAllowed(kdf, cost)) {
+    throw new Error('KDF cost is outside the supported range');
+  }
+  return cost;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC-KEY RECIPIENTS (ECDH P-256)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Generate a recipient key pair
+ * The secret key text embeds the public key so either can be recovered from it.
+ * @returns {Promise<Object>} - { publicKey, secretKey, fingerprint } as text
+ */
+export async function generateKeyPair() {
+  const subtle = getSubtle();
+  const pair = await subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+  const publicRaw = new Uint8Array(await subtle.exportKey('raw', pair.publicKey));
+  const { d } = await subtle.exportKey('jwk', pair.privateKey);
+
+  const secretRaw = new Uint8Array(PUBLIC_KEY_BYTES + PRIVATE_SCALAR_BYTES);
+  secretRaw.set(publicRaw, 0);
+  secretRaw.set(base64UrlToBytes(d), PUBLIC_KEY_BYTES);
+
+  return {
+    publicKey: PUBLIC_KEY_PREFIX + bytesToBase64Url(publicRaw),
+    secretKey: SECRET_KEY_PREFIX + bytesToBase64Url(secretRaw),
+    fingerprint: await getKeyFingerprint(publicRaw),
+  };
+}
+
+/**
+ * Parse an exported public key
+ * @param {string} text - 'NEBULA-PUB:...' text
+ * @returns {Uint8Array|null} - Raw uncompressed P-256 point or null if malformed
+ */
+export function parsePublicKey(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith(PUBLIC_KEY_PREFIX)) return null;
+
+  const raw = base64UrlToBytes(trimmed.slice(PUBLIC_KEY_PREFIX.length));
+  if (!raw || raw.length !== PUBLIC_KEY_BYTES || raw[0] !== 0x04) return null;
+  return raw;
+}
+
+/**
+ * Parse an exported secret key
+ * @param {string} text - 'NEBULA-SECRET:...' text
+ * @returns {Object|null} - { publicRaw, scalar } or null if malformed
+ */
+function parseSecretKey(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith(SECRET_KEY_PREFIX)) return null;
+
+  const raw = base64UrlToBytes(trimmed.slice(SECRET_KEY_PREFIX.length));
+  if (!raw || raw.length !== PUBLIC_KEY_BYTES + PRIVATE_SCALAR_BYTES || raw[0] !== 0x04) return null;
+  return {
+    publicRaw: raw.subarray(0, PUBLIC_KEY_BYTES),
+    scalar: raw.subarray(PUBLIC_KEY_BYTES),
+  };
+}
+
+/**
+ * Recover the public key text from a secret key
+ * @param {string} secretKey - 'NEBULA-SECRET:...' text
+ * @returns {string|null} - 'NEBULA-PUB:...' text or null if malformed
+ */
+export function publicKeyFromSecret(secretKey) {
+  const parsed = parseSecretKey(secretKey);
+  return parsed ? PUBLIC_KEY_PREFIX + bytesToBase64Url(parsed.publicRaw) : null;
+}
+
+/**
+ * Import a secret key as a P-256 private key
+ * @param {string} secretKey - 'NEBULA-SECRET:...' text
+ * @param {Object} algorithm - ECDH_PARAMS or ECDSA_PARAMS
+ * @param {Array<string>} usages - Key usages
+ * @returns {Promise<Object>} - { privateKey: CryptoKey, publicRaw: Uint8Array }
+ */
+async function importPrivateKey(secretKey, algorithm, usages) {
+  const parsed = parseSecretKey(secretKey);
+  if (!parsed) {
+    throw new Error('Invalid NEBULA secret key');
+  }
+
+  const { publicRaw, scalar } = parsed;
+  const jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: bytesToBase64Url(publicRaw.subarray(1, 33)),
+    y: bytesToBase64Url(publicRaw.subarray(33, 65)),
+    d: bytesToBase64Url(scalar),
+  };
+  const privateKey = await getSubtle().importKey('jwk', jwk, algorithm, false, usages);
+
+  return { privateKey, publicRaw };
+}
+
+/**
+ * Import a secret key for ECDH
+ * @param {string} secretKey - 'NEBULA-SECRET:...' text
+ * @returns {Promise<Object>} - { privateKey: CryptoKey, publicRaw: Uint8Array }
+ */
+export async function importSecretKey(secretKey) {
+  return importPrivateKey(secretKey, ECDH_PARAMS, ['deriveBits']);
+}
+
+/**
+ * Short, human comparable fingerprint of a public key
+ * @param {string|Uint8Array} publicKey - Public key text or raw bytes
+ * @returns {Promise<string>} - e.g. '3f2a 9c41 07be d5e8'
+ */
+export async function getKeyFingerprint(publicKey) {
+  const raw = typeof publicKey === 'string' ? parsePublicKey(publicKey) : publicKey;
+  if (!raw) {
+    throw new Error('Invalid NEBULA public key');
+  }
+
+  const digest = new Uint8Array(await getSubtle().digest('SHA-256', raw));
+  const hex = Array.from(digest.subarray(0, 8), (b) => b.toString(16).padStart(2, '0')).join('');
+  return hex.match(/.{4}/g).join(' ');
+}
+
+/**
+ * Derive the AES key shared between an ephemeral and a recipient key
+ * HKDF info binds both public keys so the envelope cannot be re-targeted.
+ * @param {CryptoKey} privateKey - Our ECDH private key (ephemeral or recipient)
+ * @param {Uint8Array} peerRaw - The other party's raw public key
+ * @param {Uint8Array} salt - HKDF salt
+ * @param {Uint8Array} ephemeralRaw - Ephemeral public key
+ * @param {Uint8Array} recipientRaw - Recipient public key
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveRecipientKey(privateKey, peerRaw, salt, ephemeralRaw, recipientRaw) {
+  const subtle = getSubtle();
+  const peerKey = await subtle.importKey('raw', peerRaw, ECDH_PARAMS, false, []);
+  const shared = await subtle.deriveBits({ name: 'ECDH', public: peerKey }, privateKey, 256);
+
+  const infoPrefix = textToBytes(HKDF_INFO);
+  const info = new Uint8Array(infoPrefix.length + ephemeralRaw.length + recipientRaw.length);
+  info.set(infoPrefix, 0);
+  info.set(ephemeralRaw, infoPrefix.length);
+  info.set(recipientRaw, infoPrefix.length + ephemeralRaw.length);
+
+  const hkdfKey = await subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SENDER SIGNATURES (ECDSA P-256)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The key pair that receives messages also signs them: the same P-256 secret is
+ * imported for ECDSA, so a sender is identified by the fingerprint they already
+ * share as a recipient. The signature covers a digest of the envelope header and
+ * key slots, which ties it to this exact set of recipients: re-encrypting the
+ * signed content for someone else breaks it.
+ */
+
+/**
+ * Bytes covered by a signature: context, envelope digest, then the content
+ * @param {Uint8Array} envelopeDigest - SHA-256 of the envelope header and key slots
+ * @param {Uint8Array} content - The plaintext being signed
+ * @returns {Uint8Array}
+ */
+function signedData(envelopeDigest, content) {
+  const context = textToBytes(SIGNATURE_CONTEXT);
+  const data = new Uint8Array(context.length + envelopeDigest.length + content.length);
+  data.set(context, 0);
+  data.set(envelopeDigest, context.length);
+  data.set(content, context.length + envelopeDigest.length);
+  return data;
+}
+
+/**
+ * Prefix content with the signer's public key and signature
+ * @param {Uint8Array} content - The plaintext to sign
+ * @param {string} secretKey - Signer's 'NEBULA-SECRET:...' text
+ * @param {Uint8Array} envelopeDigest - SHA-256 of the envelope header and key slots
+ * @returns {Promise<Uint8Array>} - publicKey (65) | signature (64) | content
+ */
+async function signContent(content, secretKey, envelopeDigest) {
+  const { privateKey, publicRaw } = await importPrivateKey(secretKey, ECDSA_PARAMS, ['sign']);
+  const signature = new Uint8Array(await getSubtle().sign(
+    { name: 'ECDSA', hash: 'SHA-256' }, privateKey, signedData(envelopeDigest, content)
+  ));
+
+  const signed = new Uint8Array(PUBLIC_KEY_BYTES + SIGNATURE_BYTES + content.length);
+  signed.set(publicRaw, 0);
+  signed.set(signature, PUBLIC_KEY_BYTES);
+  signed.set(content, PUBLIC_KEY_BYTES + SIGNATURE_BYTES);
+  return signed;
+}
+
+/**
+ * Split signed content and check its signature
+ * @param {Uint8Array} signed - Output of signContent
+ * @param {Uint8Array} envelopeDigest - SHA-256 of the envelope header and key slots
+ * @returns {Promise<Object|null>} - { content, signature: { publicKey, fingerprint, valid } } or null if malformed
+ */
+async function verifyContent(signed, envelopeDigest) {
+  if (signed.length < PUBLIC_KEY_BYTES + SIGNATURE_BYTES) return null;
+
+  const publicRaw = signed.slice(0, PUBLIC_KEY_BYTES);
+  const signature = signed.subarray(PUBLIC_KEY_BYTES, PUBLIC_KEY_BYTES + SIGNATURE_BYTES);
+  const content = signed.slice(PUBLIC_KEY_BYTES + SIGNATURE_BYTES);
+
+  let valid = false;
+  try {
+    const subtle = getSubtle();
+    const publicKey = await subtle.importKey('raw', publicRaw, ECDSA_PARAMS, false, ['verify']);
+    valid = await subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' }, publicKey, signature, signedData(envelopeDigest, content)
+    );
+  } catch {
+    // Not a point on the curve: report as an invalid signature
+  }
+
+  return {
+    content,
+    signature: {
+      publicKey: PUBLIC_KEY_PREFIX + bytesToBase64Url(publicRaw),
+      fingerprint: await getKeyFingerprint(publicRaw),
+      valid,
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TEXT / BYTE CONVERSION (UTF-8)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} str - The string to convert
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+export function textToBytes(str) {
+  return new TextEncoder().encode(str);
+}
+
+/**
+ * Decode UTF-8 bytes back to text
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} - The decoded text
+ */
+export function bytesToText(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Decode bytes one-to-one as Latin-1 (for ASCII payloads such as Base64)
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string}
+ */
+function bytesToLatin1(bytes) {
+  let str = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    str += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return str;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENCRYPTION / DECRYPTION (AES-256-GCM)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a protection argument into a recipient list
+ * Accepts a password string, { password, keyfile }, { recipientPublicKey } or { recipients }.
+ * @param {string|Object} protection - Protection argument
+ * @returns {Array<Object>} - [{ type, password, keyfile } | { type, publicKey }]
+ */
+function toRecipients(protection) {
+  if (typeof protection === 'string') {
+    return protection ? [{ type: RECIPIENT_TYPES.PASSWORD, password: protection }] : [];
+  }
+
+  const { recipients, password, keyfile, recipientPublicKey } = protection || {};
+  if (recipients) return recipients;
+  if (recipientPublicKey) return [{ type: RECIPIENT_TYPES.KEY, publicKey: recipientPublicKey }];
+  if (password) return [{ type: RECIPIENT_TYPES.PASSWORD, password, keyfile }];
+  return [];
+}
+
+/**
+ * Normalize a credentials argument
+ * @param {string|Object} value - A password string or { password, keyfile, secretKey }
+ * @returns {Object}
+ */
+const toCredentials = (value) => (typeof value === 'string' ? { password: value } : value || {});
+
+/**
+ * Wrap the content key for one recipient
+ * @param {Object} recipient - { type, password, keyfile } or { type, publicKey }
+ * @param {Uint8Array} contentKey - Raw content key
+ * @param {Uint8Array} header - Envelope header (authenticated)
+ * @param {Object} options - { kdf, iterations, scryptParams } for password slots
+ * @returns {Promise<Uint8Array>} - SLOT_BYTES bytes
+ */
+async function buildKeySlot(recipient, contentKey, header, options) {
+  const subtle = getSubtle();
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+  let kdf;
+  let cost;
+  let ephemeralRaw;
+  let wrappingKey;
+
+  if (recipient.type === RECIPIENT_TYPES.KEY) {
+    const recipientRaw = parsePublicKey(recipient.publicKey);
+    if (!recipientRaw) {
+      throw new Error('Invalid recipient public key');
+    }
+
+    const ephemeral = await subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    ephemeralRaw = new Uint8Array(await subtle.exportKey('raw', ephemeral.publicKey));
+    kdf = KDF.ECDH_P256;
+    cost = new Uint8Array(4);
+    wrappingKey = await deriveRecipientKey(ephemeral.privateKey, recipientRaw, salt, ephemeralRaw, recipientRaw);
+  } else {
+    if (!recipient.password) {
+      throw new Error('Password recipients need a password');
+    }
+
+    const passwordKdf = options.kdf || KDF.PBKDF2_SHA256;
+    kdf = recipient.keyfile ? passwordKdf | KDF_FLAGS.KEYFILE : passwordKdf;
+    cost = encodeKdfCost(passwordKdf, options);
+    // Unused by password slots; random so every slot has the same shape
+    ephemeralRaw = crypto.getRandomValues(new Uint8Array(PUBLIC_KEY_BYTES));
+    wrappingKey = await derivePasswordKey(recipient.password, salt, passwordKdf, cost, recipient.keyfile);
+  }
+
+  const wrapped = new Uint8Array(
+    await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: header }, wrappingKey, contentKey)
+  );
+
+  const slot = new Uint8Array(SLOT_BYTES);
+  let offset = 0;
+  for (const part of [[kdf], cost, salt, iv, ephemeralRaw, wrapped]) {
+    slot.set(part, offset);
+    offset += part.length;
+  }
+  return slot;
+}
+
+/**
+ * Encrypt bytes for one or more recipients
+ * `protection` is a password (string / { password, keyfile }), { recipientPublicKey },
+ * or { recipients: [{ type: 'password', password, keyfile } | { type: 'key', publicKey }] },
+ * where keyfile is an optional keyfile digest (see hashKeyfile).
+ * An object may also carry `signer`, a 'NEBULA-SECRET:...' key to sign with.
+ * @param {Uint8Array} plainBytes - The data to encrypt
+ * @param {string|Object} protection - Who can open the envelope
+ * @param {Object} options - { kdf, iterations, scryptParams } for password slots
+ * @returns {Promise<Uint8Array>} - Envelope bytes
+ */
+export async function encryptBytes(plainBytes, protection, options = {}) {
+  const recipients = toRecipients(protection);
+  if (!plainBytes || recipients.length === 0) {
+    throw new Error('Both plainBytes and at least one password or recipient key are required');
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw new Error(`At most ${MAX_RECIPIENTS} recipients are supported`);
+  }
+
+  const subtle = getSubtle();
+  const contentKey = crypto.getRandomValues(new Uint8Array(CONTENT_KEY_BYTES));
+  const contentIv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+  const signer = typeof protection === 'object' ? protection.signer : null;
+
+  const header = new Uint8Array(V3_HEADER_BYTES);
+  header.set(textToBytes(ENVELOPE_MAGIC), 0);
+  header[4] = ENVELOPE_VERSION;
+  header[5] = signer ? ENVELOPE_FLAGS.SIGNED : 0;
+  header[6] = recipients.length;
+  header.set(contentIv, 7);
+
+  const contentOffset = V3_HEADER_BYTES + recipients.length * SLOT_BYTES;
+  const prefix = new Uint8Array(contentOffset);
+  prefix.set(header, 0);
+  for (const [i, recipient] of recipients.entries()) {
+    prefix.set(await buildKeySlot(recipient, contentKey, header, options), V3_HEADER_BYTES + i * SLOT_BYTES);
+  }
+
+  const content = signer
+    ? await signContent(plainBytes, signer, new Uint8Array(await subtle.digest('SHA-256', prefix)))
+    : plainBytes;
+
+  const key = await subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = new Uint8Array(
+    await subtle.encrypt({ name: 'AES-GCM', iv: contentIv, additionalData: header }, key, content)
+  );
+
+  const envelope = new Uint8Array(contentOffset + ciphertext.length);
+  envelope.set(prefix, 0);
+  envelope.set(ciphertext, contentOffset);
+
+  return envelope;
+}
+
+/**
+ * Encrypt text for one or more recipients
  * @param {string} plainText - The secret message to encrypt
- * @param {string} password - The encryption key
- * @returns {string} - Base64 encoded encrypted string
+ * @param {string|Object} protection - See encryptBytes
+ * @param {Object} options - { kdf, iterations, scryptParams }
+ * @returns {Promise<Uint8Array>} - Envelope bytes
  */
-export function encryptText(plainText, password) {
-  if (!plainText || !password) {
-    throw new Error('Both plainText and password are required');
+export async function encryptText(plainText, protection, options = {}) {
+  if (!plainText) {
+    throw new Error('plainText is required');
   }
-  
-  // Add a marker to verify successful decryption later
-  const markedText = `NEBULA::${plainText}::NEBULA`;
-  
-  // Encrypt using AES
-  const encrypted = CryptoJS.AES.encrypt(markedText, password).toString();
-  
-  return encrypted;
+  return encryptBytes(textToBytes(plainText), protection, options);
+}
+
+/**
+ * Check whether bytes start with the envelope magic
+ * @param {Uint8Array|null} bytes - Candidate envelope
+ * @returns {boolean}
+ */
+export function isEnvelope(bytes) {
+  if (!bytes || bytes.length < V2_HEADER_BYTES) return false;
+  return bytesToLatin1(bytes.subarray(0, 4)) === ENVELOPE_MAGIC;
+}
+
+/**
+ * Check whether an envelope has a password slot that also needs a keyfile
+ * Lets the UI ask for the keyfile instead of reporting a wrong password.
+ * @param {Uint8Array} envelope - Envelope bytes
+ * @returns {boolean}
+ */
+export function envelopeNeedsKeyfile(envelope) {
+  if (!isEnvelope(envelope)) return false;
+
+  const version = envelope[4];
+  if (version !== 2 && version !== ENVELOPE_VERSION) return false;
+
+  const headerBytes = version === 2 ? V2_HEADER_BYTES : V3_HEADER_BYTES;
+  const slotCount = envelope[headerBytes - IV_BYTES - 1];
+  for (let i = 0; i < slotCount; i++) {
+    const kdf = envelope[headerBytes + i * SLOT_BYTES];
+    if (kdf & KDF_FLAGS.KEYFILE) return true;
+  }
+  return false;
 }
 
 /**
- * Decrypt AES-256 encrypted text with the given password
- * @param {string} encryptedText - The encrypted Base64 string
+ * Try to unwrap one key slot with the given credentials
+ * @param {Uint8Array} slot - SLOT_BYTES bytes
+ * @param {Uint8Array} header - Envelope header (authenticated)
+ * @param {Object} credentials - { password, keyfile, identityKey }
+ * @returns {Promise<Object|null>} - { contentKey, type } or null
+ */
+async function openKeySlot(slot, header, { password, keyfile, identityKey }) {
+  const kdf = slot[0] & ~KDF_FLAGS.KEYFILE;
+  const needsKeyfile = (slot[0] & KDF_FLAGS.KEYFILE) !== 0;
+  const cost = slot.subarray(1, 5);
+  const salt = slot.subarray(5, 5 + SALT_BYTES);
+  const iv = slot.subarray(5 + SALT_BYTES, 5 + SALT_BYTES + IV_BYTES);
+  const ephemeralRaw = slot.subarray(5 + SALT_BYTES + IV_BYTES, 5 + SALT_BYTES + IV_BYTES + PUBLIC_KEY_BYTES);
+  const wrapped = slot.subarray(SLOT_BYTES - CONTENT_KEY_BYTES - TAG_BYTES);
+
+  let type;
+  let deriveWrappingKey;
+  if (kdf === KDF.ECDH_P256) {
+    if (!identityKey) return null;
+    type = RECIPIENT_TYPES.KEY;
+    deriveWrappingKey = () => deriveRecipientKey(
+      identityKey.privateKey, ephemeralRaw, salt, ephemeralRaw, identityKey.publicRaw
+    );
+  } else {
+    if (!password || (needsKeyfile && !keyfile)) return null;
+    // Unknown KDF or cost out of range: damaged, or not written by NEBULA
+    if (!isKdfCostAllowed(kdf, cost)) return null;
+    type = RECIPIENT_TYPES.PASSWORD;
+    deriveWrappingKey = () => derivePasswordKey(password, salt, kdf, cost, needsKeyfile ? keyfile : null);
+  }
+
+  // Derivation fails on damaged slots (e.g. an invalid ephemeral key) like a wrong password
+  try {
+    const wrappingKey = await deriveWrappingKey();
+    const contentKey = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv, additionalData: header }, wrappingKey, wrapped
+    );
+    return { contentKey: new Uint8Array(contentKey), type };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt a version 1 (single recipient) envelope
+ * @param {Uint8Array} envelope - Envelope bytes
+ * @param {Object} credentials - { password, identityKey }
+ * @returns {Promise<Object|null>} - { plainBytes, recipient } or null
+ */
+async function decryptEnvelopeV1(envelope, { password, identityKey }) {
+  if (envelope.length < V1_HEADER_BYTES) return null;
+
+  const kdf = envelope[5];
+  const cost = envelope.subarray(6, 10);
+  const salt = envelope.subarray(10, 10 + SALT_BYTES);
+  const iv = envelope.subarray(10 + SALT_BYTES, V1_HEADER_BYTES);
+
+  let deriveKey;
+  let ciphertext;
+  let type;
+  if (kdf === KDF.ECDH_P256) {
+    if (!identityKey) return null;
+    const ephemeralRaw = envelope.subarray(V1_HEADER_BYTES, V1_HEADER_BYTES + PUBLIC_KEY_BYTES);
+    deriveKey = () => deriveRecipientKey(identityKey.privateKey, ephemeralRaw, salt, ephemeralRaw, identityKey.publicRaw);
+    ciphertext = envelope.subarray(V1_HEADER_BYTES + PUBLIC_KEY_BYTES);
+    type = RECIPIENT_TYPES.KEY;
+  } else {
+    if (!password || !isKdfCostAllowed(kdf, cost)) return null;
+    deriveKey = () => derivePasswordKey(password, salt, kdf, cost);
+    ciphertext = envelope.subarray(V1_HEADER_BYTES);
+    type = RECIPIENT_TYPES.PASSWORD;
+  }
+
+  try {
+    const key = await deriveKey();
+    const plainBytes = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return { plainBytes: new Uint8Array(plainBytes), recipient: { slot: 0, slotCount: 1, type } };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt an envelope or a legacy payload and report which recipient opened it
+ * Legacy payloads are ASCII: either a CryptoJS string or a Base64 envelope.
+ * @param {Uint8Array|string} encrypted - Envelope bytes or legacy text
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @returns {Promise<Object|null>} - { plainBytes, recipient, signature } or null, where
+ *   recipient is { slot, slotCount, type, fingerprint } and signature is
+ *   { publicKey, fingerprint, valid } for signed envelopes, null otherwise
+ */
+export async function decryptEnvelope(encrypted, credentials) {
+  const { password, keyfile, secretKey } = toCredentials(credentials);
+  if (!encrypted || !encrypted.length || (!password && !secretKey)) {
+    throw new Error('Both encrypted data and a password or secret key are required');
+  }
+
+  // Text input is always legacy: a CryptoJS string or a Base64 envelope
+  let envelope = typeof encrypted === 'string' ? null : encrypted;
+  if (!isEnvelope(envelope)) {
+    const legacyText = typeof encrypted === 'string' ? encrypted : bytesToLatin1(encrypted);
+    envelope = base64ToBytes(legacyText);
+    if (!isEnvelope(envelope)) {
+      if (!password) return null;
+      const legacyPlain = decryptLegacyText(legacyText, password);
+      return legacyPlain === null ? null : {
+        plainBytes: textToBytes(legacyPlain),
+        recipient: { slot: 0, slotCount: 1, type: RECIPIENT_TYPES.PASSWORD },
+      };
+    }
+  }
+
+  let identityKey = null;
+  if (secretKey) {
+    try {
+      identityKey = await importSecretKey(secretKey);
+    } catch (error) {
+      console.error('Stored secret key is unusable:', error);
+    }
+  }
+  const slotCredentials = { password, keyfile, identityKey };
+  const withFingerprint = async (result) => {
+    if (result?.recipient.type === RECIPIENT_TYPES.KEY) {
+      result.recipient.fingerprint = await getKeyFingerprint(identityKey.publicRaw);
+    }
+    return result;
+  };
+
+  const version = envelope[4];
+  if (version === 1) {
+    const result = await withFingerprint(await decryptEnvelopeV1(envelope, slotCredentials));
+    return result && { ...result, signature: null };
+  }
+  if (version !== 2 && version !== ENVELOPE_VERSION) {
+    console.error('Unsupported envelope version:', version);
+    return null;
+  }
+
+  // Version 2 has no flags byte
+  const headerBytes = version === 2 ? V2_HEADER_BYTES : V3_HEADER_BYTES;
+  const flags = version === 2 ? 0 : envelope[5];
+  const slotCount = envelope[headerBytes - IV_BYTES - 1];
+  const contentOffset = headerBytes + slotCount * SLOT_BYTES;
+  if (slotCount === 0 || envelope.length < contentOffset + TAG_BYTES) return null;
+
+  const header = envelope.subarray(0, headerBytes);
+  const contentIv = envelope.subarray(headerBytes - IV_BYTES, headerBytes);
+
+  for (let i = 0; i < slotCount; i++) {
+    const slot = envelope.subarray(headerBytes + i * SLOT_BYTES, headerBytes + (i + 1) * SLOT_BYTES);
+    const opened = await openKeySlot(slot, header, slotCredentials);
+    if (!opened) continue;
+
+    let content;
+    try {
+      const key = await getSubtle().importKey('raw', opened.contentKey, 'AES-GCM', false, ['decrypt']);
+      content = new Uint8Array(await getSubtle().decrypt(
+        { name: 'AES-GCM', iv: contentIv, additionalData: header },
+        key,
+        envelope.subarray(contentOffset)
+      ));
+    } catch {
+      // Slot opened but content failed authentication: tampered data
+      return null;
+    }
+
+    let plainBytes = content;
+    let signature = null;
+    if (flags & ENVELOPE_FLAGS.SIGNED) {
+      const digest = new Uint8Array(await getSubtle().digest('SHA-256', envelope.subarray(0, contentOffset)));
+      const verified = await verifyContent(content, digest);
+      if (!verified) return null;
+      ({ content: plainBytes, signature } = verified);
+    }
+
+    return withFingerprint({
+      plainBytes,
+      recipient: { slot: i, slotCount, type: opened.type },
+      signature,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Decrypt an envelope (or legacy payload) to bytes
+ * @param {Uint8Array|string} encrypted - Envelope bytes or legacy text
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @returns {Promise<Uint8Array|null>} - The plaintext bytes or null if decryption fails
+ */
+export async function decryptBytes(encrypted, credentials) {
+  const result = await decryptEnvelope(encrypted, credentials);
+  return result ? result.plainBytes : null;
+}
+
+/**
+ * Decrypt an envelope (or legacy payload) to text
+ * @param {Uint8Array|string} encrypted - Envelope bytes or legacy text
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @returns {Promise<string|null>} - The original plaintext or null if decryption fails
+ */
+export async function decryptText(encrypted, credentials) {
+  const plainBytes = await decryptBytes(encrypted, credentials);
+  return plainBytes === null ? null : bytesToText(plainBytes);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DENIABLE REGIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Region layout: salt (16) | iv (12) | AES-256-GCM ciphertext | tag (16)
+ * A sealed region is indistinguishable from random bytes without the password:
+ * there is no magic, no KDF id and no stored cost (always PBKDF2 with the
+ * default iteration count). The plaintext is zero-padded to fill the region.
+ */
+export const REGION_OVERHEAD_BYTES = SALT_BYTES + IV_BYTES + TAG_BYTES;
+
+/**
+ * Encrypt bytes into a fixed-size region
+ * @param {Uint8Array} plainBytes - Data to seal
+ * @param {string} password - Region password
+ * @param {number} regionBytes - Total region size
+ * @returns {Promise<Uint8Array>} - regionBytes bytes
+ */
+export async function sealRegion(plainBytes, password, regionBytes) {
+  if (plainBytes.length + REGION_OVERHEAD_BYTES > regionBytes) {
+    throw new Error('Data does not fit in the region');
+  }
+
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const key = await derivePasswordKey(password, salt, KDF.PBKDF2_SHA256, encodeKdfCost(KDF.PBKDF2_SHA256));
+
+  const padded = new Uint8Array(regionBytes - REGION_OVERHEAD_BYTES);
+  padded.set(plainBytes, 0);
+  const ciphertext = new Uint8Array(await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, padded));
+
+  const region = new Uint8Array(regionBytes);
+  region.set(salt, 0);
+  region.set(iv, SALT_BYTES);
+  region.set(ciphertext, SALT_BYTES + IV_BYTES);
+  return region;
+}
+
+/**
+ * Try to decrypt a region
+ * @param {Uint8Array} region - Bytes read from the carrier
+ * @param {string} password - Candidate password
+ * @returns {Promise<Uint8Array|null>} - Zero-padded plaintext or null
+ */
+export async function openRegion(region, password) {
+  if (!password || region.length <= REGION_OVERHEAD_BYTES) return null;
+
+  const salt = region.subarray(0, SALT_BYTES);
+  const iv = region.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+  const key = await derivePasswordKey(password, salt, KDF.PBKDF2_SHA256, encodeKdfCost(KDF.PBKDF2_SHA256));
+
+  try {
+    const plain = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, region.subarray(SALT_BYTES + IV_BYTES));
+    return new Uint8Array(plain);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt a legacy CryptoJS passphrase payload (OpenSSL EVP_BytesToKey, AES-CBC)
+ * Kept so carriers created before the envelope format still open.
+ * @param {string} encryptedText - The CryptoJS Base64 string
  * @param {string} password - The decryption key
  * @returns {string|null} - The original plaintext or null if decryption fails
  */
-export function decryptText(encryptedText, password) {
-  if (!encryptedText || !password) {
-    throw new Error('Both encryptedText and password are required');
-  }
-  
+function decryptLegacyText(encryptedText, password) {
   try {
     // Decrypt using AES
     const bytes = CryptoJS.AES.decrypt(encryptedText, password);
@@ -48,7 +1030,7 @@ export function decryptText(encryptedText, password) {
     let decrypted;
     try {
       decrypted = bytes.toString(CryptoJS.enc.Utf8);
-    } catch (utf8Error) {
+    } catch {
       // Wrong password produces garbage bytes that can't be decoded as UTF-8
       return null;
     }
@@ -73,98 +1055,83 @@ export function decryptText(encryptedText, password) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// BINARY CONVERSION UTILITIES
+// EMBEDDING KEYS
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Convert a string to binary representation
- * @param {string} str - The string to convert
- * @returns {string} - Binary string (8 bits per character)
+ * The embedding key only decides where the (already encrypted) bits go, so it
+ * uses a fixed salt: the decoder has to derive it before it can read anything.
+ * Finding the container's magic under a guessed key confirms the guess, so
+ * each guess costs as much as on a default PBKDF2 envelope. The fixed salt
+ * lets one guess be tried on every carrier at once, and scrypt envelopes are
+ * no harder to guess through the order than PBKDF2 ones; a keyfile (see
+ * embeddingKeyFor) puts the order out of reach of password guessing.
  */
-export function stringToBinary(str) {
-  let binary = '';
-  
-  for (let i = 0; i < str.length; i++) {
-    // Get the character code
-    const charCode = str.charCodeAt(i);
-    // Convert to binary and pad to 8 bits
-    const binaryChar = charCode.toString(2).padStart(8, '0');
-    binary += binaryChar;
-  }
-  
-  return binary;
-}
+const EMBEDDING_CONTEXT = 'NEBULA embedding order v1';
+const EMBEDDING_ITERATIONS = DEFAULT_PBKDF2_ITERATIONS;
 
 /**
- * Convert binary string back to text
- * @param {string} binary - Binary string (must be multiple of 8)
- * @returns {string} - The decoded text
+ * Derive the 32-byte key for the embedding order
+ * @param {string|Uint8Array|null} secret - Password (with any keyfile, see passwordSecret), raw public key,
+ *   or null for the shared default order
+ * @returns {Promise<Uint8Array>}
  */
-export function binaryToString(binary) {
-  let str = '';
-  
-  // Process 8 bits at a time
-  for (let i = 0; i < binary.length; i += 8) {
-    const byte = binary.slice(i, i + 8);
-    if (byte.length < 8) break;
-    
-    const charCode = parseInt(byte, 2);
-    if (charCode === 0) break; // Null terminator
-    
-    str += String.fromCharCode(charCode);
+export async function deriveEmbeddingKey(secret) {
+  const subtle = getSubtle();
+  const context = textToBytes(EMBEDDING_CONTEXT);
+
+  if (!secret || secret.length === 0) {
+    return new Uint8Array(await subtle.digest('SHA-256', context));
   }
-  
-  return str;
-}
 
-// ═══════════════════════════════════════════════════════════════
-// LSB STEGANOGRAPHY HELPERS
-// ═══════════════════════════════════════════════════════════════
+  const secretBytes = typeof secret === 'string' ? textToBytes(secret) : secret;
+  const baseKey = await subtle.importKey('raw', secretBytes, 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: context, iterations: EMBEDDING_ITERATIONS },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
 
 /**
- * Delimiter to mark the end of hidden data in LSB steganography
- * Using a unique binary pattern that's unlikely to appear naturally
+ * Embedding key for the encoder
+ * A single password (with its keyfile, so the password alone cannot be
+ * checked against the carrier) or public key keys the order. Several
+ * recipients share no secret, so their files use the default order, which
+ * is still spread over the whole carrier.
+ * @param {string|Object} protection - Protection argument, as for encryptBytes
+ * @returns {Promise<Uint8Array>}
  */
-export const END_DELIMITER = '1111111111111110'; // 16-bit marker
+export async function embeddingKeyFor(protection) {
+  const recipients = toRecipients(protection);
+  if (recipients.length !== 1) return deriveEmbeddingKey(null);
 
-/**
- * Prepare data for LSB embedding
- * @param {string} encryptedText - The encrypted text to hide
- * @returns {string} - Binary string with length header and end delimiter
- */
-export function prepareDataForEmbedding(encryptedText) {
-  const binary = stringToBinary(encryptedText);
-  
-  // Add length header (32 bits for length up to ~4 billion chars)
-  const lengthBinary = binary.length.toString(2).padStart(32, '0');
-  
-  return lengthBinary + binary + END_DELIMITER;
+  const [recipient] = recipients;
+  return deriveEmbeddingKey(
+    recipient.type === RECIPIENT_TYPES.KEY
+      ? parsePublicKey(recipient.publicKey)
+      : passwordSecret(recipient.password, recipient.keyfile)
+  );
 }
 
 /**
- * Extract data from LSB binary stream
- * @param {string} binary - Raw binary extracted from image
- * @returns {string|null} - The extracted encrypted text or null
+ * Embedding keys the decoder should try, most specific first
+ * A keyfile the file was not locked with is ignored, as by decryptEnvelope,
+ * so the password is also tried on its own.
+ * @param {string|Object} credentials - Password or { password, keyfile, secretKey }
+ * @returns {Promise<Array<Uint8Array>>}
  */
-export function extractDataFromBinary(binary) {
-  try {
-    // Read length header (first 32 bits)
-    const lengthBinary = binary.slice(0, 32);
-    const dataLength = parseInt(lengthBinary, 2);
-    
-    // Validate length
-    if (dataLength <= 0 || dataLength > binary.length - 32) {
-      return null;
-    }
-    
-    // Extract the data
-    const dataBinary = binary.slice(32, 32 + dataLength);
-    
-    return binaryToString(dataBinary);
-  } catch (error) {
-    console.error('Data extraction failed:', error);
-    return null;
-  }
+export async function embeddingKeysFor(credentials) {
+  const { password, keyfile, secretKey } = toCredentials(credentials);
+  const secrets = [];
+  if (password && keyfile) secrets.push(passwordSecret(password, keyfile));
+  if (password) secrets.push(password);
+  const ownKey = secretKey && parseSecretKey(secretKey);
+  if (ownKey) secrets.push(ownKey.publicRaw);
+  secrets.push(null);
+
+  return Promise.all(secrets.map(deriveEmbeddingKey));
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -175,29 +1142,38 @@ export function extractDataFromBinary(binary) {
  * Calculate how much data can be hidden in an image
  * @param {number} width - Image width in pixels
  * @param {number} height - Image height in pixels
- * @returns {number} - Maximum characters that can be hidden
- */
-export function calculateImageCapacity(width, height) {
-  // Each pixel can hide 1 bit in the blue channel
-  // 8 bits = 1 character
-  // Reserve 48 bits for header and delimiter
-  const totalBits = width * height;
-  const usableBits = totalBits - 48;
-  const maxChars = Math.floor(usableBits / 8);
-  
-  return Math.max(0, maxChars);
+ * @param {Object} layout - Channels and bits per channel (see imageLayout.js)
+ * @param {number} ecc - ECC_LEVELS value
+ * @returns {number} - Maximum payload bytes that can be hidden
+ */
+export function calculateImageCapacity(width, height, layout = DEFAULT_IMAGE_LAYOUT, ecc = ECC_LEVELS.OFF) {
+  // Each pixel hides one bit per channel and bit plane of the layout,
+  // less what the container header and error correction take
+  const totalBits = width * height * layoutBitsPerPixel(layout);
+  return containerCapacity(totalBits, { ecc, layout: encodeImageLayout(layout) });
 }
 
 /**
- * Check if the message fits in the image
- * @param {string} encryptedText - The encrypted message
+ * Check if the payload fits in the image
+ * @param {Uint8Array} payload - The encrypted payload
  * @param {number} width - Image width
  * @param {number} height - Image height
- * @returns {boolean} - Whether the message fits
+ * @returns {boolean} - Whether the payload fits
  */
-export function canFitInImage(encryptedText, width, height) {
+export function canFitInImage(payload, width, height) {
   const capacity = calculateImageCapacity(width, height);
-  return encryptedText.length <= capacity;
+  return payload.length <= capacity;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. '512 B', '31.9 KB', '1.2 MB'
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 // ═══════════════════════════════════════════════════════════════
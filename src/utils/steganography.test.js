@@ -0,0 +1,94 @@
+/**
+ * NEBULA - Encryption Envelope Tests
+ * Round trips, legacy payloads, and envelopes whose stored KDF settings
+ * cannot be trusted
+ */
+
+import { pbkdf2Sync } from 'node:crypto';
+import CryptoJS from 'crypto-js';
+import { describe, expect, it } from 'vitest';
+import {
+  bytesToBase64,
+  decryptEnvelope,
+  decryptText,
+  DEFAULT_PBKDF2_ITERATIONS,
+  deriveEmbeddingKey,
+  encryptText,
+  KDF,
+  KDF_LIMITS,
+} from '@/utils/steganography';
+
+const PASSWORD = 'correct horse battery staple';
+
+// Cheapest settings within KDF_LIMITS, to keep the tests fast
+const PBKDF2_OPTIONS = { iterations: KDF_LIMITS.PBKDF2_ITERATIONS.min };
+const SCRYPT_OPTIONS = { kdf: KDF.SCRYPT, scryptParams: { N: 2 ** KDF_LIMITS.SCRYPT_LOG_N.min, r: 8, p: 1 } };
+
+// The first key slot follows the 19-byte version 3 header: KDF id, then the cost
+const SLOT_KDF = 19;
+const SLOT_COST = SLOT_KDF + 1;
+
+describe('envelopes', () => {
+  it.each([
+    ['PBKDF2', PBKDF2_OPTIONS],
+    ['scrypt', SCRYPT_OPTIONS],
+  ])('round-trip text with %s', async (_, options) => {
+    const envelope = await encryptText('meet at dawn', PASSWORD, options);
+
+    expect(await decryptText(envelope, PASSWORD)).toBe('meet at dawn');
+    expect(await decryptText(envelope, 'wrong password')).toBeNull();
+  });
+
+  it('decrypts legacy text payloads given as strings', async () => {
+    const cryptoJs = CryptoJS.AES.encrypt('NEBULA::old secret::NEBULA', PASSWORD).toString();
+    const base64Envelope = bytesToBase64(await encryptText('new secret', PASSWORD, PBKDF2_OPTIONS));
+
+    expect(await decryptText(cryptoJs, PASSWORD)).toBe('old secret');
+    expect(await decryptText(cryptoJs, 'wrong password')).toBeNull();
+    expect(await decryptText(base64Envelope, PASSWORD)).toBe('new secret');
+  });
+
+  it('refuses to write KDF costs it would not read', async () => {
+    await expect(encryptText('x', PASSWORD, { iterations: 0 })).rejects.toThrow('KDF cost');
+    await expect(encryptText('x', PASSWORD, { kdf: KDF.SCRYPT, scryptParams: { N: 2 ** 24, r: 8, p: 1 } }))
+      .rejects.toThrow('KDF cost');
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // DAMAGED OR CRAFTED SETTINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  it.each([
+    ['no PBKDF2 iterations', PBKDF2_OPTIONS, [0, 0, 0, 0]],
+    ['2^32 - 1 PBKDF2 iterations', PBKDF2_OPTIONS, [0xFF, 0xFF, 0xFF, 0xFF]],
+    ['scrypt N = 2^40', SCRYPT_OPTIONS, [40, 8, 1, 0]],
+    ['scrypt r = 255', SCRYPT_OPTIONS, [10, 255, 1, 0]],
+    ['scrypt p = 0', SCRYPT_OPTIONS, [10, 8, 0, 0]],
+  ])('treats %s as unopenable', async (_, options, cost) => {
+    const envelope = await encryptText('x', PASSWORD, options);
+    envelope.set(cost, SLOT_COST);
+
+    expect(await decryptEnvelope(envelope, PASSWORD)).toBeNull();
+  });
+
+  it('treats an unknown KDF as unopenable', async () => {
+    const envelope = await encryptText('x', PASSWORD, PBKDF2_OPTIONS);
+    envelope[SLOT_KDF] = 9;
+
+    expect(await decryptEnvelope(envelope, PASSWORD)).toBeNull();
+  });
+});
+
+describe('deriveEmbeddingKey', () => {
+  // Finding a container under a guessed order confirms the guess, so a guess
+  // must cost as much there as on a default envelope
+  it('keys the order with PBKDF2 at the default envelope cost', async () => {
+    const expected = pbkdf2Sync(PASSWORD, 'NEBULA embedding order v1', DEFAULT_PBKDF2_ITERATIONS, 32, 'sha256');
+
+    expect(await deriveEmbeddingKey(PASSWORD)).toEqual(new Uint8Array(expected));
+  });
+
+  it('uses a fixed key for the shared default order', async () => {
+    expect(await deriveEmbeddingKey(null)).toEqual(await deriveEmbeddingKey(new Uint8Array(0)));
+  });
+});
@@ -0,0 +1,525 @@
+/**
+ * NEBULA - Lossless WebP Decoder
+ * Pure-JS decoder for the VP8L bitstream of lossless WebP files, following
+ * the WebP Lossless Bitstream Specification
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// BIT READER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Read bits least significant first, as VP8L stores them
+ * @param {Uint8Array} bytes - VP8L chunk data
+ * @returns {Object} - { readBits(count), readBit() }
+ */
+function createBitReader(bytes) {
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (position >= bytes.length) throw new Error('WebP data ends unexpectedly');
+      bitBuffer = bytes[position++];
+      bitCount = 8;
+    }
+    const bit = bitBuffer & 1;
+    bitBuffer >>= 1;
+    bitCount--;
+    return bit;
+  };
+
+  return {
+    readBit,
+    readBits: (count) => {
+      let value = 0;
+      for (let i = 0; i < count; i++) value |= readBit() << i;
+      return value;
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PREFIX CODES
+// ═══════════════════════════════════════════════════════════════
+
+const MAX_CODE_LENGTH = 15;
+
+/**
+ * Order in which code length code lengths are stored
+ */
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+/**
+ * Build a canonical prefix code from code lengths
+ * A code with a single used symbol takes no bits to read.
+ * @param {Array<number>|Uint8Array} lengths - Code length per symbol, 0 for unused
+ * @returns {Object} - { counts, symbols, single } for decodeSymbol
+ */
+function buildPrefixCode(lengths) {
+  const counts = new Uint16Array(MAX_CODE_LENGTH + 1);
+  const used = [];
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) {
+      counts[lengths[symbol]]++;
+      used.push(symbol);
+    }
+  }
+  if (used.length === 0) throw new Error('WebP data is corrupt (empty prefix code)');
+  if (used.length === 1) return { single: used[0] };
+
+  // Symbols sorted by code length, then by value
+  const offsets = new Uint16Array(MAX_CODE_LENGTH + 2);
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) offsets[length + 1] = offsets[length] + counts[length];
+  const symbols = new Uint16Array(used.length);
+  for (const symbol of used) symbols[offsets[lengths[symbol]]++] = symbol;
+
+  return { counts, symbols, single: -1 };
+}
+
+/**
+ * Read one symbol, one code bit at a time
+ * @param {Object} reader - Bit reader
+ * @param {Object} code - From buildPrefixCode
+ * @returns {number}
+ */
+function decodeSymbol(reader, { counts, symbols, single }) {
+  if (single >= 0) return single;
+
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    code |= reader.readBit();
+    const count = counts[length];
+    if (code - first < count) return symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('WebP data is corrupt (bad prefix code)');
+}
+
+/**
+ * Read a prefix code from the stream
+ * @param {Object} reader - Bit reader
+ * @param {number} alphabetSize - Number of symbols
+ * @returns {Object} - Prefix code
+ */
+function readPrefixCode(reader, alphabetSize) {
+  const lengths = new Uint8Array(alphabetSize);
+
+  // Simple code: one or two symbols given outright
+  if (reader.readBit()) {
+    const symbolCount = reader.readBit() + 1;
+    const first = reader.readBits(reader.readBit() ? 8 : 1);
+    if (first >= alphabetSize) throw new Error('WebP data is corrupt (bad symbol)');
+    if (symbolCount === 1) return { single: first };
+
+    const second = reader.readBits(8);
+    if (second >= alphabetSize) throw new Error('WebP data is corrupt (bad symbol)');
+    lengths[first] = 1;
+    lengths[second] = 1;
+    return buildPrefixCode(lengths);
+  }
+
+  // Normal code: code lengths, themselves prefix-coded
+  const codeLengthLengths = new Uint8Array(CODE_LENGTH_ORDER.length);
+  const stored = 4 + reader.readBits(4);
+  for (let i = 0; i < stored; i++) codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+  const codeLengthCode = buildPrefixCode(codeLengthLengths);
+
+  let maxSymbol = alphabetSize;
+  if (reader.readBit()) {
+    const lengthBits = 2 + 2 * reader.readBits(3);
+    maxSymbol = 2 + reader.readBits(lengthBits);
+    if (maxSymbol > alphabetSize) throw new Error('WebP data is corrupt (bad code lengths)');
+  }
+
+  let previous = 8;
+  for (let symbol = 0; symbol < alphabetSize && maxSymbol-- > 0;) {
+    const value = decodeSymbol(reader, codeLengthCode);
+    if (value < 16) {
+      lengths[symbol++] = value;
+      if (value) previous = value;
+      continue;
+    }
+
+    const [repeatOf, extraBits, base] = value === 16 ? [previous, 2, 3] : value === 17 ? [0, 3, 3] : [0, 7, 11];
+    const repeat = base + reader.readBits(extraBits);
+    if (symbol + repeat > alphabetSize) throw new Error('WebP data is corrupt (bad code lengths)');
+    lengths.fill(repeatOf, symbol, symbol + repeat);
+    symbol += repeat;
+  }
+
+  return buildPrefixCode(lengths);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENTROPY-CODED IMAGES
+// ═══════════════════════════════════════════════════════════════
+
+const LITERAL_SYMBOLS = 256;
+const LENGTH_SYMBOLS = 24;
+const DISTANCE_SYMBOLS = 40;
+
+/**
+ * (dx, dy) for the first 120 distance codes; dx counts to the left
+ */
+const DISTANCE_MAP = [
+  0, 1, 1, 0, 1, 1, -1, 1, 0, 2, 2, 0, 1, 2, -1, 2,
+  2, 1, -2, 1, 2, 2, -2, 2, 0, 3, 3, 0, 1, 3, -1, 3,
+  3, 1, -3, 1, 2, 3, -2, 3, 3, 2, -3, 2, 0, 4, 4, 0,
+  1, 4, -1, 4, 4, 1, -4, 1, 3, 3, -3, 3, 2, 4, -2, 4,
+  4, 2, -4, 2, 0, 5, 3, 4, -3, 4, 4, 3, -4, 3, 5, 0,
+  1, 5, -1, 5, 5, 1, -5, 1, 2, 5, -2, 5, 5, 2, -5, 2,
+  4, 4, -4, 4, 3, 5, -3, 5, 5, 3, -5, 3, 0, 6, 6, 0,
+  1, 6, -1, 6, 6, 1, -6, 1, 2, 6, -2, 6, 6, 2, -6, 2,
+  4, 5, -4, 5, 5, 4, -5, 4, 3, 6, -3, 6, 6, 3, -6, 3,
+  0, 7, 7, 0, 1, 7, -1, 7, 5, 5, -5, 5, 7, 1, -7, 1,
+  4, 6, -4, 6, 6, 4, -6, 4, 2, 7, -2, 7, 7, 2, -7, 2,
+  3, 7, -3, 7, 7, 3, -7, 3, 5, 6, -5, 6, 6, 5, -6, 5,
+  8, 0, 4, 7, -4, 7, 7, 4, -7, 4, 8, 1, 8, 2, 6, 6,
+  -6, 6, 8, 3, 5, 7, -5, 7, 7, 5, -7, 5, 8, 4, 6, 7,
+  -6, 7, 7, 6, -7, 6, 8, 5, 7, 7, -7, 7, 8, 6, 8, 7,
+];
+
+/**
+ * Value of a length or distance prefix symbol, with its extra bits
+ * @param {Object} reader - Bit reader
+ * @param {number} prefix - Symbol
+ * @returns {number}
+ */
+function readPrefixedValue(reader, prefix) {
+  if (prefix < 4) return prefix + 1;
+  const extraBits = (prefix - 2) >> 1;
+  const offset = (2 + (prefix & 1)) << extraBits;
+  return offset + reader.readBits(extraBits) + 1;
+}
+
+/**
+ * Size of a sub-sampled image
+ * @param {number} size - Full size
+ * @param {number} bits - log2 of the block size
+ * @returns {number}
+ */
+const subSampleSize = (size, bits) => (size + (1 << bits) - 1) >> bits;
+
+/**
+ * Read one group of five prefix codes
+ * @param {Object} reader - Bit reader
+ * @param {number} cacheSize - Colour cache entries, 0 for none
+ * @returns {Array<Object>} - [green/length/cache, red, blue, alpha, distance]
+ */
+const readCodeGroup = (reader, cacheSize) => [
+  readPrefixCode(reader, LITERAL_SYMBOLS + LENGTH_SYMBOLS + cacheSize),
+  readPrefixCode(reader, LITERAL_SYMBOLS),
+  readPrefixCode(reader, LITERAL_SYMBOLS),
+  readPrefixCode(reader, LITERAL_SYMBOLS),
+  readPrefixCode(reader, DISTANCE_SYMBOLS),
+];
+
+/**
+ * Decode an entropy-coded image of ARGB pixels
+ * @param {Object} reader - Bit reader
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} main - True for the main image, which may use several code groups
+ * @returns {Uint32Array} - ARGB pixels
+ */
+function readEntropyImage(reader, width, height, main) {
+  let cacheBits = 0;
+  if (reader.readBit()) {
+    cacheBits = reader.readBits(4);
+    if (cacheBits < 1 || cacheBits > 11) throw new Error('WebP data is corrupt (bad colour cache)');
+  }
+  const cacheSize = cacheBits ? 1 << cacheBits : 0;
+
+  // The main image may pick its code group per block, from an entropy image
+  let groupBits = 0;
+  let groupImage = null;
+  let groupCount = 1;
+  if (main && reader.readBit()) {
+    groupBits = reader.readBits(3) + 2;
+    groupImage = readEntropyImage(reader, subSampleSize(width, groupBits), subSampleSize(height, groupBits), false);
+    for (let i = 0; i < groupImage.length; i++) {
+      groupImage[i] = (groupImage[i] >> 8) & 0xFFFF;
+      groupCount = Math.max(groupCount, groupImage[i] + 1);
+    }
+  }
+
+  const groups = Array.from({ length: groupCount }, () => readCodeGroup(reader, cacheSize));
+  const groupsPerLine = subSampleSize(width, groupBits);
+  const cache = cacheSize ? new Uint32Array(cacheSize) : null;
+  const pixels = new Uint32Array(width * height);
+
+  const remember = (argb) => {
+    if (cache) cache[Math.imul(argb, 0x1E35A7BD) >>> (32 - cacheBits)] = argb;
+  };
+
+  for (let position = 0; position < pixels.length;) {
+    const x = position % width;
+    const y = Math.floor(position / width);
+    const [green, red, blue, alpha, distance] = groupImage
+      ? groups[groupImage[(y >> groupBits) * groupsPerLine + (x >> groupBits)]]
+      : groups[0];
+
+    const symbol = decodeSymbol(reader, green);
+
+    if (symbol < LITERAL_SYMBOLS) {
+      const r = decodeSymbol(reader, red);
+      const b = decodeSymbol(reader, blue);
+      const a = decodeSymbol(reader, alpha);
+      const argb = ((a << 24) | (r << 16) | (symbol << 8) | b) >>> 0;
+      pixels[position++] = argb;
+      remember(argb);
+    } else if (symbol < LITERAL_SYMBOLS + LENGTH_SYMBOLS) {
+      // Backward reference: copy `length` pixels from `offset` pixels back
+      const length = readPrefixedValue(reader, symbol - LITERAL_SYMBOLS);
+      const code = readPrefixedValue(reader, decodeSymbol(reader, distance));
+      let offset = code - 120;
+      if (code <= 120) {
+        const dx = DISTANCE_MAP[(code - 1) * 2];
+        const dy = DISTANCE_MAP[(code - 1) * 2 + 1];
+        offset = Math.max(1, dx + dy * width);
+      }
+      if (offset > position || position + length > pixels.length) {
+        throw new Error('WebP data is corrupt (bad backward reference)');
+      }
+      for (let i = 0; i < length; i++, position++) {
+        pixels[position] = pixels[position - offset];
+        remember(pixels[position]);
+      }
+    } else {
+      const index = symbol - LITERAL_SYMBOLS - LENGTH_SYMBOLS;
+      if (index >= cacheSize) throw new Error('WebP data is corrupt (bad colour cache index)');
+      pixels[position++] = cache[index];
+    }
+  }
+
+  return pixels;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRANSFORMS
+// ═══════════════════════════════════════════════════════════════
+
+const TRANSFORMS = {
+  PREDICTOR: 0,
+  COLOR: 1,
+  SUBTRACT_GREEN: 2,
+  COLOR_INDEXING: 3,
+};
+
+/**
+ * Per-channel helpers on packed ARGB
+ */
+const channel = (argb, shift) => (argb >>> shift) & 0xFF;
+
+const perChannel = (fn) => ((
+  (fn(24) << 24) | (fn(16) << 16) | (fn(8) << 8) | fn(0)
+) >>> 0);
+
+const addPixels = (a, b) => perChannel((s) => (channel(a, s) + channel(b, s)) & 0xFF);
+
+const average2 = (a, b) => perChannel((s) => (channel(a, s) + channel(b, s)) >> 1);
+
+const clamp255 = (value) => Math.max(0, Math.min(255, value));
+
+function select(left, top, topLeft) {
+  let distanceLeft = 0;
+  let distanceTop = 0;
+  for (const s of [24, 16, 8, 0]) {
+    const estimate = channel(left, s) + channel(top, s) - channel(topLeft, s);
+    distanceLeft += Math.abs(estimate - channel(left, s));
+    distanceTop += Math.abs(estimate - channel(top, s));
+  }
+  return distanceLeft < distanceTop ? left : top;
+}
+
+const clampAddSubtractFull = (a, b, c) =>
+  perChannel((s) => clamp255(channel(a, s) + channel(b, s) - channel(c, s)));
+
+const clampAddSubtractHalf = (a, b) =>
+  perChannel((s) => clamp255(channel(a, s) + Math.trunc((channel(a, s) - channel(b, s)) / 2)));
+
+/**
+ * Prediction for a pixel, by predictor mode
+ * @param {number} mode - 0 to 13
+ * @param {number} L - Left pixel
+ * @param {number} T - Top pixel
+ * @param {number} TR - Top-right pixel
+ * @param {number} TL - Top-left pixel
+ * @returns {number} - Predicted ARGB
+ */
+function predict(mode, L, T, TR, TL) {
+  switch (mode) {
+    case 0: return 0xFF000000;
+    case 1: return L;
+    case 2: return T;
+    case 3: return TR;
+    case 4: return TL;
+    case 5: return average2(average2(L, TR), T);
+    case 6: return average2(L, TL);
+    case 7: return average2(L, T);
+    case 8: return average2(TL, T);
+    case 9: return average2(T, TR);
+    case 10: return average2(average2(L, TL), average2(T, TR));
+    case 11: return select(L, T, TL);
+    case 12: return clampAddSubtractFull(L, T, TL);
+    case 13: return clampAddSubtractHalf(average2(L, T), TL);
+    default: return 0xFF000000;
+  }
+}
+
+/**
+ * Undo the predictor transform, in place
+ */
+function inversePredictor(pixels, width, height, { bits, image }) {
+  const blocksPerLine = subSampleSize(width, bits);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let prediction;
+      if (y === 0) {
+        prediction = x === 0 ? 0xFF000000 : pixels[i - 1];
+      } else if (x === 0) {
+        prediction = pixels[i - width];
+      } else {
+        // For the last column, "top-right" is the first pixel of the current row
+        const mode = (image[(y >> bits) * blocksPerLine + (x >> bits)] >> 8) & 0x0F;
+        prediction = predict(mode, pixels[i - 1], pixels[i - width], pixels[i - width + 1], pixels[i - width - 1]);
+      }
+      pixels[i] = addPixels(pixels[i], prediction);
+    }
+  }
+}
+
+const signed8 = (value) => (value << 24) >> 24;
+
+const colorTransformDelta = (multiplier, value) => (signed8(multiplier) * signed8(value)) >> 5;
+
+/**
+ * Undo the colour transform, in place
+ */
+function inverseColorTransform(pixels, width, height, { bits, image }) {
+  const blocksPerLine = subSampleSize(width, bits);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const element = image[(y >> bits) * blocksPerLine + (x >> bits)];
+      const greenToRed = element & 0xFF;
+      const greenToBlue = (element >> 8) & 0xFF;
+      const redToBlue = (element >> 16) & 0xFF;
+
+      const argb = pixels[i];
+      const green = channel(argb, 8);
+      const red = (channel(argb, 16) + colorTransformDelta(greenToRed, green)) & 0xFF;
+      const blue = (channel(argb, 0) + colorTransformDelta(greenToBlue, green) + colorTransformDelta(redToBlue, red)) & 0xFF;
+      pixels[i] = ((argb & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+    }
+  }
+}
+
+/**
+ * Undo the subtract-green transform, in place
+ */
+function inverseSubtractGreen(pixels) {
+  for (let i = 0; i < pixels.length; i++) {
+    const argb = pixels[i];
+    const green = channel(argb, 8);
+    const red = (channel(argb, 16) + green) & 0xFF;
+    const blue = (channel(argb, 0) + green) & 0xFF;
+    pixels[i] = ((argb & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+  }
+}
+
+/**
+ * Undo colour indexing: look up (possibly bundled) palette indices
+ * @returns {Uint32Array} - Pixels at the full width
+ */
+function inverseColorIndexing(packed, width, height, { bits, palette }) {
+  const packedWidth = subSampleSize(width, bits);
+  const pixelsPerByte = 1 << bits;
+  const indexBits = 8 >> bits;
+  const indexMask = (1 << indexBits) - 1;
+  const pixels = new Uint32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const green = channel(packed[y * packedWidth + (x >> bits)], 8);
+      const index = (green >> ((x & (pixelsPerByte - 1)) * indexBits)) & indexMask;
+      // Indices past the end of the palette are transparent black
+      pixels[y * width + x] = index < palette.length ? palette[index] : 0;
+    }
+  }
+  return pixels;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Decode a VP8L bitstream (the data of a WebP file's VP8L chunk)
+ * @param {Uint8Array} bytes - Chunk data
+ * @returns {Object} - { width, height, data } with data RGBA bytes
+ */
+export function decodeVp8l(bytes) {
+  if (bytes[0] !== 0x2F) throw new Error('Not a lossless WebP bitstream');
+
+  const reader = createBitReader(bytes.subarray(1));
+  const width = reader.readBits(14) + 1;
+  const height = reader.readBits(14) + 1;
+  reader.readBits(1); // alpha hint
+  if (reader.readBits(3) !== 0) throw new Error('Unsupported lossless WebP version');
+
+  // Transforms, in the order they were applied; colour indexing may narrow the image
+  const transforms = [];
+  let codedWidth = width;
+  while (reader.readBit()) {
+    const type = reader.readBits(2);
+    if (transforms.some((transform) => transform.type === type)) {
+      throw new Error('WebP data is corrupt (repeated transform)');
+    }
+
+    const transform = { type, width: codedWidth };
+    if (type === TRANSFORMS.PREDICTOR || type === TRANSFORMS.COLOR) {
+      transform.bits = reader.readBits(3) + 2;
+      transform.image = readEntropyImage(
+        reader, subSampleSize(codedWidth, transform.bits), subSampleSize(height, transform.bits), false
+      );
+    } else if (type === TRANSFORMS.COLOR_INDEXING) {
+      const size = reader.readBits(8) + 1;
+      const palette = readEntropyImage(reader, size, 1, false);
+      // Entries are stored as differences from the previous one
+      for (let i = 1; i < size; i++) palette[i] = addPixels(palette[i], palette[i - 1]);
+      transform.palette = palette;
+      transform.bits = size > 16 ? 0 : size > 4 ? 1 : size > 2 ? 2 : 3;
+      codedWidth = subSampleSize(codedWidth, transform.bits);
+    }
+    transforms.push(transform);
+  }
+
+  let pixels = readEntropyImage(reader, codedWidth, height, true);
+
+  for (const transform of transforms.reverse()) {
+    if (transform.type === TRANSFORMS.PREDICTOR) inversePredictor(pixels, transform.width, height, transform);
+    if (transform.type === TRANSFORMS.COLOR) inverseColorTransform(pixels, transform.width, height, transform);
+    if (transform.type === TRANSFORMS.SUBTRACT_GREEN) inverseSubtractGreen(pixels);
+    if (transform.type === TRANSFORMS.COLOR_INDEXING) {
+      pixels = inverseColorIndexing(pixels, transform.width, height, transform);
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixels.length; i++) {
+    const argb = pixels[i];
+    data[i * 4] = channel(argb, 16);
+    data[i * 4 + 1] = channel(argb, 8);
+    data[i * 4 + 2] = channel(argb, 0);
+    data[i * 4 + 3] = channel(argb, 24);
+  }
+  return { width, height, data };
+}